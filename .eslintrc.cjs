@@ -11,6 +11,13 @@ module.exports = {
   parserOptions: { ecmaVersion: "latest", sourceType: "module" },
   settings: { react: { version: "18.2" } },
   plugins: ["react-refresh"],
+  overrides: [
+    {
+      // The Express API runs on Node, not in the browser.
+      files: ["server.js", "api/**/*.js", "lib/**/*.js", "models/**/*.js", "routes/**/*.js", "test/**/*.js"],
+      env: { browser: false, node: true },
+    },
+  ],
   rules: {
     "react/jsx-no-target-blank": "off",
     "react-refresh/only-export-components": [
@@ -1,7 +1,10 @@
 // api/image.js
-import OpenAI from "openai";
 import dotenv from "dotenv";
 import cors from "cors";
+import { bearerToken, verifySessionToken } from "../lib/auth.js";
+import { connectToDatabase } from "../lib/db.js";
+import { HttpError } from "../lib/errors.js";
+import { handleImageRequest } from "../lib/generation.js";
 
 dotenv.config();
 
@@ -21,11 +24,6 @@ function runCorsMiddleware(req, res) {
   });
 }
 
-const nebiusClient = new OpenAI({
-  baseURL: "https://api.studio.nebius.com/v1/",
-  apiKey: process.env.NEBIUS_API_KEY,
-});
-
 export default async function handler(req, res) {
   try {
     await runCorsMiddleware(req, res);
@@ -34,34 +32,16 @@ export default async function handler(req, res) {
       return res.status(405).json({ error: "Method Not Allowed" });
     }
 
-    const { prompt } = req.body;
+    const { userId: clerkUserId } = await verifySessionToken(bearerToken(req));
 
-    if (!prompt || typeof prompt !== "string") {
-      return res.status(400).json({ error: "Invalid or missing prompt" });
-    }
-
-    const response = await nebiusClient.images.generate({
-      model: "stability-ai/sdxl",
-      response_format: "b64_json",
-      extra_body: {
-        response_extension: "png",
-        width: 1024,
-        height: 1024,
-        num_inference_steps: 30,
-        negative_prompt: "",
-        seed: -1,
-      },
-      prompt: prompt,
-    });
-
-    const imageBase64 = response.data[0].b64_json;
-    const imageUrl = `data:image/png;base64,${imageBase64}`;
-
-    res.status(200).json({ image: imageUrl });
+    await connectToDatabase();
+    await handleImageRequest(req, res, clerkUserId);
 
   } catch (error) {
-    console.error("Error calling Nebius Studio API:", error);
-    const errorMessage = error.response?.data?.error?.message || error.message || "Something went wrong with the Nebius Studio API";
-    res.status(500).json({ error: errorMessage });
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error in /api/image:", error);
+    res.status(500).json({ error: error.message || "Server error" });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,227 @@
+// lib/analytics.js
+import Conversation from "../models/conversations.js";
+import GeneratedImage from "../models/images.js";
+import LibraryDocument from "../models/libraryDocuments.js";
+import Message from "../models/messages.js";
+import Usage from "../models/usage.js";
+import { GENERATION_COSTS } from "./entitlements.js";
+import { describeSubscription } from "./subscriptions.js";
+
+// Aggregations behind the Pro analytics dashboard. Each takes the User and a
+// { from, to } range from parseDateRange() in lib/usage.js; days are UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TOPIC_MESSAGES = 5000;
+const TOP_TOPICS = 8;
+const TOP_CONVERSATIONS = 10;
+const CHARGED_KINDS = Object.keys(GENERATION_COSTS);
+
+// Common English words plus chat filler that would otherwise top every chart.
+const STOPWORDS = new Set(`
+  about above after again against also among another because been before being below between both
+  could does doing down during each either every from further give have having here into itself just
+  know like make many more most much must need only other over please same should show some such
+  than that their them then there these they this those through tell thanks thank under until upon
+  very want were what when where which while whom whose will with within without would your yours
+  using used help write explain generate create list summarize summary paper papers article research
+  image images give something things thing really could might maybe example examples based
+`.trim().split(/\s+/));
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Monday of the date's ISO week.
+function weekKey(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return dayKey(monday);
+}
+
+// Every day in the range, so charts show quiet days as zero instead of gaps.
+function eachDay({ from, to }) {
+  const days = [];
+  for (let time = Date.parse(dayKey(from)); time < to.getTime(); time += DAY_MS) {
+    days.push(dayKey(new Date(time)));
+  }
+  return days;
+}
+
+function byDay(range, rows, empty) {
+  const found = new Map(rows.map(({ _id, ...totals }) => [_id, totals]));
+  return eachDay(range).map((day) => ({ day, ...empty, ...found.get(day) }));
+}
+
+const dayOf = (field) => ({ $dateToString: { format: "%Y-%m-%d", date: field } });
+
+// Questions sent, answers received and images generated per day.
+export async function activityByDay(user, range) {
+  const [messages, images] = await Promise.all([
+    Message.aggregate([
+      { $match: { userId: user._id, timestamp: { $gte: range.from, $lt: range.to } } },
+      {
+        $group: {
+          _id: dayOf("$timestamp"),
+          sent: { $sum: { $cond: ["$isFromUser", 1, 0] } },
+          answers: { $sum: { $cond: ["$isFromUser", 0, 1] } },
+        },
+      },
+    ]),
+    GeneratedImage.aggregate([
+      { $match: { userId: user._id, createdAt: { $gte: range.from, $lt: range.to } } },
+      { $group: { _id: dayOf("$createdAt"), images: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const imagesByDay = new Map(images.map((row) => [row._id, row.images]));
+  const days = byDay(range, messages, { sent: 0, answers: 0 }).map((day) => ({ ...day, images: imagesByDay.get(day.day) || 0 }));
+  const totals = days.reduce(
+    (sum, day) => ({ sent: sum.sent + day.sent, answers: sum.answers + day.answers, images: sum.images + day.images }),
+    { sent: 0, answers: 0, images: 0 }
+  );
+  return { days, totals };
+}
+
+// Requests per model from the usage log, most used first.
+export async function modelBreakdown(user, range) {
+  const rows = await Usage.aggregate([
+    { $match: { userId: user._id, createdAt: { $gte: range.from, $lt: range.to } } },
+    {
+      $group: {
+        _id: { kind: "$kind", provider: "$provider", model: "$model" },
+        requests: { $sum: 1 },
+        errors: { $sum: { $cond: [{ $eq: ["$status", "error"] }, 1, 0] } },
+        inputTokens: { $sum: "$inputTokens" },
+        outputTokens: { $sum: "$outputTokens" },
+        imageCount: { $sum: "$imageCount" },
+        credits: { $sum: "$credits" },
+        avgLatencyMs: { $avg: "$latencyMs" },
+      },
+    },
+    { $sort: { requests: -1 } },
+  ]);
+  return rows.map(({ _id, ...totals }) => ({ ..._id, ...totals }));
+}
+
+function topicWords(text) {
+  return (text.toLowerCase().match(/[a-z][a-z-]{3,}/g) || []).filter((word) => !STOPWORDS.has(word));
+}
+
+// The most frequent keywords in the user's questions, and how often each
+// came up per ISO week. Counts messages mentioning a word, not repetitions.
+export async function topicsOverTime(user, range) {
+  const messages = await Message.find(
+    { userId: user._id, isFromUser: true, message: { $ne: "" }, timestamp: { $gte: range.from, $lt: range.to } },
+    { message: 1, timestamp: 1 }
+  )
+    .sort({ timestamp: -1 })
+    .limit(MAX_TOPIC_MESSAGES)
+    .lean();
+
+  const totals = new Map();
+  const weeks = new Map();
+  for (const { message, timestamp } of messages) {
+    const week = weekKey(timestamp);
+    if (!weeks.has(week)) weeks.set(week, new Map());
+    for (const word of new Set(topicWords(message))) {
+      totals.set(word, (totals.get(word) || 0) + 1);
+      weeks.get(week).set(word, (weeks.get(week).get(word) || 0) + 1);
+    }
+  }
+
+  const terms = [...totals.entries()]
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_TOPICS)
+    .map(([term, count]) => ({ term, count }));
+
+  return {
+    terms,
+    weeks: [...weeks.keys()].sort().map((week) => ({
+      week,
+      counts: Object.fromEntries(terms.map(({ term }) => [term, weeks.get(week).get(term) || 0])),
+    })),
+    sampled: messages.length === MAX_TOPIC_MESSAGES,
+  };
+}
+
+// Conversations with the most messages in the range.
+export async function longestConversations(user, range) {
+  const rows = await Message.aggregate([
+    { $match: { userId: user._id, conversationId: { $ne: null }, timestamp: { $gte: range.from, $lt: range.to } } },
+    { $group: { _id: "$conversationId", messages: { $sum: 1 }, lastMessageAt: { $max: "$timestamp" } } },
+    { $sort: { messages: -1 } },
+    { $limit: TOP_CONVERSATIONS * 2 }, // Headroom for deleted conversations, dropped below
+  ]);
+
+  const conversations = await Conversation.find(
+    { _id: { $in: rows.map((row) => row._id) }, userId: user._id },
+    { title: 1, model: 1, mode: 1 }
+  );
+  const byId = new Map(conversations.map((c) => [String(c._id), c]));
+
+  return rows
+    .filter((row) => byId.has(String(row._id)))
+    .slice(0, TOP_CONVERSATIONS)
+    .map((row) => {
+      const conversation = byId.get(String(row._id));
+      return { _id: row._id, title: conversation.title, model: conversation.model, mode: conversation.mode, messages: row.messages, lastMessageAt: row.lastMessageAt };
+    });
+}
+
+// Papers added to the library and files attached in chats.
+export async function documentStats(user, range) {
+  const [uploads, attachments] = await Promise.all([
+    LibraryDocument.aggregate([
+      { $match: { userId: user._id, createdAt: { $gte: range.from, $lt: range.to } } },
+      { $group: { _id: dayOf("$createdAt"), documents: { $sum: 1 }, pages: { $sum: "$pageCount" } } },
+    ]),
+    Message.aggregate([
+      { $match: { userId: user._id, "attachments.0": { $exists: true }, timestamp: { $gte: range.from, $lt: range.to } } },
+      { $unwind: "$attachments" },
+      {
+        $group: {
+          _id: null,
+          images: { $sum: { $cond: [{ $regexMatch: { input: { $ifNull: ["$attachments.type", ""] }, regex: /^image\// } }, 1, 0] } },
+          total: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const days = byDay(range, uploads, { documents: 0, pages: 0 });
+  const attached = attachments[0] || { images: 0, total: 0 };
+  return {
+    days,
+    library: {
+      uploaded: days.reduce((sum, day) => sum + day.documents, 0),
+      pages: days.reduce((sum, day) => sum + day.pages, 0),
+      total: await LibraryDocument.countDocuments({ userId: user._id }),
+    },
+    attachments: { images: attached.images, documents: attached.total - attached.images },
+  };
+}
+
+// Credits charged per day by kind, next to the plan's current quota.
+export async function quotaConsumption(user, range) {
+  const rows = await Usage.aggregate([
+    { $match: { userId: user._id, createdAt: { $gte: range.from, $lt: range.to } } },
+    {
+      $group: {
+        _id: dayOf("$createdAt"),
+        ...Object.fromEntries(CHARGED_KINDS.map((kind) => [kind, { $sum: { $cond: [{ $eq: ["$kind", kind] }, "$credits", 0] } }])),
+        estimatedCost: { $sum: "$estimatedCost" },
+      },
+    },
+  ]);
+
+  const empty = Object.fromEntries([...CHARGED_KINDS, "estimatedCost"].map((key) => [key, 0]));
+  const days = byDay(range, rows, empty);
+  const { plan, currentPeriodStart, currentPeriodEnd, quota } = describeSubscription(user);
+  return {
+    days,
+    totals: Object.fromEntries(Object.keys(empty).map((key) => [key, days.reduce((sum, day) => sum + day[key], 0)])),
+    plan,
+    currentPeriodStart,
+    currentPeriodEnd,
+    quota,
+  };
+}
@@ -0,0 +1,265 @@
+// lib/articles.js
+import mongoose from "mongoose";
+import Article from "../models/articles.js";
+import User from "../models/user.js";
+import { consumeQuota, refundQuota } from "./entitlements.js";
+import { HttpError } from "./errors.js";
+import { SYSTEM_INSTRUCTION, generateText, resolveModel } from "./providers.js";
+import { recordUsage } from "./usage.js";
+
+export const ARTICLE_LENGTHS = {
+  short: { words: 800, sections: 4 },
+  medium: { words: 1500, sections: 6 },
+  long: { words: 3000, sections: 8 },
+};
+
+export const MAX_OUTLINE_SECTIONS = 15;
+const MAX_HEADING_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+export const MAX_SECTION_CHARS = 30000;
+
+// Earlier sections passed as context when drafting the next one; the start
+// of long articles is dropped first.
+const PREVIOUS_SECTIONS_CHARS = 24000;
+
+// A step that has run this long is assumed to have died with its process.
+const STEP_LOCK_MS = 5 * 60 * 1000;
+
+const WRITER_INSTRUCTION = `${SYSTEM_INSTRUCTION} You are writing a research article step by step. Follow the requested output format exactly and do not add commentary.`;
+
+export async function findOwnedArticle(articleId, clerkUserId) {
+  if (!clerkUserId || !mongoose.isValidObjectId(articleId)) return null;
+
+  const user = await User.findOne({ clerkUserId });
+  if (!user) return null;
+
+  return Article.findOne({ _id: articleId, userId: user._id });
+}
+
+// The stage the next call to runNextStep will perform, or "done".
+export function nextStage(article) {
+  if (!article.outline?.length) return "outline";
+  if (article.outline.some((section) => section.content == null)) return "section";
+  if (article.revised == null) return "revise";
+  if (article.references == null) return "references";
+  return "done";
+}
+
+export function describeArticle(article) {
+  return {
+    _id: article._id,
+    topic: article.topic,
+    audience: article.audience,
+    length: article.length,
+    model: article.model,
+    outline: article.outline || [],
+    revised: article.revised,
+    references: article.references,
+    draftId: article.draftId,
+    stage: nextStage(article),
+    running: Boolean(article.busyUntil && article.busyUntil > new Date()),
+    lastError: article.lastError,
+    createdAt: article.createdAt,
+    updatedAt: article.updatedAt,
+  };
+}
+
+// Checks an edited outline from the client: [{ heading, notes }].
+export function validateOutline(outline) {
+  if (!Array.isArray(outline) || outline.length === 0 || outline.length > MAX_OUTLINE_SECTIONS) {
+    throw new HttpError(400, `The outline must have 1-${MAX_OUTLINE_SECTIONS} sections`);
+  }
+  return outline.map((section, index) => {
+    const heading = typeof section?.heading === "string" ? section.heading.trim() : "";
+    const notes = typeof section?.notes === "string" ? section.notes.trim() : "";
+    if (!heading || heading.length > MAX_HEADING_LENGTH) {
+      throw new HttpError(400, `Section ${index + 1} needs a heading of at most ${MAX_HEADING_LENGTH} characters`);
+    }
+    if (notes.length > MAX_NOTES_LENGTH) {
+      throw new HttpError(400, `Section ${index + 1} notes are limited to ${MAX_NOTES_LENGTH} characters`);
+    }
+    return { heading, notes };
+  });
+}
+
+// Replaces the outline. Drafted sections up to the first changed one are
+// kept; everything after it, and the revision and references, is redone.
+export function applyOutline(article, outline) {
+  const previous = article.outline || [];
+  let unchanged = true;
+  article.outline = outline.map((section, index) => {
+    const old = previous[index];
+    unchanged = unchanged && old?.heading === section.heading && old?.notes === section.notes;
+    return unchanged ? { ...section, content: old.content } : section;
+  });
+  article.revised = undefined;
+  article.references = undefined;
+}
+
+export function articleMarkdown(article) {
+  const body = article.revised ?? (article.outline || [])
+    .filter((section) => section.content != null)
+    .map((section) => `## ${section.heading}\n\n${section.content}`)
+    .join("\n\n");
+  const references = article.references?.length
+    ? `\n\n## References\n\n${article.references.map((reference) => `- ${reference}`).join("\n")}`
+    : "";
+  return `# ${article.topic}\n\n${body}${references}\n`;
+}
+
+function stripFence(text) {
+  const fenced = text.trim().match(/^```[a-z]*\n([\s\S]*?)\n```$/i);
+  return (fenced ? fenced[1] : text).trim();
+}
+
+function brief(article) {
+  const { words } = ARTICLE_LENGTHS[article.length];
+  return [
+    `Topic: ${article.topic}`,
+    `Audience: ${article.audience}`,
+    `Target length: about ${words} words in total`,
+  ].join("\n");
+}
+
+function outlineText(article) {
+  return article.outline
+    .map((section, index) => `${index + 1}. ${section.heading}${section.notes ? ` (${section.notes})` : ""}`)
+    .join("\n");
+}
+
+function fullDraft(article) {
+  return article.outline.map((section) => `## ${section.heading}\n\n${section.content}`).join("\n\n");
+}
+
+// Each stage builds its prompt and stores the model's answer on the article.
+const STAGES = {
+  outline: {
+    prompt: (article) => [
+      brief(article),
+      `Write an outline of ${ARTICLE_LENGTHS[article.length].sections} sections for this article, including an introduction and a conclusion.`,
+      'Reply with only a JSON array of objects with "heading" (a section title) and "notes" (one or two sentences on what the section covers).',
+    ].join("\n\n"),
+    store: (article, text) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(stripFence(text));
+      } catch {
+        throw new HttpError(502, "The model returned an outline that could not be read; try again");
+      }
+      applyOutline(article, validateOutline(parsed));
+    },
+  },
+  section: {
+    prompt: (article) => {
+      const index = article.outline.findIndex((section) => section.content == null);
+      const section = article.outline[index];
+      const previous = fullDraft({ outline: article.outline.slice(0, index) });
+      const { words } = ARTICLE_LENGTHS[article.length];
+      return [
+        brief(article),
+        `Outline:\n${outlineText(article)}`,
+        previous && `Sections written so far:\n"""\n${previous.slice(-PREVIOUS_SECTIONS_CHARS)}\n"""`,
+        `Write section ${index + 1}, "${section.heading}"${section.notes ? `, covering: ${section.notes}` : ""}.`,
+        `Aim for about ${Math.round(words / article.outline.length)} words, continue naturally from the sections so far and do not repeat them.`,
+        "Cite sources inline as (Author, Year) only for works you are confident exist; otherwise write [citation needed].",
+        "Reply with only the section body in Markdown, without its heading.",
+      ].filter(Boolean).join("\n\n");
+    },
+    store: (article, text) => {
+      const section = article.outline.find((s) => s.content == null);
+      section.content = stripFence(text).slice(0, MAX_SECTION_CHARS);
+    },
+  },
+  revise: {
+    prompt: (article) => [
+      brief(article),
+      `Draft:\n"""\n${fullDraft(article)}\n"""`,
+      "Revise the draft for consistency: unify terminology and tone, remove repetition, smooth the transitions between sections and fix factual or logical contradictions.",
+      "Keep every section heading as a level-two Markdown heading, keep the inline citations, and reply with only the revised article in Markdown.",
+    ].join("\n\n"),
+    store: (article, text) => {
+      article.revised = stripFence(text);
+    },
+  },
+  references: {
+    prompt: (article) => [
+      `Article:\n"""\n${article.revised}\n"""`,
+      "List the works cited inline in this article as full references in APA style, one per line, in alphabetical order.",
+      "Only include works you are confident exist and leave out [citation needed] markers. Reply with only the list, or NONE if nothing is cited.",
+    ].join("\n\n"),
+    store: (article, text) => {
+      const lines = stripFence(text)
+        .split("\n")
+        .map((line) => line.replace(/^\s*(?:[-*]|\d+\.)\s+/, "").trim())
+        .filter(Boolean);
+      article.references = lines.length === 1 && /^none\.?$/i.test(lines[0]) ? [] : lines;
+    },
+  },
+};
+
+// Runs the article's next stage with its model, charged like one chat
+// message, and saves the result. Only one step per article runs at a time.
+export async function runNextStep(article, clerkUserId) {
+  const stage = nextStage(article);
+  if (stage === "done") throw new HttpError(409, "This article is already finished");
+
+  const now = new Date();
+  const locked = await Article.findOneAndUpdate(
+    { _id: article._id, $or: [{ busyUntil: null }, { busyUntil: { $lt: now } }] },
+    { busyUntil: new Date(now.getTime() + STEP_LOCK_MS) },
+    { new: true }
+  );
+  if (!locked) throw new HttpError(409, "A step for this article is already running");
+
+  const startedAt = Date.now();
+  let resolved = null;
+  let charge = null;
+  let result = null;
+
+  try {
+    resolved = resolveModel(locked.model);
+    charge = await consumeQuota(clerkUserId, "text");
+    result = await generateText({
+      model: resolved.id,
+      messages: [{ role: "user", content: STAGES[stage].prompt(locked) }],
+      systemInstruction: WRITER_INSTRUCTION,
+    });
+    if (!result.content?.trim()) throw new Error("The model returned an empty answer");
+
+    STAGES[stage].store(locked, result.content);
+    locked.lastError = undefined;
+    locked.busyUntil = undefined;
+    await locked.save();
+
+    await recordUsage({
+      user: charge.user,
+      kind: "text",
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      latencyMs: Date.now() - startedAt,
+      credits: charge.cost,
+      status: "success",
+    });
+    return locked;
+  } catch (error) {
+    await Article.updateOne(
+      { _id: article._id },
+      { $unset: { busyUntil: 1 }, lastError: error.message || "Something went wrong with the text model API" }
+    );
+    if (charge) {
+      await refundQuota(clerkUserId, charge.cost);
+      await recordUsage({
+        user: charge.user,
+        kind: "text",
+        provider: resolved.provider,
+        model: resolved.id,
+        usage: result?.usage,
+        latencyMs: Date.now() - startedAt,
+        credits: 0,
+        status: "error",
+      });
+    }
+    throw error;
+  }
+}
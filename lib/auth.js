@@ -0,0 +1,93 @@
+// lib/auth.js
+import { createRemoteJWKSet, importSPKI, jwtVerify } from "jose";
+import { HttpError } from "./errors.js";
+
+let keyPromise = null;
+
+// CLERK_JWT_KEY (the PEM public key from the Clerk dashboard) verifies tokens
+// without network access; otherwise keys are fetched from CLERK_JWKS_URL.
+function getVerificationKey() {
+  if (!keyPromise) {
+    if (process.env.CLERK_JWT_KEY) {
+      const pem = process.env.CLERK_JWT_KEY.replace(/\\n/g, "\n");
+      keyPromise = importSPKI(pem, "RS256");
+    } else if (process.env.CLERK_JWKS_URL) {
+      keyPromise = Promise.resolve(createRemoteJWKSet(new URL(process.env.CLERK_JWKS_URL)));
+    } else {
+      return Promise.reject(new Error("Set CLERK_JWT_KEY or CLERK_JWKS_URL to verify session tokens"));
+    }
+  }
+  return keyPromise;
+}
+
+function authorizedParties() {
+  return (process.env.CLERK_AUTHORIZED_PARTIES || process.env.CLIENT_URL || "")
+    .split(",")
+    .map((party) => party.trim())
+    .filter(Boolean);
+}
+
+// Verifies a Clerk session token and returns { userId, claims }.
+export async function verifySessionToken(token) {
+  if (!token) {
+    throw new HttpError(401, "Missing session token");
+  }
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(token, await getVerificationKey(), { clockTolerance: 5 }));
+  } catch (error) {
+    console.warn("Session token rejected:", error.message);
+    throw new HttpError(401, "Invalid or expired session token");
+  }
+
+  const parties = authorizedParties();
+  if (payload.azp && parties.length > 0 && !parties.includes(payload.azp)) {
+    throw new HttpError(401, "Session token was issued for another origin");
+  }
+  if (!payload.sub) {
+    throw new HttpError(401, "Session token has no subject");
+  }
+
+  return { userId: payload.sub, claims: payload };
+}
+
+export function bearerToken(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+}
+
+// Express middleware: sets req.auth from the Authorization header and rejects
+// requests whose clerkUserId (URL, query or body) names a different user.
+export async function requireAuth(req, res, next) {
+  try {
+    req.auth = await verifySessionToken(bearerToken(req));
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    return res.status(status).json({ message: error.message });
+  }
+
+  const claimedUserId = req.params?.clerkUserId ?? req.query?.clerkUserId ?? req.body?.clerkUserId;
+  if (claimedUserId && claimedUserId !== req.auth.userId) {
+    console.warn(`ClerkUserId mismatch! Token: ${req.auth.userId}, Request: ${claimedUserId}`);
+    return res.status(403).json({ message: "User ID does not match session" });
+  }
+
+  next();
+}
+
+// Clerk user ids listed in ADMIN_CLERK_USER_IDS (comma separated).
+export function isAdmin(clerkUserId) {
+  return (process.env.ADMIN_CLERK_USER_IDS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .includes(clerkUserId);
+}
+
+// Express middleware for operator-only routes; run after requireAuth.
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req.auth?.userId)) {
+    return res.status(403).json({ message: "Admin access required" });
+  }
+  next();
+}
@@ -0,0 +1,143 @@
+// lib/calculator.js
+import { HttpError } from "./errors.js";
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([a-zA-Z_]\w*)|(\*\*|[-+*/%^(),!]))/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      const offset = expression.slice(start).search(/\S/);
+      throw new HttpError(400, `Unexpected character at position ${start + offset + 1}`);
+    }
+    if (match[1]) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2]) tokens.push({ type: "name", value: match[2] });
+    else tokens.push({ type: "op", value: match[3] === "**" ? "^" : match[3] });
+  }
+  return tokens;
+}
+
+function factorial(n) {
+  if (!Number.isInteger(n) || n < 0 || n > 170) {
+    throw new HttpError(400, "Factorial needs a whole number from 0 to 170");
+  }
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+// Evaluates an arithmetic expression without eval(): + - * / % ^ (or **),
+// parentheses, postfix !, the constants pi and e, and the functions in
+// FUNCTIONS. log is base 10 and ln is natural; angles are in radians.
+export function evaluateExpression(expression) {
+  if (typeof expression !== "string" || !expression.trim() || expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new HttpError(400, `Expression must be 1-${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(expression);
+  let position = 0;
+  const peek = () => tokens[position];
+  const accept = (value) => {
+    if (peek()?.type === "op" && peek().value === value) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!accept(value)) throw new HttpError(400, `Expected "${value}"`);
+  };
+
+  // Lowest to highest precedence: sum, product, unary sign, power, postfix.
+  function sum() {
+    let value = product();
+    for (;;) {
+      if (accept("+")) value += product();
+      else if (accept("-")) value -= product();
+      else return value;
+    }
+  }
+  function product() {
+    let value = unary();
+    for (;;) {
+      if (accept("*")) value *= unary();
+      else if (accept("/")) value /= unary();
+      else if (accept("%")) value %= unary();
+      else return value;
+    }
+  }
+  function unary() {
+    if (accept("-")) return -unary();
+    if (accept("+")) return unary();
+    return power();
+  }
+  function power() {
+    const base = postfix();
+    return accept("^") ? base ** unary() : base; // Right-associative
+  }
+  function postfix() {
+    let value = primary();
+    while (accept("!")) value = factorial(value);
+    return value;
+  }
+  function primary() {
+    const token = peek();
+    if (!token) throw new HttpError(400, "Unexpected end of expression");
+    position++;
+
+    if (token.type === "number") return token.value;
+    if (token.type === "op" && token.value === "(") {
+      const value = sum();
+      expect(")");
+      return value;
+    }
+    if (token.type === "name") {
+      const name = token.value.toLowerCase();
+      if (Object.hasOwn(FUNCTIONS, name)) {
+        expect("(");
+        const value = FUNCTIONS[name](sum());
+        expect(")");
+        return value;
+      }
+      if (Object.hasOwn(CONSTANTS, name)) return CONSTANTS[name];
+      throw new HttpError(400, `Unknown name "${token.value}"`);
+    }
+    throw new HttpError(400, `Unexpected "${token.value}"`);
+  }
+
+  const value = sum();
+  if (position < tokens.length) {
+    throw new HttpError(400, `Unexpected "${peek().value}"`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new HttpError(400, "The result is not a finite number");
+  }
+  return value;
+}
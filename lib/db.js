@@ -0,0 +1,15 @@
+// lib/db.js
+import mongoose from "mongoose";
+
+let connection = null;
+
+// Serverless handlers share one connection per warm instance.
+export function connectToDatabase() {
+  if (!connection) {
+    connection = mongoose.connect(process.env.MONGODB_URI).catch((error) => {
+      connection = null;
+      throw error;
+    });
+  }
+  return connection;
+}
@@ -0,0 +1,235 @@
+// lib/documents.js
+import mongoose from "mongoose";
+import mammoth from "mammoth";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import ChatDocument from "../models/chatDocuments.js";
+import { HttpError } from "./errors.js";
+
+// Uploads arrive base64-encoded in a JSON body, which grows them by a third,
+// so this stays well under the 20 MB express.json limit in server.js.
+export const MAX_DOCUMENT_BYTES = 12 * 1024 * 1024;
+
+// How extraction appears in usage records; it runs here, so it has no price.
+export const EXTRACTION_ENGINE = { provider: "local", model: "text-extraction" };
+
+// Upper bound on extracted text kept per document.
+const MAX_EXTRACTED_CHARS = 1_500_000;
+
+// Document text sent to a model is capped at this many tokens, or half the
+// model's context window if that is smaller. ~4 characters per token.
+const MAX_DOCUMENT_TOKENS = 32000;
+const CHARS_PER_TOKEN = 4;
+const CHUNK_CHARS = 4000;
+
+const DOCUMENT_TYPES = {
+  pdf: { mimeTypes: ["application/pdf"], extract: extractPdf },
+  docx: {
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    extract: extractDocx,
+  },
+  txt: { mimeTypes: ["text/plain"], extract: extractPlainText },
+  md: { mimeTypes: ["text/markdown", "text/x-markdown"], extract: extractPlainText },
+  markdown: { mimeTypes: [], extract: extractPlainText },
+};
+
+// Browsers often report "" for Markdown, so the extension wins over the MIME type.
+function documentKind(name = "", type = "") {
+  const extension = name.toLowerCase().split(".").pop();
+  if (Object.hasOwn(DOCUMENT_TYPES, extension)) return extension;
+  return Object.keys(DOCUMENT_TYPES).find((kind) => DOCUMENT_TYPES[kind].mimeTypes.includes(type));
+}
+
+function decodeDataUrl(data) {
+  const match = typeof data === "string" && data.match(/^data:[^;,]*(;base64)?,(.*)$/s);
+  if (!match || !match[1]) {
+    throw new HttpError(400, "Document data must be a base64 data URL");
+  }
+  return Buffer.from(match[2], "base64");
+}
+
+async function extractPdf(buffer) {
+  const pdf = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, useSystemFonts: true }).promise;
+  const pages = [];
+  try {
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      const text = content.items.map((item) => item.str + (item.hasEOL ? "\n" : "")).join("");
+      pages.push({ page: number, text: text.trim() });
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+  return { paginated: true, pages };
+}
+
+async function extractDocx(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return { paginated: false, pages: [{ page: null, text: value.trim() }] };
+}
+
+async function extractPlainText(buffer) {
+  return { paginated: false, pages: [{ page: null, text: buffer.toString("utf8").trim() }] };
+}
+
+function truncatePages(pages) {
+  let remaining = MAX_EXTRACTED_CHARS;
+  const kept = [];
+  for (const page of pages) {
+    if (remaining <= 0) break;
+    kept.push(page.text.length > remaining ? { ...page, text: page.text.slice(0, remaining) } : page);
+    remaining -= page.text.length;
+  }
+  return { pages: kept, truncated: remaining < 0 };
+}
+
+export function isSupportedDocument(name, type) {
+  return Boolean(documentKind(name, type));
+}
+
+// Extracts text from an uploaded PDF, DOCX, TXT or Markdown file.
+// PDFs keep one entry per page; other formats come back as a single entry.
+export async function extractDocument({ name, type, data }) {
+  const kind = documentKind(name, type);
+  if (!kind) {
+    throw new HttpError(400, "Unsupported document type. Upload a PDF, DOCX, TXT or Markdown file");
+  }
+
+  const buffer = decodeDataUrl(data);
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    throw new HttpError(413, `Documents are limited to ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`);
+  }
+
+  let extracted;
+  try {
+    extracted = await DOCUMENT_TYPES[kind].extract(buffer);
+  } catch (error) {
+    console.warn(`Could not extract text from ${name}:`, error.message);
+    throw new HttpError(400, `Could not read ${name}. Is the file damaged or password protected?`);
+  }
+
+  const { pages, truncated } = truncatePages(extracted.pages);
+  if (!pages.some((page) => page.text)) {
+    throw new HttpError(400, `No text found in ${name}. Scanned PDFs need OCR before upload`);
+  }
+
+  return { name, type: type || kind, size: buffer.length, paginated: extracted.paginated, pageCount: pages.length, pages, truncated };
+}
+
+function citationLabel(chunk) {
+  if (chunk.pageStart == null) return `[${chunk.name}, part ${chunk.part}]`;
+  if (chunk.pageStart === chunk.pageEnd) return `[${chunk.name}, p. ${chunk.pageStart}]`;
+  return `[${chunk.name}, pp. ${chunk.pageStart}-${chunk.pageEnd}]`;
+}
+
+// Splits a document into ~CHUNK_CHARS pieces that remember their page range.
+export function chunkDocument(document) {
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current?.text.trim()) chunks.push({ ...current, part: chunks.length + 1 });
+    current = null;
+  };
+
+  for (const { page, text } of document.pages) {
+    for (let offset = 0; offset < text.length; offset += CHUNK_CHARS) {
+      const piece = text.slice(offset, offset + CHUNK_CHARS);
+      if (current && current.text.length + piece.length > CHUNK_CHARS) flush();
+      if (!current) current = { name: document.name, pageStart: page, pageEnd: page, text: "" };
+      current.text += (current.text ? "\n\n" : "") + piece;
+      current.pageEnd = page;
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+const STOP_WORDS = new Set(["about", "above", "after", "again", "their", "there", "these", "this", "that", "what", "which", "while", "with", "would", "could", "should", "from", "have", "paper", "document", "summarize", "summary", "please"]);
+
+function terms(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || []).filter((word) => !STOP_WORDS.has(word));
+}
+
+// Picks the chunks that fit the budget: the opening chunk of each document
+// (title and abstract) first, then those sharing the most terms with the question.
+function selectChunks(chunks, question, budgetChars) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+  if (total <= budgetChars) return chunks;
+
+  const questionTerms = new Set(terms(question));
+  const ranked = chunks
+    .map((chunk, index) => ({
+      index,
+      opening: chunk.part === 1,
+      score: terms(chunk.text).filter((word) => questionTerms.has(word)).length,
+    }))
+    .sort((a, b) => b.opening - a.opening || b.score - a.score || a.index - b.index);
+
+  const picked = [];
+  let used = 0;
+  for (const { index } of ranked) {
+    const length = chunks[index].text.length;
+    if (used + length > budgetChars) continue;
+    picked.push(index);
+    used += length;
+  }
+
+  return picked.sort((a, b) => a - b).map((index) => chunks[index]);
+}
+
+// What the Chatroom keeps for an attached document: everything but the text.
+export function describeChatDocument(document) {
+  const { _id, name, type, size, paginated, pageCount, truncated } = document;
+  return { _id, name, type, size, paginated, pageCount, truncated };
+}
+
+// The user's stored ChatDocuments that the messages' files refer to by
+// documentId. Ids belonging to someone else are ignored.
+async function attachedDocuments(messages, user) {
+  const idsByName = new Map();
+  for (const message of messages) {
+    for (const file of message.files || []) {
+      if (!mongoose.isValidObjectId(file?.documentId)) continue;
+      idsByName.set(String(file.name), String(file.documentId)); // A re-upload replaces the earlier copy
+    }
+  }
+  if (idsByName.size === 0) return [];
+
+  const documents = await ChatDocument.find({ _id: { $in: [...idsByName.values()] }, userId: user._id }).lean();
+  const byId = new Map(documents.map((document) => [String(document._id), document]));
+  return [...idsByName.values()].filter((id) => byId.has(id)).map((id) => byId.get(id));
+}
+
+// Prepends labelled excerpts to the last message so the model can cite them.
+export function withExcerpts(messages, header, chunks, fallbackQuestion = "") {
+  const last = messages[messages.length - 1];
+  const excerpts = chunks.map((chunk) => `${citationLabel(chunk)}\n${chunk.text}`).join("\n\n");
+  const content = `${header}\n\n${excerpts}\n\n---\n\n${last.content || fallbackQuestion}`;
+
+  return [...messages.slice(0, -1), { ...last, content }];
+}
+
+// Returns the messages with the text of any attached documents (see
+// extractDocument) prepended to the last one, trimmed to the model's budget.
+export async function withDocumentContext(messages, model, user) {
+  const documents = await attachedDocuments(messages, user);
+  if (documents.length === 0) return messages;
+
+  const budgetTokens = Math.min(MAX_DOCUMENT_TOKENS, Math.floor((model.contextWindow || MAX_DOCUMENT_TOKENS * 2) / 2));
+  const last = messages[messages.length - 1];
+  const chunks = documents.flatMap(chunkDocument);
+  const selected = selectChunks(chunks, last.content || "", budgetTokens * CHARS_PER_TOKEN);
+
+  const header = [
+    `The user attached ${documents.length === 1 ? "a document" : `${documents.length} documents`}: ${documents.map((doc) => doc.name).join(", ")}.`,
+    "Use the excerpts below to answer, and cite them inline with the bracketed label that precedes each excerpt, e.g. [paper.pdf, p. 4].",
+    selected.length < chunks.length
+      ? `Only ${selected.length} of ${chunks.length} sections fit in context; say so if the answer may depend on parts not shown.`
+      : "",
+  ].filter(Boolean).join(" ");
+
+  return withExcerpts(messages, header, selected, "Summarize the attached document.");
+}
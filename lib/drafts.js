@@ -0,0 +1,159 @@
+// lib/drafts.js
+import mongoose from "mongoose";
+import Draft from "../models/drafts.js";
+import LibraryDocument from "../models/libraryDocuments.js";
+import Message from "../models/messages.js";
+import User from "../models/user.js";
+import { withExcerpts } from "./documents.js";
+import { consumeQuota, refundQuota } from "./entitlements.js";
+import { HttpError } from "./errors.js";
+import { searchLibrary } from "./library.js";
+import { SYSTEM_INSTRUCTION, generateText, resolveModel } from "./providers.js";
+import { recordUsage } from "./usage.js";
+
+export const MAX_DRAFT_CHARS = 200000;
+export const MAX_SELECTION_CHARS = 8000;
+const MAX_INSTRUCTION_CHARS = 500;
+
+// Text on either side of the selection sent along so edits fit their surroundings.
+const CONTEXT_CHARS = 3000;
+
+const DRAFT_INSTRUCTION = `${SYSTEM_INSTRUCTION} You are editing a passage of a research article the user is drafting. Reply with only the replacement passage in Markdown, with no preamble, commentary or code fences.`;
+
+export const DRAFT_ACTIONS = {
+  expand: "Expand the passage with more detail, explanation and supporting points while keeping its voice.",
+  rewrite: "Rewrite the passage to be clearer and better structured without changing its meaning.",
+  shorten: "Shorten the passage to roughly half its length, keeping the key points.",
+  cite: "Return the passage with citations added inline after the claims that need them.",
+};
+
+const CITE_WITHOUT_LIBRARY = "No library passages are available, so do not invent references: mark each claim that needs one with [citation needed].";
+
+export async function findOwnedDraft(draftId, clerkUserId) {
+  if (!clerkUserId || !mongoose.isValidObjectId(draftId)) return null;
+
+  const user = await User.findOne({ clerkUserId });
+  if (!user) return null;
+
+  return Draft.findOne({ _id: draftId, userId: user._id });
+}
+
+export function describeDraft(draft, { withContent = true } = {}) {
+  return {
+    _id: draft._id,
+    title: draft.title,
+    conversationId: draft.conversationId,
+    revision: draft.revision,
+    ...(withContent && { content: draft.content, suggestions: draft.suggestions }),
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt,
+  };
+}
+
+// Starting text for a draft opened from a conversation: the model's answers in order.
+export async function contentFromConversation(conversation) {
+  const answers = await Message.find({ conversationId: conversation._id, isFromUser: false, message: { $ne: "" } })
+    .sort({ timestamp: 1 })
+    .select({ message: 1 });
+  return answers.map((answer) => answer.message.trim()).join("\n\n").slice(0, MAX_DRAFT_CHARS);
+}
+
+// Checks a { action, start, end, instruction } request against the saved content.
+export function validateSuggestionRequest(draft, { action, start, end, instruction }) {
+  if (!Object.hasOwn(DRAFT_ACTIONS, action)) {
+    throw new HttpError(400, `Unknown action "${action}". Expected one of: ${Object.keys(DRAFT_ACTIONS).join(", ")}`);
+  }
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > draft.content.length) {
+    throw new HttpError(400, "Select some text in the draft first");
+  }
+  if (end - start > MAX_SELECTION_CHARS) {
+    throw new HttpError(400, `Selections are limited to ${MAX_SELECTION_CHARS} characters`);
+  }
+  if (instruction !== undefined && (typeof instruction !== "string" || instruction.length > MAX_INSTRUCTION_CHARS)) {
+    throw new HttpError(400, `instruction must be a string of at most ${MAX_INSTRUCTION_CHARS} characters`);
+  }
+}
+
+function suggestionPrompt(draft, { action, start, end, instruction }) {
+  const before = draft.content.slice(Math.max(0, start - CONTEXT_CHARS), start);
+  const after = draft.content.slice(end, end + CONTEXT_CHARS);
+
+  return [
+    `Article title: ${draft.title}`,
+    before && `Text before the passage:\n"""\n${before}\n"""`,
+    `Passage:\n"""\n${draft.content.slice(start, end)}\n"""`,
+    after && `Text after the passage:\n"""\n${after}\n"""`,
+    `Task: ${DRAFT_ACTIONS[action]}`,
+    instruction?.trim() && `Additional instruction from the author: ${instruction.trim()}`,
+  ].filter(Boolean).join("\n\n");
+}
+
+// Cite requests draw on the user's paper library when they have one.
+async function withCitationSources(messages, user, passage) {
+  const hasLibrary = await LibraryDocument.exists({ userId: user._id });
+  const passages = hasLibrary ? await searchLibrary(user._id, passage) : [];
+  if (passages.length === 0) {
+    return [{ ...messages[0], content: `${messages[0].content}\n\n${CITE_WITHOUT_LIBRARY}` }];
+  }
+  const header = "Passages from the user's paper library are below. Cite only these, inline with their bracketed [document, page] labels, and mark any other claim that needs a source with [citation needed].";
+  return withExcerpts(messages, header, passages);
+}
+
+// Models sometimes wrap the passage in a fence despite the instruction.
+function cleanReplacement(content) {
+  const fenced = content.trim().match(/^```[a-z]*\n([\s\S]*?)\n```$/i);
+  return (fenced ? fenced[1] : content).trim();
+}
+
+// Asks the model for an edit of draft.content[start, end) and stores it as a
+// pending suggestion, charged like a chat message. Returns the suggestion.
+export async function suggestEdit(draft, clerkUserId, { action, start, end, instruction, model }) {
+  const startedAt = Date.now();
+  const resolved = resolveModel(model);
+  const charge = await consumeQuota(clerkUserId, "text");
+  let result = null;
+
+  try {
+    const original = draft.content.slice(start, end);
+    let messages = [{ role: "user", content: suggestionPrompt(draft, { action, start, end, instruction }) }];
+    if (action === "cite") messages = await withCitationSources(messages, charge.user, original);
+
+    result = await generateText({ model: resolved.id, messages, systemInstruction: DRAFT_INSTRUCTION });
+    const replacement = cleanReplacement(result.content || "");
+    if (!replacement) throw new Error("The model returned an empty suggestion");
+
+    const updated = await Draft.findOneAndUpdate(
+      { _id: draft._id },
+      { $push: { suggestions: { action, start, original, replacement, instruction: instruction?.trim() || undefined, model: result.model } } },
+      { new: true }
+    );
+    if (!updated) throw new HttpError(404, "Draft not found");
+
+    await recordUsage({
+      user: charge.user,
+      conversationId: draft.conversationId,
+      kind: "text",
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      latencyMs: Date.now() - startedAt,
+      credits: charge.cost,
+      status: "success",
+    });
+    return updated.suggestions[updated.suggestions.length - 1];
+  } catch (error) {
+    await refundQuota(clerkUserId, charge.cost);
+    await recordUsage({
+      user: charge.user,
+      conversationId: draft.conversationId,
+      kind: "text",
+      provider: resolved.provider,
+      model: resolved.id,
+      usage: result?.usage,
+      latencyMs: Date.now() - startedAt,
+      credits: 0,
+      status: "error",
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,85 @@
+// lib/embeddings.js
+import { GoogleGenerativeAI, TaskType } from "@google/generative-ai";
+import OpenAI from "openai";
+
+// Embedding backends for the paper library, picked with EMBEDDING_PROVIDER
+// (default "gemini") and optionally EMBEDDING_MODEL. "local" talks to any
+// OpenAI-compatible embedding server, such as Ollama, at EMBEDDING_BASE_URL.
+const EMBEDDING_PROVIDERS = {
+  gemini: { apiKeyEnv: "GEMINI_API_KEY", model: "text-embedding-004", createEmbedder: createGeminiEmbedder },
+  openai: { apiKeyEnv: "OPENAI_API_KEY", model: "text-embedding-3-small", createEmbedder: createOpenAIEmbedder },
+  nebius: {
+    apiKeyEnv: "NEBIUS_API_KEY",
+    baseURL: "https://api.studio.nebius.com/v1/",
+    model: "BAAI/bge-en-icl",
+    createEmbedder: createOpenAIEmbedder,
+  },
+  local: {
+    baseURLEnv: "EMBEDDING_BASE_URL",
+    baseURL: "http://localhost:11434/v1/",
+    model: "nomic-embed-text",
+    createEmbedder: createOpenAIEmbedder,
+  },
+};
+
+const BATCH_SIZE = 64;
+
+let embedder = null;
+
+function createGeminiEmbedder({ apiKey, model }) {
+  const embeddingModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return async (texts, purpose) => {
+    const { embeddings } = await embeddingModel.batchEmbedContents({
+      requests: texts.map((text) => ({
+        content: { role: "user", parts: [{ text }] },
+        taskType: purpose === "query" ? TaskType.RETRIEVAL_QUERY : TaskType.RETRIEVAL_DOCUMENT,
+      })),
+    });
+    return embeddings.map((embedding) => embedding.values);
+  };
+}
+
+function createOpenAIEmbedder({ apiKey, baseURL, model }) {
+  // Local servers usually ignore the key, but the client insists on one.
+  const client = new OpenAI({ apiKey: apiKey || "local", baseURL });
+
+  return async (texts) => {
+    const response = await client.embeddings.create({ model, input: texts });
+    return response.data.sort((a, b) => a.index - b.index).map((item) => item.embedding);
+  };
+}
+
+// Returns { id, provider, model, embed(texts, purpose) } for the configured provider. `id`
+// ("<provider>:<model>") is stored with each chunk so vectors from different
+// models are never compared; purpose is "document" or "query".
+export function getEmbedder() {
+  if (!embedder) {
+    const providerId = process.env.EMBEDDING_PROVIDER || "gemini";
+    const provider = EMBEDDING_PROVIDERS[providerId];
+    if (!provider) {
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${providerId}". Expected one of: ${Object.keys(EMBEDDING_PROVIDERS).join(", ")}`);
+    }
+
+    const model = process.env.EMBEDDING_MODEL || provider.model;
+    const embedBatch = provider.createEmbedder({
+      apiKey: provider.apiKeyEnv && process.env[provider.apiKeyEnv],
+      baseURL: (provider.baseURLEnv && process.env[provider.baseURLEnv]) || provider.baseURL,
+      model,
+    });
+
+    embedder = {
+      id: `${providerId}:${model}`,
+      provider: providerId,
+      model,
+      async embed(texts, purpose = "document") {
+        const vectors = [];
+        for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+          vectors.push(...(await embedBatch(texts.slice(start, start + BATCH_SIZE), purpose)));
+        }
+        return vectors;
+      },
+    };
+  }
+  return embedder;
+}
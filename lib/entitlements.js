@@ -0,0 +1,81 @@
+// lib/entitlements.js
+import User from "../models/user.js";
+import { HttpError } from "./errors.js";
+import { PLAN_QUOTAS } from "./plans.js";
+import { expireLapsedSubscriptions } from "./subscriptions.js";
+
+export const GENERATION_COSTS = {
+  text: 1,
+  image: 3,
+  transcription: 1,
+  document: 1,
+  library: 1,
+};
+
+const QUOTA_ACTIONS = {
+  text: "send more messages",
+  image: "generate more images",
+  transcription: "dictate more messages",
+  document: "attach more documents",
+  library: "add more papers to your library",
+};
+
+// Charges a generation to the user, creating their record on first use.
+// Throws a 403 with code "quota_exceeded" when the plan cannot cover it.
+export async function consumeQuota(clerkUserId, kind) {
+  const cost = GENERATION_COSTS[kind];
+
+  await User.updateOne({ clerkUserId }, { $setOnInsert: { clerkUserId } }, { upsert: true });
+  await expireLapsedSubscriptions({ clerkUserId });
+
+  // Conditional increment so concurrent requests cannot overdraw the quota.
+  const affordablePlans = Object.entries(PLAN_QUOTAS).map(([plan, quota]) =>
+    quota === Infinity
+      ? { subscriptionStatus: plan }
+      : { subscriptionStatus: plan, chatAttempts: { $lte: quota - cost } }
+  );
+  const user = await User.findOneAndUpdate(
+    { clerkUserId, $or: affordablePlans },
+    { $inc: { chatAttempts: cost } },
+    { new: true }
+  );
+  if (user) {
+    return { user, cost };
+  }
+
+  const existing = await User.findOne({ clerkUserId });
+  throw new HttpError(403, `Upgrade to pro to ${QUOTA_ACTIONS[kind]}`, {
+    code: "quota_exceeded",
+    plan: existing.subscriptionStatus,
+    used: existing.chatAttempts,
+    quota: PLAN_QUOTAS[existing.subscriptionStatus],
+    cost,
+  });
+}
+
+// Express middleware for Pro-only routes; run after requireAuth. Sets req.user.
+// Rejects with code "pro_required" so the client can offer an upgrade.
+export async function requirePro(req, res, next) {
+  try {
+    await expireLapsedSubscriptions({ clerkUserId: req.auth.userId });
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (user?.subscriptionStatus !== "pro") {
+      return res.status(403).json({ message: "This feature is part of the Premium plan", code: "pro_required" });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("Error checking Pro access:", error);
+    res.status(500).json({ message: "Server error checking your plan" });
+  }
+}
+
+// Gives credits back when the provider call fails after they were charged.
+// Best effort: a failed refund is logged rather than masking the original error.
+export async function refundQuota(clerkUserId, cost) {
+  try {
+    await User.updateOne({ clerkUserId }, { $inc: { chatAttempts: -cost } });
+  } catch (error) {
+    console.error(`Error refunding ${cost} credits to ${clerkUserId}:`, error);
+  }
+}
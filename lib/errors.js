@@ -0,0 +1,12 @@
+// lib/errors.js
+
+// Error carrying the HTTP status a route should answer with. `details` are
+// merged into the JSON error body so clients can branch on them.
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
@@ -0,0 +1,427 @@
+// lib/export.js
+import { AlignmentType, Document, ExternalHyperlink, HeadingLevel, ImageRun, Packer, Paragraph, TextRun } from "docx";
+import JSZip from "jszip";
+import { fromMarkdown } from "mdast-util-from-markdown";
+import PDFDocument from "pdfkit";
+import sharp from "sharp";
+import GeneratedImage from "../models/images.js";
+import Message from "../models/messages.js";
+import { readImage } from "./gallery.js";
+import { getStorage } from "./storage.js";
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8", render: renderMarkdown },
+  pdf: { extension: "pdf", contentType: "application/pdf", render: renderPdf },
+  docx: { extension: "docx", contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", render: renderDocx },
+  latex: { extension: "zip", contentType: "application/zip", render: renderLatexBundle },
+};
+
+// Figures are scaled to fit these boxes; PDF sizes are in points, DOCX in pixels.
+const PDF_FIGURE_MAX_HEIGHT = 360;
+const DOCX_FIGURE_MAX = { width: 600, height: 450 };
+
+async function toPng(buffer) {
+  const { data, info } = await sharp(buffer).png().toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+// Uploaded figures first, then the generated image. Each loader returns
+// { buffer, caption }.
+function figureLoaders(message) {
+  const loaders = (message.attachments || [])
+    .filter((attachment) => attachment.storageKey)
+    .map((attachment) => async () => ({
+      buffer: await getStorage(attachment.storage).read(attachment.storageKey),
+      caption: attachment.name || "Uploaded figure",
+    }));
+
+  if (message.imageId) {
+    loaders.push(async () => {
+      const image = await GeneratedImage.findById(message.imageId);
+      if (!image) throw new Error("image was deleted");
+      return { buffer: (await readImage(image, "png")).buffer, caption: `Generated image: ${image.prompt}` };
+    });
+  } else if (message.image) {
+    loaders.push(async () => ({ buffer: Buffer.from(message.image.split(",")[1], "base64"), caption: "Generated image" }));
+  }
+  return loaders;
+}
+
+async function loadFigures(message) {
+  const figures = [];
+  for (const load of figureLoaders(message)) {
+    try {
+      const { buffer, caption } = await load();
+      figures.push({ ...(await toPng(buffer)), caption });
+    } catch (error) {
+      console.warn(`Skipping a figure in message ${message._id}:`, error.message); // A missing figure should not sink the export
+    }
+  }
+  return figures;
+}
+
+// The conversation as labelled turns with their figures converted to PNG.
+async function buildTranscript(conversation, { answersOnly }) {
+  const messages = await Message.find({
+    conversationId: conversation._id,
+    ...(answersOnly && { isFromUser: false }),
+  }).sort({ timestamp: 1 });
+
+  const turns = [];
+  for (const message of messages) {
+    const documents = (message.attachments || []).filter((attachment) => !attachment.storageKey);
+    const text = [
+      message.message,
+      documents.length > 0 ? `_Attached: ${documents.map((attachment) => attachment.name).join(", ")}_` : "",
+    ].filter(Boolean).join("\n\n");
+
+    turns.push({
+      role: message.isFromUser ? "user" : "model",
+      label: message.isFromUser ? "You" : `BrainHouse${message.model ? ` (${message.model})` : ""}`,
+      text,
+      figures: await loadFigures(message),
+    });
+  }
+
+  return {
+    title: conversation.title || "Conversation",
+    subtitle: `Exported from BrainHouse on ${new Date().toISOString().slice(0, 10)}${answersOnly ? ", answers only" : ""}`,
+    turns,
+  };
+}
+
+function exportFilename(title, extension) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+  return `${slug || "conversation"}.${extension}`;
+}
+
+// Returns { filename, contentType, buffer } for one of EXPORT_FORMATS.
+export async function exportConversation(conversation, { format, answersOnly = false }) {
+  const { extension, contentType, render } = EXPORT_FORMATS[format];
+  const transcript = await buildTranscript(conversation, { answersOnly });
+  return { filename: exportFilename(transcript.title, extension), contentType, buffer: await render(transcript) };
+}
+
+function renderMarkdown({ title, subtitle, turns }) {
+  const sections = [`# ${title}`, `_${subtitle}_`];
+  for (const turn of turns) {
+    sections.push(`## ${turn.label}`);
+    if (turn.text) sections.push(turn.text);
+    for (const figure of turn.figures) {
+      const alt = figure.caption.replace(/[[\]\n]/g, " ");
+      sections.push(`![${alt}](data:image/png;base64,${figure.buffer.toString("base64")})`);
+    }
+  }
+  return Buffer.from(sections.join("\n\n") + "\n", "utf8");
+}
+
+// Flattens Markdown inline nodes into styled runs for the PDF and DOCX writers.
+function inlineRuns(nodes, marks = {}) {
+  return nodes.flatMap((node) => {
+    switch (node.type) {
+      case "text":
+        return [{ ...marks, text: node.value }];
+      case "emphasis":
+        return inlineRuns(node.children, { ...marks, italic: true });
+      case "strong":
+        return inlineRuns(node.children, { ...marks, bold: true });
+      case "inlineCode":
+        return [{ ...marks, code: true, text: node.value }];
+      case "link":
+        return inlineRuns(node.children, { ...marks, link: node.url });
+      case "break":
+        return [{ ...marks, text: "\n" }];
+      case "image":
+        return [{ ...marks, text: node.alt || "" }];
+      default:
+        if (node.children) return inlineRuns(node.children, marks);
+        return node.value ? [{ ...marks, text: node.value }] : [];
+    }
+  });
+}
+
+// Markdown blocks as a flat list; nesting survives as `level` and `quote`.
+function toBlocks(nodes, context = { level: 0, quote: false }) {
+  return nodes.flatMap((node) => {
+    switch (node.type) {
+      case "heading":
+        return [{ type: "heading", depth: node.depth, runs: inlineRuns(node.children) }];
+      case "paragraph":
+        return [{ type: "paragraph", runs: inlineRuns(node.children), ...context }];
+      case "html":
+        return [{ type: "paragraph", runs: [{ text: node.value }], ...context }];
+      case "code":
+        return [{ type: "code", text: node.value, ...context }];
+      case "thematicBreak":
+        return [{ type: "rule" }];
+      case "blockquote":
+        return toBlocks(node.children, { ...context, quote: true });
+      case "list":
+        return node.children.flatMap((item, index) => {
+          const blocks = toBlocks(item.children, { ...context, level: context.level + 1 });
+          if (blocks[0]) blocks[0] = { ...blocks[0], marker: node.ordered ? `${(node.start ?? 1) + index}.` : "•" };
+          return blocks;
+        });
+      default:
+        return [];
+    }
+  });
+}
+
+function pdfFont(run) {
+  if (run.code) return "Courier";
+  if (run.bold && run.italic) return "Helvetica-BoldOblique";
+  if (run.bold) return "Helvetica-Bold";
+  if (run.italic) return "Helvetica-Oblique";
+  return "Helvetica";
+}
+
+const PDF_HEADING_SIZES = [16, 14, 12, 11, 11, 11];
+
+function renderPdf({ title, subtitle, turns }) {
+  // The built-in PDF fonts only cover Latin-1, so other scripts may not render.
+  const doc = new PDFDocument({ size: "A4", margin: 56, info: { Title: title } });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = doc.page.margins.left;
+  const contentWidth = doc.page.width - left - doc.page.margins.right;
+
+  const writeRuns = (runs, { indent = 0, color = "black", size = 11 } = {}) => {
+    const visible = runs.filter((run) => run.text);
+    if (visible.length === 0) return;
+    doc.x = left + indent;
+    visible.forEach((run, index) => {
+      doc
+        .font(pdfFont(run))
+        .fontSize(run.code ? size - 1 : size)
+        .fillColor(run.link ? "#1d4ed8" : color)
+        .text(run.text, { width: contentWidth - indent, continued: index < visible.length - 1, link: run.link || null, underline: Boolean(run.link) });
+    });
+    doc.x = left;
+  };
+
+  const writeBlock = (block) => {
+    const indent = (block.level || 0) * 18 + (block.quote ? 12 : 0);
+    const color = block.quote ? "#4b5563" : "black";
+    if (block.type === "heading") {
+      doc.moveDown(0.4);
+      writeRuns(block.runs.map((run) => ({ ...run, bold: true })), { size: PDF_HEADING_SIZES[block.depth - 1] });
+    } else if (block.type === "paragraph") {
+      writeRuns(block.marker ? [{ text: `${block.marker} ` }, ...block.runs] : block.runs, { indent, color });
+    } else if (block.type === "code") {
+      doc.font("Courier").fontSize(9).fillColor("#374151").text(block.text, left + indent + 8, doc.y, { width: contentWidth - indent - 8 });
+      doc.x = left;
+    } else if (block.type === "rule") {
+      doc.moveTo(left, doc.y).lineTo(left + contentWidth, doc.y).strokeColor("#d1d5db").stroke();
+    }
+    doc.moveDown(0.5);
+  };
+
+  const writeFigure = (figure) => {
+    const scale = Math.min(1, contentWidth / figure.width, PDF_FIGURE_MAX_HEIGHT / figure.height);
+    const width = figure.width * scale;
+    const height = figure.height * scale;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    doc.image(figure.buffer, left + (contentWidth - width) / 2, doc.y, { width, height });
+    doc.y += height + 4;
+    doc.font("Helvetica-Oblique").fontSize(9).fillColor("#4b5563").text(figure.caption, left, doc.y, { width: contentWidth, align: "center" });
+    doc.moveDown();
+  };
+
+  doc.font("Helvetica-Bold").fontSize(20).fillColor("black").text(title);
+  doc.font("Helvetica").fontSize(9).fillColor("#6b7280").text(subtitle);
+  doc.moveDown();
+
+  for (const turn of turns) {
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").fontSize(13).fillColor(turn.role === "user" ? "#2563eb" : "#7c3aed").text(turn.label);
+    doc.moveDown(0.3);
+    toBlocks(fromMarkdown(turn.text).children).forEach(writeBlock);
+    turn.figures.forEach(writeFigure);
+  }
+
+  doc.end();
+  return finished;
+}
+
+const DOCX_HEADINGS = [HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6, HeadingLevel.HEADING_6];
+
+function docxRuns(runs, { color } = {}) {
+  return runs.flatMap((run) => {
+    const lines = run.text.split("\n").map((line, index) => new TextRun({
+      text: line,
+      bold: run.bold,
+      italics: run.italic,
+      color,
+      ...(index > 0 && { break: 1 }),
+      ...(run.code && { font: "Courier New" }),
+      ...(run.link && { style: "Hyperlink" }),
+    }));
+    return run.link ? [new ExternalHyperlink({ link: run.link, children: lines })] : lines;
+  });
+}
+
+function docxBlock(block) {
+  const indent = { left: (block.level || 0) * 360 + (block.quote ? 360 : 0) };
+  const color = block.quote ? "4B5563" : undefined;
+  switch (block.type) {
+    case "heading":
+      return new Paragraph({ heading: DOCX_HEADINGS[block.depth - 1], children: docxRuns(block.runs) });
+    case "paragraph":
+      return new Paragraph({ indent, children: docxRuns(block.marker ? [{ text: `${block.marker} ` }, ...block.runs] : block.runs, { color }) });
+    case "code":
+      return new Paragraph({ indent, children: docxRuns([{ text: block.text, code: true }], { color: "374151" }) });
+    default:
+      return new Paragraph({ border: { bottom: { style: "single", size: 6, color: "D1D5DB", space: 1 } } });
+  }
+}
+
+function docxFigure(figure) {
+  const scale = Math.min(1, DOCX_FIGURE_MAX.width / figure.width, DOCX_FIGURE_MAX.height / figure.height);
+  return [
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new ImageRun({ type: "png", data: figure.buffer, transformation: { width: Math.round(figure.width * scale), height: Math.round(figure.height * scale) } })],
+    }),
+    new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: figure.caption, italics: true, size: 18, color: "4B5563" })] }),
+  ];
+}
+
+function renderDocx({ title, subtitle, turns }) {
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(title)] }),
+    new Paragraph({ children: [new TextRun({ text: subtitle, italics: true, color: "6B7280" })] }),
+  ];
+  for (const turn of turns) {
+    children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(turn.label)] }));
+    children.push(...toBlocks(fromMarkdown(turn.text).children).map(docxBlock));
+    children.push(...turn.figures.flatMap(docxFigure));
+  }
+
+  const document = new Document({ title, creator: "BrainHouse", sections: [{ children }] });
+  return Packer.toBuffer(document);
+}
+
+const LATEX_ESCAPES = {
+  "\\": "\\textbackslash{}",
+  "{": "\\{",
+  "}": "\\}",
+  $: "\\$",
+  "&": "\\&",
+  "#": "\\#",
+  "^": "\\textasciicircum{}",
+  _: "\\_",
+  "%": "\\%",
+  "~": "\\textasciitilde{}",
+};
+
+const escapeLatex = (text) => text.replace(/[\\{}$&#^_%~]/g, (char) => LATEX_ESCAPES[char]);
+
+// $...$ and $$...$$ spans pass through untouched, since models write formulas that way.
+const latexText = (text) =>
+  text.split(/(\$\$[\s\S]+?\$\$|\$[^$\n]+?\$)/).map((part, index) => (index % 2 ? part : escapeLatex(part))).join("");
+
+function latexInline(nodes) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case "text":
+        return latexText(node.value);
+      case "emphasis":
+        return `\\emph{${latexInline(node.children)}}`;
+      case "strong":
+        return `\\textbf{${latexInline(node.children)}}`;
+      case "inlineCode":
+        return `\\texttt{${escapeLatex(node.value)}}`;
+      case "link":
+        return `\\href{${node.url.replace(/[\\%#{}]/g, (char) => `\\${char}`)}}{${latexInline(node.children)}}`;
+      case "break":
+        return "\\\\\n";
+      case "image":
+        return escapeLatex(node.alt || "");
+      default:
+        if (node.children) return latexInline(node.children);
+        return node.value ? escapeLatex(node.value) : "";
+    }
+  }).join("");
+}
+
+const LATEX_HEADINGS = ["subsection", "subsubsection", "paragraph", "subparagraph", "subparagraph", "subparagraph"];
+
+function latexBlocks(nodes) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case "heading":
+        return `\\${LATEX_HEADINGS[node.depth - 1]}*{${latexInline(node.children)}}`;
+      case "paragraph":
+        return latexInline(node.children);
+      case "html":
+        return escapeLatex(node.value);
+      case "code":
+        return `\\begin{verbatim}\n${node.value.replaceAll("\\end{verbatim}", "\\end {verbatim}")}\n\\end{verbatim}`;
+      case "thematicBreak":
+        return "\\noindent\\rule{\\linewidth}{0.4pt}";
+      case "blockquote":
+        return `\\begin{quote}\n${latexBlocks(node.children)}\n\\end{quote}`;
+      case "list": {
+        const environment = node.ordered ? "enumerate" : "itemize";
+        const start = node.ordered && node.start > 1 ? `\\setcounter{enumi}{${node.start - 1}}\n` : "";
+        const items = node.children.map((item) => `\\item ${latexBlocks(item.children)}`).join("\n");
+        return `\\begin{${environment}}\n${start}${items}\n\\end{${environment}}`;
+      }
+      default:
+        return "";
+    }
+  }).filter(Boolean).join("\n\n");
+}
+
+// main.tex plus a figures/ folder, zipped.
+async function renderLatexBundle({ title, subtitle, turns }) {
+  const zip = new JSZip();
+  const body = [];
+  let figureCount = 0;
+
+  for (const turn of turns) {
+    body.push(`\\section*{${escapeLatex(turn.label)}}`);
+    if (turn.text) body.push(latexBlocks(fromMarkdown(turn.text).children));
+    for (const figure of turn.figures) {
+      const path = `figures/figure-${++figureCount}.png`;
+      zip.file(path, figure.buffer);
+      body.push([
+        "\\begin{figure}[htbp]",
+        "\\centering",
+        `\\includegraphics[width=0.8\\linewidth]{${path}}`,
+        `\\caption{${latexText(figure.caption)}}`,
+        "\\end{figure}",
+      ].join("\n"));
+    }
+  }
+
+  const source = [
+    "\\documentclass[11pt]{article}",
+    "\\usepackage[utf8]{inputenc}",
+    "\\usepackage[T1]{fontenc}",
+    "\\usepackage[margin=2.5cm]{geometry}",
+    "\\usepackage{amsmath}",
+    "\\usepackage{graphicx}",
+    "\\usepackage{hyperref}",
+    "",
+    `\\title{${escapeLatex(title)}}`,
+    `\\date{${escapeLatex(subtitle)}}`,
+    "",
+    "\\begin{document}",
+    "\\maketitle",
+    "",
+    body.join("\n\n"),
+    "",
+    "\\end{document}",
+    "",
+  ].join("\n");
+
+  zip.file("main.tex", source);
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
@@ -0,0 +1,138 @@
+// lib/gallery.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import sharp from "sharp";
+import ChatDocument from "../models/chatDocuments.js";
+import GeneratedImage from "../models/images.js";
+import Message from "../models/messages.js";
+import User from "../models/user.js";
+import { HttpError } from "./errors.js";
+import { validateImageDataUrl } from "./images.js";
+import { getStorage } from "./storage.js";
+
+// <img> tags cannot send the Clerk session, so image files are served from
+// URLs signed with IMAGE_URL_SECRET. Listing them again re-signs them.
+const URL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const DOWNLOAD_FORMATS = {
+  png: "image/png",
+  webp: "image/webp",
+};
+
+function signature(imageId, expires) {
+  return crypto
+    .createHmac("sha256", process.env.IMAGE_URL_SECRET)
+    .update(`${imageId}.${expires}`)
+    .digest("hex");
+}
+
+// Path relative to the API base, e.g. "gallery/<id>/file?expires=...&signature=...".
+// Clients may append &format=webp and &download=1.
+export function signImagePath(imageId, now = Date.now()) {
+  const expires = now + URL_TTL_MS;
+  return `gallery/${imageId}/file?expires=${expires}&signature=${signature(imageId, expires)}`;
+}
+
+export function verifyImageSignature(imageId, expires, received) {
+  if (!expires || Number(expires) < Date.now()) return false;
+  const expected = Buffer.from(signature(imageId, expires), "hex");
+  const actual = Buffer.from(String(received || ""), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export function describeImage(image) {
+  const { _id, conversationId, prompt, settings, contentType, size, createdAt } = image;
+  return { _id, conversationId, prompt, settings, contentType, size, createdAt, url: signImagePath(_id) };
+}
+
+// Saves a generated data URL and its metadata; returns the GeneratedImage.
+export async function storeGeneratedImage({ user, conversationId, prompt, settings, dataUrl }) {
+  const [header, base64] = dataUrl.split(",");
+  const contentType = header.match(/^data:([^;]+)/)?.[1] || "image/png";
+  const buffer = Buffer.from(base64, "base64");
+  const storage = getStorage();
+  const storageKey = `${user._id}/${crypto.randomUUID()}.${contentType.split("/")[1]}`;
+
+  await storage.save(storageKey, buffer, contentType);
+  try {
+    return await GeneratedImage.create({
+      userId: user._id,
+      conversationId: mongoose.isValidObjectId(conversationId) ? conversationId : undefined,
+      prompt,
+      settings,
+      storage: storage.name,
+      storageKey,
+      contentType,
+      size: buffer.length,
+    });
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+}
+
+// Returns { buffer, contentType } in the requested format, converting if needed.
+export async function readImage(image, format = "png") {
+  if (!Object.hasOwn(DOWNLOAD_FORMATS, format)) {
+    throw new HttpError(400, `Unknown format "${format}". Expected one of: ${Object.keys(DOWNLOAD_FORMATS).join(", ")}`);
+  }
+  const contentType = DOWNLOAD_FORMATS[format];
+
+  const buffer = await getStorage(image.storage).read(image.storageKey);
+  if (contentType === image.contentType) {
+    return { buffer, contentType };
+  }
+  return { buffer: await sharp(buffer).toFormat(format).toBuffer(), contentType };
+}
+
+// Source for an image edit: one of the user's gallery images, or an upload.
+export async function loadSourceImage({ clerkUserId, sourceImage, sourceImageId }) {
+  if (sourceImageId) {
+    const user = await User.findOne({ clerkUserId });
+    const image = user && mongoose.isValidObjectId(sourceImageId) && await GeneratedImage.findOne({ _id: sourceImageId, userId: user._id });
+    if (!image) {
+      throw new HttpError(404, "Source image not found");
+    }
+    const { buffer, contentType } = await readImage(image, "png");
+    return `data:${contentType};base64,${buffer.toString("base64")}`;
+  }
+  return validateImageDataUrl("sourceImage", sourceImage);
+}
+
+// Keeps the bytes of an image uploaded with a chat message so exports can
+// embed it. Documents keep the id of their extracted text; other attachments,
+// and images sent without data, keep metadata only.
+export async function storeAttachment(user, { name, type, size, data, documentId }) {
+  const match = typeof data === "string" && data.match(/^data:(image\/[\w.+-]+);base64,(.+)$/s);
+  if (!match) {
+    const ownDocument = mongoose.isValidObjectId(documentId) && (await ChatDocument.exists({ _id: documentId, userId: user._id }));
+    return { name, type, size, documentId: ownDocument ? documentId : undefined };
+  }
+
+  const [, contentType, base64] = match;
+  const buffer = Buffer.from(base64, "base64");
+  const storage = getStorage();
+  const storageKey = `${user._id}/uploads/${crypto.randomUUID()}.${contentType.split("/")[1]}`;
+  await storage.save(storageKey, buffer, contentType);
+  return { name, type: contentType, size: buffer.length, storage: storage.name, storageKey };
+}
+
+export async function removeAttachments(messages) {
+  const attachments = messages.flatMap((message) => message.attachments || []);
+  const stored = attachments.filter((attachment) => attachment.storageKey);
+  await Promise.all(stored.map((attachment) => getStorage(attachment.storage).remove(attachment.storageKey).catch(() => {})));
+  const documentIds = attachments.map((attachment) => attachment.documentId).filter(Boolean);
+  if (documentIds.length > 0) await ChatDocument.deleteMany({ _id: { $in: documentIds } });
+}
+
+export async function deleteImage(image) {
+  await getStorage(image.storage).remove(image.storageKey);
+  await Message.updateMany({ imageId: image._id }, { $unset: { imageId: 1 } });
+  await image.deleteOne();
+}
+
+// Message JSON with a freshly signed imageUrl for turns that reference a stored image.
+export function withImageUrl(message) {
+  const json = typeof message.toJSON === "function" ? message.toJSON() : message;
+  return json.imageId ? { ...json, imageUrl: signImagePath(json.imageId) } : json;
+}
@@ -0,0 +1,171 @@
+// lib/generation.js
+import User from "../models/user.js";
+import { withDocumentContext } from "./documents.js";
+import { consumeQuota, refundQuota } from "./entitlements.js";
+import { HttpError } from "./errors.js";
+import { loadSourceImage, signImagePath, storeGeneratedImage } from "./gallery.js";
+import { editImage, generateImage, imageBackend, resolveImageOptions, validateImageDataUrl } from "./images.js";
+import { withLibraryContext } from "./library.js";
+import { DEFAULT_PERSONA, personaInstruction, resolvePersona } from "./personas.js";
+import { generateText, resolveModel, streamText } from "./providers.js";
+import { pipeTextStream, sendEvent } from "./sse.js";
+import { createToolbox } from "./tools.js";
+import { recordUsage } from "./usage.js";
+
+// Request bodies for /api/text and /api/image, shared by the Express server
+// and the serverless handlers in api/. Callers authenticate and connect first.
+
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  const errorMessage = error.response?.data?.error?.message || error.message || fallbackMessage;
+  res.status(500).json({ error: errorMessage });
+}
+
+export async function handleTextRequest(req, res, clerkUserId) {
+  const { stream, conversationId, useLibrary, useTools, personaId } = req.body;
+  let { model, messages } = req.body;
+  let charge = null;
+  let resolved = null;
+  const startedAt = Date.now();
+
+  try {
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: "Invalid or missing messages array" });
+    }
+
+    // Reject unknown personas and models before charging for them
+    let persona = DEFAULT_PERSONA;
+    if (personaId) {
+      const user = await User.findOne({ clerkUserId });
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      persona = resolvePersona(user, personaId);
+    }
+    const options = {
+      systemInstruction: personaInstruction(persona),
+      temperature: persona.temperature,
+      tools: useTools ? createToolbox() : undefined,
+    };
+    model = model || persona.model;
+    resolved = resolveModel(model);
+    charge = await consumeQuota(clerkUserId, "text");
+    messages = await withDocumentContext(messages, resolved, charge.user);
+    if (useLibrary) messages = await withLibraryContext(messages, charge.user);
+
+    if (stream) {
+      // Tool calls are relayed as "tool" events between the answer's deltas.
+      const result = streamText({ model, messages, ...options, onToolCall: (record) => !res.destroyed && sendEvent(res, "tool", record) });
+      const { content, completed } = await pipeTextStream(res, result);
+      const answered = completed && Boolean(content);
+      if (!answered) await refundQuota(clerkUserId, charge.cost);
+      await recordUsage({
+        user: charge.user,
+        conversationId,
+        kind: "text",
+        provider: result.provider,
+        model: result.model,
+        usage: result.usage,
+        latencyMs: Date.now() - startedAt,
+        credits: answered ? charge.cost : 0,
+        status: answered ? "success" : "error",
+      });
+      return;
+    }
+
+    const result = await generateText({ model, messages, ...options });
+    res.json(result);
+    await recordUsage({
+      user: charge.user,
+      conversationId,
+      kind: "text",
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      latencyMs: Date.now() - startedAt,
+      credits: charge.cost,
+      status: "success",
+    });
+  } catch (error) {
+    if (charge) {
+      await refundQuota(clerkUserId, charge.cost);
+      await recordUsage({
+        user: charge.user,
+        conversationId,
+        kind: "text",
+        provider: resolved.provider,
+        model: resolved.id,
+        latencyMs: Date.now() - startedAt,
+        credits: 0,
+        status: "error",
+      });
+    }
+    if (!(error instanceof HttpError)) console.error("Error calling text model API:", error);
+    sendError(res, error, "Something went wrong with the text model API");
+  }
+}
+
+export async function handleImageRequest(req, res, clerkUserId) {
+  const { prompt, conversationId, sourceImage, sourceImageId, mask, ...settings } = req.body;
+  let charge = null;
+  let options = null;
+  const startedAt = Date.now();
+
+  try {
+    if (!prompt || typeof prompt !== "string") {
+      return res.status(400).json({ error: "Invalid or missing prompt" });
+    }
+
+    const editing = Boolean(sourceImage || sourceImageId);
+    if (mask && !editing) {
+      return res.status(400).json({ error: "A mask needs a source image to paint over" });
+    }
+
+    // Reject bad settings and sources before charging for them
+    options = resolveImageOptions(settings, editing ? (mask ? "inpaint" : "img2img") : "generate");
+    const source = editing ? await loadSourceImage({ clerkUserId, sourceImage, sourceImageId }) : null;
+    if (mask) validateImageDataUrl("mask", mask);
+
+    charge = await consumeQuota(clerkUserId, "image");
+    const { image, ...generated } = editing
+      ? await editImage({ prompt, source, mask, ...options })
+      : await generateImage({ prompt, ...options });
+    if (sourceImageId) generated.sourceImageId = sourceImageId;
+    const stored = await storeGeneratedImage({
+      user: charge.user,
+      conversationId,
+      prompt,
+      settings: generated,
+      dataUrl: image,
+    });
+
+    res.json({ imageId: stored._id, imageUrl: signImagePath(stored._id), ...generated });
+    await recordUsage({
+      user: charge.user,
+      conversationId,
+      kind: "image",
+      ...imageBackend(options),
+      imageCount: 1,
+      latencyMs: Date.now() - startedAt,
+      credits: charge.cost,
+      status: "success",
+    });
+  } catch (error) {
+    if (charge) {
+      await refundQuota(clerkUserId, charge.cost);
+      await recordUsage({
+        user: charge.user,
+        conversationId,
+        kind: "image",
+        ...imageBackend(options),
+        latencyMs: Date.now() - startedAt,
+        credits: 0,
+        status: "error",
+      });
+    }
+    if (!(error instanceof HttpError)) console.error("Error generating image:", error);
+    sendError(res, error, "Something went wrong generating the image");
+  }
+}
@@ -0,0 +1,241 @@
+// lib/images.js
+import crypto from "crypto";
+import OpenAI from "openai";
+import Replicate from "replicate";
+import sharp from "sharp";
+import { HttpError } from "./errors.js";
+
+export const IMAGE_PROVIDER = "nebius";
+export const DEFAULT_IMAGE_MODEL_ID = "sdxl";
+
+// Image model ids accepted by /api/image. Step and guidance ranges follow the
+// Nebius AI Studio limits; FLUX Schnell is distilled and ignores guidance and
+// negative prompts. Nebius only generates from text, so models with `edit`
+// run image-to-image and inpainting on Replicate (REPLICATE_API_TOKEN).
+const IMAGE_MODELS = {
+  sdxl: {
+    label: "SDXL",
+    model: "stability-ai/sdxl",
+    steps: { min: 1, max: 50, default: 30 },
+    guidance: { min: 0, max: 20, default: 7 },
+    negativePrompt: true,
+    edit: {
+      provider: "replicate",
+      model: "stability-ai/sdxl",
+      version: "7762fd07cf82c948538e41f63f77d685e02b063e37e496e96eefd46c929f9bdc",
+    },
+  },
+  "flux-schnell": {
+    label: "FLUX.1 Schnell",
+    model: "black-forest-labs/flux-schnell",
+    steps: { min: 1, max: 16, default: 4 },
+    guidance: null,
+    negativePrompt: false,
+  },
+  "flux-dev": {
+    label: "FLUX.1 Dev",
+    model: "black-forest-labs/flux-dev",
+    steps: { min: 1, max: 50, default: 28 },
+    guidance: { min: 0, max: 20, default: 3.5 },
+    negativePrompt: true,
+  },
+};
+
+export const SIZE_PRESETS = {
+  square: { label: "Square", width: 1024, height: 1024 },
+  portrait: { label: "Portrait 3:4", width: 768, height: 1024 },
+  landscape: { label: "Landscape 4:3", width: 1024, height: 768 },
+  wide: { label: "Wide 16:9", width: 1344, height: 768 },
+  figure: { label: "Figure 2:1", width: 1536, height: 768 },
+};
+
+const MIN_DIMENSION = 256;
+const MAX_DIMENSION = 2048;
+const MAX_SEED = 2 ** 32 - 1;
+const MAX_NEGATIVE_PROMPT_LENGTH = 1000;
+const MAX_SOURCE_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// How far an edit may move away from the source: 0 keeps it, 1 ignores it.
+const STRENGTH = { min: 0.05, max: 1, default: 0.6 };
+
+let nebiusClient = null;
+let replicateClient = null;
+
+function getNebiusClient() {
+  if (!nebiusClient) {
+    nebiusClient = new OpenAI({
+      baseURL: "https://api.studio.nebius.com/v1/",
+      apiKey: process.env.NEBIUS_API_KEY,
+    });
+  }
+  return nebiusClient;
+}
+
+function getReplicateClient() {
+  if (!replicateClient) {
+    replicateClient = new Replicate({ auth: process.env.REPLICATE_API_TOKEN, useFileOutput: false });
+  }
+  return replicateClient;
+}
+
+export function listImageModels() {
+  return {
+    models: Object.entries(IMAGE_MODELS).map(([id, { edit, ...entry }]) => ({
+      id,
+      ...entry,
+      canEdit: Boolean(edit && process.env.REPLICATE_API_TOKEN),
+    })),
+    sizes: Object.entries(SIZE_PRESETS).map(([id, preset]) => ({ id, ...preset })),
+    strength: STRENGTH,
+    defaultModel: DEFAULT_IMAGE_MODEL_ID,
+  };
+}
+
+function isUnset(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function numberInRange(name, value, { min, max, integer = false }) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    throw new HttpError(400, `${name} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function resolveSize({ size, width, height }) {
+  if (!isUnset(width) || !isUnset(height)) {
+    if (isUnset(width) || isUnset(height)) {
+      throw new HttpError(400, "Provide both width and height, or a size preset");
+    }
+    const dimension = (name, value) => {
+      const number = numberInRange(name, value, { min: MIN_DIMENSION, max: MAX_DIMENSION, integer: true });
+      if (number % 64 !== 0) throw new HttpError(400, `${name} must be a multiple of 64`);
+      return number;
+    };
+    return { width: dimension("width", width), height: dimension("height", height) };
+  }
+
+  const presetId = isUnset(size) ? "square" : size;
+  if (!Object.hasOwn(SIZE_PRESETS, presetId)) {
+    throw new HttpError(400, `Unknown size "${size}". Expected one of: ${Object.keys(SIZE_PRESETS).join(", ")}`);
+  }
+  const preset = SIZE_PRESETS[presetId];
+  return { width: preset.width, height: preset.height };
+}
+
+// Validates /api/image options and fills in defaults. A missing or -1 seed is
+// replaced by a random one so the response can report the seed actually used.
+// `mode` is "generate", "img2img" or "inpaint"; edits also take a strength.
+export function resolveImageOptions({ model: modelId = DEFAULT_IMAGE_MODEL_ID, size, width, height, steps, guidance, negativePrompt, seed, strength } = {}, mode = "generate") {
+  if (typeof modelId !== "string" || !Object.hasOwn(IMAGE_MODELS, modelId)) {
+    throw new HttpError(400, `Unknown image model "${modelId}". Expected one of: ${Object.keys(IMAGE_MODELS).join(", ")}`);
+  }
+  const model = IMAGE_MODELS[modelId];
+
+  const editing = mode !== "generate";
+  if (editing && !model.edit) {
+    const editors = Object.keys(IMAGE_MODELS).filter((id) => IMAGE_MODELS[id].edit);
+    throw new HttpError(400, `${model.label} cannot edit images. Use one of: ${editors.join(", ")}`);
+  }
+  if (editing && !process.env.REPLICATE_API_TOKEN) {
+    throw new HttpError(400, "Image editing is not configured on this server");
+  }
+  if (!editing && !isUnset(strength)) {
+    throw new HttpError(400, "strength only applies when editing a source image");
+  }
+
+  if (!isUnset(negativePrompt)) {
+    if (typeof negativePrompt !== "string" || negativePrompt.length > MAX_NEGATIVE_PROMPT_LENGTH) {
+      throw new HttpError(400, `negativePrompt must be a string of at most ${MAX_NEGATIVE_PROMPT_LENGTH} characters`);
+    }
+    if (negativePrompt.trim() && !model.negativePrompt) {
+      throw new HttpError(400, `${model.label} does not support negative prompts`);
+    }
+  }
+  if (!isUnset(guidance) && !model.guidance) {
+    throw new HttpError(400, `${model.label} does not support guidance`);
+  }
+
+  return {
+    model: modelId,
+    ...resolveSize({ size, width, height }),
+    steps: isUnset(steps) ? model.steps.default : numberInRange("steps", steps, { ...model.steps, integer: true }),
+    guidance: model.guidance
+      ? isUnset(guidance) ? model.guidance.default : numberInRange("guidance", guidance, model.guidance)
+      : null,
+    negativePrompt: isUnset(negativePrompt) ? "" : negativePrompt.trim(),
+    seed: isUnset(seed) || Number(seed) === -1 ? crypto.randomInt(MAX_SEED) : numberInRange("seed", seed, { min: 0, max: MAX_SEED, integer: true }),
+    mode,
+    ...(editing && { strength: isUnset(strength) ? STRENGTH.default : numberInRange("strength", strength, STRENGTH) }),
+  };
+}
+
+// The service and upstream model that serve a set of resolved options.
+export function imageBackend({ model, mode }) {
+  const entry = IMAGE_MODELS[model];
+  if (mode === "generate") return { provider: IMAGE_PROVIDER, model: entry.model };
+  return { provider: entry.edit.provider, model: entry.edit.model };
+}
+
+// Checks a source image or mask sent as a data URL.
+export function validateImageDataUrl(name, dataUrl) {
+  const match = typeof dataUrl === "string" && dataUrl.match(/^data:image\/(png|jpeg|webp);base64,(.+)$/s);
+  if (!match) {
+    throw new HttpError(400, `${name} must be a PNG, JPEG or WebP data URL`);
+  }
+  if (Buffer.byteLength(match[2], "base64") > MAX_SOURCE_IMAGE_BYTES) {
+    throw new HttpError(413, `${name} is limited to ${MAX_SOURCE_IMAGE_BYTES / (1024 * 1024)} MB`);
+  }
+  return dataUrl;
+}
+
+// Takes options from resolveImageOptions and returns them with the image.
+export async function generateImage({ prompt, ...options }) {
+  const response = await getNebiusClient().images.generate({
+    model: IMAGE_MODELS[options.model].model,
+    response_format: "b64_json",
+    extra_body: {
+      response_extension: "png",
+      width: options.width,
+      height: options.height,
+      num_inference_steps: options.steps,
+      negative_prompt: options.negativePrompt,
+      seed: options.seed,
+      ...(options.guidance !== null && { guidance_scale: options.guidance }),
+    },
+    prompt: prompt,
+  });
+
+  const imageBase64 = response.data[0].b64_json;
+  return { image: `data:image/png;base64,${imageBase64}`, ...options };
+}
+
+// Image-to-image, or inpainting when a mask is given (white areas are redrawn).
+// The output keeps the source's proportions, so its real size is reported.
+export async function editImage({ prompt, source, mask, ...options }) {
+  const { model, version } = IMAGE_MODELS[options.model].edit;
+  const output = await getReplicateClient().run(`${model}:${version}`, {
+    input: {
+      prompt,
+      image: source,
+      ...(mask && { mask }),
+      prompt_strength: options.strength,
+      num_inference_steps: options.steps,
+      guidance_scale: options.guidance,
+      negative_prompt: options.negativePrompt,
+      seed: options.seed,
+      num_outputs: 1,
+    },
+  });
+
+  const url = Array.isArray(output) ? output[0] : output;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download the edited image (${response.status})`);
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const { width, height, format } = await sharp(buffer).metadata();
+
+  return { image: `data:image/${format};base64,${buffer.toString("base64")}`, ...options, width, height };
+}
@@ -0,0 +1,142 @@
+// lib/library.js
+import LibraryChunk from "../models/libraryChunks.js";
+import { chunkDocument, withExcerpts } from "./documents.js";
+import { getEmbedder } from "./embeddings.js";
+
+export const MAX_LIBRARY_DOCUMENTS = 100;
+const DEFAULT_PASSAGES = 6;
+
+// Fields safe to send to the browser; pages can run to megabytes.
+export function describeLibraryDocument(document) {
+  const { _id, name, type, size, paginated, pageCount, status, indexError, chunkCount, embeddingModel, indexedAt, createdAt } = document;
+  return {
+    _id,
+    name,
+    type,
+    size,
+    paginated,
+    pageCount,
+    status,
+    indexError,
+    chunkCount,
+    embeddingModel,
+    indexedAt,
+    createdAt,
+    stale: status === "ready" && embeddingModel !== getEmbedder().id,
+  };
+}
+
+// Rough token count of what indexing sends to the embedder, for usage records.
+export function estimateEmbeddingTokens(document) {
+  const chars = document.pages.reduce((sum, page) => sum + (page.text?.length || 0), 0);
+  return Math.ceil(chars / 4);
+}
+
+// (Re)builds a document's chunks and embeddings. Failures are recorded on the
+// document rather than thrown, so uploads still land in the library.
+export async function indexDocument(document) {
+  const embedder = getEmbedder();
+  document.status = "indexing";
+  document.indexError = undefined;
+  await document.save();
+
+  try {
+    const chunks = chunkDocument(document);
+    const vectors = await embedder.embed(chunks.map((chunk) => `${document.name}\n${chunk.text}`));
+
+    await LibraryChunk.deleteMany({ documentId: document._id });
+    await LibraryChunk.insertMany(chunks.map((chunk, index) => ({
+      userId: document.userId,
+      documentId: document._id,
+      name: document.name,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      part: chunk.part,
+      text: chunk.text,
+      embedding: vectors[index],
+      embeddingModel: embedder.id,
+    })));
+
+    document.status = "ready";
+    document.chunkCount = chunks.length;
+    document.embeddingModel = embedder.id;
+    document.indexedAt = new Date();
+  } catch (error) {
+    console.error(`Error indexing library document ${document._id}:`, error);
+    document.status = "failed";
+    document.indexError = error.message;
+  }
+
+  await document.save();
+  return document;
+}
+
+export async function deleteLibraryDocument(document) {
+  await LibraryChunk.deleteMany({ documentId: document._id });
+  await document.deleteOne();
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Top passages from a user's library for a query, best match first.
+// With VECTOR_SEARCH_INDEX set, retrieval uses that Atlas Vector Search index
+// on librarychunks.embedding (with userId and embeddingModel as filter fields).
+// Without it, similarity is computed here, which suits libraries of a few
+// hundred papers.
+export async function searchLibrary(userId, query, { limit = DEFAULT_PASSAGES } = {}) {
+  const embedder = getEmbedder();
+  const [queryVector] = await embedder.embed([query], "query");
+  const fields = { documentId: 1, name: 1, pageStart: 1, pageEnd: 1, part: 1, text: 1 };
+
+  if (process.env.VECTOR_SEARCH_INDEX) {
+    return LibraryChunk.aggregate([
+      {
+        $vectorSearch: {
+          index: process.env.VECTOR_SEARCH_INDEX,
+          path: "embedding",
+          queryVector,
+          numCandidates: limit * 20,
+          limit,
+          filter: { userId, embeddingModel: embedder.id },
+        },
+      },
+      { $project: { ...fields, score: { $meta: "vectorSearchScore" } } },
+    ]);
+  }
+
+  const chunks = await LibraryChunk.find({ userId, embeddingModel: embedder.id })
+    .select({ ...fields, embedding: 1 })
+    .lean();
+
+  return chunks
+    .map(({ embedding, ...chunk }) => ({ ...chunk, score: cosineSimilarity(queryVector, embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Adds the library passages most relevant to the last message, if any.
+export async function withLibraryContext(messages, user) {
+  const question = messages[messages.length - 1].content || "";
+  if (!question.trim()) return messages;
+
+  const passages = await searchLibrary(user._id, question);
+  if (passages.length === 0) return messages;
+
+  const header = [
+    "Passages retrieved from the user's paper library are below, most relevant first.",
+    "Answer from them where they apply and cite each one you use inline with its bracketed [document, page] label.",
+    "If they do not cover the question, say so before answering from general knowledge.",
+  ].join(" ");
+
+  return withExcerpts(messages, header, passages);
+}
@@ -0,0 +1,179 @@
+// lib/payments.js
+import crypto from "crypto";
+import Razorpay from "razorpay";
+import Payment from "../models/payments.js";
+import User from "../models/user.js";
+import { DEFAULT_PLAN_ID, getPlan } from "./plans.js";
+import { applyPlanPeriod, periodAfterRefund } from "./subscriptions.js";
+
+let razorpay = null;
+
+export function getRazorpay() {
+  if (!razorpay) {
+    razorpay = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_SECRET,
+    });
+  }
+  return razorpay;
+}
+
+function hexDigestsMatch(expected, received) {
+  const expectedBuffer = Buffer.from(expected, "hex");
+  const receivedBuffer = Buffer.from(String(received || ""), "hex");
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Signature Checkout hands the browser after a successful payment.
+export function verifyCheckoutSignature(orderId, paymentId, signature) {
+  const expected = crypto
+    .createHmac("sha256", process.env.RAZORPAY_SECRET)
+    .update(orderId + "|" + paymentId)
+    .digest("hex");
+  return hexDigestsMatch(expected, signature);
+}
+
+// X-Razorpay-Signature is computed over the exact request bytes.
+export function verifyWebhookSignature(rawBody, signature) {
+  const expected = crypto
+    .createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest("hex");
+  return hexDigestsMatch(expected, signature);
+}
+
+// Who an order belongs to: our pending Payment if create-order wrote one,
+// otherwise the notes Razorpay kept on the order.
+async function resolveOrderOwner(orderId) {
+  const existing = await Payment.findOne({ orderId });
+  if (existing) {
+    return { userId: existing.userId, clerkUserId: existing.clerkUserId, planId: existing.planId, receipt: existing.receipt };
+  }
+
+  const order = await getRazorpay().orders.fetch(orderId);
+  const clerkUserId = order?.notes?.clerkUserId;
+  const user = clerkUserId ? await User.findOne({ clerkUserId }) : null;
+  if (!user) {
+    throw new Error(`No user found for Razorpay order ${orderId}`);
+  }
+  return { userId: user._id, clerkUserId, planId: order.notes.planId, receipt: order.receipt };
+}
+
+function isDuplicateKeyError(error) {
+  return error?.code === 11000;
+}
+
+// Payments still waiting on an outcome. Completed and refunded ones are final.
+const OPEN_STATUSES = ["pending", "failed"];
+
+// Grants the order's plan unless this order already did. The order id is
+// pushed in the same update, so retries after a crash finish the upgrade
+// and concurrent ones cannot extend the period twice.
+async function grantPlan(owner, orderId) {
+  const user = await User.findOne({ _id: owner.userId, grantedOrderIds: { $ne: orderId } });
+  if (!user) return false;
+
+  applyPlanPeriod(user, getPlan(owner.planId) || getPlan(DEFAULT_PLAN_ID));
+  const { subscription, subscriptionStatus, chatAttempts } = user.toObject();
+  const result = await User.updateOne(
+    { _id: user._id, grantedOrderIds: { $ne: orderId } },
+    { $set: { subscription, subscriptionStatus, chatAttempts }, $push: { grantedOrderIds: orderId } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Takes back the days a refunded order granted. Orders whose upgrade never
+// went through have nothing to take back.
+async function revokePlan(payment) {
+  if (payment.planGranted === false) return;
+  const user = await User.findById(payment.userId);
+  if (!user) return;
+
+  const { currentPeriodEnd, subscriptionStatus } = periodAfterRefund(user, getPlan(payment.planId) || getPlan(DEFAULT_PLAN_ID));
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { subscriptionStatus, "subscription.currentPeriodEnd": currentPeriodEnd }, $pull: { grantedOrderIds: payment.orderId } }
+  );
+}
+
+// Marks an order paid and upgrades its owner once, no matter how many times
+// Checkout verification and webhooks report the same payment.
+export async function completePayment({ orderId, transactionId, amount, currency, method }) {
+  const owner = await resolveOrderOwner(orderId);
+  const fields = {
+    ...owner,
+    amount: amount / 100,
+    currency,
+    status: "completed",
+    planGranted: false,
+    orderId,
+    transactionId,
+    method,
+  };
+
+  const previous = await Payment.findOneAndUpdate({ orderId, status: { $in: OPEN_STATUSES } }, { $set: fields });
+  if (!previous) {
+    const existing = await Payment.findOne({ orderId });
+    // Refunded payments stay refunded when a capture is replayed, and a
+    // completed one only needs work if its upgrade never went through.
+    if (existing && (existing.status === "refunded" || existing.planGranted !== false)) {
+      return { alreadyProcessed: true };
+    }
+    if (!existing) {
+      try {
+        await Payment.create(fields);
+      } catch (error) {
+        if (!isDuplicateKeyError(error)) throw error;
+      }
+    }
+  }
+
+  const granted = await grantPlan(owner, orderId);
+  await Payment.updateOne({ orderId }, { $set: { planGranted: true } });
+  return { alreadyProcessed: !granted };
+}
+
+export async function failPayment({ orderId, transactionId, amount, currency, method, reason }) {
+  const owner = await resolveOrderOwner(orderId);
+  const fields = {
+    ...owner,
+    amount: amount / 100,
+    currency,
+    status: "failed",
+    orderId,
+    transactionId,
+    method,
+    failureReason: reason,
+  };
+
+  // A later attempt on the same order may already have succeeded or been refunded.
+  const previous = await Payment.findOneAndUpdate({ orderId, status: { $in: OPEN_STATUSES } }, { $set: fields });
+  if (!previous && !(await Payment.exists({ orderId }))) {
+    try {
+      await Payment.create(fields);
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+    }
+  }
+}
+
+// Applies a refund once per refund id; a full refund takes back the order's
+// days, once, however many refunds it took.
+export async function refundPayment({ transactionId, refundId, amount }) {
+  const payment = await Payment.findOneAndUpdate(
+    { transactionId, refundIds: { $ne: refundId } },
+    { $push: { refundIds: refundId }, $inc: { refundedAmount: amount / 100 } },
+    { new: true }
+  );
+  if (!payment) {
+    const known = await Payment.exists({ transactionId });
+    if (!known) console.warn(`Refund ${refundId} is for unknown payment ${transactionId}`);
+    return { alreadyProcessed: Boolean(known) };
+  }
+
+  if (payment.refundedAmount >= payment.amount) {
+    const result = await Payment.updateOne({ _id: payment._id, status: { $ne: "refunded" } }, { $set: { status: "refunded" } });
+    if (result.modifiedCount > 0) await revokePlan(payment);
+  }
+  return { alreadyProcessed: false };
+}
@@ -0,0 +1,119 @@
+// lib/personas.js
+import mongoose from "mongoose";
+import { HttpError } from "./errors.js";
+import { SYSTEM_INSTRUCTION, resolveModel } from "./providers.js";
+
+export const MAX_PERSONAS_PER_USER = 20;
+const MAX_NAME_LENGTH = 60;
+const MAX_PROMPT_LENGTH = 4000;
+
+// Appended to the persona's system prompt; "balanced" adds nothing.
+export const RESPONSE_STYLES = {
+  balanced: { label: "Balanced", instruction: "" },
+  concise: { label: "Concise", instruction: "Keep answers short and to the point; prefer a few sentences or a tight list over long prose." },
+  detailed: { label: "Detailed", instruction: "Give thorough, in-depth answers that explain reasoning, assumptions and caveats." },
+  "step-by-step": { label: "Step by step", instruction: "Structure answers as numbered steps and explain each one before moving on." },
+  socratic: { label: "Socratic", instruction: "Guide the user with probing questions and hints before giving full answers." },
+};
+
+export const CITATION_FORMATS = {
+  none: { label: "No preference", instruction: "" },
+  apa: { label: "APA", instruction: "When citing sources, use APA 7th edition style." },
+  mla: { label: "MLA", instruction: "When citing sources, use MLA 9th edition style." },
+  chicago: { label: "Chicago", instruction: "When citing sources, use Chicago author-date style." },
+  ieee: { label: "IEEE", instruction: "When citing sources, use IEEE numbered references." },
+  harvard: { label: "Harvard", instruction: "When citing sources, use Harvard referencing style." },
+};
+
+// The built-in research assistant used when a conversation has no persona.
+export const DEFAULT_PERSONA = {
+  _id: "default",
+  name: "Research assistant",
+  systemPrompt: SYSTEM_INSTRUCTION,
+  responseStyle: "balanced",
+  citationFormat: "none",
+  builtIn: true,
+};
+
+export function describePersona(persona) {
+  return {
+    _id: persona._id,
+    name: persona.name,
+    systemPrompt: persona.systemPrompt,
+    model: persona.model,
+    temperature: persona.temperature,
+    responseStyle: persona.responseStyle,
+    citationFormat: persona.citationFormat,
+    builtIn: Boolean(persona.builtIn),
+  };
+}
+
+export function listPersonas(user) {
+  return [DEFAULT_PERSONA, ...user.personas].map(describePersona);
+}
+
+// Looks up a persona id from a request on the user; blank means the default.
+export function resolvePersona(user, personaId) {
+  if (!personaId || personaId === DEFAULT_PERSONA._id) return DEFAULT_PERSONA;
+
+  const persona = mongoose.isValidObjectId(personaId) && user.personas.id(personaId);
+  if (!persona) {
+    throw new HttpError(404, "Persona not found");
+  }
+  return persona;
+}
+
+// The system prompt the persona's conversations are answered with.
+export function personaInstruction(persona) {
+  return [
+    persona.systemPrompt,
+    RESPONSE_STYLES[persona.responseStyle]?.instruction,
+    CITATION_FORMATS[persona.citationFormat]?.instruction,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Checks { name, systemPrompt, model, temperature, responseStyle, citationFormat }
+// from a request and returns the fields to store. With `partial`, missing fields
+// are left alone.
+export function validatePersona(fields, { partial = false } = {}) {
+  const { name, systemPrompt, model, temperature, responseStyle, citationFormat } = fields;
+  const result = {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      throw new HttpError(400, `Persona name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    result.name = name.trim();
+  }
+  if (!partial || systemPrompt !== undefined) {
+    if (typeof systemPrompt !== "string" || !systemPrompt.trim() || systemPrompt.length > MAX_PROMPT_LENGTH) {
+      throw new HttpError(400, `System prompt must be 1-${MAX_PROMPT_LENGTH} characters`);
+    }
+    result.systemPrompt = systemPrompt.trim();
+  }
+  if (model !== undefined) {
+    if (model) resolveModel(model);
+    result.model = model || undefined;
+  }
+  if (temperature !== undefined) {
+    if (temperature !== null && temperature !== "" && !(Number.isFinite(temperature) && temperature >= 0 && temperature <= 1)) {
+      throw new HttpError(400, "Temperature must be a number from 0 to 1");
+    }
+    result.temperature = Number.isFinite(temperature) ? temperature : undefined;
+  }
+  if (responseStyle !== undefined) {
+    if (!Object.hasOwn(RESPONSE_STYLES, responseStyle)) {
+      throw new HttpError(400, `Invalid responseStyle. Expected one of: ${Object.keys(RESPONSE_STYLES).join(", ")}`);
+    }
+    result.responseStyle = responseStyle;
+  }
+  if (citationFormat !== undefined) {
+    if (!Object.hasOwn(CITATION_FORMATS, citationFormat)) {
+      throw new HttpError(400, `Invalid citationFormat. Expected one of: ${Object.keys(CITATION_FORMATS).join(", ")}`);
+    }
+    result.citationFormat = citationFormat;
+  }
+  return result;
+}
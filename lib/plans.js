@@ -0,0 +1,22 @@
+// lib/plans.js
+
+// Purchasable plans, keyed by the ids of `pricing` in src/constants.
+// Order amounts come from here, never from the client. Each payment buys
+// `periodDays` of Pro access.
+export const PLANS = {
+  1: { id: "1", title: "Premium", amount: 999, currency: "INR", periodDays: 30 },
+};
+
+// Credits each plan may spend; chatAttempts on the User counts credits used
+// and is reset whenever a new billing period starts.
+export const PLAN_QUOTAS = {
+  free: 6,
+  pro: Infinity,
+};
+
+// Orders created before plan ids were recorded bought Premium.
+export const DEFAULT_PLAN_ID = "1";
+
+export function getPlan(planId) {
+  return PLANS[planId] || null;
+}
@@ -0,0 +1,329 @@
+// lib/providers.js
+import { FunctionCallingMode, GoogleGenerativeAI } from "@google/generative-ai";
+import OpenAI from "openai";
+import { HttpError } from "./errors.js";
+
+export const SYSTEM_INSTRUCTION =
+  "You are a research assistant AI designed to help researchers. You can assist with article generation, summarizing research papers, answering research-related questions, and generating ideas for experiments. For image generation requests, I will handle them separately. Provide detailed, accurate, and professional responses suitable for academic and research purposes.";
+
+export const DEFAULT_MODEL_ID = "gemini";
+
+// Upstream services. OpenAI-compatible ones only differ by base URL and key.
+const PROVIDERS = {
+  gemini: { apiKeyEnv: "GEMINI_API_KEY", createAdapter: createGeminiAdapter },
+  openai: { apiKeyEnv: "OPENAI_API_KEY", createAdapter: createOpenAIAdapter },
+  nebius: {
+    apiKeyEnv: "NEBIUS_API_KEY",
+    baseURL: "https://api.studio.nebius.com/v1/",
+    createAdapter: createOpenAIAdapter,
+  },
+  anthropic: {
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+    baseURL: "https://api.anthropic.com/v1/",
+    createAdapter: createOpenAIAdapter,
+  },
+};
+
+// Model ids accepted by /api/text, matching the Chatroom dropdown lowercased.
+// contextWindow is in tokens and bounds how much attached document text is sent.
+const MODELS = {
+  gemini: { label: "Gemini", provider: "gemini", model: "gemini-1.5-flash", contextWindow: 1048576 },
+  chatgpt: { label: "ChatGPT", provider: "openai", model: "gpt-4o-mini", contextWindow: 128000 },
+  mistral: { label: "Mistral", provider: "nebius", model: "mistralai/Mistral-Nemo-Instruct-2407", contextWindow: 128000 },
+  claude: { label: "Claude", provider: "anthropic", model: "claude-3-5-sonnet-latest", contextWindow: 200000 },
+  llama4: { label: "Llama4", provider: "nebius", model: "meta-llama/Llama-4-Scout-17B-16E-Instruct", contextWindow: 128000 },
+};
+
+const adapters = new Map();
+
+function isInlineImage(file) {
+  return file?.type?.startsWith("image/") && typeof file.data === "string" && file.data.startsWith("data:image");
+}
+
+function inlineImages(message) {
+  const files = message.files || [];
+  for (const file of files) {
+    if (file?.type?.startsWith("image/") && !isInlineImage(file)) {
+      console.warn("Invalid or missing base64 data for file:", file.name);
+    }
+  }
+  return files.filter(isInlineImage);
+}
+
+function geminiUsage(metadata) {
+  return { inputTokens: metadata?.promptTokenCount || 0, outputTokens: metadata?.candidatesTokenCount || 0 };
+}
+
+function openAIUsage(usage) {
+  return { inputTokens: usage?.prompt_tokens || 0, outputTokens: usage?.completion_tokens || 0 };
+}
+
+function addUsage(total, usage) {
+  return { inputTokens: total.inputTokens + usage.inputTokens, outputTokens: total.outputTokens + usage.outputTokens };
+}
+
+// Wraps a tool record from lib/tools.js as the result the model reads.
+function toolResult(record) {
+  return record.error ? { error: record.error } : { result: record.output };
+}
+
+function createGeminiAdapter({ apiKey }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  function getModel({ model, systemInstruction, temperature }) {
+    return genAI.getGenerativeModel({
+      model,
+      systemInstruction,
+      ...(temperature !== undefined && { generationConfig: { temperature } }),
+    });
+  }
+
+  // Earlier turns as chat history, and the parts of the latest user turn.
+  function toContents(messages) {
+    const lastUserMessage = messages[messages.length - 1];
+
+    const history = messages
+      .filter((msg, index) => msg.role !== "system" && index < messages.length - 1)
+      .map((msg) => ({
+        role: msg.role === "user" ? "user" : "model",
+        parts: [{ text: msg.content || "" }],
+      }));
+
+    const parts = [{ text: lastUserMessage.content || "" }];
+    for (const file of inlineImages(lastUserMessage)) {
+      parts.push({ inlineData: { data: file.data.split(",")[1], mimeType: file.type } });
+    }
+
+    return { history, parts };
+  }
+
+  function startChat({ messages, ...options }) {
+    const { history, parts } = toContents(messages);
+    return { chat: getModel(options).startChat({ history }), parts };
+  }
+
+  return {
+    async generate(options) {
+      const { chat, parts } = startChat(options);
+      const result = await chat.sendMessage(parts);
+      return { content: result.response.text(), usage: geminiUsage(result.response.usageMetadata) };
+    },
+
+    async *stream(options) {
+      const { chat, parts } = startChat(options);
+      const result = await chat.sendMessageStream(parts);
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+      const response = await result.response;
+      yield { usage: geminiUsage(response.usageMetadata) };
+    },
+
+    // Same protocol as stream(), plus a { tool } record per call that ran.
+    // The answer arrives as one chunk once the model stops calling tools.
+    async *runTools({ tools, messages, ...options }) {
+      const geminiModel = getModel(options);
+      const { history, parts } = toContents(messages);
+      const contents = [...history, { role: "user", parts }];
+      const functionDeclarations = tools.definitions;
+      let usage = { inputTokens: 0, outputTokens: 0 };
+
+      for (let turn = 0; ; turn++) {
+        const { response } = await geminiModel.generateContent({
+          contents,
+          tools: [{ functionDeclarations }],
+          // Out of rounds: make the model answer with what it has.
+          ...(turn >= tools.maxTurns && { toolConfig: { functionCallingConfig: { mode: FunctionCallingMode.NONE } } }),
+        });
+        usage = addUsage(usage, geminiUsage(response.usageMetadata));
+
+        const calls = response.functionCalls() || [];
+        if (calls.length === 0) {
+          yield response.text();
+          break;
+        }
+        contents.push(response.candidates[0].content);
+        const results = [];
+        for (const call of calls) {
+          const record = await tools.execute(call.name, call.args);
+          yield { tool: record };
+          results.push({ functionResponse: { name: call.name, response: toolResult(record) } });
+        }
+        contents.push({ role: "function", parts: results });
+      }
+      yield { usage };
+    },
+  };
+}
+
+function createOpenAIAdapter({ apiKey, baseURL }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  function toChatMessages(systemInstruction, messages) {
+    const lastIndex = messages.length - 1;
+    const chatMessages = [{ role: "system", content: systemInstruction }];
+
+    messages.forEach((msg, index) => {
+      if (msg.role === "system") return;
+      const role = msg.role === "user" ? "user" : "assistant";
+      const images = role === "user" && index === lastIndex ? inlineImages(msg) : [];
+
+      if (images.length === 0) {
+        chatMessages.push({ role, content: msg.content || "" });
+        return;
+      }
+      chatMessages.push({
+        role,
+        content: [
+          { type: "text", text: msg.content || "" },
+          ...images.map((file) => ({ type: "image_url", image_url: { url: file.data } })),
+        ],
+      });
+    });
+
+    return chatMessages;
+  }
+
+  return {
+    async generate({ model, systemInstruction, temperature, messages }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: toChatMessages(systemInstruction, messages),
+        temperature,
+      });
+      return { content: completion.choices[0]?.message?.content || "", usage: openAIUsage(completion.usage) };
+    },
+
+    async *stream({ model, systemInstruction, temperature, messages }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: toChatMessages(systemInstruction, messages),
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+      let usage = null;
+      for await (const chunk of completion) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+        if (chunk.usage) usage = chunk.usage;
+      }
+      yield { usage: openAIUsage(usage) };
+    },
+
+    async *runTools({ model, systemInstruction, temperature, messages, tools }) {
+      const chatMessages = toChatMessages(systemInstruction, messages);
+      const definitions = tools.definitions.map((definition) => ({ type: "function", function: definition }));
+      let usage = { inputTokens: 0, outputTokens: 0 };
+
+      for (let turn = 0; ; turn++) {
+        const completion = await client.chat.completions.create({
+          model,
+          messages: chatMessages,
+          temperature,
+          tools: definitions,
+          ...(turn >= tools.maxTurns && { tool_choice: "none" }),
+        });
+        usage = addUsage(usage, openAIUsage(completion.usage));
+
+        const message = completion.choices[0]?.message;
+        if (!message?.tool_calls?.length) {
+          yield message?.content || "";
+          break;
+        }
+        chatMessages.push(message);
+        for (const call of message.tool_calls) {
+          let args;
+          try {
+            args = JSON.parse(call.function.arguments || "{}");
+          } catch {
+            args = undefined; // Reported back to the model as invalid arguments
+          }
+          const record = await tools.execute(call.function.name, args);
+          yield { tool: record };
+          chatMessages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(toolResult(record)) });
+        }
+      }
+      yield { usage };
+    },
+  };
+}
+
+function getAdapter(providerId) {
+  if (!adapters.has(providerId)) {
+    const provider = PROVIDERS[providerId];
+    adapters.set(providerId, provider.createAdapter({
+      apiKey: process.env[provider.apiKeyEnv],
+      baseURL: provider.baseURL,
+    }));
+  }
+  return adapters.get(providerId);
+}
+
+export function isModelConfigured(modelId) {
+  const entry = Object.hasOwn(MODELS, modelId) ? MODELS[modelId] : null;
+  return Boolean(entry && process.env[PROVIDERS[entry.provider].apiKeyEnv]);
+}
+
+export function listModels() {
+  return Object.entries(MODELS).map(([id, entry]) => ({
+    id,
+    label: entry.label,
+    provider: entry.provider,
+    available: isModelConfigured(id),
+  }));
+}
+
+// Looks up a model id from a request body, rejecting unknown or unconfigured ones.
+export function resolveModel(modelId = DEFAULT_MODEL_ID) {
+  if (typeof modelId !== "string" || !Object.hasOwn(MODELS, modelId)) {
+    throw new HttpError(400, `Unknown model "${modelId}". Expected one of: ${Object.keys(MODELS).join(", ")}`);
+  }
+  if (!isModelConfigured(modelId)) {
+    throw new HttpError(400, `Model "${modelId}" is not configured on this server`);
+  }
+  return { id: modelId, ...MODELS[modelId] };
+}
+
+// `temperature` is optional; leaving it undefined keeps the provider's default.
+// `tools` comes from createToolbox() in lib/tools.js and lets the model call
+// them; the records of the calls that ran are returned as toolCalls.
+export async function generateText({ model: modelId, messages, systemInstruction = SYSTEM_INSTRUCTION, temperature, tools }) {
+  if (tools) {
+    const result = streamText({ model: modelId, messages, systemInstruction, temperature, tools });
+    let content = "";
+    for await (const chunk of result.chunks) content += chunk;
+    return { content, model: result.model, provider: result.provider, usage: result.usage, toolCalls: result.toolCalls };
+  }
+
+  const model = resolveModel(modelId);
+  const adapter = getAdapter(model.provider);
+  const { content, usage } = await adapter.generate({ model: model.model, systemInstruction, temperature, messages });
+
+  return { content, model: model.id, provider: model.provider, usage };
+}
+
+// Resolves the model up front so validation errors surface before any bytes are sent.
+// Adapters end their stream with a { usage } record, which lands on result.usage
+// once the chunks have been consumed. With `tools`, each call that runs is
+// added to result.toolCalls and passed to onToolCall as it finishes.
+export function streamText({ model: modelId, messages, systemInstruction = SYSTEM_INSTRUCTION, temperature, tools, onToolCall }) {
+  const model = resolveModel(modelId);
+  const adapter = getAdapter(model.provider);
+  const result = { model: model.id, provider: model.provider, usage: null, toolCalls: [] };
+  const options = { model: model.model, systemInstruction, temperature, messages };
+
+  result.chunks = (async function* () {
+    const parts = tools ? adapter.runTools({ ...options, tools }) : adapter.stream(options);
+    for await (const part of parts) {
+      if (typeof part === "string") yield part;
+      else if (part.tool) {
+        result.toolCalls.push(part.tool);
+        onToolCall?.(part.tool);
+      } else result.usage = part.usage;
+    }
+  })();
+
+  return result;
+}
@@ -0,0 +1,273 @@
+// lib/roomSocket.js
+import { WebSocketServer } from "ws";
+import Room from "../models/rooms.js";
+import { verifySessionToken } from "./auth.js";
+import { HttpError } from "./errors.js";
+import {
+  MAX_ROOM_MESSAGE_LENGTH,
+  describeRoom,
+  findMember,
+  findRoomForMember,
+  generateRoomReply,
+  listRoomMessages,
+  memberName,
+  roomMessage,
+  saveRoomMessage,
+} from "./rooms.js";
+
+// Live side of collaborative rooms. Clients connect to
+// /api/rooms/socket?roomId=... and exchange JSON { type, ...data } frames. The
+// first frame must be { type: "auth", token: <Clerk session token> }, so the
+// token stays out of URLs and access logs. Room state lives in this process,
+// so run a single API instance (serverless functions cannot hold WebSockets
+// either).
+
+const PATH = "/api/rooms/socket";
+const HEARTBEAT_MS = 30000;
+const TYPING_TIMEOUT_MS = 6000;
+const AUTH_TIMEOUT_MS = 10000;
+
+// roomId -> { sockets, typing: Map<clerkUserId, timer>, queue, asking, activeTurn }.
+// `asking` holds members whose askAi message is still being saved, so a
+// second one cannot slip into the queue meanwhile.
+const liveRooms = new Map();
+
+function liveRoom(roomId) {
+  if (!liveRooms.has(roomId)) {
+    liveRooms.set(roomId, { sockets: new Set(), typing: new Map(), queue: [], asking: new Set(), activeTurn: null });
+  }
+  return liveRooms.get(roomId);
+}
+
+function send(socket, type, data = {}) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ type, ...data }));
+}
+
+function broadcast(roomId, type, data) {
+  for (const socket of liveRooms.get(roomId)?.sockets || []) send(socket, type, data);
+}
+
+function onlineMembers(live) {
+  return [...new Set([...live.sockets].map((socket) => socket.member.clerkUserId))];
+}
+
+function queueState(live) {
+  return {
+    activeTurn: live.activeTurn,
+    queue: live.queue.map(({ turnId, requestedBy }) => ({ turnId, requestedBy })),
+  };
+}
+
+function setTyping(roomId, clerkUserId, isTyping) {
+  const live = liveRooms.get(roomId);
+  if (!live) return;
+  clearTimeout(live.typing.get(clerkUserId));
+  live.typing.delete(clerkUserId);
+  if (isTyping) {
+    live.typing.set(clerkUserId, setTimeout(() => setTyping(roomId, clerkUserId, false), TYPING_TIMEOUT_MS));
+  }
+  broadcast(roomId, "typing", { typing: [...live.typing.keys()] });
+}
+
+// Tells connected members about membership or settings changes made over REST.
+export function broadcastRoomUpdate(room) {
+  const roomId = String(room._id);
+  for (const socket of liveRooms.get(roomId)?.sockets || []) {
+    send(socket, "room", { room: describeRoom(room, socket.member.clerkUserId) });
+  }
+}
+
+// Closes the sockets of a member who left or was removed; pass no clerkUserId
+// to close the whole room.
+export function disconnectFromRoom(roomId, clerkUserId) {
+  for (const socket of liveRooms.get(String(roomId))?.sockets || []) {
+    if (!clerkUserId || socket.member.clerkUserId === clerkUserId) {
+      socket.close(4403, "No longer a member of this room");
+    }
+  }
+}
+
+// One AI generation per room at a time, in the order they were asked for.
+async function drainQueue(roomId) {
+  const live = liveRooms.get(roomId);
+  if (!live || live.activeTurn || live.queue.length === 0) return;
+
+  const turn = live.queue.shift();
+  live.activeTurn = { turnId: turn.turnId, requestedBy: turn.requestedBy };
+  broadcast(roomId, "queue", queueState(live));
+
+  try {
+    const room = await Room.findById(roomId);
+    if (!room) return;
+    broadcast(roomId, "ai:start", { turnId: turn.turnId, requestedBy: turn.requestedBy, model: room.model });
+    const message = await generateRoomReply(room, turn.requester, {
+      onDelta: (delta) => broadcast(roomId, "ai:delta", { turnId: turn.turnId, delta }),
+    });
+    broadcast(roomId, "ai:done", { turnId: turn.turnId, message: roomMessage(message) });
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error(`Error generating an AI turn in room ${roomId}:`, error);
+    broadcast(roomId, "ai:error", {
+      turnId: turn.turnId,
+      requestedBy: turn.requestedBy,
+      error: error.message || "Something went wrong with the text model API",
+      code: error.details?.code,
+    });
+  } finally {
+    live.activeTurn = null;
+    broadcast(roomId, "queue", queueState(live));
+    if (live.sockets.size === 0 && live.queue.length === 0) liveRooms.delete(roomId);
+    else drainQueue(roomId);
+  }
+}
+
+async function handleFrame(socket, frame) {
+  const { roomId, member } = socket;
+  const live = liveRooms.get(roomId);
+
+  if (frame.type === "typing") {
+    setTyping(roomId, member.clerkUserId, Boolean(frame.isTyping));
+    return;
+  }
+
+  if (frame.type === "message") {
+    const text = typeof frame.content === "string" ? frame.content.trim() : "";
+    if (!text || text.length > MAX_ROOM_MESSAGE_LENGTH) {
+      return send(socket, "error", { error: `Messages must be 1-${MAX_ROOM_MESSAGE_LENGTH} characters` });
+    }
+    if (frame.askAi) {
+      if (live.asking.has(member.clerkUserId) || live.queue.some((turn) => turn.requestedBy === member.clerkUserId)) {
+        return send(socket, "error", { error: "You already have an AI turn waiting in the queue" });
+      }
+      live.asking.add(member.clerkUserId); // Reserved before the first await below
+    }
+
+    try {
+      // Re-read the room so a member removed a moment ago cannot post.
+      const room = await findRoomForMember(roomId, member.clerkUserId);
+      if (!room) return socket.close(4403, "No longer a member of this room");
+
+      setTyping(roomId, member.clerkUserId, false);
+      const message = await saveRoomMessage(room, findMember(room, member.clerkUserId), text);
+      broadcast(roomId, "message", { message: roomMessage(message) });
+
+      if (frame.askAi) {
+        live.queue.push({
+          turnId: String(message._id),
+          requestedBy: member.clerkUserId,
+          requester: { userId: member.userId, clerkUserId: member.clerkUserId },
+        });
+        broadcast(roomId, "queue", queueState(live));
+        drainQueue(roomId);
+      }
+    } finally {
+      if (frame.askAi) live.asking.delete(member.clerkUserId);
+    }
+    return;
+  }
+
+  send(socket, "error", { error: `Unknown message type "${frame.type}"` });
+}
+
+// Checks the "auth" frame and joins the socket to its room.
+async function joinRoom(socket, roomId, token) {
+  let room;
+  try {
+    const { userId: clerkUserId } = await verifySessionToken(token);
+    room = await findRoomForMember(roomId, clerkUserId);
+    if (!room) return socket.close(4404, "Room not found");
+    const member = findMember(room, clerkUserId);
+    socket.member = { userId: member.userId, clerkUserId, displayName: memberName(member) };
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error("Error authorising a room socket:", error);
+    return socket.close(error instanceof HttpError ? 4401 : 1011, error instanceof HttpError ? "Unauthorized" : "Server error");
+  }
+  if (socket.readyState !== socket.OPEN) return;
+
+  socket.roomId = String(room._id);
+  const live = liveRoom(socket.roomId);
+  live.sockets.add(socket);
+
+  const messages = await listRoomMessages(room);
+  send(socket, "ready", {
+    room: describeRoom(room, socket.member.clerkUserId),
+    messages: messages.map(roomMessage),
+    online: onlineMembers(live),
+    typing: [...live.typing.keys()],
+    ...queueState(live),
+  });
+  broadcast(socket.roomId, "presence", { online: onlineMembers(live) });
+}
+
+function handleConnection(socket, req) {
+  const roomId = new URL(req.url, "http://localhost").searchParams.get("roomId");
+  const authTimer = setTimeout(() => socket.close(4401, "Unauthorized"), AUTH_TIMEOUT_MS);
+  let authenticating = false;
+
+  socket.isAlive = true;
+  socket.on("pong", () => {
+    socket.isAlive = true;
+  });
+
+  socket.on("message", async (raw) => {
+    let frame;
+    try {
+      frame = JSON.parse(raw.toString());
+    } catch {
+      return send(socket, "error", { error: "Frames must be JSON" });
+    }
+    try {
+      if (socket.roomId) {
+        await handleFrame(socket, frame);
+      } else if (authenticating) {
+        send(socket, "error", { error: "Still joining the room" });
+      } else if (frame.type !== "auth" || typeof frame.token !== "string") {
+        socket.close(4401, "Unauthorized");
+      } else {
+        clearTimeout(authTimer);
+        authenticating = true;
+        await joinRoom(socket, roomId, frame.token);
+      }
+    } catch (error) {
+      console.error(`Error handling a room socket frame in room ${socket.roomId || roomId}:`, error);
+      send(socket, "error", { error: "Server error" });
+    }
+  });
+
+  socket.on("close", () => {
+    clearTimeout(authTimer);
+    const live = liveRooms.get(socket.roomId);
+    if (!live) return;
+    live.sockets.delete(socket);
+    if (!onlineMembers(live).includes(socket.member.clerkUserId)) {
+      setTyping(socket.roomId, socket.member.clerkUserId, false);
+    }
+    broadcast(socket.roomId, "presence", { online: onlineMembers(live) });
+    if (live.sockets.size === 0 && !live.activeTurn && live.queue.length === 0) liveRooms.delete(socket.roomId);
+  });
+}
+
+export function attachRoomSocket(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: PATH,
+    maxPayload: 256 * 1024,
+    // Browsers send Origin on WebSocket upgrades; CORS does not cover them.
+    verifyClient: ({ origin }) => !origin || !process.env.CLIENT_URL || origin === process.env.CLIENT_URL,
+  });
+
+  wss.on("connection", handleConnection);
+
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_MS);
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+}
@@ -0,0 +1,188 @@
+// lib/rooms.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Conversation from "../models/conversations.js";
+import Message from "../models/messages.js";
+import Room from "../models/rooms.js";
+import Template from "../models/templates.js";
+import { consumeQuota, refundQuota } from "./entitlements.js";
+import { HttpError } from "./errors.js";
+import { SYSTEM_INSTRUCTION, resolveModel, streamText } from "./providers.js";
+import { recordUsage } from "./usage.js";
+
+export const MAX_ROOM_MEMBERS = 20;
+export const MAX_ROOM_NAME_LENGTH = 120;
+export const MAX_ROOM_MESSAGE_LENGTH = 20000;
+
+// Messages sent to the model for an AI turn; older ones are left out.
+const AI_HISTORY_LIMIT = 50;
+
+const ROOM_INSTRUCTION = `${SYSTEM_INSTRUCTION} Several researchers share this conversation. Each of their messages starts with the sender's name; address people by name when it helps.`;
+
+export function createInviteCode() {
+  return crypto.randomBytes(12).toString("base64url");
+}
+
+export function isInviteActive(invite, now = new Date()) {
+  return !invite.expiresAt || invite.expiresAt > now;
+}
+
+export function findMember(room, clerkUserId) {
+  return room.members.find((member) => member.clerkUserId === clerkUserId);
+}
+
+// Adds the member and counts the invite use in one conditional update, so
+// concurrent joins can neither pass MAX_ROOM_MEMBERS nor add someone twice.
+// Resolves to { room, joined }; joined is false if they were already a member.
+export async function addRoomMember(roomId, member, inviteCode) {
+  const room = await Room.findOneAndUpdate(
+    {
+      _id: roomId,
+      "members.clerkUserId": { $ne: member.clerkUserId },
+      [`members.${MAX_ROOM_MEMBERS - 1}`]: { $exists: false },
+    },
+    { $push: { members: member }, $inc: { "invites.$[invite].uses": 1 } },
+    { new: true, arrayFilters: [{ "invite.code": inviteCode }] }
+  );
+  if (room) return { room, joined: true };
+
+  const current = await Room.findById(roomId);
+  if (current && findMember(current, member.clerkUserId)) return { room: current, joined: false };
+  throw new HttpError(409, `Rooms are limited to ${MAX_ROOM_MEMBERS} members`);
+}
+
+export async function findRoomForMember(roomId, clerkUserId) {
+  if (!clerkUserId || !mongoose.isValidObjectId(roomId)) return null;
+  return Room.findOne({ _id: roomId, "members.clerkUserId": clerkUserId });
+}
+
+export function memberName(member) {
+  return member?.displayName || "Member";
+}
+
+// Invites are only listed for the owner.
+export function describeRoom(room, clerkUserId) {
+  const role = findMember(room, clerkUserId)?.role;
+  return {
+    _id: room._id,
+    name: room.name,
+    model: room.model,
+    conversationId: room.conversationId,
+    role,
+    members: room.members.map(({ userId, clerkUserId: id, displayName, role: memberRole, joinedAt }) => ({
+      userId,
+      clerkUserId: id,
+      displayName,
+      role: memberRole,
+      joinedAt,
+    })),
+    invites: role === "owner"
+      ? room.invites.filter((invite) => isInviteActive(invite)).map(({ code, expiresAt, uses, createdAt }) => ({ code, expiresAt, uses, createdAt, path: `/rooms/join/${code}` }))
+      : undefined,
+    createdAt: room.createdAt,
+    updatedAt: room.updatedAt,
+  };
+}
+
+// `userId` is the sender of user turns; `requestedBy` is who asked for a model turn.
+export function roomMessage(message) {
+  return {
+    _id: message._id,
+    message: message.message,
+    isFromUser: message.isFromUser,
+    userId: message.userId,
+    requestedBy: message.requestedBy,
+    model: message.model,
+    timestamp: message.timestamp,
+  };
+}
+
+export async function listRoomMessages(room, limit = 200) {
+  const messages = await Message.find({ conversationId: room.conversationId }).sort({ timestamp: -1 }).limit(limit);
+  return messages.reverse();
+}
+
+export async function saveRoomMessage(room, member, text) {
+  const message = await Message.create({
+    userId: member.userId,
+    conversationId: room.conversationId,
+    message: text,
+    isFromUser: true,
+    timestamp: new Date(),
+  });
+  await Conversation.updateOne({ _id: room.conversationId }, { lastActivityAt: message.timestamp });
+  return message;
+}
+
+function historyForModel(room, messages) {
+  const names = new Map(room.members.map((member) => [String(member.userId), memberName(member)]));
+  return messages.map((message) =>
+    message.isFromUser
+      ? { role: "user", content: `${names.get(String(message.userId)) || "Former member"}: ${message.message}` }
+      : { role: "model", content: message.message }
+  );
+}
+
+// Runs one AI turn for the room, charged to the member who asked for it.
+// Streams text through onDelta and returns the saved model message.
+export async function generateRoomReply(room, requester, { onDelta }) {
+  const startedAt = Date.now();
+  const resolved = resolveModel(room.model);
+  const charge = await consumeQuota(requester.clerkUserId, "text");
+  let content = "";
+  let result = null;
+
+  try {
+    const messages = historyForModel(room, await listRoomMessages(room, AI_HISTORY_LIMIT));
+    result = streamText({ model: resolved.id, messages, systemInstruction: ROOM_INSTRUCTION });
+    for await (const delta of result.chunks) {
+      content += delta;
+      onDelta(delta);
+    }
+    if (!content) throw new Error("The model returned an empty answer");
+
+    const message = await Message.create({
+      userId: requester.userId,
+      conversationId: room.conversationId,
+      message: content,
+      isFromUser: false,
+      model: result.model,
+      requestedBy: requester.userId,
+      timestamp: new Date(),
+    });
+    await Conversation.updateOne({ _id: room.conversationId }, { lastActivityAt: message.timestamp, model: result.model });
+    await recordUsage({
+      user: charge.user,
+      conversationId: room.conversationId,
+      kind: "text",
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      latencyMs: Date.now() - startedAt,
+      credits: charge.cost,
+      status: "success",
+    });
+    return message;
+  } catch (error) {
+    await refundQuota(requester.clerkUserId, charge.cost);
+    await recordUsage({
+      user: charge.user,
+      conversationId: room.conversationId,
+      kind: "text",
+      provider: resolved.provider,
+      model: resolved.id,
+      usage: result?.usage,
+      latencyMs: Date.now() - startedAt,
+      credits: 0,
+      status: "error",
+    });
+    throw error;
+  }
+}
+
+export async function deleteRoom(room) {
+  await Message.deleteMany({ conversationId: room.conversationId });
+  await Conversation.deleteOne({ _id: room.conversationId });
+  await Template.updateMany({ roomId: room._id }, { $unset: { roomId: 1 } });
+  await room.deleteOne();
+}
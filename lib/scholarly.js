@@ -0,0 +1,173 @@
+// lib/scholarly.js
+import { HttpError } from "./errors.js";
+
+// Bibliographic sources for the DOI lookup and literature search tools,
+// picked with SCHOLARLY_SOURCE (default "crossref"). "fixture" answers from
+// the small built-in FIXTURE_WORKS so the tools work offline and in tests.
+// Crossref asks polite clients to send a contact address, CROSSREF_MAILTO.
+const SCHOLARLY_SOURCES = {
+  crossref: createCrossrefSource,
+  fixture: createFixtureSource,
+};
+
+const CROSSREF_URL = "https://api.crossref.org";
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_ABSTRACT_CHARS = 1200;
+
+export const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+const FIXTURE_WORKS = [
+  {
+    doi: "10.1038/nature14539",
+    title: "Deep learning",
+    authors: ["Yann LeCun", "Yoshua Bengio", "Geoffrey Hinton"],
+    year: 2015,
+    venue: "Nature",
+    citations: 70000,
+    abstract: "Deep learning allows computational models that are composed of multiple processing layers to learn representations of data with multiple levels of abstraction.",
+  },
+  {
+    doi: "10.1126/science.1225829",
+    title: "A Programmable Dual-RNA-Guided DNA Endonuclease in Adaptive Bacterial Immunity",
+    authors: ["Martin Jinek", "Krzysztof Chylinski", "Ines Fonfara", "Michael Hauer", "Jennifer A. Doudna", "Emmanuelle Charpentier"],
+    year: 2012,
+    venue: "Science",
+    citations: 15000,
+    abstract: "Clustered regularly interspaced short palindromic repeats (CRISPR)/CRISPR-associated (Cas) systems provide bacteria and archaea with adaptive immunity against viruses and plasmids by using CRISPR RNAs to guide the silencing of invading nucleic acids.",
+  },
+  {
+    doi: "10.1038/s41586-021-03819-2",
+    title: "Highly accurate protein structure prediction with AlphaFold",
+    authors: ["John Jumper", "Richard Evans", "Alexander Pritzel", "Demis Hassabis"],
+    year: 2021,
+    venue: "Nature",
+    citations: 25000,
+    abstract: "Proteins are essential to life, and understanding their structure can facilitate a mechanistic understanding of their function. AlphaFold predicts protein structures with atomic accuracy even where no similar structure is known.",
+  },
+  {
+    doi: "10.48550/arXiv.1706.03762",
+    title: "Attention Is All You Need",
+    authors: ["Ashish Vaswani", "Noam Shazeer", "Niki Parmar", "Jakob Uszkoreit", "Llion Jones", "Aidan N. Gomez", "Lukasz Kaiser", "Illia Polosukhin"],
+    year: 2017,
+    venue: "arXiv",
+    citations: 100000,
+    abstract: "We propose a new simple network architecture, the Transformer, based solely on attention mechanisms, dispensing with recurrence and convolutions entirely.",
+  },
+  {
+    doi: "10.1056/NEJMoa2034577",
+    title: "Safety and Efficacy of the BNT162b2 mRNA Covid-19 Vaccine",
+    authors: ["Fernando P. Polack", "Stephen J. Thomas", "Nicholas Kitchin"],
+    year: 2020,
+    venue: "New England Journal of Medicine",
+    citations: 12000,
+    abstract: "A two-dose regimen of BNT162b2 conferred 95% protection against Covid-19 in persons 16 years of age or older.",
+  },
+];
+
+let source = null;
+
+function withDoiUrl(work) {
+  return { ...work, url: `https://doi.org/${work.doi}` };
+}
+
+// Crossref abstracts are JATS XML fragments.
+function plainAbstract(abstract) {
+  if (!abstract) return undefined;
+  const text = abstract.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+  return text.length > MAX_ABSTRACT_CHARS ? `${text.slice(0, MAX_ABSTRACT_CHARS)}...` : text;
+}
+
+function fromCrossref(item) {
+  return withDoiUrl({
+    doi: item.DOI,
+    title: item.title?.[0] || "(untitled)",
+    authors: (item.author || []).map((a) => [a.given, a.family].filter(Boolean).join(" ") || a.name).filter(Boolean),
+    year: item.issued?.["date-parts"]?.[0]?.[0] || undefined,
+    venue: item["container-title"]?.[0] || item.publisher,
+    citations: item["is-referenced-by-count"],
+    abstract: plainAbstract(item.abstract),
+  });
+}
+
+function createCrossrefSource() {
+  const mailto = process.env.CROSSREF_MAILTO;
+
+  async function get(path, params = {}) {
+    const url = new URL(path, CROSSREF_URL);
+    for (const [key, value] of Object.entries({ ...params, mailto })) {
+      if (value !== undefined) url.searchParams.set(key, value);
+    }
+    const response = await fetch(url, {
+      headers: { "User-Agent": `BrainHouse/1.0${mailto ? ` (mailto:${mailto})` : ""}` },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Crossref responded ${response.status}`);
+    }
+    return (await response.json()).message;
+  }
+
+  return {
+    id: "crossref",
+    async lookupDoi(doi) {
+      const item = await get(`/works/${encodeURIComponent(doi)}`);
+      return item && fromCrossref(item);
+    },
+    async searchWorks(query, { limit, fromYear }) {
+      const result = await get("/works", {
+        "query.bibliographic": query,
+        rows: limit,
+        filter: fromYear ? `from-pub-date:${fromYear}` : undefined,
+        select: "DOI,title,author,issued,container-title,publisher,is-referenced-by-count,abstract",
+      });
+      return (result?.items || []).map(fromCrossref);
+    },
+  };
+}
+
+function createFixtureSource() {
+  return {
+    id: "fixture",
+    async lookupDoi(doi) {
+      const work = FIXTURE_WORKS.find((w) => w.doi.toLowerCase() === doi.toLowerCase());
+      return work ? withDoiUrl(work) : null;
+    },
+    async searchWorks(query, { limit, fromYear }) {
+      const terms = query.toLowerCase().split(/\W+/).filter((term) => term.length > 2);
+      return FIXTURE_WORKS
+        .filter((work) => !fromYear || work.year >= fromYear)
+        .map((work) => {
+          const text = `${work.title} ${work.abstract} ${work.authors.join(" ")}`.toLowerCase();
+          return { work, score: terms.filter((term) => text.includes(term)).length };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ work }) => withDoiUrl(work));
+    },
+  };
+}
+
+// Returns { id, lookupDoi(doi), searchWorks(query, { limit, fromYear }) }.
+// lookupDoi resolves with null for an unknown DOI; works share the shape
+// { doi, title, authors, year, venue, citations, abstract, url }.
+export function getScholarlySource() {
+  if (!source) {
+    const sourceId = process.env.SCHOLARLY_SOURCE || "crossref";
+    if (!Object.hasOwn(SCHOLARLY_SOURCES, sourceId)) {
+      throw new Error(`Unknown SCHOLARLY_SOURCE "${sourceId}". Expected one of: ${Object.keys(SCHOLARLY_SOURCES).join(", ")}`);
+    }
+    source = SCHOLARLY_SOURCES[sourceId]();
+  }
+  return source;
+}
+
+// Accepts a bare DOI or a doi.org link.
+export function normalizeDoi(value) {
+  const doi = typeof value === "string" ? value.trim().replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, "") : "";
+  if (!DOI_PATTERN.test(doi)) {
+    throw new HttpError(400, `"${value}" is not a DOI such as 10.1038/nature14539`);
+  }
+  return doi;
+}
@@ -0,0 +1,104 @@
+// lib/shares.js
+import crypto from "crypto";
+import { promisify } from "util";
+import { signImagePath } from "./gallery.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const MAX_SHARE_DAYS = 365;
+
+export function createShareToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+export async function hashSharePassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+export async function verifySharePassword(passwordHash, password) {
+  if (typeof password !== "string" || !password) return false;
+  const [salt, expected] = passwordHash.split(":");
+  const actual = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(Buffer.from(expected, "hex"), actual);
+}
+
+// Wrong share passwords from one client lock that client out of the share
+// for a doubling delay, checked before any scrypt work is done. Kept in
+// memory, so a restart clears it.
+const FREE_PASSWORD_ATTEMPTS = 5;
+const FIRST_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+export const MAX_TRACKED_CLIENTS = 10000;
+
+const passwordFailures = new Map(); // "<token>:<ip>" -> { count, lockedUntil, lastFailureAt }
+
+// Milliseconds the client must wait before its next guess, or 0.
+export function passwordRetryDelay(key, now = Date.now()) {
+  const entry = passwordFailures.get(key);
+  return entry ? Math.max(entry.lockedUntil - now, 0) : 0;
+}
+
+// Map order is last-failure order, so when the map is full the client that
+// failed longest ago is dropped first.
+export function recordPasswordFailure(key, now = Date.now()) {
+  const entry = passwordFailures.get(key) || { count: 0, lockedUntil: 0 };
+  passwordFailures.delete(key);
+  while (passwordFailures.size >= MAX_TRACKED_CLIENTS) {
+    passwordFailures.delete(passwordFailures.keys().next().value);
+  }
+
+  entry.count += 1;
+  entry.lastFailureAt = now;
+  if (entry.count >= FREE_PASSWORD_ATTEMPTS) {
+    const lockout = FIRST_LOCKOUT_MS * 2 ** (entry.count - FREE_PASSWORD_ATTEMPTS);
+    entry.lockedUntil = now + Math.min(lockout, MAX_LOCKOUT_MS);
+  }
+  passwordFailures.set(key, entry);
+}
+
+export function clearPasswordFailures(key) {
+  passwordFailures.delete(key);
+}
+
+export function isShareActive(share, now = new Date()) {
+  return Boolean(share) && (!share.expiresAt || share.expiresAt > now);
+}
+
+// What the owner sees; `path` is relative to the web app's origin.
+export function describeShare(share) {
+  const { _id, conversationId, token, title, snapshotAt, expiresAt, createdAt } = share;
+  return { _id, conversationId, token, title, snapshotAt, expiresAt, createdAt, hasPassword: Boolean(share.passwordHash), path: `/share/${token}` };
+}
+
+// What a share keeps of a message when it is published, so later edits and
+// deletions don't change the shared copy.
+export function snapshotMessage(message) {
+  return {
+    _id: message._id,
+    message: message.message,
+    isFromUser: message.isFromUser,
+    attachments: message.attachments?.map(({ name, type, size }) => ({ name, type, size })),
+    image: message.image,
+    imageId: message.imageId,
+    imageSettings: message.imageSettings,
+    model: message.model,
+    timestamp: message.timestamp,
+  };
+}
+
+// The parts of a message a shared view may show: no user ids or stored file keys.
+export function sharedMessage(message) {
+  return {
+    _id: message._id,
+    message: message.message,
+    isFromUser: message.isFromUser,
+    attachments: message.attachments?.map(({ name, type, size }) => ({ name, type, size })),
+    image: message.image,
+    imageUrl: message.imageId ? signImagePath(message.imageId) : undefined,
+    imageSettings: message.imageSettings,
+    model: message.model,
+    timestamp: message.timestamp,
+  };
+}
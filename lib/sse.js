@@ -0,0 +1,45 @@
+// lib/sse.js
+
+export function openEventStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+}
+
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Relays a streamText() result as "delta" events followed by a single "done" or "error".
+// Resolves with { content, completed }: the text that was sent, and whether the
+// answer reached the client whole. It is not when the model failed part way or
+// the client disconnected, in which case no "done" is sent.
+export async function pipeTextStream(res, result) {
+  const { model, provider, chunks } = result;
+  openEventStream(res);
+  let content = "";
+  let completed = false;
+
+  try {
+    for await (const delta of chunks) {
+      if (res.destroyed) break;
+      content += delta;
+      sendEvent(res, "delta", { delta });
+    }
+    if (!res.destroyed) {
+      sendEvent(res, "done", { model, provider, usage: result.usage });
+      completed = true;
+    }
+  } catch (error) {
+    console.error("Error streaming text model API:", error);
+    const errorMessage = error.response?.data?.error?.message || error.message || "Something went wrong with the text model API";
+    if (!res.destroyed) sendEvent(res, "error", { error: errorMessage });
+  } finally {
+    res.end();
+  }
+
+  return { content, completed };
+}
@@ -0,0 +1,87 @@
+// lib/storage.js
+import fs from "fs/promises";
+import path from "path";
+import mongoose from "mongoose";
+
+// Binary storage for generated images. IMAGE_STORAGE picks the backend:
+// "gridfs" (default, works on serverless hosts) or "filesystem", which writes
+// under IMAGE_STORAGE_DIR. Both store and return whole Buffers; images are a
+// few megabytes at most.
+
+function createGridFSStorage() {
+  const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: "images" });
+
+  return {
+    name: "gridfs",
+
+    async save(key, buffer, contentType) {
+      await new Promise((resolve, reject) => {
+        bucket()
+          .openUploadStream(key, { metadata: { contentType } })
+          .on("error", reject)
+          .on("finish", resolve)
+          .end(buffer);
+      });
+    },
+
+    async read(key) {
+      const chunks = [];
+      for await (const chunk of bucket().openDownloadStreamByName(key)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+
+    async remove(key) {
+      const files = await bucket().find({ filename: key }).toArray();
+      await Promise.all(files.map((file) => bucket().delete(file._id)));
+    },
+  };
+}
+
+function createFilesystemStorage() {
+  const root = path.resolve(process.env.IMAGE_STORAGE_DIR || "storage/images");
+  // Keys are generated server-side, but never let one escape the root.
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: "filesystem",
+
+    async save(key, buffer) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+
+    async read(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+const BACKENDS = {
+  gridfs: createGridFSStorage,
+  filesystem: createFilesystemStorage,
+};
+
+const instances = new Map();
+
+// Returns the backend by name, defaulting to IMAGE_STORAGE. Images remember
+// which backend holds them, so switching IMAGE_STORAGE keeps old ones readable.
+export function getStorage(name = process.env.IMAGE_STORAGE || "gridfs") {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown IMAGE_STORAGE "${name}". Expected one of: ${Object.keys(BACKENDS).join(", ")}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, BACKENDS[name]());
+  }
+  return instances.get(name);
+}
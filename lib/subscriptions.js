@@ -0,0 +1,82 @@
+// lib/subscriptions.js
+import User from "../models/user.js";
+import { PLAN_QUOTAS } from "./plans.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a lapsed Pro user keeps access while they renew. Read per call because
+// server.js loads .env after its imports have been evaluated.
+export function gracePeriodDays() {
+  return Number(process.env.SUBSCRIPTION_GRACE_DAYS || 3);
+}
+
+function graceEndsAt(periodEnd) {
+  return new Date(periodEnd.getTime() + gracePeriodDays() * DAY_MS);
+}
+
+// "active", "grace", "expired", or "none" for users who never had a period.
+// Pro users from before billing periods existed have no end date and stay active.
+export function subscriptionState(user, now = new Date()) {
+  const periodEnd = user.subscription?.currentPeriodEnd;
+  if (user.subscriptionStatus !== "pro") return periodEnd ? "expired" : "none";
+  if (!periodEnd || periodEnd > now) return "active";
+  return graceEndsAt(periodEnd) > now ? "grace" : "expired";
+}
+
+// Starts a new billing period, or stacks it onto the current one when the
+// user renews early so no paid days are lost.
+export function applyPlanPeriod(user, plan, now = new Date()) {
+  const currentEnd = user.subscription?.currentPeriodEnd;
+  const renewingEarly = user.subscriptionStatus === "pro" && currentEnd && currentEnd > now;
+  const periodStart = renewingEarly ? currentEnd : now;
+
+  user.subscription = {
+    planId: plan.id,
+    currentPeriodStart: renewingEarly ? user.subscription.currentPeriodStart : periodStart,
+    currentPeriodEnd: new Date(periodStart.getTime() + plan.periodDays * DAY_MS),
+  };
+  user.subscriptionStatus = "pro";
+  if (!renewingEarly) user.chatAttempts = 0;
+}
+
+// Where a refund leaves the user: the refunded plan's days come off the end
+// of the current period, and Pro ends only if no paid time is left.
+export function periodAfterRefund(user, plan, now = new Date()) {
+  const currentEnd = user.subscription?.currentPeriodEnd || now;
+  const currentPeriodEnd = new Date(currentEnd.getTime() - plan.periodDays * DAY_MS);
+  return {
+    currentPeriodEnd,
+    subscriptionStatus: currentPeriodEnd > now ? user.subscriptionStatus : "free",
+  };
+}
+
+// Downgrades Pro users whose period and grace period are both over. Pass a
+// filter such as { clerkUserId } to check a single user on request.
+export async function expireLapsedSubscriptions(filter = {}) {
+  const cutoff = new Date(Date.now() - gracePeriodDays() * DAY_MS);
+  const result = await User.updateMany(
+    { ...filter, subscriptionStatus: "pro", "subscription.currentPeriodEnd": { $lt: cutoff } },
+    { $set: { subscriptionStatus: "free", chatAttempts: 0 } }
+  );
+  return result.modifiedCount;
+}
+
+export function describeSubscription(user, now = new Date()) {
+  const state = subscriptionState(user, now);
+  const periodEnd = user.subscription?.currentPeriodEnd || null;
+  const limit = PLAN_QUOTAS[user.subscriptionStatus];
+
+  return {
+    plan: user.subscriptionStatus,
+    planId: user.subscription?.planId || null,
+    state,
+    currentPeriodStart: user.subscription?.currentPeriodStart || null,
+    currentPeriodEnd: periodEnd,
+    graceEndsAt: periodEnd && state !== "none" ? graceEndsAt(periodEnd) : null,
+    quota: {
+      used: user.chatAttempts,
+      limit: limit === Infinity ? null : limit,
+      remaining: limit === Infinity ? null : Math.max(limit - user.chatAttempts, 0),
+    },
+  };
+}
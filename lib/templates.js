@@ -0,0 +1,171 @@
+// lib/templates.js
+import mongoose from "mongoose";
+import Room from "../models/rooms.js";
+import Template from "../models/templates.js";
+import User from "../models/user.js";
+import { HttpError } from "./errors.js";
+import { resolveImageOptions } from "./images.js";
+import { resolveModel } from "./providers.js";
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_BODY_LENGTH = 10000;
+
+const VARIABLE_PATTERN = /\{([a-zA-Z][\w-]{0,39})\}/g;
+
+// Shipped with the app and read-only. `model` is a text model id for text
+// templates and an image model id for image ones.
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "summarize-paper",
+    name: "Summarize a paper",
+    description: "Structured summary of an attached or pasted paper.",
+    body: "Summarize the paper {paper} for a reader in {field}. Cover the research question, methods, key findings with numbers where reported, limitations, and why it matters. Finish with three open questions it raises.",
+    mode: "text",
+  },
+  {
+    id: "brainstorm-topics",
+    name: "Brainstorm research topics",
+    description: "Fresh, feasible research directions in a field.",
+    body: "Brainstorm ten research topics in {field} related to {interest}. For each, give a one-line question, why it is underexplored, and a first experiment or analysis that could be done with {resources}.",
+    mode: "text",
+  },
+  {
+    id: "design-experiment",
+    name: "Design an experiment",
+    description: "Hypothesis, variables, controls and analysis plan.",
+    body: "Help me design an experiment to test: {hypothesis}. Specify the independent and dependent variables, controls, sample size reasoning, procedure, the statistical analysis, and the main threats to validity. Constraints: {constraints}.",
+    mode: "text",
+  },
+  {
+    id: "literature-review",
+    name: "Outline a literature review",
+    description: "Themes, landmark work and gaps for a topic.",
+    body: "Outline a literature review on {topic} in {field}. Group the work into themes, name landmark papers you are confident exist (mark anything uncertain), describe how thinking has changed over time, and list the open gaps.",
+    mode: "text",
+  },
+  {
+    id: "critique-methods",
+    name: "Critique a methodology",
+    description: "Reviewer-style critique of a study design.",
+    body: "Act as a critical peer reviewer. Assess the methodology below for bias, confounders, statistical power and reproducibility, and suggest concrete improvements.\n\n{methods}",
+    mode: "text",
+  },
+  {
+    id: "explain-concept",
+    name: "Explain a concept",
+    description: "Plain-language explanation at a chosen level.",
+    body: "Explain {concept} to {audience}. Start with an intuition, then the formal idea, then a worked example, and end with common misconceptions.",
+    mode: "text",
+  },
+  {
+    id: "scientific-figure",
+    name: "Scientific illustration",
+    description: "Clean diagram-style image for slides or posters.",
+    body: "Clean scientific illustration of {subject}, {style} style, white background, clearly separated labelled parts, high detail, no text artifacts",
+    mode: "image",
+  },
+];
+
+export function templateVariables(body) {
+  return [...new Set([...body.matchAll(VARIABLE_PATTERN)].map((match) => match[1]))];
+}
+
+export function describeBuiltInTemplate(template) {
+  return { ...template, _id: `builtin:${template.id}`, source: "builtin", variables: templateVariables(template.body), editable: false };
+}
+
+// `source` tells the picker where a template comes from: the user's own
+// ("mine") or shared with a room they belong to ("room").
+export function describeTemplate(template, user, roomNames = new Map()) {
+  const mine = String(template.userId) === String(user._id);
+  return {
+    _id: template._id,
+    name: template.name,
+    description: template.description,
+    body: template.body,
+    mode: template.mode,
+    model: template.model,
+    roomId: template.roomId,
+    roomName: template.roomId ? roomNames.get(String(template.roomId)) : undefined,
+    source: mine ? "mine" : "room",
+    variables: templateVariables(template.body),
+    editable: mine,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+  };
+}
+
+export async function findOwnedTemplate(templateId, clerkUserId) {
+  if (!clerkUserId || !mongoose.isValidObjectId(templateId)) return null;
+
+  const user = await User.findOne({ clerkUserId });
+  if (!user) return null;
+
+  return Template.findOne({ _id: templateId, userId: user._id });
+}
+
+// Checks { name, description, body, mode, model, roomId } from a request and
+// returns the fields to store. With `partial`, missing fields are left alone
+// and `currentMode` is the stored mode the model is checked against.
+export async function validateTemplate(fields, clerkUserId, { partial = false, currentMode = "text" } = {}) {
+  const { name, description, body, mode, model, roomId } = fields;
+  const result = {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      throw new HttpError(400, `Template name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    result.name = name.trim();
+  }
+  if (description !== undefined) {
+    if (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new HttpError(400, `Description is limited to ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    result.description = description.trim();
+  }
+  if (!partial || body !== undefined) {
+    if (typeof body !== "string" || !body.trim() || body.length > MAX_BODY_LENGTH) {
+      throw new HttpError(400, `Template text must be 1-${MAX_BODY_LENGTH} characters`);
+    }
+    result.body = body.trim();
+  }
+  if (mode !== undefined) {
+    if (mode !== "text" && mode !== "image") {
+      throw new HttpError(400, 'mode must be "text" or "image"');
+    }
+    result.mode = mode;
+    // A model picked for the other mode no longer applies.
+    if (partial && mode !== currentMode && model === undefined) result.model = undefined;
+  }
+  if (model !== undefined) {
+    if (model) {
+      if ((mode ?? currentMode) === "image") resolveImageOptions({ model });
+      else resolveModel(model);
+    }
+    result.model = model || undefined;
+  }
+  if (roomId !== undefined) {
+    const member = roomId && mongoose.isValidObjectId(roomId)
+      && (await Room.exists({ _id: roomId, "members.clerkUserId": clerkUserId }));
+    if (roomId && !member) {
+      throw new HttpError(404, "Room not found");
+    }
+    result.roomId = roomId || undefined;
+  }
+  return result;
+}
+
+// Built-ins, then the user's own templates, then ones shared with their rooms.
+export async function listTemplatesFor(user) {
+  const rooms = await Room.find({ "members.clerkUserId": user.clerkUserId }).select({ name: 1 });
+  const roomNames = new Map(rooms.map((room) => [String(room._id), room.name]));
+  const templates = await Template.find({
+    $or: [{ userId: user._id }, { roomId: { $in: rooms.map((room) => room._id) } }],
+  }).sort({ name: 1 });
+
+  return [
+    ...BUILT_IN_TEMPLATES.map(describeBuiltInTemplate),
+    ...templates.map((template) => describeTemplate(template, user, roomNames)),
+  ];
+}
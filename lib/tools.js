@@ -0,0 +1,154 @@
+// lib/tools.js
+import { evaluateExpression } from "./calculator.js";
+import { HttpError } from "./errors.js";
+import { getScholarlySource, normalizeDoi } from "./scholarly.js";
+import { convertUnits } from "./units.js";
+
+// How many rounds of tool calls a single answer may make before the model is
+// told to answer with what it has.
+export const MAX_TOOL_TURNS = 5;
+const MAX_SEARCH_RESULTS = 10;
+const MAX_OUTPUT_CHARS = 8000;
+
+// Tools the text models may call. `parameters` is the JSON Schema subset both
+// Gemini and OpenAI accept (type, description, properties, required, enum);
+// run() receives validated arguments and returns JSON-serialisable output.
+const TOOLS = {
+  calculator: {
+    description: "Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, factorial (!), pi, e, sqrt, cbrt, abs, exp, ln, log (base 10), log2, trigonometric functions in radians, round, floor and ceil.",
+    parameters: {
+      type: "object",
+      properties: {
+        expression: { type: "string", description: "The expression, e.g. \"(3.2e4 * 1.5) / sqrt(2)\"" },
+      },
+      required: ["expression"],
+    },
+    run: ({ expression }) => ({ expression, result: evaluateExpression(expression) }),
+  },
+  convert_units: {
+    description: "Convert a value between units of length, mass, time, volume, temperature, pressure, energy, molar concentration or data size, e.g. mi to km, C to F, mM to uM.",
+    parameters: {
+      type: "object",
+      properties: {
+        value: { type: "number", description: "The amount to convert" },
+        from: { type: "string", description: "Unit of the value, e.g. \"ft\", \"psi\", \"kcal\"" },
+        to: { type: "string", description: "Unit to convert into" },
+      },
+      required: ["value", "from", "to"],
+    },
+    run: ({ value, from, to }) => convertUnits(value, from, to),
+  },
+  lookup_doi: {
+    description: "Fetch bibliographic metadata (title, authors, year, venue, citation count, abstract) for a DOI.",
+    parameters: {
+      type: "object",
+      properties: {
+        doi: { type: "string", description: "A DOI such as 10.1038/nature14539, or a doi.org link" },
+      },
+      required: ["doi"],
+    },
+    run: async ({ doi }) => {
+      const work = await getScholarlySource().lookupDoi(normalizeDoi(doi));
+      if (!work) throw new HttpError(404, `No work found for DOI ${doi}`);
+      return work;
+    },
+  },
+  search_literature: {
+    description: "Search published scholarly literature and return matching works with their DOIs. Use it to find real papers to cite instead of recalling them from memory.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Keywords, a title or an author and topic" },
+        limit: { type: "integer", description: `How many works to return, 1-${MAX_SEARCH_RESULTS} (default 5)` },
+        from_year: { type: "integer", description: "Only works published in or after this year" },
+      },
+      required: ["query"],
+    },
+    run: async ({ query, limit = 5, from_year: fromYear }) => {
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+        throw new HttpError(400, `limit must be between 1 and ${MAX_SEARCH_RESULTS}`);
+      }
+      const works = await getScholarlySource().searchWorks(query, { limit, fromYear });
+      return { query, count: works.length, works };
+    },
+  },
+};
+
+export const TOOL_NAMES = Object.keys(TOOLS);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+};
+
+// Models sometimes send numbers as strings, so those are coerced before the
+// type check. Throws a 400 naming the first bad argument.
+export function validateToolArguments(schema, args) {
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    throw new HttpError(400, "Arguments must be a JSON object");
+  }
+
+  const result = {};
+  for (const name of schema.required || []) {
+    if (args[name] === undefined || args[name] === null) {
+      throw new HttpError(400, `Missing required argument "${name}"`);
+    }
+  }
+  for (const [name, value] of Object.entries(args)) {
+    if (!Object.hasOwn(schema.properties, name)) {
+      throw new HttpError(400, `Unknown argument "${name}"`);
+    }
+    const property = schema.properties[name];
+    if (value === null || value === undefined) continue;
+
+    const coerced = (property.type === "number" || property.type === "integer") && typeof value === "string" && value.trim()
+      ? Number(value)
+      : value;
+    if (!TYPE_CHECKS[property.type](coerced)) {
+      throw new HttpError(400, `Argument "${name}" must be ${property.type === "integer" ? "an" : "a"} ${property.type}`);
+    }
+    if (property.enum && !property.enum.includes(coerced)) {
+      throw new HttpError(400, `Argument "${name}" must be one of: ${property.enum.join(", ")}`);
+    }
+    result[name] = coerced;
+  }
+  return result;
+}
+
+// Long outputs are cut so one search cannot flood the model's context.
+function truncateOutput(output) {
+  const json = JSON.stringify(output);
+  if (json === undefined || json.length <= MAX_OUTPUT_CHARS) return output;
+  return { truncated: true, preview: json.slice(0, MAX_OUTPUT_CHARS) };
+}
+
+// Runs one call from a model. Never throws: failures come back as `error`,
+// which is passed to the model so it can correct itself.
+export async function runTool(name, args) {
+  const startedAt = Date.now();
+  const record = { name, arguments: args };
+
+  try {
+    if (!Object.hasOwn(TOOLS, name)) {
+      throw new HttpError(400, `Unknown tool "${name}". Available tools: ${TOOL_NAMES.join(", ")}`);
+    }
+    const tool = TOOLS[name];
+    record.output = truncateOutput(await tool.run(validateToolArguments(tool.parameters, args)));
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error(`Error running tool ${name}:`, error);
+    record.error = error instanceof HttpError ? error.message : "The tool failed to run";
+  }
+  record.durationMs = Date.now() - startedAt;
+  return record;
+}
+
+// The `tools` option for generateText() and streamText() in lib/providers.js.
+export function createToolbox(names = TOOL_NAMES) {
+  return {
+    definitions: names.map((name) => ({ name, description: TOOLS[name].description, parameters: TOOLS[name].parameters })),
+    execute: runTool,
+    maxTurns: MAX_TOOL_TURNS,
+  };
+}
@@ -0,0 +1,104 @@
+// lib/transcription.js
+import OpenAI, { toFile } from "openai";
+import { HttpError } from "./errors.js";
+
+// Speech-to-text backends for dictation, picked with TRANSCRIPTION_PROVIDER
+// (default "openai") and optionally TRANSCRIPTION_MODEL. "local" talks to any
+// OpenAI-compatible Whisper server, such as faster-whisper-server, at
+// TRANSCRIPTION_BASE_URL.
+const TRANSCRIPTION_PROVIDERS = {
+  openai: { apiKeyEnv: "OPENAI_API_KEY", model: "whisper-1", createTranscriber: createOpenAITranscriber },
+  groq: {
+    apiKeyEnv: "GROQ_API_KEY",
+    baseURL: "https://api.groq.com/openai/v1/",
+    model: "whisper-large-v3-turbo",
+    createTranscriber: createOpenAITranscriber,
+  },
+  local: {
+    baseURLEnv: "TRANSCRIPTION_BASE_URL",
+    baseURL: "http://localhost:8000/v1/",
+    model: "Systran/faster-whisper-small",
+    createTranscriber: createOpenAITranscriber,
+  },
+};
+
+// Browsers record webm/opus (Chrome, Firefox) or mp4/aac (Safari).
+const AUDIO_EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mp4": "mp4",
+  "audio/mpeg": "mp3",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+};
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+
+let transcriber = null;
+
+function createOpenAITranscriber({ apiKey, baseURL, model }) {
+  // Local servers usually ignore the key, but the client insists on one.
+  const client = new OpenAI({ apiKey: apiKey || "local", baseURL });
+
+  return async ({ buffer, mimeType, language }) => {
+    const response = await client.audio.transcriptions.create({
+      model,
+      file: await toFile(buffer, `recording.${AUDIO_EXTENSIONS[mimeType]}`, { type: mimeType }),
+      response_format: "verbose_json",
+      language,
+    });
+    return { text: response.text.trim(), language: response.language, duration: response.duration };
+  };
+}
+
+// Returns { id, provider, model, transcribe({ buffer, mimeType, language }) }
+// for the configured backend. `id` ("<provider>:<model>") is saved with each
+// transcript.
+export function getTranscriber() {
+  if (!transcriber) {
+    const providerId = process.env.TRANSCRIPTION_PROVIDER || "openai";
+    const provider = TRANSCRIPTION_PROVIDERS[providerId];
+    if (!provider) {
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${providerId}". Expected one of: ${Object.keys(TRANSCRIPTION_PROVIDERS).join(", ")}`);
+    }
+
+    const model = process.env.TRANSCRIPTION_MODEL || provider.model;
+    transcriber = {
+      id: `${providerId}:${model}`,
+      provider: providerId,
+      model,
+      transcribe: provider.createTranscriber({
+        apiKey: provider.apiKeyEnv && process.env[provider.apiKeyEnv],
+        baseURL: (provider.baseURLEnv && process.env[provider.baseURLEnv]) || provider.baseURL,
+        model,
+      }),
+    };
+  }
+  return transcriber;
+}
+
+// Splits a recorded clip sent as a data URL into its bytes and MIME type.
+// Codec parameters such as ";codecs=opus" are accepted and dropped.
+export function parseAudioDataUrl(dataUrl) {
+  const match = typeof dataUrl === "string" && dataUrl.match(/^data:(audio\/[\w.+-]+)(?:;[\w=.+-]+)*;base64,(.+)$/s);
+  if (!match || !AUDIO_EXTENSIONS[match[1]]) {
+    throw new HttpError(400, `audio must be a data URL of type ${Object.keys(AUDIO_EXTENSIONS).join(", ")}`);
+  }
+  const buffer = Buffer.from(match[2], "base64");
+  if (buffer.length > MAX_AUDIO_BYTES) {
+    throw new HttpError(413, `Recordings are limited to ${MAX_AUDIO_BYTES / (1024 * 1024)} MB`);
+  }
+  return { buffer, mimeType: match[1] };
+}
+
+export function parseTranscriptionRequest({ audio, language }) {
+  if (language !== undefined && (typeof language !== "string" || !/^[a-z]{2}$/.test(language))) {
+    throw new HttpError(400, "language must be a two-letter ISO 639-1 code");
+  }
+  return { ...parseAudioDataUrl(audio), language };
+}
+
+// Transcribes a clip from parseTranscriptionRequest().
+export async function transcribeAudio(clip, engine = getTranscriber()) {
+  const result = await engine.transcribe(clip);
+  return { ...result, engine: engine.id };
+}
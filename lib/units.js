@@ -0,0 +1,92 @@
+// lib/units.js
+import { HttpError } from "./errors.js";
+
+// Factors to each quantity's base unit (metre, kilogram, second, litre,
+// pascal, joule, mole per litre, byte). Temperatures need offsets and are
+// handled separately.
+const UNITS = {
+  length: {
+    m: 1, km: 1e3, cm: 1e-2, mm: 1e-3, um: 1e-6, nm: 1e-9, pm: 1e-12, angstrom: 1e-10,
+    in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, nmi: 1852, au: 1.495978707e11, ly: 9.4607304725808e15, pc: 3.08567758149137e16,
+  },
+  mass: {
+    kg: 1, g: 1e-3, mg: 1e-6, ug: 1e-9, ng: 1e-12, t: 1e3, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318, da: 1.66053906660e-27,
+  },
+  time: {
+    s: 1, ms: 1e-3, us: 1e-6, ns: 1e-9, min: 60, h: 3600, d: 86400, wk: 604800, yr: 31557600,
+  },
+  volume: {
+    l: 1, ml: 1e-3, ul: 1e-6, m3: 1e3, cm3: 1e-3, gal: 3.785411784, qt: 0.946352946, pt: 0.473176473, floz: 0.0295735295625, cup: 0.2365882365,
+  },
+  pressure: {
+    pa: 1, kpa: 1e3, mpa: 1e6, bar: 1e5, mbar: 100, atm: 101325, psi: 6894.757293168, mmhg: 133.322387415, torr: 101325 / 760,
+  },
+  energy: {
+    j: 1, kj: 1e3, mj: 1e6, cal: 4.184, kcal: 4184, ev: 1.602176634e-19, wh: 3600, kwh: 3.6e6, btu: 1055.05585262,
+  },
+  concentration: {
+    M: 1, mM: 1e-3, uM: 1e-6, nM: 1e-9, pM: 1e-12,
+  },
+  data: {
+    B: 1, kB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4, bit: 1 / 8,
+  },
+};
+
+const TEMPERATURES = {
+  c: { toKelvin: (v) => v + 273.15, fromKelvin: (v) => v - 273.15 },
+  f: { toKelvin: (v) => ((v - 32) * 5) / 9 + 273.15, fromKelvin: (v) => ((v - 273.15) * 9) / 5 + 32 },
+  k: { toKelvin: (v) => v, fromKelvin: (v) => v },
+};
+
+const ALIASES = {
+  "µm": "um", micron: "um", "å": "angstrom", meter: "m", metre: "m", inch: "in", foot: "ft", feet: "ft", mile: "mi",
+  "µg": "ug", mcg: "ug", gram: "g", tonne: "t", pound: "lb", lbs: "lb", ounce: "oz", dalton: "da",
+  sec: "s", second: "s", "µs": "us", hr: "h", hour: "h", day: "d", week: "wk", year: "yr",
+  "µl": "ul", liter: "l", litre: "l", "m^3": "m3", "cm^3": "cm3", cc: "cm3", gallon: "gal",
+  "µM": "uM", "mol/l": "M", "mmol/l": "mM", "µmol/l": "uM", "umol/l": "uM",
+  "°c": "c", celsius: "c", "°f": "f", fahrenheit: "f", kelvin: "k",
+};
+
+// Data units are written every which way ("kb", "KB", "kB"), so they also
+// match ignoring case.
+const FOLDED_DATA_UNITS = new Map(Object.keys(UNITS.data).map((unit) => [unit.toLowerCase(), unit]));
+
+// Exact case first so "M" (molar) and "m" (metre) stay distinct, then
+// case-insensitive for the rest.
+function findUnit(name) {
+  const raw = typeof name === "string" ? name.trim() : "";
+  const alias = [raw, raw.toLowerCase()].find((candidate) => Object.hasOwn(ALIASES, candidate));
+  const key = alias ? ALIASES[alias] : raw;
+  if (Object.hasOwn(TEMPERATURES, key.toLowerCase())) {
+    return { quantity: "temperature", unit: key.toLowerCase() };
+  }
+  for (const candidate of [key, key.toLowerCase()]) {
+    for (const [quantity, units] of Object.entries(UNITS)) {
+      if (Object.hasOwn(units, candidate)) return { quantity, unit: candidate, factor: units[candidate] };
+    }
+  }
+  const dataUnit = FOLDED_DATA_UNITS.get(key.toLowerCase());
+  if (dataUnit) return { quantity: "data", unit: dataUnit, factor: UNITS.data[dataUnit] };
+  throw new HttpError(400, `Unknown unit "${name}"`);
+}
+
+export function convertUnits(value, from, to) {
+  if (!Number.isFinite(value)) {
+    throw new HttpError(400, "value must be a finite number");
+  }
+  const source = findUnit(from);
+  const target = findUnit(to);
+  if (source.quantity !== target.quantity) {
+    throw new HttpError(400, `Cannot convert ${source.quantity} (${from}) to ${target.quantity} (${to})`);
+  }
+
+  const result = source.quantity === "temperature"
+    ? TEMPERATURES[target.unit].fromKelvin(TEMPERATURES[source.unit].toKelvin(value))
+    : (value * source.factor) / target.factor;
+  // Trims floating-point noise such as 1000.0000000000001.
+  return { value: Number(result.toPrecision(12)), from: source.unit, to: target.unit, quantity: source.quantity };
+}
+
+export function listUnits() {
+  return { ...Object.fromEntries(Object.entries(UNITS).map(([quantity, units]) => [quantity, Object.keys(units)])), temperature: ["c", "f", "k"] };
+}
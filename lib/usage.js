@@ -0,0 +1,118 @@
+// lib/usage.js
+import mongoose from "mongoose";
+import Usage from "../models/usage.js";
+
+// Estimated list prices in USD: per million tokens for text models, per
+// image for image models, per minute of audio for transcription models. Keep in step with the providers' price pages.
+// "<provider>:<model>" keys override a model's price on one provider.
+const PRICES = {
+  gemini: { input: 0.075, output: 0.3 },
+  chatgpt: { input: 0.15, output: 0.6 },
+  mistral: { input: 0.04, output: 0.12 },
+  claude: { input: 3, output: 15 },
+  llama4: { input: 0.08, output: 0.3 },
+  "stability-ai/sdxl": { image: 0.003 },
+  "black-forest-labs/flux-schnell": { image: 0.0013 },
+  "black-forest-labs/flux-dev": { image: 0.007 },
+  "replicate:stability-ai/sdxl": { image: 0.0048 },
+  "whisper-1": { audioMinute: 0.006 },
+  "whisper-large-v3-turbo": { audioMinute: 0.0007 },
+  "text-embedding-3-small": { input: 0.02 },
+};
+
+export function estimateCost(provider, model, { inputTokens = 0, outputTokens = 0, imageCount = 0, audioSeconds = 0 }) {
+  const price = PRICES[`${provider}:${model}`] || PRICES[model];
+  if (!price) return 0;
+  return (
+    (inputTokens * (price.input || 0)) / 1e6 +
+    (outputTokens * (price.output || 0)) / 1e6 +
+    imageCount * (price.image || 0) +
+    (audioSeconds * (price.audioMinute || 0)) / 60
+  );
+}
+
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, both inclusive; defaults to the last 30 days.
+// Returns null for an invalid range.
+export function parseDateRange(query) {
+  const to = query.to ? new Date(new Date(query.to).getTime() + DAY_MS) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return null;
+  }
+  return { from, to };
+}
+
+// Metering must never fail the request it describes, so errors are logged.
+export async function recordUsage({ user, conversationId, kind, provider, model, usage = {}, imageCount = 0, audioSeconds = 0, latencyMs, credits, status }) {
+  try {
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+
+    await Usage.create({
+      userId: user._id,
+      clerkUserId: user.clerkUserId,
+      conversationId: mongoose.isValidObjectId(conversationId) ? conversationId : undefined,
+      kind,
+      provider,
+      model,
+      inputTokens,
+      outputTokens,
+      imageCount,
+      audioSeconds,
+      latencyMs,
+      estimatedCost: estimateCost(provider, model, { inputTokens, outputTokens, imageCount, audioSeconds }),
+      credits,
+      status,
+    });
+  } catch (error) {
+    console.error("Error recording usage:", error);
+  }
+}
+
+// Per-day, per-model totals between two dates, optionally for one user.
+export async function summarizeUsage({ userId, from, to }) {
+  const match = { createdAt: { $gte: from, $lt: to } };
+  if (userId) match.userId = userId;
+
+  const rows = await Usage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          provider: "$provider",
+          model: "$model",
+        },
+        requests: { $sum: 1 },
+        errors: { $sum: { $cond: [{ $eq: ["$status", "error"] }, 1, 0] } },
+        inputTokens: { $sum: "$inputTokens" },
+        outputTokens: { $sum: "$outputTokens" },
+        imageCount: { $sum: "$imageCount" },
+        audioSeconds: { $sum: "$audioSeconds" },
+        credits: { $sum: "$credits" },
+        estimatedCost: { $sum: "$estimatedCost" },
+        avgLatencyMs: { $avg: "$latencyMs" },
+      },
+    },
+    { $sort: { "_id.day": 1, "_id.model": 1 } },
+  ]);
+
+  const days = rows.map(({ _id, ...totals }) => ({ ..._id, ...totals }));
+  const totals = days.reduce(
+    (sum, row) => ({
+      requests: sum.requests + row.requests,
+      inputTokens: sum.inputTokens + row.inputTokens,
+      outputTokens: sum.outputTokens + row.outputTokens,
+      imageCount: sum.imageCount + row.imageCount,
+      audioSeconds: sum.audioSeconds + row.audioSeconds,
+      credits: sum.credits + row.credits,
+      estimatedCost: sum.estimatedCost + row.estimatedCost,
+    }),
+    { requests: 0, inputTokens: 0, outputTokens: 0, imageCount: 0, audioSeconds: 0, credits: 0, estimatedCost: 0 }
+  );
+
+  return { from, to, days, totals };
+}
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const sectionSchema = new mongoose.Schema({
+  heading: { type: String, required: true },
+  notes: { type: String, default: "" }, // What the section should cover, editable before drafting
+  content: { type: String }, // Drafted Markdown; unset until the section is written
+}, { _id: false });
+
+// A guided article: outline, then each section, then a revision pass and a
+// references list. Every stage is stored so the pipeline can pause and resume.
+const articleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  topic: { type: String, required: true },
+  audience: { type: String, required: true },
+  length: { type: String, enum: ["short", "medium", "long"], default: "medium" },
+  model: { type: String, default: "gemini" },
+  outline: { type: [sectionSchema], default: undefined }, // Unset until generated
+  revised: { type: String }, // Full article after the consistency pass
+  references: { type: [String], default: undefined }, // Unset until generated; [] when none
+  draftId: { type: mongoose.Schema.Types.ObjectId, ref: "Draft" }, // Canvas draft the article was opened in
+  lastError: { type: String },
+  busyUntil: { type: Date }, // Held while a step runs so two requests cannot run the same one
+}, {
+  timestamps: true
+});
+
+export default mongoose.model("Article", articleSchema);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+const pageSchema = new mongoose.Schema({
+  page: { type: Number }, // null for formats without pages (DOCX, TXT, Markdown)
+  text: { type: String, default: "" },
+}, { _id: false });
+
+// Text extracted from a document attached in the Chatroom. Messages refer to
+// it by id, so the text is read from here for every later /api/text request.
+const chatDocumentSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: { type: String, required: true },
+  type: { type: String },
+  size: { type: Number },
+  paginated: { type: Boolean, default: false },
+  pageCount: { type: Number, default: 0 },
+  pages: [pageSchema],
+  truncated: { type: Boolean, default: false }, // Text beyond MAX_EXTRACTED_CHARS was dropped
+}, {
+  timestamps: true
+});
+
+export default mongoose.model("ChatDocument", chatDocumentSchema);
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+const conversationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  title: { type: String, default: "New conversation", trim: true, maxlength: 120 },
+  model: { type: String, default: "gemini" }, // Model id from lib/providers.js
+  mode: { type: String, default: "text", enum: ["text", "image"] },
+  lastActivityAt: { type: Date, default: Date.now },
+  personaId: { type: mongoose.Schema.Types.ObjectId }, // One of the owner's User.personas; unset uses the default research assistant
+  roomId: { type: mongoose.Schema.Types.ObjectId, ref: "Room" }, // Set on a collaborative room's conversation, which only the room's routes touch
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ userId: 1, lastActivityAt: -1 });
+
+export default mongoose.model("Conversation", conversationSchema);
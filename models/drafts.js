@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// An AI edit waiting for the author to accept or reject it.
+const suggestionSchema = new mongoose.Schema({
+  action: { type: String, enum: ["expand", "rewrite", "shorten", "cite"], required: true },
+  start: { type: Number, required: true }, // Offset of `original` in the content when suggested
+  original: { type: String, required: true },
+  replacement: { type: String, required: true },
+  instruction: { type: String },
+  model: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const draftSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation", index: true }, // Conversation the draft came from
+  title: { type: String, default: "Untitled draft" },
+  content: { type: String, default: "" }, // Markdown
+  revision: { type: Number, default: 0 }, // Bumped on every save so stale tabs cannot overwrite newer text
+  suggestions: [suggestionSchema],
+}, {
+  timestamps: true
+});
+
+draftSchema.index({ userId: 1, updatedAt: -1 });
+
+export default mongoose.model("Draft", draftSchema);
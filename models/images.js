@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Same fields /api/image returns; enough to regenerate the image exactly.
+export const imageSettingsSchema = new mongoose.Schema({
+  model: { type: String }, // Image model id from lib/images.js
+  width: { type: Number },
+  height: { type: Number },
+  steps: { type: Number },
+  guidance: { type: Number },
+  negativePrompt: { type: String },
+  seed: { type: Number },
+  mode: { type: String, default: "generate", enum: ["generate", "img2img", "inpaint"] },
+  strength: { type: Number }, // Edits only
+  sourceImageId: { type: mongoose.Schema.Types.ObjectId, ref: "GeneratedImage" }, // Edits of a gallery image
+}, { _id: false });
+
+const generatedImageSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation" },
+  prompt: { type: String, required: true },
+  settings: { type: imageSettingsSchema, required: true },
+  storage: { type: String, required: true }, // Backend name from lib/storage.js
+  storageKey: { type: String, required: true },
+  contentType: { type: String, default: "image/png" },
+  size: { type: Number }, // Bytes
+}, {
+  timestamps: true
+});
+
+generatedImageSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("GeneratedImage", generatedImageSchema);
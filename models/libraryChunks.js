@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+const libraryChunkSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  documentId: { type: mongoose.Schema.Types.ObjectId, ref: "LibraryDocument", required: true, index: true },
+  name: { type: String, required: true }, // Document name, repeated for citations
+  pageStart: { type: Number },
+  pageEnd: { type: Number },
+  part: { type: Number },
+  text: { type: String, required: true },
+  embedding: { type: [Number], required: true },
+  embeddingModel: { type: String, required: true },
+});
+
+libraryChunkSchema.index({ userId: 1, embeddingModel: 1 });
+
+export default mongoose.model("LibraryChunk", libraryChunkSchema);
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+const pageSchema = new mongoose.Schema({
+  page: { type: Number }, // null for formats without pages (DOCX, TXT, Markdown)
+  text: { type: String, default: "" },
+}, { _id: false });
+
+const libraryDocumentSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  type: { type: String },
+  size: { type: Number },
+  paginated: { type: Boolean, default: false },
+  pageCount: { type: Number, default: 0 },
+  pages: [pageSchema], // Extracted text, kept so the document can be re-indexed
+  status: { type: String, default: "pending", enum: ["pending", "indexing", "ready", "failed"] },
+  indexError: { type: String },
+  chunkCount: { type: Number, default: 0 },
+  embeddingModel: { type: String }, // "<provider>:<model>" the chunks were embedded with
+  indexedAt: { type: Date },
+}, {
+  timestamps: true
+});
+
+export default mongoose.model("LibraryDocument", libraryDocumentSchema);
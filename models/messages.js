@@ -1,10 +1,49 @@
 import mongoose from "mongoose";
+import { imageSettingsSchema } from "./images.js";
+
+const attachmentSchema = new mongoose.Schema({
+  name: { type: String },
+  type: { type: String }, // MIME type
+  size: { type: Number }, // Bytes
+  storage: { type: String }, // Backend holding an uploaded image's bytes, see lib/storage.js
+  storageKey: { type: String },
+  documentId: { type: mongoose.Schema.Types.ObjectId, ref: "ChatDocument" }, // Extracted text of an attached document
+}, { _id: false });
+
+// The raw speech-to-text result behind a dictated user turn, which may have
+// been edited before sending.
+const transcriptSchema = new mongoose.Schema({
+  text: { type: String },
+  engine: { type: String }, // "<provider>:<model>" from lib/transcription.js
+  language: { type: String },
+  duration: { type: Number }, // Seconds of audio
+}, { _id: false });
+
+// A tool a model turn called, as recorded by runTool() in lib/tools.js.
+const toolCallSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  arguments: { type: mongoose.Schema.Types.Mixed },
+  output: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  durationMs: { type: Number },
+}, { _id: false });
 
 const messageSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  message: { type: String, required: true },
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', index: true }, // Unset for messages saved before conversations existed
+  message: { type: String, default: "" },
   isFromUser: { type: Boolean, required: true }, // True for user messages, false
+  attachments: { type: [attachmentSchema], default: undefined }, // Uploaded images are stored (see storeAttachment), documents keep metadata only
+  image: { type: String }, // Base64 image on model turns saved before the gallery existed
+  imageId: { type: mongoose.Schema.Types.ObjectId, ref: "GeneratedImage" }, // Stored image for image turns
+  imageSettings: { type: imageSettingsSchema, default: undefined },
+  model: { type: String }, // Model id that produced a model turn
+  transcript: { type: transcriptSchema, default: undefined },
+  toolCalls: { type: [toolCallSchema], default: undefined },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Room member whose turn produced a model turn
   timestamp: { type: Date, default: Date.now }
 });
 
-export default mongoose.model('Message', messageSchema);
\ No newline at end of file
+messageSchema.index({ userId: 1, timestamp: -1 });
+
+export default mongoose.model('Message', messageSchema);
@@ -3,12 +3,17 @@ const paymentSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   amount: { type: Number, required: true },
   currency: { type: String, default: "INR" },
-  status: { type: String, required: true, enum: ["pending", "completed", "failed"] },
-  orderId: { type: String }, // Razorpay order ID
-  transactionId: { type: String }, // Razorpay payment ID
+  status: { type: String, required: true, enum: ["pending", "completed", "failed", "refunded"] },
+  orderId: { type: String, unique: true, sparse: true }, // Razorpay order ID, one Payment per order
+  transactionId: { type: String, index: true }, // Razorpay payment ID
   receipt: { type: String }, // Razorpay receipt ID
   method: { type: String }, // Optional: Payment method
   clerkUserId: { type: String }, // Clerk User ID for easier querying
+  planId: { type: String }, // Plan id from lib/plans.js
+  failureReason: { type: String }, // Razorpay error description for failed payments
+  planGranted: { type: Boolean }, // False until the owner's plan period is applied; unset on payments from before this was tracked
+  refundIds: { type: [String], default: [] }, // Razorpay refund IDs already applied
+  refundedAmount: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
 });
-export default mongoose.model("Payment", paymentSchema);
\ No newline at end of file
+export default mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+const memberSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  clerkUserId: { type: String, required: true },
+  displayName: { type: String, trim: true, maxlength: 60 }, // Shown next to the member's messages
+  role: { type: String, default: "member", enum: ["owner", "member"] },
+  joinedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const inviteSchema = new mongoose.Schema({
+  code: { type: String, required: true }, // Unguessable, used in /rooms/join/<code>
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  expiresAt: { type: Date },
+  uses: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const roomSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation", required: true }, // Holds the room's messages
+  members: { type: [memberSchema], default: [] },
+  invites: { type: [inviteSchema], default: [] },
+  model: { type: String, default: "gemini" }, // Model id from lib/providers.js used for AI turns
+}, {
+  timestamps: true
+});
+
+roomSchema.index({ "members.clerkUserId": 1, updatedAt: -1 });
+roomSchema.index({ "invites.code": 1 });
+
+export default mongoose.model("Room", roomSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import { imageSettingsSchema } from "./images.js";
+
+const sharedAttachmentSchema = new mongoose.Schema({
+  name: { type: String },
+  type: { type: String },
+  size: { type: Number },
+}, { _id: false });
+
+// A message as it was when the share was published; _id is the original message's.
+const sharedMessageSchema = new mongoose.Schema({
+  message: { type: String, default: "" },
+  isFromUser: { type: Boolean, required: true },
+  attachments: { type: [sharedAttachmentSchema], default: undefined },
+  image: { type: String },
+  imageId: { type: mongoose.Schema.Types.ObjectId, ref: "GeneratedImage" },
+  imageSettings: { type: imageSettingsSchema, default: undefined },
+  model: { type: String },
+  timestamp: { type: Date },
+});
+
+const shareSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation", required: true, index: true },
+  token: { type: String, required: true, unique: true }, // Public, unguessable id used in the link
+  title: { type: String }, // Conversation title when shared
+  snapshotAt: { type: Date, required: true }, // Messages saved after this stay private
+  messages: { type: [sharedMessageSchema], default: undefined }, // Copied at publish time; unset on shares made before copies were kept
+  passwordHash: { type: String }, // "salt:hash" from lib/shares.js
+  expiresAt: { type: Date },
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired shares on its own; reads check expiresAt as well.
+shareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Share", shareSchema);
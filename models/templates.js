@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+const templateSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: { type: String, required: true },
+  description: { type: String, default: "" },
+  body: { type: String, required: true }, // Prompt text with {variable} placeholders
+  mode: { type: String, enum: ["text", "image"], default: "text" },
+  model: { type: String }, // Preselected model id; unset keeps the user's choice
+  roomId: { type: mongoose.Schema.Types.ObjectId, ref: "Room", index: true }, // Shared with this room's members
+}, {
+  timestamps: true
+});
+
+export default mongoose.model("Template", templateSchema);
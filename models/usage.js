@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+const usageSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  clerkUserId: { type: String, index: true }, // Clerk User ID for easier querying
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation" },
+  kind: { type: String, required: true, enum: ["text", "image", "transcription", "document", "library"] },
+  provider: { type: String, required: true }, // Provider id from lib/providers.js
+  model: { type: String, required: true }, // Model id, e.g. "gemini", the upstream image model such as "stability-ai/sdxl", or "text-extraction" for documents
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  imageCount: { type: Number, default: 0 },
+  audioSeconds: { type: Number, default: 0 }, // Length of transcribed recordings
+  latencyMs: { type: Number },
+  estimatedCost: { type: Number, default: 0 }, // USD, from the price table in lib/usage.js
+  credits: { type: Number, default: 0 }, // Quota credits charged after any refund
+  status: { type: String, required: true, enum: ["success", "error"] },
+  createdAt: { type: Date, default: Date.now, index: true },
+});
+
+usageSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("Usage", usageSchema);
@@ -17,6 +17,20 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  grantedOrderIds: { type: [String], default: [] }, // Razorpay orders whose plan period was already applied, see lib/payments.js
+  subscription: {
+    planId: { type: String }, // Plan id from lib/plans.js
+    currentPeriodStart: { type: Date },
+    currentPeriodEnd: { type: Date, index: true }, // Pro access lapses after this plus the grace period
+  },
+  personas: [{
+    name: { type: String, required: true },
+    systemPrompt: { type: String, required: true },
+    model: { type: String }, // Default model id for conversations using this persona
+    temperature: { type: Number, min: 0, max: 1 }, // Unset keeps the provider's default
+    responseStyle: { type: String, default: "balanced" }, // Key of RESPONSE_STYLES in lib/personas.js
+    citationFormat: { type: String, default: "none" }, // Key of CITATION_FORMATS in lib/personas.js
+  }],
   // Add any other fields you need for the user here
 }, {
   timestamps: true // Automatically adds and manages createdAt and updatedAt
@@ -0,0 +1,52 @@
+// routes/analytics.js
+import express from "express";
+
+import { requireAuth } from "../lib/auth.js";
+import {
+  activityByDay,
+  documentStats,
+  longestConversations,
+  modelBreakdown,
+  quotaConsumption,
+  topicsOverTime,
+} from "../lib/analytics.js";
+import { requirePro } from "../lib/entitlements.js";
+import { parseDateRange } from "../lib/usage.js";
+
+const router = express.Router();
+
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every report takes ?from=YYYY-MM-DD&to=YYYY-MM-DD (last 30 days by default).
+const REPORTS = {
+  activity: activityByDay,
+  models: modelBreakdown,
+  topics: topicsOverTime,
+  conversations: longestConversations,
+  documents: documentStats,
+  quota: quotaConsumption,
+};
+
+router.use(requireAuth, requirePro);
+
+for (const [name, report] of Object.entries(REPORTS)) {
+  router.get(`/${name}`, async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({ message: "Invalid from/to date range" });
+    }
+    if (range.to - range.from > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({ message: `Date ranges are limited to ${MAX_RANGE_DAYS} days` });
+    }
+
+    try {
+      res.json(await report(req.user, range));
+    } catch (error) {
+      console.error(`Error in GET /api/analytics/${name}:`, error);
+      res.status(500).json({ message: "Server error building analytics" });
+    }
+  });
+}
+
+export default router;
@@ -0,0 +1,208 @@
+// routes/articles.js
+import express from "express";
+
+import User from "../models/user.js";
+import Article from "../models/articles.js";
+import Draft from "../models/drafts.js";
+import { requireAuth } from "../lib/auth.js";
+import {
+  ARTICLE_LENGTHS,
+  MAX_SECTION_CHARS,
+  applyOutline,
+  articleMarkdown,
+  describeArticle,
+  findOwnedArticle,
+  runNextStep,
+  validateOutline,
+} from "../lib/articles.js";
+import { describeDraft } from "../lib/drafts.js";
+import { HttpError } from "../lib/errors.js";
+import { resolveModel } from "../lib/providers.js";
+
+const router = express.Router();
+
+const MAX_TOPIC_LENGTH = 300;
+const MAX_AUDIENCE_LENGTH = 200;
+
+function isRunning(article) {
+  return Boolean(article.busyUntil && article.busyUntil > new Date());
+}
+
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const articles = await Article.find({ userId: user._id }).sort({ updatedAt: -1 });
+    res.json(articles.map(describeArticle));
+  } catch (error) {
+    console.error("Error in GET /api/articles:", error);
+    res.status(500).json({ message: "Server error retrieving articles" });
+  }
+});
+
+// Stores the brief only; the outline is the first step of POST /:articleId/advance.
+router.post("/", requireAuth, async (req, res) => {
+  const { topic, audience, length = "medium", model } = req.body;
+
+  if (typeof topic !== "string" || !topic.trim() || topic.length > MAX_TOPIC_LENGTH) {
+    return res.status(400).json({ message: `Topic must be 1-${MAX_TOPIC_LENGTH} characters` });
+  }
+  if (typeof audience !== "string" || !audience.trim() || audience.length > MAX_AUDIENCE_LENGTH) {
+    return res.status(400).json({ message: `Audience must be 1-${MAX_AUDIENCE_LENGTH} characters` });
+  }
+  if (!Object.hasOwn(ARTICLE_LENGTHS, length)) {
+    return res.status(400).json({ message: `length must be one of: ${Object.keys(ARTICLE_LENGTHS).join(", ")}` });
+  }
+
+  try {
+    const resolved = resolveModel(model);
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const article = await Article.create({
+      userId: user._id,
+      topic: topic.trim(),
+      audience: audience.trim(),
+      length,
+      model: resolved.id,
+    });
+    res.status(201).json(describeArticle(article));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in POST /api/articles:", error);
+    res.status(500).json({ message: "Server error creating article" });
+  }
+});
+
+router.get("/:articleId", requireAuth, async (req, res) => {
+  try {
+    const article = await findOwnedArticle(req.params.articleId, req.auth.userId);
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+    res.json(describeArticle(article));
+  } catch (error) {
+    console.error("Error in GET /api/articles/:articleId:", error);
+    res.status(500).json({ message: "Server error retrieving article" });
+  }
+});
+
+// Runs the next stage: outline, one section, revision or references.
+// Clients call it repeatedly and may stop between calls.
+router.post("/:articleId/advance", requireAuth, async (req, res) => {
+  try {
+    const article = await findOwnedArticle(req.params.articleId, req.auth.userId);
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+    res.json(describeArticle(await runNextStep(article, req.auth.userId)));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error("Error in POST /api/articles/:articleId/advance:", error);
+    res.status(500).json({ message: error.message || "Something went wrong with the text model API" });
+  }
+});
+
+router.put("/:articleId/outline", requireAuth, async (req, res) => {
+  try {
+    const article = await findOwnedArticle(req.params.articleId, req.auth.userId);
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+    if (isRunning(article)) {
+      return res.status(409).json({ message: "Wait for the current step to finish before editing" });
+    }
+
+    applyOutline(article, validateOutline(req.body.outline));
+    await article.save();
+    res.json(describeArticle(article));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in PUT /api/articles/:articleId/outline:", error);
+    res.status(500).json({ message: "Server error updating outline" });
+  }
+});
+
+// Hand edits to a drafted section; the revision and references are redone.
+router.put("/:articleId/sections/:index", requireAuth, async (req, res) => {
+  const { content } = req.body;
+  const index = Number(req.params.index);
+
+  if (typeof content !== "string" || !content.trim() || content.length > MAX_SECTION_CHARS) {
+    return res.status(400).json({ message: `Section content must be 1-${MAX_SECTION_CHARS} characters` });
+  }
+
+  try {
+    const article = await findOwnedArticle(req.params.articleId, req.auth.userId);
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+    const section = Number.isInteger(index) ? article.outline?.[index] : undefined;
+    if (section?.content == null) {
+      return res.status(404).json({ message: "Section not drafted yet" });
+    }
+    if (isRunning(article)) {
+      return res.status(409).json({ message: "Wait for the current step to finish before editing" });
+    }
+
+    section.content = content;
+    article.revised = undefined;
+    article.references = undefined;
+    await article.save();
+    res.json(describeArticle(article));
+  } catch (error) {
+    console.error("Error in PUT /api/articles/:articleId/sections/:index:", error);
+    res.status(500).json({ message: "Server error updating section" });
+  }
+});
+
+// Opens the article, finished or not, as a canvas draft for free-form editing.
+router.post("/:articleId/draft", requireAuth, async (req, res) => {
+  try {
+    const article = await findOwnedArticle(req.params.articleId, req.auth.userId);
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const draft = await Draft.create({
+      userId: article.userId,
+      title: article.topic,
+      content: articleMarkdown(article),
+    });
+    article.draftId = draft._id;
+    await article.save();
+
+    res.status(201).json(describeDraft(draft));
+  } catch (error) {
+    console.error("Error in POST /api/articles/:articleId/draft:", error);
+    res.status(500).json({ message: "Server error opening article in the canvas" });
+  }
+});
+
+router.delete("/:articleId", requireAuth, async (req, res) => {
+  try {
+    const article = await findOwnedArticle(req.params.articleId, req.auth.userId);
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    await article.deleteOne();
+    res.json({ message: "Article deleted" });
+  } catch (error) {
+    console.error("Error in DELETE /api/articles/:articleId:", error);
+    res.status(500).json({ message: "Server error deleting article" });
+  }
+});
+
+export default router;
@@ -0,0 +1,178 @@
+// routes/conversations.js
+import express from "express";
+import mongoose from "mongoose";
+
+import User from "../models/user.js";
+import Conversation from "../models/conversations.js";
+import Message from "../models/messages.js";
+import Share from "../models/shares.js";
+import Draft from "../models/drafts.js";
+import { requireAuth } from "../lib/auth.js";
+import { HttpError } from "../lib/errors.js";
+import { EXPORT_FORMATS, exportConversation } from "../lib/export.js";
+import { removeAttachments, withImageUrl } from "../lib/gallery.js";
+import { resolvePersona } from "../lib/personas.js";
+
+const router = express.Router();
+
+const MODES = ["text", "image"];
+
+export async function findOwnedConversation(conversationId, clerkUserId) {
+  if (!clerkUserId || !mongoose.isValidObjectId(conversationId)) return null;
+
+  const user = await User.findOne({ clerkUserId });
+  if (!user) return null;
+
+  return Conversation.findOne({ _id: conversationId, userId: user._id, roomId: null });
+}
+
+router.get("/:clerkUserId", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkUserId: req.params.clerkUserId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const conversations = await Conversation.find({ userId: user._id, roomId: null }).sort({ lastActivityAt: -1 });
+    res.json(conversations);
+  } catch (error) {
+    console.error("Error in GET /api/conversations/:clerkUserId:", error);
+    res.status(500).json({ message: "Server error retrieving conversations" });
+  }
+});
+
+// personaId picks one of the user's personas; blank or "default" uses the default one.
+router.post("/", requireAuth, async (req, res) => {
+  const { title, model, mode, personaId } = req.body;
+  const clerkUserId = req.auth.userId;
+
+  if (mode !== undefined && !MODES.includes(mode)) {
+    return res.status(400).json({ message: `Invalid mode. Expected one of: ${MODES.join(", ")}` });
+  }
+
+  try {
+    const user = await User.findOne({ clerkUserId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const persona = resolvePersona(user, personaId);
+    const conversation = new Conversation({
+      userId: user._id,
+      title,
+      model,
+      mode,
+      personaId: persona.builtIn ? undefined : persona._id,
+    });
+    await conversation.save();
+
+    res.status(201).json(conversation);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in POST /api/conversations:", error);
+    res.status(500).json({ message: "Server error creating conversation" });
+  }
+});
+
+router.put("/:conversationId", requireAuth, async (req, res) => {
+  const { title, model, mode, personaId } = req.body;
+
+  if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+    return res.status(400).json({ message: "Title must be a non-empty string" });
+  }
+  if (mode !== undefined && !MODES.includes(mode)) {
+    return res.status(400).json({ message: `Invalid mode. Expected one of: ${MODES.join(", ")}` });
+  }
+
+  try {
+    const conversation = await findOwnedConversation(req.params.conversationId, req.auth.userId);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    if (title !== undefined) conversation.title = title;
+    if (model !== undefined) conversation.model = model;
+    if (mode !== undefined) conversation.mode = mode;
+    if (personaId !== undefined) {
+      const persona = resolvePersona(await User.findById(conversation.userId), personaId);
+      conversation.personaId = persona.builtIn ? undefined : persona._id;
+    }
+    await conversation.save();
+
+    res.json(conversation);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in PUT /api/conversations/:conversationId:", error);
+    res.status(500).json({ message: "Server error updating conversation" });
+  }
+});
+
+router.delete("/:conversationId", requireAuth, async (req, res) => {
+  try {
+    const conversation = await findOwnedConversation(req.params.conversationId, req.auth.userId);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    await removeAttachments(await Message.find({ conversationId: conversation._id }, "attachments"));
+    await Message.deleteMany({ conversationId: conversation._id });
+    await Share.deleteMany({ conversationId: conversation._id });
+    await Draft.updateMany({ conversationId: conversation._id }, { $unset: { conversationId: 1 } });
+    await conversation.deleteOne();
+
+    res.json({ message: "Conversation deleted" });
+  } catch (error) {
+    console.error("Error in DELETE /api/conversations/:conversationId:", error);
+    res.status(500).json({ message: "Server error deleting conversation" });
+  }
+});
+
+router.get("/:conversationId/messages", requireAuth, async (req, res) => {
+  try {
+    const conversation = await findOwnedConversation(req.params.conversationId, req.auth.userId);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const messages = await Message.find({ conversationId: conversation._id }).sort({ timestamp: 1 });
+    res.json(messages.map(withImageUrl));
+  } catch (error) {
+    console.error("Error in GET /api/conversations/:conversationId/messages:", error);
+    res.status(500).json({ message: "Server error retrieving messages" });
+  }
+});
+
+// ?format=markdown|pdf|docx|latex, &answersOnly=true to leave out the user's turns.
+router.get("/:conversationId/export", requireAuth, async (req, res) => {
+  const { format = "markdown", answersOnly } = req.query;
+
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ message: `Invalid format. Expected one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  }
+
+  try {
+    const conversation = await findOwnedConversation(req.params.conversationId, req.auth.userId);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const { filename, contentType, buffer } = await exportConversation(conversation, {
+      format,
+      answersOnly: answersOnly === "true" || answersOnly === "1",
+    });
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error("Error in GET /api/conversations/:conversationId/export:", error);
+    res.status(500).json({ message: "Server error exporting conversation" });
+  }
+});
+
+export default router;
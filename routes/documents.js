@@ -0,0 +1,87 @@
+// routes/documents.js
+import express from "express";
+import mongoose from "mongoose";
+
+import ChatDocument from "../models/chatDocuments.js";
+import User from "../models/user.js";
+import { requireAuth } from "../lib/auth.js";
+import { EXTRACTION_ENGINE, describeChatDocument, extractDocument } from "../lib/documents.js";
+import { consumeQuota, refundQuota } from "../lib/entitlements.js";
+import { HttpError } from "../lib/errors.js";
+import { recordUsage } from "../lib/usage.js";
+
+const router = express.Router();
+
+// Turns an uploaded paper into page-numbered text stored server-side. The
+// Chatroom keeps only the returned id and sends it with later /api/text
+// requests and the saved message. Each upload costs a "document" credit,
+// refunded if the file can't be read.
+router.post("/extract", requireAuth, async (req, res) => {
+  const { name, type, data } = req.body;
+  const clerkUserId = req.auth.userId;
+  let charge = null;
+  const startedAt = Date.now();
+
+  if (!name || typeof name !== "string" || !data) {
+    return res.status(400).json({ message: "Document name and data are required" });
+  }
+
+  try {
+    const user = await User.findOne({ clerkUserId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    charge = await consumeQuota(clerkUserId, "document");
+
+    const extracted = await extractDocument({ name, type, data });
+    const document = await ChatDocument.create({ userId: user._id, ...extracted });
+    await recordUsage({
+      user: charge.user,
+      kind: "document",
+      ...EXTRACTION_ENGINE,
+      latencyMs: Date.now() - startedAt,
+      credits: charge.cost,
+      status: "success",
+    });
+
+    res.status(201).json(describeChatDocument(document));
+  } catch (error) {
+    if (charge) {
+      await refundQuota(clerkUserId, charge.cost);
+      await recordUsage({
+        user: charge.user,
+        kind: "document",
+        ...EXTRACTION_ENGINE,
+        latencyMs: Date.now() - startedAt,
+        credits: 0,
+        status: "error",
+      });
+    }
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error("Error in POST /api/documents/extract:", error);
+    res.status(500).json({ message: "Server error extracting document text" });
+  }
+});
+
+// Drops a document removed from the input before it was sent.
+router.delete("/:documentId", requireAuth, async (req, res) => {
+  const { documentId } = req.params;
+
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    const document = user && mongoose.isValidObjectId(documentId) && await ChatDocument.findOne({ _id: documentId, userId: user._id });
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    await document.deleteOne();
+    res.json({ message: "Document deleted" });
+  } catch (error) {
+    console.error("Error in DELETE /api/documents/:documentId:", error);
+    res.status(500).json({ message: "Server error deleting document" });
+  }
+});
+
+export default router;
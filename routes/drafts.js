@@ -0,0 +1,200 @@
+// routes/drafts.js
+import express from "express";
+import mongoose from "mongoose";
+
+import User from "../models/user.js";
+import Draft from "../models/drafts.js";
+import { requireAuth } from "../lib/auth.js";
+import {
+  MAX_DRAFT_CHARS,
+  contentFromConversation,
+  describeDraft,
+  findOwnedDraft,
+  suggestEdit,
+  validateSuggestionRequest,
+} from "../lib/drafts.js";
+import { HttpError } from "../lib/errors.js";
+import { findOwnedConversation } from "./conversations.js";
+
+const router = express.Router();
+
+const MAX_TITLE_LENGTH = 200;
+
+// Drafts without their content. ?conversationId= narrows the list to one conversation.
+router.get("/", requireAuth, async (req, res) => {
+  const { conversationId } = req.query;
+
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const filter = { userId: user._id };
+    if (conversationId) {
+      if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ message: "Invalid conversationId" });
+      }
+      filter.conversationId = conversationId;
+    }
+
+    const drafts = await Draft.find(filter).select({ content: 0, suggestions: 0 }).sort({ updatedAt: -1 });
+    res.json(drafts.map((draft) => describeDraft(draft, { withContent: false })));
+  } catch (error) {
+    console.error("Error in GET /api/drafts:", error);
+    res.status(500).json({ message: "Server error retrieving drafts" });
+  }
+});
+
+// With a conversationId the draft starts from that conversation's answers
+// and stays linked to it.
+router.post("/", requireAuth, async (req, res) => {
+  const { title, conversationId } = req.body;
+
+  if (title !== undefined && (typeof title !== "string" || title.length > MAX_TITLE_LENGTH)) {
+    return res.status(400).json({ message: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` });
+  }
+
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    let conversation = null;
+    if (conversationId) {
+      conversation = await findOwnedConversation(conversationId, req.auth.userId);
+      if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+    }
+
+    const draft = await Draft.create({
+      userId: user._id,
+      conversationId: conversation?._id,
+      title: title?.trim() || conversation?.title || undefined,
+      content: conversation ? await contentFromConversation(conversation) : "",
+    });
+
+    res.status(201).json(describeDraft(draft));
+  } catch (error) {
+    console.error("Error in POST /api/drafts:", error);
+    res.status(500).json({ message: "Server error creating draft" });
+  }
+});
+
+router.get("/:draftId", requireAuth, async (req, res) => {
+  try {
+    const draft = await findOwnedDraft(req.params.draftId, req.auth.userId);
+    if (!draft) {
+      return res.status(404).json({ message: "Draft not found" });
+    }
+    res.json(describeDraft(draft));
+  } catch (error) {
+    console.error("Error in GET /api/drafts/:draftId:", error);
+    res.status(500).json({ message: "Server error retrieving draft" });
+  }
+});
+
+// Autosave. `revision` is the one the client last loaded; a mismatch means
+// another tab saved in between, and the 409 carries the newer draft.
+router.put("/:draftId", requireAuth, async (req, res) => {
+  const { title, content, revision } = req.body;
+
+  if (title !== undefined && (typeof title !== "string" || title.length > MAX_TITLE_LENGTH)) {
+    return res.status(400).json({ message: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` });
+  }
+  if (content !== undefined && (typeof content !== "string" || content.length > MAX_DRAFT_CHARS)) {
+    return res.status(400).json({ message: `Drafts are limited to ${MAX_DRAFT_CHARS} characters` });
+  }
+  if (!Number.isInteger(revision)) {
+    return res.status(400).json({ message: "revision must be an integer" });
+  }
+
+  try {
+    const draft = await findOwnedDraft(req.params.draftId, req.auth.userId);
+    if (!draft) {
+      return res.status(404).json({ message: "Draft not found" });
+    }
+
+    const update = {};
+    if (title !== undefined) update.title = title.trim() || "Untitled draft";
+    if (content !== undefined) update.content = content;
+
+    const saved = await Draft.findOneAndUpdate(
+      { _id: draft._id, revision },
+      { $set: update, $inc: { revision: 1 } },
+      { new: true }
+    );
+    if (!saved) {
+      const current = await Draft.findById(draft._id);
+      return res.status(409).json({ message: "This draft was changed in another window", draft: describeDraft(current) });
+    }
+
+    res.json(describeDraft(saved));
+  } catch (error) {
+    console.error("Error in PUT /api/drafts/:draftId:", error);
+    res.status(500).json({ message: "Server error saving draft" });
+  }
+});
+
+router.delete("/:draftId", requireAuth, async (req, res) => {
+  try {
+    const draft = await findOwnedDraft(req.params.draftId, req.auth.userId);
+    if (!draft) {
+      return res.status(404).json({ message: "Draft not found" });
+    }
+
+    await draft.deleteOne();
+    res.json({ message: "Draft deleted" });
+  } catch (error) {
+    console.error("Error in DELETE /api/drafts/:draftId:", error);
+    res.status(500).json({ message: "Server error deleting draft" });
+  }
+});
+
+// Asks the AI to expand, rewrite, shorten or cite content[start, end). The
+// client saves first and sends that revision so the offsets match.
+router.post("/:draftId/suggestions", requireAuth, async (req, res) => {
+  const { action, start, end, instruction, model, revision } = req.body;
+
+  try {
+    const draft = await findOwnedDraft(req.params.draftId, req.auth.userId);
+    if (!draft) {
+      return res.status(404).json({ message: "Draft not found" });
+    }
+    if (revision !== draft.revision) {
+      return res.status(409).json({ message: "Save the draft before asking for a suggestion", draft: describeDraft(draft) });
+    }
+    validateSuggestionRequest(draft, { action, start, end, instruction });
+
+    res.status(201).json(await suggestEdit(draft, req.auth.userId, { action, start, end, instruction, model }));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error("Error in POST /api/drafts/:draftId/suggestions:", error);
+    res.status(500).json({ message: error.message || "Something went wrong with the text model API" });
+  }
+});
+
+// Resolves a suggestion. Accepting applies the replacement client-side and
+// saves it through PUT; either way the suggestion is dropped here.
+router.delete("/:draftId/suggestions/:suggestionId", requireAuth, async (req, res) => {
+  try {
+    const draft = await findOwnedDraft(req.params.draftId, req.auth.userId);
+    if (!draft) {
+      return res.status(404).json({ message: "Draft not found" });
+    }
+
+    if (mongoose.isValidObjectId(req.params.suggestionId)) {
+      await Draft.updateOne({ _id: draft._id }, { $pull: { suggestions: { _id: req.params.suggestionId } } });
+    }
+    res.json({ message: "Suggestion resolved" });
+  } catch (error) {
+    console.error("Error in DELETE /api/drafts/:draftId/suggestions/:suggestionId:", error);
+    res.status(500).json({ message: "Server error resolving suggestion" });
+  }
+});
+
+export default router;
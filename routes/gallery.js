@@ -0,0 +1,103 @@
+// routes/gallery.js
+import express from "express";
+import mongoose from "mongoose";
+
+import User from "../models/user.js";
+import GeneratedImage from "../models/images.js";
+import { requireAuth } from "../lib/auth.js";
+import { HttpError } from "../lib/errors.js";
+import { deleteImage, describeImage, readImage, verifyImageSignature } from "../lib/gallery.js";
+
+const router = express.Router();
+
+const PAGE_SIZE = 24;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ?q= searches prompts; ?before=<ISO date> pages back from the previous response's nextBefore.
+router.get("/", requireAuth, async (req, res) => {
+  const { q, before } = req.query;
+
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const filter = { userId: user._id };
+    if (typeof q === "string" && q.trim()) {
+      filter.prompt = { $regex: escapeRegExp(q.trim()), $options: "i" };
+    }
+    if (before) {
+      const beforeDate = new Date(before);
+      if (Number.isNaN(beforeDate.getTime())) {
+        return res.status(400).json({ message: "Invalid before date" });
+      }
+      filter.createdAt = { $lt: beforeDate };
+    }
+
+    const images = await GeneratedImage.find(filter).sort({ createdAt: -1 }).limit(PAGE_SIZE + 1);
+    const page = images.slice(0, PAGE_SIZE);
+
+    res.json({
+      images: page.map(describeImage),
+      nextBefore: images.length > PAGE_SIZE ? page[page.length - 1].createdAt : null,
+    });
+  } catch (error) {
+    console.error("Error in GET /api/gallery:", error);
+    res.status(500).json({ message: "Server error retrieving gallery" });
+  }
+});
+
+// Authorised by the signed URL rather than the session, so <img> and download links work.
+router.get("/:imageId/file", async (req, res) => {
+  const { imageId } = req.params;
+  const { expires, signature, format = "png", download } = req.query;
+
+  if (!mongoose.isValidObjectId(imageId) || !verifyImageSignature(imageId, expires, signature)) {
+    return res.status(403).json({ message: "Invalid or expired image link" });
+  }
+
+  try {
+    const image = await GeneratedImage.findById(imageId);
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+
+    const { buffer, contentType } = await readImage(image, format);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    if (download) {
+      res.setHeader("Content-Disposition", `attachment; filename="brainhouse-${image._id}.${format}"`);
+    }
+    res.send(buffer);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in GET /api/gallery/:imageId/file:", error);
+    res.status(500).json({ message: "Server error reading image" });
+  }
+});
+
+router.delete("/:imageId", requireAuth, async (req, res) => {
+  const { imageId } = req.params;
+
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    const image = user && mongoose.isValidObjectId(imageId) && await GeneratedImage.findOne({ _id: imageId, userId: user._id });
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+
+    await deleteImage(image);
+    res.json({ message: "Image deleted" });
+  } catch (error) {
+    console.error("Error in DELETE /api/gallery/:imageId:", error);
+    res.status(500).json({ message: "Server error deleting image" });
+  }
+});
+
+export default router;
@@ -0,0 +1,146 @@
+// routes/library.js
+import express from "express";
+import mongoose from "mongoose";
+
+import User from "../models/user.js";
+import LibraryDocument from "../models/libraryDocuments.js";
+import { requireAuth } from "../lib/auth.js";
+import { extractDocument } from "../lib/documents.js";
+import { getEmbedder } from "../lib/embeddings.js";
+import { consumeQuota, refundQuota } from "../lib/entitlements.js";
+import { HttpError } from "../lib/errors.js";
+import {
+  MAX_LIBRARY_DOCUMENTS,
+  deleteLibraryDocument,
+  describeLibraryDocument,
+  estimateEmbeddingTokens,
+  indexDocument,
+} from "../lib/library.js";
+import { recordUsage } from "../lib/usage.js";
+
+const router = express.Router();
+
+async function findOwnedDocument(documentId, clerkUserId) {
+  if (!mongoose.isValidObjectId(documentId)) return null;
+
+  const user = await User.findOne({ clerkUserId });
+  if (!user) return null;
+
+  return LibraryDocument.findOne({ _id: documentId, userId: user._id });
+}
+
+// Records an indexing run paid for with a "library" credit. indexDocument marks
+// failed documents instead of throwing, so the credit is refunded unless the
+// document came out ready; pass no document when the run never got that far.
+async function settleIndexing(charge, clerkUserId, startedAt, document) {
+  const embedder = getEmbedder();
+  const indexed = document?.status === "ready";
+  if (!indexed) await refundQuota(clerkUserId, charge.cost);
+  await recordUsage({
+    user: charge.user,
+    kind: "library",
+    provider: embedder.provider,
+    model: embedder.model,
+    usage: { inputTokens: indexed ? estimateEmbeddingTokens(document) : 0 },
+    latencyMs: Date.now() - startedAt,
+    credits: indexed ? charge.cost : 0,
+    status: indexed ? "success" : "error",
+  });
+}
+
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const documents = await LibraryDocument.find({ userId: user._id }).select("-pages").sort({ createdAt: -1 });
+    res.json(documents.map(describeLibraryDocument));
+  } catch (error) {
+    console.error("Error in GET /api/library:", error);
+    res.status(500).json({ message: "Server error retrieving library" });
+  }
+});
+
+router.post("/", requireAuth, async (req, res) => {
+  const { name, type, data } = req.body;
+  const clerkUserId = req.auth.userId;
+  let charge = null;
+  const startedAt = Date.now();
+
+  if (!name || typeof name !== "string" || !data) {
+    return res.status(400).json({ message: "Document name and data are required" });
+  }
+
+  try {
+    const user = await User.findOne({ clerkUserId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if ((await LibraryDocument.countDocuments({ userId: user._id })) >= MAX_LIBRARY_DOCUMENTS) {
+      return res.status(409).json({ message: `Your library is limited to ${MAX_LIBRARY_DOCUMENTS} documents. Delete some to make room` });
+    }
+
+    charge = await consumeQuota(clerkUserId, "library");
+
+    const extracted = await extractDocument({ name, type, data });
+    const document = await LibraryDocument.create({ userId: user._id, ...extracted });
+    await indexDocument(document);
+    await settleIndexing(charge, clerkUserId, startedAt, document);
+
+    res.status(201).json(describeLibraryDocument(document));
+  } catch (error) {
+    if (charge) await settleIndexing(charge, clerkUserId, startedAt);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error("Error in POST /api/library:", error);
+    res.status(500).json({ message: "Server error adding document to library" });
+  }
+});
+
+// Rebuilds chunks and embeddings, e.g. after EMBEDDING_PROVIDER changes.
+router.post("/:documentId/reindex", requireAuth, async (req, res) => {
+  const clerkUserId = req.auth.userId;
+  let charge = null;
+  const startedAt = Date.now();
+
+  try {
+    const document = await findOwnedDocument(req.params.documentId, clerkUserId);
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    charge = await consumeQuota(clerkUserId, "library");
+    await indexDocument(document);
+    await settleIndexing(charge, clerkUserId, startedAt, document);
+
+    res.json(describeLibraryDocument(document));
+  } catch (error) {
+    if (charge) await settleIndexing(charge, clerkUserId, startedAt);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error("Error in POST /api/library/:documentId/reindex:", error);
+    res.status(500).json({ message: "Server error re-indexing document" });
+  }
+});
+
+router.delete("/:documentId", requireAuth, async (req, res) => {
+  try {
+    const document = await findOwnedDocument(req.params.documentId, req.auth.userId);
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    await deleteLibraryDocument(document);
+    res.json({ message: "Document deleted" });
+  } catch (error) {
+    console.error("Error in DELETE /api/library/:documentId:", error);
+    res.status(500).json({ message: "Server error deleting document" });
+  }
+});
+
+export default router;
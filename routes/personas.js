@@ -0,0 +1,107 @@
+// routes/personas.js
+import express from "express";
+
+import User from "../models/user.js";
+import Conversation from "../models/conversations.js";
+import { requireAuth } from "../lib/auth.js";
+import { HttpError } from "../lib/errors.js";
+import {
+  MAX_PERSONAS_PER_USER,
+  describePersona,
+  listPersonas,
+  resolvePersona,
+  validatePersona,
+} from "../lib/personas.js";
+
+const router = express.Router();
+
+// The built-in research assistant first, then the user's own personas.
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(listPersonas(user));
+  } catch (error) {
+    console.error("Error in GET /api/personas:", error);
+    res.status(500).json({ message: "Server error retrieving personas" });
+  }
+});
+
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (user.personas.length >= MAX_PERSONAS_PER_USER) {
+      return res.status(409).json({ message: `You can keep up to ${MAX_PERSONAS_PER_USER} personas` });
+    }
+
+    user.personas.push(validatePersona(req.body));
+    await user.save();
+
+    res.status(201).json(describePersona(user.personas[user.personas.length - 1]));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in POST /api/personas:", error);
+    res.status(500).json({ message: "Server error creating persona" });
+  }
+});
+
+router.put("/:personaId", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const persona = resolvePersona(user, req.params.personaId);
+    if (persona.builtIn) {
+      return res.status(400).json({ message: "The default persona can't be changed" });
+    }
+
+    persona.set(validatePersona(req.body, { partial: true }));
+    await user.save();
+
+    res.json(describePersona(persona));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in PUT /api/personas/:personaId:", error);
+    res.status(500).json({ message: "Server error updating persona" });
+  }
+});
+
+// Conversations that used the persona fall back to the default one.
+router.delete("/:personaId", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const persona = resolvePersona(user, req.params.personaId);
+    if (persona.builtIn) {
+      return res.status(400).json({ message: "The default persona can't be deleted" });
+    }
+
+    persona.deleteOne();
+    await user.save();
+    await Conversation.updateMany({ userId: user._id, personaId: persona._id }, { $unset: { personaId: 1 } });
+
+    res.json({ message: "Persona deleted" });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in DELETE /api/personas/:personaId:", error);
+    res.status(500).json({ message: "Server error deleting persona" });
+  }
+});
+
+export default router;
@@ -0,0 +1,282 @@
+// routes/rooms.js
+import express from "express";
+
+import User from "../models/user.js";
+import Conversation from "../models/conversations.js";
+import Room from "../models/rooms.js";
+import { requireAuth } from "../lib/auth.js";
+import { HttpError } from "../lib/errors.js";
+import { resolveModel } from "../lib/providers.js";
+import {
+  MAX_ROOM_NAME_LENGTH,
+  addRoomMember,
+  createInviteCode,
+  deleteRoom,
+  describeRoom,
+  findMember,
+  findRoomForMember,
+  isInviteActive,
+  listRoomMessages,
+  roomMessage,
+} from "../lib/rooms.js";
+import { broadcastRoomUpdate, disconnectFromRoom } from "../lib/roomSocket.js";
+
+const router = express.Router();
+
+const MAX_INVITE_DAYS = 30;
+
+function validDisplayName(displayName) {
+  return typeof displayName === "string" && displayName.trim().length > 0 && displayName.trim().length <= 60;
+}
+
+function validRoomName(name) {
+  return typeof name === "string" && name.trim().length > 0 && name.trim().length <= MAX_ROOM_NAME_LENGTH;
+}
+
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const rooms = await Room.find({ "members.clerkUserId": req.auth.userId }).sort({ updatedAt: -1 });
+    res.json(rooms.map((room) => describeRoom(room, req.auth.userId)));
+  } catch (error) {
+    console.error("Error in GET /api/rooms:", error);
+    res.status(500).json({ message: "Server error retrieving rooms" });
+  }
+});
+
+// Creates a room with its own conversation; the creator becomes its owner.
+router.post("/", requireAuth, async (req, res) => {
+  const { name, displayName } = req.body;
+
+  if (!validRoomName(name)) {
+    return res.status(400).json({ message: `Room name must be 1-${MAX_ROOM_NAME_LENGTH} characters` });
+  }
+  if (!validDisplayName(displayName)) {
+    return res.status(400).json({ message: "displayName must be 1-60 characters" });
+  }
+
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const room = new Room({
+      name: name.trim(),
+      members: [{ userId: user._id, clerkUserId: user.clerkUserId, displayName: displayName.trim(), role: "owner" }],
+    });
+    const conversation = await Conversation.create({ userId: user._id, title: room.name, roomId: room._id });
+    room.conversationId = conversation._id;
+    await room.save();
+
+    res.status(201).json(describeRoom(room, req.auth.userId));
+  } catch (error) {
+    console.error("Error in POST /api/rooms:", error);
+    res.status(500).json({ message: "Server error creating room" });
+  }
+});
+
+// Accepts an invite code from /rooms/join/<code>. Joining twice is a no-op.
+router.post("/join", requireAuth, async (req, res) => {
+  const { code, displayName } = req.body;
+
+  if (typeof code !== "string" || !code) {
+    return res.status(400).json({ message: "Missing invite code" });
+  }
+  if (!validDisplayName(displayName)) {
+    return res.status(400).json({ message: "displayName must be 1-60 characters" });
+  }
+
+  try {
+    const room = await Room.findOne({ "invites.code": code });
+    const invite = room?.invites.find((i) => i.code === code);
+    if (!invite || !isInviteActive(invite)) {
+      return res.status(404).json({ message: "This invite is invalid or has expired" });
+    }
+    if (findMember(room, req.auth.userId)) {
+      return res.json(describeRoom(room, req.auth.userId));
+    }
+
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { room: joinedRoom, joined } = await addRoomMember(
+      room._id,
+      { userId: user._id, clerkUserId: user.clerkUserId, displayName: displayName.trim() },
+      code
+    );
+    if (joined) broadcastRoomUpdate(joinedRoom);
+
+    res.json(describeRoom(joinedRoom, req.auth.userId));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in POST /api/rooms/join:", error);
+    res.status(500).json({ message: "Server error joining room" });
+  }
+});
+
+router.get("/:roomId", requireAuth, async (req, res) => {
+  try {
+    const room = await findRoomForMember(req.params.roomId, req.auth.userId);
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+    res.json(describeRoom(room, req.auth.userId));
+  } catch (error) {
+    console.error("Error in GET /api/rooms/:roomId:", error);
+    res.status(500).json({ message: "Server error retrieving room" });
+  }
+});
+
+router.get("/:roomId/messages", requireAuth, async (req, res) => {
+  try {
+    const room = await findRoomForMember(req.params.roomId, req.auth.userId);
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+    const messages = await listRoomMessages(room);
+    res.json(messages.map(roomMessage));
+  } catch (error) {
+    console.error("Error in GET /api/rooms/:roomId/messages:", error);
+    res.status(500).json({ message: "Server error retrieving room messages" });
+  }
+});
+
+// Owners rename the room and pick the model for AI turns; any member may
+// change their own displayName.
+router.put("/:roomId", requireAuth, async (req, res) => {
+  const { name, model, displayName } = req.body;
+
+  try {
+    const room = await findRoomForMember(req.params.roomId, req.auth.userId);
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+    const member = findMember(room, req.auth.userId);
+
+    if ((name !== undefined || model !== undefined) && member.role !== "owner") {
+      return res.status(403).json({ message: "Only the room owner can change its settings" });
+    }
+    if (name !== undefined && !validRoomName(name)) {
+      return res.status(400).json({ message: `Room name must be 1-${MAX_ROOM_NAME_LENGTH} characters` });
+    }
+    if (displayName !== undefined && !validDisplayName(displayName)) {
+      return res.status(400).json({ message: "displayName must be 1-60 characters" });
+    }
+    if (model !== undefined) resolveModel(model);
+
+    if (name !== undefined) room.name = name.trim();
+    if (model !== undefined) room.model = model;
+    if (displayName !== undefined) member.displayName = displayName.trim();
+    await room.save();
+    broadcastRoomUpdate(room);
+
+    res.json(describeRoom(room, req.auth.userId));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in PUT /api/rooms/:roomId:", error);
+    res.status(500).json({ message: "Server error updating room" });
+  }
+});
+
+router.delete("/:roomId", requireAuth, async (req, res) => {
+  try {
+    const room = await findRoomForMember(req.params.roomId, req.auth.userId);
+    if (!room || findMember(room, req.auth.userId).role !== "owner") {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    disconnectFromRoom(room._id);
+    await deleteRoom(room);
+    res.json({ message: "Room deleted" });
+  } catch (error) {
+    console.error("Error in DELETE /api/rooms/:roomId:", error);
+    res.status(500).json({ message: "Server error deleting room" });
+  }
+});
+
+router.post("/:roomId/invites", requireAuth, async (req, res) => {
+  const { expiresInDays = 7 } = req.body;
+
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_INVITE_DAYS) {
+    return res.status(400).json({ message: `expiresInDays must be a whole number between 1 and ${MAX_INVITE_DAYS}` });
+  }
+
+  try {
+    const room = await findRoomForMember(req.params.roomId, req.auth.userId);
+    const member = room && findMember(room, req.auth.userId);
+    if (!room || member.role !== "owner") {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    room.invites.push({
+      code: createInviteCode(),
+      createdBy: member.userId,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+    room.invites = room.invites.filter((invite) => isInviteActive(invite));
+    await room.save();
+
+    res.status(201).json(describeRoom(room, req.auth.userId));
+  } catch (error) {
+    console.error("Error in POST /api/rooms/:roomId/invites:", error);
+    res.status(500).json({ message: "Server error creating invite" });
+  }
+});
+
+router.delete("/:roomId/invites/:code", requireAuth, async (req, res) => {
+  try {
+    const room = await findRoomForMember(req.params.roomId, req.auth.userId);
+    if (!room || findMember(room, req.auth.userId).role !== "owner") {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    room.invites = room.invites.filter((invite) => invite.code !== req.params.code);
+    await room.save();
+    res.json(describeRoom(room, req.auth.userId));
+  } catch (error) {
+    console.error("Error in DELETE /api/rooms/:roomId/invites/:code:", error);
+    res.status(500).json({ message: "Server error revoking invite" });
+  }
+});
+
+// Owners remove members; members remove themselves to leave. The owner
+// deletes the room instead of leaving it.
+router.delete("/:roomId/members/:memberId", requireAuth, async (req, res) => {
+  const { memberId } = req.params;
+
+  try {
+    const room = await findRoomForMember(req.params.roomId, req.auth.userId);
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+    const self = findMember(room, req.auth.userId);
+    const target = findMember(room, memberId);
+    if (!target) {
+      return res.status(404).json({ message: "Member not found" });
+    }
+    if (target.role === "owner") {
+      return res.status(400).json({ message: "The owner cannot leave; delete the room instead" });
+    }
+    if (self.role !== "owner" && memberId !== req.auth.userId) {
+      return res.status(403).json({ message: "Only the room owner can remove other members" });
+    }
+
+    room.members = room.members.filter((member) => member.clerkUserId !== memberId);
+    await room.save();
+    disconnectFromRoom(room._id, memberId);
+    broadcastRoomUpdate(room);
+
+    res.json({ message: memberId === req.auth.userId ? "Left room" : "Member removed" });
+  } catch (error) {
+    console.error("Error in DELETE /api/rooms/:roomId/members/:memberId:", error);
+    res.status(500).json({ message: "Server error removing member" });
+  }
+});
+
+export default router;
@@ -0,0 +1,163 @@
+// routes/shares.js
+import express from "express";
+import mongoose from "mongoose";
+
+import User from "../models/user.js";
+import Message from "../models/messages.js";
+import Share from "../models/shares.js";
+import { requireAuth } from "../lib/auth.js";
+import {
+  MAX_SHARE_DAYS,
+  clearPasswordFailures,
+  createShareToken,
+  describeShare,
+  hashSharePassword,
+  isShareActive,
+  passwordRetryDelay,
+  recordPasswordFailure,
+  sharedMessage,
+  snapshotMessage,
+  verifySharePassword,
+} from "../lib/shares.js";
+import { findOwnedConversation } from "./conversations.js";
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+// ?conversationId= narrows the list to one conversation.
+router.get("/", requireAuth, async (req, res) => {
+  const { conversationId } = req.query;
+
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const filter = { userId: user._id };
+    if (conversationId) {
+      if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ message: "Invalid conversationId" });
+      }
+      filter.conversationId = conversationId;
+    }
+
+    const shares = await Share.find(filter).sort({ createdAt: -1 });
+    res.json(shares.filter((share) => isShareActive(share)).map(describeShare));
+  } catch (error) {
+    console.error("Error in GET /api/shares:", error);
+    res.status(500).json({ message: "Server error retrieving shares" });
+  }
+});
+
+// Publishes the conversation as it is now. expiresInDays and password are optional.
+router.post("/", requireAuth, async (req, res) => {
+  const { conversationId, expiresInDays, password } = req.body;
+
+  if (expiresInDays != null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_SHARE_DAYS)) {
+    return res.status(400).json({ message: `expiresInDays must be a whole number between 1 and ${MAX_SHARE_DAYS}` });
+  }
+  if (password != null && password !== "" && (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)) {
+    return res.status(400).json({ message: `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const conversation = await findOwnedConversation(conversationId, req.auth.userId);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const now = new Date();
+    const messages = await Message.find({
+      conversationId: conversation._id,
+      timestamp: { $lte: now },
+    }).sort({ timestamp: 1 });
+
+    const share = await Share.create({
+      userId: conversation.userId,
+      conversationId: conversation._id,
+      token: createShareToken(),
+      title: conversation.title,
+      snapshotAt: now,
+      messages: messages.map(snapshotMessage),
+      passwordHash: password ? await hashSharePassword(password) : undefined,
+      expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+    });
+
+    res.status(201).json(describeShare(share));
+  } catch (error) {
+    console.error("Error in POST /api/shares:", error);
+    res.status(500).json({ message: "Server error creating share link" });
+  }
+});
+
+// Revoking deletes the share, so its link stops working at once.
+router.delete("/:shareId", requireAuth, async (req, res) => {
+  const { shareId } = req.params;
+
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    const share = user && mongoose.isValidObjectId(shareId) && await Share.findOne({ _id: shareId, userId: user._id });
+    if (!share) {
+      return res.status(404).json({ message: "Share link not found" });
+    }
+
+    await share.deleteOne();
+    res.json({ message: "Share link revoked" });
+  } catch (error) {
+    console.error("Error in DELETE /api/shares/:shareId:", error);
+    res.status(500).json({ message: "Server error revoking share link" });
+  }
+});
+
+// Public: no Clerk session. Password-protected shares expect an X-Share-Password header.
+router.get("/public/:token", async (req, res) => {
+  try {
+    const share = await Share.findOne({ token: String(req.params.token) });
+    if (!isShareActive(share)) {
+      return res.status(404).json({ message: "This link is invalid, revoked or expired" });
+    }
+
+    if (share.passwordHash) {
+      const password = req.get("X-Share-Password");
+      const attemptKey = `${share.token}:${req.ip}`;
+      const retryDelay = password ? passwordRetryDelay(attemptKey) : 0;
+      if (retryDelay) {
+        res.setHeader("Retry-After", Math.ceil(retryDelay / 1000));
+        return res.status(429).json({
+          message: `Too many incorrect passwords. Try again in ${Math.ceil(retryDelay / 60000)} min.`,
+          passwordRequired: true,
+        });
+      }
+      if (!(await verifySharePassword(share.passwordHash, password))) {
+        if (password) recordPasswordFailure(attemptKey);
+        return res.status(401).json({
+          message: password ? "Incorrect password" : "This conversation is password protected",
+          passwordRequired: true,
+        });
+      }
+      clearPasswordFailures(attemptKey);
+    }
+
+    // Shares published before messages were copied fall back to the live conversation.
+    const messages = share.messages ?? await Message.find({
+      conversationId: share.conversationId,
+      timestamp: { $lte: share.snapshotAt },
+    }).sort({ timestamp: 1 });
+
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      title: share.title,
+      snapshotAt: share.snapshotAt,
+      expiresAt: share.expiresAt,
+      messages: messages.map(sharedMessage),
+    });
+  } catch (error) {
+    console.error("Error in GET /api/shares/public/:token:", error);
+    res.status(500).json({ message: "Server error opening shared conversation" });
+  }
+});
+
+export default router;
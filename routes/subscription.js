@@ -0,0 +1,29 @@
+// routes/subscription.js
+import express from "express";
+
+import User from "../models/user.js";
+import { requireAuth } from "../lib/auth.js";
+import { describeSubscription, expireLapsedSubscriptions } from "../lib/subscriptions.js";
+
+const router = express.Router();
+
+router.get("/", requireAuth, async (req, res) => {
+  const clerkUserId = req.auth.userId;
+
+  try {
+    await expireLapsedSubscriptions({ clerkUserId });
+
+    let user = await User.findOne({ clerkUserId });
+    if (!user) {
+      user = new User({ clerkUserId });
+      await user.save();
+    }
+
+    res.json(describeSubscription(user));
+  } catch (error) {
+    console.error("Error in GET /api/subscription:", error);
+    res.status(500).json({ message: "Server error retrieving subscription" });
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+// routes/templates.js
+import express from "express";
+
+import User from "../models/user.js";
+import Room from "../models/rooms.js";
+import Template from "../models/templates.js";
+import { requireAuth } from "../lib/auth.js";
+import { HttpError } from "../lib/errors.js";
+import { describeTemplate, findOwnedTemplate, listTemplatesFor, validateTemplate } from "../lib/templates.js";
+
+const router = express.Router();
+
+const MAX_TEMPLATES_PER_USER = 200;
+
+async function roomNamesFor(template) {
+  if (!template.roomId) return new Map();
+  const room = await Room.findById(template.roomId).select({ name: 1 });
+  return new Map(room ? [[String(room._id), room.name]] : []);
+}
+
+// Built-in templates plus the user's own and those shared with their rooms.
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(await listTemplatesFor(user));
+  } catch (error) {
+    console.error("Error in GET /api/templates:", error);
+    res.status(500).json({ message: "Server error retrieving templates" });
+  }
+});
+
+// A roomId shares the template with every member of that room.
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if ((await Template.countDocuments({ userId: user._id })) >= MAX_TEMPLATES_PER_USER) {
+      return res.status(409).json({ message: `You can keep up to ${MAX_TEMPLATES_PER_USER} templates` });
+    }
+
+    const fields = await validateTemplate(req.body, req.auth.userId);
+    const template = await Template.create({ userId: user._id, ...fields });
+    res.status(201).json(describeTemplate(template, user, await roomNamesFor(template)));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in POST /api/templates:", error);
+    res.status(500).json({ message: "Server error creating template" });
+  }
+});
+
+router.put("/:templateId", requireAuth, async (req, res) => {
+  try {
+    const template = await findOwnedTemplate(req.params.templateId, req.auth.userId);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    const fields = await validateTemplate(req.body, req.auth.userId, { partial: true, currentMode: template.mode });
+    template.set(fields);
+    await template.save();
+
+    const user = await User.findById(template.userId);
+    res.json(describeTemplate(template, user, await roomNamesFor(template)));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error in PUT /api/templates/:templateId:", error);
+    res.status(500).json({ message: "Server error updating template" });
+  }
+});
+
+router.delete("/:templateId", requireAuth, async (req, res) => {
+  try {
+    const template = await findOwnedTemplate(req.params.templateId, req.auth.userId);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    await template.deleteOne();
+    res.json({ message: "Template deleted" });
+  } catch (error) {
+    console.error("Error in DELETE /api/templates/:templateId:", error);
+    res.status(500).json({ message: "Server error deleting template" });
+  }
+});
+
+export default router;
@@ -0,0 +1,64 @@
+// routes/transcriptions.js
+import express from "express";
+
+import { requireAuth } from "../lib/auth.js";
+import { consumeQuota, refundQuota } from "../lib/entitlements.js";
+import { HttpError } from "../lib/errors.js";
+import { getTranscriber, parseTranscriptionRequest, transcribeAudio } from "../lib/transcription.js";
+import { recordUsage } from "../lib/usage.js";
+
+const router = express.Router();
+
+// Turns a dictated clip into text for the chat input. Each clip costs a
+// transcription credit, refunded when the engine fails or hears nothing.
+router.post("/", requireAuth, async (req, res) => {
+  const clerkUserId = req.auth.userId;
+  let charge = null;
+  let engine = null;
+  const startedAt = Date.now();
+
+  try {
+    const clip = parseTranscriptionRequest(req.body);
+    engine = getTranscriber();
+    charge = await consumeQuota(clerkUserId, "transcription");
+
+    const transcript = await transcribeAudio(clip, engine);
+    const heard = Boolean(transcript.text);
+    if (!heard) await refundQuota(clerkUserId, charge.cost);
+    await recordUsage({
+      user: charge.user,
+      kind: "transcription",
+      provider: engine.provider,
+      model: engine.model,
+      audioSeconds: transcript.duration || 0,
+      latencyMs: Date.now() - startedAt,
+      credits: heard ? charge.cost : 0,
+      status: heard ? "success" : "error",
+    });
+
+    if (!heard) {
+      return res.status(422).json({ message: "No speech was recognized in the recording" });
+    }
+    res.json(transcript);
+  } catch (error) {
+    if (charge) {
+      await refundQuota(clerkUserId, charge.cost);
+      await recordUsage({
+        user: charge.user,
+        kind: "transcription",
+        provider: engine.provider,
+        model: engine.model,
+        latencyMs: Date.now() - startedAt,
+        credits: 0,
+        status: "error",
+      });
+    }
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error("Error in POST /api/transcriptions:", error);
+    res.status(500).json({ message: "Server error transcribing audio" });
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+// routes/usage.js
+import express from "express";
+
+import User from "../models/user.js";
+import { requireAdmin, requireAuth } from "../lib/auth.js";
+import { parseDateRange, summarizeUsage } from "../lib/usage.js";
+
+const router = express.Router();
+
+router.get("/", requireAuth, async (req, res) => {
+  const range = parseDateRange(req.query);
+  if (!range) {
+    return res.status(400).json({ message: "Invalid from/to date range" });
+  }
+
+  try {
+    const user = await User.findOne({ clerkUserId: req.auth.userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json(await summarizeUsage({ userId: user._id, ...range }));
+  } catch (error) {
+    console.error("Error in GET /api/usage:", error);
+    res.status(500).json({ message: "Server error retrieving usage" });
+  }
+});
+
+// Spend across every user, or one user with ?user=<clerkUserId>.
+router.get("/all", requireAuth, requireAdmin, async (req, res) => {
+  const range = parseDateRange(req.query);
+  if (!range) {
+    return res.status(400).json({ message: "Invalid from/to date range" });
+  }
+
+  try {
+    let userId;
+    if (req.query.user) {
+      const user = await User.findOne({ clerkUserId: req.query.user });
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      userId = user._id;
+    }
+
+    res.json(await summarizeUsage({ userId, ...range }));
+  } catch (error) {
+    console.error("Error in GET /api/usage/all:", error);
+    res.status(500).json({ message: "Server error retrieving usage" });
+  }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+// routes/webhooks.js
+import express from "express";
+
+import { completePayment, failPayment, refundPayment, verifyWebhookSignature } from "../lib/payments.js";
+
+const router = express.Router();
+
+// Razorpay retries deliveries that do not get a 2xx, so every handler below
+// must be safe to run more than once for the same event.
+router.post("/razorpay", async (req, res) => {
+  const signature = req.headers["x-razorpay-signature"];
+
+  if (!req.rawBody || !signature || !verifyWebhookSignature(req.rawBody, signature)) {
+    console.warn("Rejected Razorpay webhook with invalid signature");
+    return res.status(400).json({ message: "Invalid webhook signature" });
+  }
+
+  const { event, payload } = req.body;
+  const payment = payload?.payment?.entity;
+
+  try {
+    switch (event) {
+      case "payment.captured":
+      case "order.paid":
+        await completePayment({
+          orderId: payment.order_id,
+          transactionId: payment.id,
+          amount: payment.amount,
+          currency: payment.currency,
+          method: payment.method,
+        });
+        break;
+
+      case "payment.failed":
+        await failPayment({
+          orderId: payment.order_id,
+          transactionId: payment.id,
+          amount: payment.amount,
+          currency: payment.currency,
+          method: payment.method,
+          reason: payment.error_description,
+        });
+        break;
+
+      case "refund.processed": {
+        const refund = payload.refund.entity;
+        await refundPayment({
+          transactionId: refund.payment_id,
+          refundId: refund.id,
+          amount: refund.amount,
+        });
+        break;
+      }
+
+      default:
+        break; // Other events we subscribe to need no action
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`Error handling Razorpay webhook ${event}:`, error);
+    res.status(500).json({ message: "Server error processing webhook" });
+  }
+});
+
+export default router;
@@ -1,15 +1,36 @@
 import express from "express";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import OpenAI from "openai";
 import dotenv from "dotenv";
 import cors from "cors";
 import mongoose from "mongoose";
-import Razorpay from "razorpay";
-import crypto from 'crypto';
 
 import User from "./models/user.js";
 import Message from "./models/messages.js";
 import Payment from "./models/payments.js";
+import GeneratedImage from "./models/images.js";
+import analyticsRouter from "./routes/analytics.js";
+import articlesRouter from "./routes/articles.js";
+import conversationsRouter, { findOwnedConversation } from "./routes/conversations.js";
+import documentsRouter from "./routes/documents.js";
+import draftsRouter from "./routes/drafts.js";
+import galleryRouter from "./routes/gallery.js";
+import libraryRouter from "./routes/library.js";
+import personasRouter from "./routes/personas.js";
+import roomsRouter from "./routes/rooms.js";
+import sharesRouter from "./routes/shares.js";
+import subscriptionRouter from "./routes/subscription.js";
+import templatesRouter from "./routes/templates.js";
+import transcriptionsRouter from "./routes/transcriptions.js";
+import usageRouter from "./routes/usage.js";
+import webhooksRouter from "./routes/webhooks.js";
+import { requireAuth } from "./lib/auth.js";
+import { storeAttachment, withImageUrl } from "./lib/gallery.js";
+import { handleImageRequest, handleTextRequest } from "./lib/generation.js";
+import { completePayment, getRazorpay, verifyCheckoutSignature } from "./lib/payments.js";
+import { getPlan } from "./lib/plans.js";
+import { expireLapsedSubscriptions } from "./lib/subscriptions.js";
+import { listImageModels } from "./lib/images.js";
+import { listModels } from "./lib/providers.js";
+import { attachRoomSocket } from "./lib/roomSocket.js";
 
 dotenv.config();
 
@@ -18,6 +39,8 @@ const requiredEnvVars = [
   "NEBIUS_API_KEY",
   "RAZORPAY_KEY_ID",
   "RAZORPAY_SECRET",
+  "RAZORPAY_WEBHOOK_SECRET",
+  "IMAGE_URL_SECRET",
   "MONGODB_URI",
   "CLIENT_URL",
   "PORT"
@@ -30,129 +53,55 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+if (!process.env.CLERK_JWT_KEY && !process.env.CLERK_JWKS_URL) {
+  console.error("Error: Set CLERK_JWT_KEY or CLERK_JWKS_URL so Clerk session tokens can be verified");
+  process.exit(1);
+}
+
 const app = express();
+// Behind Vercel's proxy, so req.ip is the client from X-Forwarded-For rather
+// than the proxy. TRUST_PROXY is the number of proxy hops in front of the app.
+app.set("trust proxy", Number(process.env.TRUST_PROXY ?? 1));
 const PORT = process.env.PORT || 5000;
+const MAX_SAVED_TOOL_CALLS = 50; // Per model message, see lib/tools.js
 
 const corsOptions = {
   origin: process.env.CLIENT_URL,
   methods: ["GET", "POST", "PUT", "DELETE"],
   credentials: true,
+  exposedHeaders: ["Content-Disposition"], // Export downloads read their filename from it
 };
 app.use(cors(corsOptions));
 
-app.use(express.json());
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const geminiModel = genAI.getGenerativeModel({
-  model: "gemini-1.5-flash",
-  systemInstruction:
-    "You are a research assistant AI designed to help researchers. You can assist with article generation, summarizing research papers, answering research-related questions, and generating ideas for experiments. For image generation requests, I will handle them separately. Provide detailed, accurate, and professional responses suitable for academic and research purposes.",
+// Generated images and attached photos travel as base64 data URLs.
+app.use(express.json({
+  limit: "20mb",
+  verify: (req, res, buf) => {
+    // Webhook signatures are checked against the raw bytes, not the parsed JSON.
+    if (req.originalUrl.startsWith("/api/webhooks/")) req.rawBody = buf;
+  },
+}));
+
+app.get("/api/models", (req, res) => {
+  res.json(listModels());
 });
 
-const nebiusClient = new OpenAI({
-  baseURL: "https://api.studio.nebius.com/v1/",
-  apiKey: process.env.NEBIUS_API_KEY,
+app.get("/api/image-models", (req, res) => {
+  res.json(listImageModels());
 });
 
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_SECRET,
-});
-
-app.post("/api/text", async (req, res) => {
-  try {
-    const { messages } = req.body;
-
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ error: "Invalid or missing messages array" });
-    }
-
-    const lastUserMessage = messages[messages.length - 1];
-
-    const chatHistory = messages
-      .filter((msg, index) => msg.role !== "system" && index < messages.length - 1)
-      .map((msg) => ({
-        role: msg.role === "user" ? "user" : "model",
-        parts: [{ text: msg.content }],
-      }));
-
-    const chat = geminiModel.startChat({
-      history: chatHistory,
-    });
-
-    const parts = [{ text: lastUserMessage.content || "" }];
-
-    if (lastUserMessage.files && lastUserMessage.files.length > 0) {
-      for (const file of lastUserMessage.files) {
-        if (file.type && file.type.startsWith("image/")) {
-          try {
-            if (file.data && typeof file.data === "string" && file.data.startsWith("data:image")) {
-              const base64Data = file.data.split(",")[1];
-              parts.push({
-                inlineData: {
-                  data: base64Data,
-                  mimeType: file.type,
-                },
-              });
-            } else {
-              console.warn("Invalid or missing base64 data for file:", file.name);
-            }
-          } catch (imageError) {
-            console.error("Error processing image:", imageError);
-          }
-        }
-      }
-    }
+app.post("/api/text", requireAuth, (req, res) => handleTextRequest(req, res, req.auth.userId));
 
-    const result = await chat.sendMessage(parts);
-    res.json({ content: result.response.text() });
-  } catch (error) {
-    console.error("Error calling Gemini API:", error);
-    const errorMessage = error.response?.data?.error?.message || error.message || "Something went wrong with the Gemini API";
-    res.status(500).json({ error: errorMessage });
-  }
-});
-
-app.post("/api/image", async (req, res) => {
-  try {
-    const { prompt } = req.body;
-
-    if (!prompt || typeof prompt !== "string") {
-      return res.status(400).json({ error: "Invalid or missing prompt" });
-    }
-
-    const response = await nebiusClient.images.generate({
-      model: "stability-ai/sdxl",
-      response_format: "b64_json",
-      extra_body: {
-        response_extension: "png",
-        width: 1024,
-        height: 1024,
-        num_inference_steps: 30,
-        negative_prompt: "",
-        seed: -1,
-      },
-      prompt: prompt,
-    });
-
-    const imageBase64 = response.data[0].b64_json;
-    const imageUrl = `data:image/png;base64,${imageBase64}`;
-
-    res.json({ image: imageUrl });
-  } catch (error) {
-    console.error("Error calling Nebius Studio API:", error);
-    const errorMessage = error.response?.data?.error?.message || error.message || "Something went wrong with the Nebius Studio API";
-    res.status(500).json({ error: errorMessage });
-  }
-});
+app.post("/api/image", requireAuth, (req, res) => handleImageRequest(req, res, req.auth.userId));
 
-app.get("/api/user/:clerkUserId", async (req, res) => {
+app.get("/api/user/:clerkUserId", requireAuth, async (req, res) => {
   try {
     const { clerkUserId } = req.params;
     if (!clerkUserId) {
       return res.status(400).json({ message: "Clerk User ID is required" });
     }
 
+    await expireLapsedSubscriptions({ clerkUserId });
     let user = await User.findOne({ clerkUserId });
 
     if (!user) {
@@ -167,11 +116,21 @@ app.get("/api/user/:clerkUserId", async (req, res) => {
   }
 });
 
-app.post("/api/messages", async (req, res) => {
-  const { clerkUserId, message, isFromUser = true } = req.body;
+app.post("/api/messages", requireAuth, async (req, res) => {
+  const { conversationId, message = "", isFromUser = true, attachments, imageId, model, transcript, toolCalls } = req.body;
+  const clerkUserId = req.auth.userId;
 
-  if (!clerkUserId || !message) {
-    return res.status(400).json({ message: "Missing clerkUserId or message content" });
+  if (!message && !attachments?.length && !imageId) {
+    return res.status(400).json({ message: "Missing message content" });
+  }
+  if (attachments !== undefined && !Array.isArray(attachments)) {
+    return res.status(400).json({ message: "attachments must be an array" });
+  }
+  if (transcript !== undefined && (typeof transcript?.text !== "string" || !isFromUser)) {
+    return res.status(400).json({ message: "transcript must have text and belong to a user message" });
+  }
+  if (toolCalls !== undefined && (!Array.isArray(toolCalls) || toolCalls.length > MAX_SAVED_TOOL_CALLS || isFromUser)) {
+    return res.status(400).json({ message: `toolCalls must be an array of up to ${MAX_SAVED_TOOL_CALLS} calls on a model message` });
   }
 
   try {
@@ -180,32 +139,59 @@ app.post("/api/messages", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    if (isFromUser && user.subscriptionStatus === "free" && user.chatAttempts >= 6) {
-      return res.status(403).json({ message: "Upgrade to pro to send more messages" });
+    let conversation = null;
+    if (conversationId) {
+      conversation = await findOwnedConversation(conversationId, clerkUserId);
+      if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+    }
+
+    let storedImage = null;
+    if (imageId && !isFromUser) {
+      storedImage = mongoose.isValidObjectId(imageId) && await GeneratedImage.findOne({ _id: imageId, userId: user._id });
+      if (!storedImage) {
+        return res.status(404).json({ message: "Image not found" });
+      }
     }
 
     const newMessage = new Message({
       userId: user._id,
+      conversationId: conversation?._id,
       message,
       isFromUser: isFromUser,
+      attachments: attachments && await Promise.all(attachments.map((attachment) => storeAttachment(user, attachment))),
+      imageId: storedImage?._id,
+      imageSettings: storedImage?.settings,
+      model: isFromUser ? undefined : model,
+      transcript: transcript && {
+        text: transcript.text,
+        engine: transcript.engine,
+        language: transcript.language,
+        duration: transcript.duration,
+      },
+      toolCalls: toolCalls?.map(({ name, arguments: args, output, error, durationMs }) => ({ name, arguments: args, output, error, durationMs })),
       timestamp: new Date(),
     });
     await newMessage.save();
 
-    if (isFromUser && user.subscriptionStatus === "free") {
-      user.chatAttempts += 1;
-      user.updatedAt = new Date();
-      await user.save();
+    if (conversation) {
+      conversation.lastActivityAt = newMessage.timestamp;
+      if (!isFromUser) {
+        if (model) conversation.model = model;
+        conversation.mode = storedImage ? "image" : "text";
+      }
+      await conversation.save();
     }
 
-    res.status(201).json(newMessage);
+    res.status(201).json(withImageUrl(newMessage));
   } catch (error) {
     console.error("Error in POST /api/messages:", error);
     res.status(500).json({ message: "Server error saving message" });
   }
 });
 
-app.get("/api/messages/:clerkUserId", async (req, res) => {
+app.get("/api/messages/:clerkUserId", requireAuth, async (req, res) => {
   try {
     const { clerkUserId } = req.params;
     if (!clerkUserId) {
@@ -218,21 +204,36 @@ app.get("/api/messages/:clerkUserId", async (req, res) => {
     }
 
     const messages = await Message.find({ userId: user._id }).sort({ timestamp: 1 });
-    res.json(messages);
+    res.json(messages.map(withImageUrl));
   } catch (error) {
     console.error("Error in GET /api/messages/:clerkUserId:", error);
     res.status(500).json({ message: "Server error retrieving messages" });
   }
 });
 
-app.post("/api/create-order", async (req, res) => {
-  const { amount, currency = "INR", clerkUserId } = req.body;
-
-  if (!amount || typeof amount !== 'number' || amount <= 0) {
-    return res.status(400).json({ message: "Invalid or missing amount" });
-  }
-  if (!clerkUserId) {
-    return res.status(400).json({ message: "clerkUserId is required to create an order" });
+app.use("/api/analytics", analyticsRouter);
+app.use("/api/articles", articlesRouter);
+app.use("/api/conversations", conversationsRouter);
+app.use("/api/documents", documentsRouter);
+app.use("/api/drafts", draftsRouter);
+app.use("/api/gallery", galleryRouter);
+app.use("/api/library", libraryRouter);
+app.use("/api/personas", personasRouter);
+app.use("/api/rooms", roomsRouter);
+app.use("/api/shares", sharesRouter);
+app.use("/api/subscription", subscriptionRouter);
+app.use("/api/templates", templatesRouter);
+app.use("/api/transcriptions", transcriptionsRouter);
+app.use("/api/usage", usageRouter);
+app.use("/api/webhooks", webhooksRouter);
+
+app.post("/api/create-order", requireAuth, async (req, res) => {
+  const { planId } = req.body;
+  const clerkUserId = req.auth.userId;
+
+  const plan = getPlan(planId);
+  if (!plan) {
+    return res.status(400).json({ message: "Unknown or non-purchasable plan" });
   }
 
   try {
@@ -242,16 +243,31 @@ app.post("/api/create-order", async (req, res) => {
     }
 
     const options = {
-      amount: Math.round(amount * 100),
-      currency: currency,
-      receipt: `receipt_${clerkUserId}_${Date.now()}`,
+      amount: Math.round(plan.amount * 100),
+      currency: plan.currency,
+      receipt: `receipt_${user._id.toString().slice(-8)}_${Date.now()}`, // Razorpay caps receipts at 40 characters
       notes: {
         clerkUserId: clerkUserId,
-        userId: user._id.toString()
+        userId: user._id.toString(),
+        planId: plan.id
       }
     };
-    const order = await razorpay.orders.create(options);
-    res.json(order);
+    const order = await getRazorpay().orders.create(options);
+
+    // Lets the webhook attribute the order even if the browser never returns.
+    await Payment.create({
+      userId: user._id,
+      clerkUserId,
+      amount: plan.amount,
+      currency: plan.currency,
+      status: "pending",
+      orderId: order.id,
+      receipt: order.receipt,
+      planId: plan.id,
+    });
+
+    // The browser needs the public key id to open Checkout for this order.
+    res.json({ ...order, keyId: process.env.RAZORPAY_KEY_ID, plan: { id: plan.id, title: plan.title } });
   } catch (error) {
     console.error("Error creating Razorpay order:", error);
     const errorMessage = error.error?.description || error.message || "Server error creating payment order";
@@ -259,62 +275,47 @@ app.post("/api/create-order", async (req, res) => {
   }
 });
 
-app.post("/api/verify-payment", async (req, res) => {
-  const { razorpay_payment_id, razorpay_order_id, razorpay_signature, clerkUserId } = req.body;
+app.post("/api/verify-payment", requireAuth, async (req, res) => {
+  const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
+  const clerkUserId = req.auth.userId;
 
-  if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature || !clerkUserId) {
-    return res.status(400).json({ message: "Missing payment verification details or clerkUserId", success: false });
+  if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
+    return res.status(400).json({ message: "Missing payment verification details", success: false });
   }
 
   try {
-    const generated_signature = crypto
-      .createHmac("sha256", process.env.RAZORPAY_SECRET)
-      .update(razorpay_order_id + "|" + razorpay_payment_id)
-      .digest("hex");
-
-    if (generated_signature === razorpay_signature) {
-      const orderDetails = await razorpay.orders.fetch(razorpay_order_id);
+    if (!verifyCheckoutSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      console.warn(`Invalid payment signature for order ${razorpay_order_id}`);
+      return res.status(400).json({ message: "Invalid payment signature", success: false });
+    }
 
-      if (!orderDetails) {
-        return res.status(404).json({ message: "Order not found on Razorpay", success: false });
-      }
+    const orderDetails = await getRazorpay().orders.fetch(razorpay_order_id);
 
-      const orderClerkUserId = orderDetails.notes?.clerkUserId;
-      if (!orderClerkUserId || orderClerkUserId !== clerkUserId) {
-        console.warn(`ClerkUserId mismatch! Body: ${clerkUserId}, Order Notes: ${orderClerkUserId}`);
-        return res.status(400).json({ message: "User ID mismatch during verification", success: false });
-      }
+    if (!orderDetails) {
+      return res.status(404).json({ message: "Order not found on Razorpay", success: false });
+    }
 
-      const user = await User.findOne({ clerkUserId: orderClerkUserId });
-      if (!user) {
-        console.error(`User not found for clerkUserId ${orderClerkUserId} after payment verification.`);
-        return res.status(404).json({ message: "User associated with order not found", success: false });
-      }
+    const orderClerkUserId = orderDetails.notes?.clerkUserId;
+    if (!orderClerkUserId || orderClerkUserId !== clerkUserId) {
+      console.warn(`ClerkUserId mismatch! Session: ${clerkUserId}, Order Notes: ${orderClerkUserId}`);
+      return res.status(400).json({ message: "User ID mismatch during verification", success: false });
+    }
 
-      user.subscriptionStatus = "pro";
-      user.chatAttempts = 0;
-      user.updatedAt = new Date();
-      await user.save();
+    // The webhook may already have recorded this payment; completePayment is idempotent.
+    await completePayment({
+      orderId: razorpay_order_id,
+      transactionId: razorpay_payment_id,
+      amount: orderDetails.amount,
+      currency: orderDetails.currency,
+      method: req.body.method || 'unknown',
+    });
 
-      const newPayment = new Payment({
-        userId: user._id,
-        clerkUserId: user.clerkUserId,
-        amount: orderDetails.amount / 100,
-        currency: orderDetails.currency,
-        status: "completed",
-        orderId: razorpay_order_id,
-        transactionId: razorpay_payment_id,
-        method: req.body.method || 'unknown',
-        receipt: orderDetails.receipt
-      });
-      await newPayment.save();
-
-      res.json({ message: "Payment verified and subscription updated", success: true });
-
-    } else {
-      console.warn(`Invalid payment signature for order ${razorpay_order_id}`);
-      res.status(400).json({ message: "Invalid payment signature", success: false });
-    }
+    const user = await User.findOne({ clerkUserId });
+    res.json({
+      message: "Payment verified and subscription updated",
+      success: true,
+      subscriptionStatus: user.subscriptionStatus
+    });
   } catch (error) {
     console.error("Error in /api/verify-payment:", error);
     const errorMessage = error.error?.description || error.message || "Server error verifying payment";
@@ -325,10 +326,18 @@ app.post("/api/verify-payment", async (req, res) => {
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log("Successfully connected to MongoDB Atlas!");
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server running on port: ${PORT}`);
       console.log(`Accepting requests from: ${process.env.CLIENT_URL}`);
     });
+    attachRoomSocket(server);
+
+    // Users are also checked on request; this catches the ones who stay away.
+    setInterval(() => {
+      expireLapsedSubscriptions()
+        .then((count) => count > 0 && console.log(`Downgraded ${count} lapsed Pro subscriptions`))
+        .catch((err) => console.error("Error expiring subscriptions:", err));
+    }, 60 * 60 * 1000);
   })
   .catch((err) => {
     console.error("MongoDB connection error:", err.message);
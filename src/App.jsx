@@ -11,6 +11,18 @@ import Services from "./components/Services";
 import Auth from "./components/Auth";
 import Chatroom from "./components/Chatroom";
 import PricingPage from "./components/PricingPage";
+import LibraryPage from "./components/LibraryPage";
+import GalleryPage from "./components/GalleryPage";
+import SharedConversationPage from "./components/SharedConversationPage";
+import RoomsPage from "./components/RoomsPage";
+import RoomPage from "./components/RoomPage";
+import DraftsPage from "./components/DraftsPage";
+import CanvasPage from "./components/CanvasPage";
+import ArticlesPage from "./components/ArticlesPage";
+import ArticlePage from "./components/ArticlePage";
+import TemplatesPage from "./components/TemplatesPage";
+import PersonasPage from "./components/PersonasPage";
+import AnalyticsPage from "./components/AnalyticsPage";
 
 const App = () => {
   return (
@@ -35,6 +47,19 @@ const App = () => {
           <Route path="/sign-up" element={<Auth />} />
           <Route path="/chat" element={<Chatroom />} />
           <Route path="/pricing" element={<PricingPage />} />
+          <Route path="/library" element={<LibraryPage />} />
+          <Route path="/gallery" element={<GalleryPage />} />
+          <Route path="/share/:token" element={<SharedConversationPage />} />
+          <Route path="/rooms" element={<RoomsPage />} />
+          <Route path="/rooms/join/:code" element={<RoomsPage />} />
+          <Route path="/rooms/:roomId" element={<RoomPage />} />
+          <Route path="/canvas" element={<DraftsPage />} />
+          <Route path="/canvas/:draftId" element={<CanvasPage />} />
+          <Route path="/articles" element={<ArticlesPage />} />
+          <Route path="/articles/:articleId" element={<ArticlePage />} />
+          <Route path="/templates" element={<TemplatesPage />} />
+          <Route path="/personas" element={<PersonasPage />} />
+          <Route path="/analytics" element={<AnalyticsPage />} />
         </Routes>
         <Footer />
       </div>
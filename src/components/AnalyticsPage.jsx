@@ -0,0 +1,439 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
+import { Lock, MessageSquare } from "lucide-react";
+import Section from "./Section";
+import Heading from "./Heading";
+import { useApi } from "./lib/api";
+import {
+  ANALYTICS_RANGES,
+  ANALYTICS_REPORTS,
+  formatDay,
+  rangeQuery,
+} from "./lib/analytics";
+
+const inputClass =
+  "w-full bg-n-7 border border-n-6 rounded-lg px-3 py-2 text-sm text-n-1 outline-none focus:border-blue-500";
+
+const panelClass = "p-6 bg-n-8 border border-n-6 rounded-[2rem]";
+
+const Panel = ({ title, children, className = "" }) => (
+  <div className={`${panelClass} ${className}`}>
+    <p className="mb-4 text-xs font-code font-bold tracking-wider uppercase text-n-1/50">
+      {title}
+    </p>
+    {children}
+  </div>
+);
+
+const Stat = ({ label, value }) => (
+  <div className={panelClass}>
+    <p className="text-xs font-code font-bold tracking-wider uppercase text-n-1/50">
+      {label}
+    </p>
+    <h5 className="h5">{value}</h5>
+  </div>
+);
+
+const Legend = ({ series }) => (
+  <div className="flex flex-wrap gap-4 mt-3 text-xs text-n-1/50">
+    {series.map(({ key, label, color }) => (
+      <span key={key} className="flex items-center gap-1.5">
+        <span className={`w-2.5 h-2.5 rounded-sm ${color}`} />
+        {label}
+      </span>
+    ))}
+  </div>
+);
+
+// Stacked bars, one per day; `series` picks the day fields to stack.
+const DailyBars = ({ days, series }) => {
+  const max = Math.max(
+    1,
+    ...days.map((day) => series.reduce((sum, { key }) => sum + day[key], 0))
+  );
+
+  return (
+    <>
+      <div className="flex items-end gap-px h-40">
+        {days.map((day) => (
+          <div
+            key={day.day}
+            className="flex flex-col-reverse flex-1 h-full"
+            title={`${formatDay(day.day)}: ${series
+              .map(({ key, label }) => `${day[key]} ${label.toLowerCase()}`)
+              .join(", ")}`}
+          >
+            {series.map(({ key, color }) => (
+              <div
+                key={key}
+                className={color}
+                style={{ height: `${(day[key] / max) * 100}%` }}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between mt-2 text-xs text-n-1/50">
+        <span>{days.length > 0 && formatDay(days[0].day)}</span>
+        <span>{days.length > 0 && formatDay(days[days.length - 1].day)}</span>
+      </div>
+      <Legend series={series} />
+    </>
+  );
+};
+
+const HorizontalBar = ({ label, value, max, detail }) => (
+  <li className="mb-3 last:mb-0">
+    <div className="flex justify-between gap-4 mb-1 text-sm">
+      <span className="truncate">{label}</span>
+      <span className="flex-shrink-0 text-n-1/50">{detail ?? value}</span>
+    </div>
+    <div className="h-1.5 bg-n-6 rounded-full">
+      <div
+        className="h-full bg-color-1 rounded-full"
+        style={{ width: `${(value / Math.max(max, 1)) * 100}%` }}
+      />
+    </div>
+  </li>
+);
+
+const UpgradeCard = () => (
+  <div className={`${panelClass} max-w-[40rem] mx-auto text-center`}>
+    <Lock size={24} className="mx-auto mb-4" />
+    <p className="body-2 mb-4 text-n-1/50">
+      The analytics dashboard is part of the Premium plan.
+    </p>
+    <Link
+      to="/pricing"
+      className="inline-block px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+    >
+      Upgrade to Pro
+    </Link>
+  </div>
+);
+
+const AnalyticsPage = () => {
+  const api = useApi();
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [locked, setLocked] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const query = rangeQuery(days);
+      const results = await Promise.all(
+        ANALYTICS_REPORTS.map((name) => api.json(`analytics/${name}?${query}`))
+      );
+      setReport(
+        Object.fromEntries(
+          ANALYTICS_REPORTS.map((name, i) => [name, results[i]])
+        )
+      );
+    } catch (err) {
+      console.error("Error loading analytics:", err.message);
+      if (err.data?.code === "pro_required") setLocked(true);
+      else setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, days]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const { activity, models, topics, conversations, documents, quota } =
+    report || {};
+
+  return (
+    <>
+      <SignedIn>
+        <Section className="overflow-hidden" id="analytics">
+          <div className="container relative z-2">
+            <Heading tag="Analytics" title="See how your research is going" />
+
+            {locked ? (
+              <UpgradeCard />
+            ) : (
+              <div className="max-w-[60rem] mx-auto">
+                <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                  <p className="body-2 text-n-1/50">
+                    {loading
+                      ? "Crunching the numbers…"
+                      : "Days are counted in UTC."}
+                  </p>
+                  <select
+                    value={days}
+                    onChange={(e) => setDays(Number(e.target.value))}
+                    className={`${inputClass} w-auto`}
+                    aria-label="Date range"
+                  >
+                    {ANALYTICS_RANGES.map((range) => (
+                      <option key={range.days} value={range.days}>
+                        {range.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {error && <p className="body-2 mb-4 text-color-3">{error}</p>}
+
+                {report && (
+                  <div className="grid gap-4">
+                    <div className="grid sm:grid-cols-2 md:grid-cols-4 gap-4">
+                      <Stat
+                        label="Questions asked"
+                        value={activity.totals.sent}
+                      />
+                      <Stat
+                        label="Images generated"
+                        value={activity.totals.images}
+                      />
+                      <Stat
+                        label="Papers added"
+                        value={documents.library.uploaded}
+                      />
+                      <Stat
+                        label="Credits used"
+                        value={
+                          quota.totals.text +
+                          quota.totals.image +
+                          quota.totals.transcription +
+                          quota.totals.document +
+                          quota.totals.library
+                        }
+                      />
+                    </div>
+
+                    <Panel title="Messages and images per day">
+                      <DailyBars
+                        days={activity.days}
+                        series={[
+                          {
+                            key: "sent",
+                            label: "Questions",
+                            color: "bg-color-1",
+                          },
+                          {
+                            key: "answers",
+                            label: "Answers",
+                            color: "bg-color-5",
+                          },
+                          {
+                            key: "images",
+                            label: "Images",
+                            color: "bg-color-2",
+                          },
+                        ]}
+                      />
+                    </Panel>
+
+                    <div className="grid md:grid-cols-2 gap-4">
+                      <Panel title="Models used">
+                        {models.length === 0 ? (
+                          <p className="body-2 text-n-1/50">
+                            No requests in this range.
+                          </p>
+                        ) : (
+                          <ul>
+                            {models.map((row) => (
+                              <HorizontalBar
+                                key={`${row.kind}:${row.provider}:${row.model}`}
+                                label={`${row.model} · ${row.kind}`}
+                                value={row.requests}
+                                max={models[0].requests}
+                                detail={`${row.requests} requests${
+                                  row.errors ? `, ${row.errors} failed` : ""
+                                }`}
+                              />
+                            ))}
+                          </ul>
+                        )}
+                      </Panel>
+
+                      <Panel title="Top topics">
+                        {topics.terms.length === 0 ? (
+                          <p className="body-2 text-n-1/50">
+                            Ask a few more questions to see recurring topics.
+                          </p>
+                        ) : (
+                          <ul>
+                            {topics.terms.map(({ term, count }) => (
+                              <HorizontalBar
+                                key={term}
+                                label={term}
+                                value={count}
+                                max={topics.terms[0].count}
+                                detail={`${count} questions`}
+                              />
+                            ))}
+                          </ul>
+                        )}
+                      </Panel>
+                    </div>
+
+                    {topics.terms.length > 0 && (
+                      <Panel title="Topics over time">
+                        <div className="overflow-x-auto">
+                          <table className="w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-xs text-n-1/50">
+                                <th className="pr-4 pb-2 font-normal">
+                                  Week of
+                                </th>
+                                {topics.terms.map(({ term }) => (
+                                  <th
+                                    key={term}
+                                    className="pr-4 pb-2 font-normal"
+                                  >
+                                    {term}
+                                  </th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {topics.weeks.map(({ week, counts }) => (
+                                <tr key={week} className="border-t border-n-6">
+                                  <td className="pr-4 py-2 text-n-1/50">
+                                    {formatDay(week)}
+                                  </td>
+                                  {topics.terms.map(({ term }) => (
+                                    <td
+                                      key={term}
+                                      className={`pr-4 py-2 ${
+                                        counts[term] ? "" : "text-n-1/20"
+                                      }`}
+                                    >
+                                      {counts[term]}
+                                    </td>
+                                  ))}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                        {topics.sampled && (
+                          <p className="mt-3 text-xs text-n-1/50">
+                            Based on your most recent questions only.
+                          </p>
+                        )}
+                      </Panel>
+                    )}
+
+                    <Panel title="Longest conversations">
+                      <ul>
+                        {conversations.length === 0 && (
+                          <li className="body-2 text-n-1/50">
+                            No conversations in this range.
+                          </li>
+                        )}
+                        {conversations.map((conversation) => (
+                          <li
+                            key={conversation._id}
+                            className="flex items-center gap-4 py-3 border-b border-n-6 last:border-b-0"
+                          >
+                            <MessageSquare
+                              size={18}
+                              className="flex-shrink-0"
+                            />
+                            <Link
+                              to={`/chat?conversation=${conversation._id}`}
+                              className="flex-1 min-w-0 hover:text-n-1/80 transition-colors"
+                            >
+                              <p className="body-2 truncate">
+                                {conversation.title}
+                              </p>
+                              <p className="text-xs text-n-1/50">
+                                Last message{" "}
+                                {new Date(
+                                  conversation.lastMessageAt
+                                ).toLocaleString()}
+                              </p>
+                            </Link>
+                            <span className="text-sm text-n-1/50">
+                              {conversation.messages} messages
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </Panel>
+
+                    <div className="grid md:grid-cols-2 gap-4">
+                      <Panel title="Documents uploaded">
+                        <DailyBars
+                          days={documents.days}
+                          series={[
+                            {
+                              key: "documents",
+                              label: "Papers",
+                              color: "bg-color-4",
+                            },
+                          ]}
+                        />
+                        <p className="mt-4 text-sm text-n-1/50">
+                          {documents.library.pages} pages added ·{" "}
+                          {documents.library.total} papers in your library ·{" "}
+                          {documents.attachments.documents} files and{" "}
+                          {documents.attachments.images} images attached in
+                          chats
+                        </p>
+                      </Panel>
+
+                      <Panel title="Quota consumption">
+                        <DailyBars
+                          days={quota.days}
+                          series={[
+                            {
+                              key: "text",
+                              label: "Text credits",
+                              color: "bg-color-1",
+                            },
+                            {
+                              key: "image",
+                              label: "Image credits",
+                              color: "bg-color-2",
+                            },
+                            {
+                              key: "transcription",
+                              label: "Dictation credits",
+                              color: "bg-color-6",
+                            },
+                            {
+                              key: "document",
+                              label: "Document credits",
+                              color: "bg-color-4",
+                            },
+                            {
+                              key: "library",
+                              label: "Library credits",
+                              color: "bg-color-5",
+                            },
+                          ]}
+                        />
+                        <p className="mt-4 text-sm text-n-1/50">
+                          {quota.quota.limit === null
+                            ? `${quota.quota.used} credits used this period, no limit on your plan`
+                            : `${quota.quota.used} of ${quota.quota.limit} credits used this period`}
+                        </p>
+                      </Panel>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </Section>
+      </SignedIn>
+      <SignedOut>
+        <RedirectToSignIn />
+      </SignedOut>
+    </>
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,475 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
+import ReactMarkdown from "react-markdown";
+import {
+  ArrowDown,
+  ArrowLeft,
+  ArrowUp,
+  Check,
+  FilePen,
+  Loader2,
+  Pause,
+  Pencil,
+  Play,
+  Plus,
+  Trash2,
+} from "lucide-react";
+import { useApi } from "./lib/api";
+import { ARTICLE_STAGES } from "./lib/articles";
+import { modelLabel } from "./lib/chat";
+import { useMarkdownStyles } from "./lib/markdownStyles";
+
+const inputClass =
+  "w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white outline-none focus:border-blue-500";
+
+const toOutlineForm = (article) =>
+  article.outline.map(({ heading, notes }) => ({ heading, notes }));
+
+const ArticleWorkflow = () => {
+  const { articleId } = useParams();
+  const navigate = useNavigate();
+  const api = useApi();
+  const [article, setArticle] = useState(null);
+  const [outline, setOutline] = useState([]);
+  const [outlineDirty, setOutlineDirty] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [sectionText, setSectionText] = useState("");
+  const [running, setRunning] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const pauseRef = useRef(false);
+
+  useMarkdownStyles();
+
+  const showArticle = useCallback((next) => {
+    setArticle(next);
+    setOutline(toOutlineForm(next));
+    setOutlineDirty(false);
+  }, []);
+
+  useEffect(() => {
+    api
+      .json(`articles/${articleId}`)
+      .then(showArticle)
+      .catch((err) => {
+        console.error("Error loading article:", err.message);
+        setError({ message: err.message });
+      });
+  }, [api, articleId, showArticle]);
+
+  const showError = (err, failure) => {
+    console.error(`${failure}:`, err.message);
+    setError({
+      message: err.message,
+      upgrade: err.data?.code === "quota_exceeded",
+    });
+  };
+
+  // Runs stages until the article is done, pausing after the outline so it
+  // can be reviewed, or after the current step when Pause is pressed.
+  const handleRun = async () => {
+    pauseRef.current = false;
+    setRunning(true);
+    setError(null);
+    try {
+      let current = article;
+      while (current.stage !== "done" && !pauseRef.current) {
+        const stage = current.stage;
+        current = await api.json(`articles/${articleId}/advance`, {
+          method: "POST",
+        });
+        showArticle(current);
+        if (stage === "outline") break;
+      }
+    } catch (err) {
+      showError(err, "Error running article step");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const updateOutline = (index, changes) => {
+    setOutline((prev) =>
+      prev.map((section, i) =>
+        i === index ? { ...section, ...changes } : section
+      )
+    );
+    setOutlineDirty(true);
+  };
+
+  const moveSection = (index, offset) => {
+    setOutline((prev) => {
+      const next = [...prev];
+      const [section] = next.splice(index, 1);
+      next.splice(index + offset, 0, section);
+      return next;
+    });
+    setOutlineDirty(true);
+  };
+
+  const removeSection = (index) => {
+    setOutline((prev) => prev.filter((_, i) => i !== index));
+    setOutlineDirty(true);
+  };
+
+  const addSection = () => {
+    setOutline((prev) => [...prev, { heading: "", notes: "" }]);
+    setOutlineDirty(true);
+  };
+
+  const handleSaveOutline = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      showArticle(
+        await api.json(`articles/${articleId}/outline`, {
+          method: "PUT",
+          body: { outline },
+        })
+      );
+    } catch (err) {
+      showError(err, "Error saving outline");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEditingSection = (index) => {
+    setEditingIndex(index);
+    setSectionText(article.outline[index].content);
+  };
+
+  const handleSaveSection = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      showArticle(
+        await api.json(`articles/${articleId}/sections/${editingIndex}`, {
+          method: "PUT",
+          body: { content: sectionText },
+        })
+      );
+      setEditingIndex(null);
+    } catch (err) {
+      showError(err, "Error saving section");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleOpenInCanvas = async () => {
+    setBusy(true);
+    try {
+      const draft = await api.json(`articles/${articleId}/draft`, {
+        method: "POST",
+      });
+      navigate(`/canvas/${draft._id}`);
+    } catch (err) {
+      showError(err, "Error opening article in the canvas");
+      setBusy(false);
+    }
+  };
+
+  if (!article) {
+    return (
+      <div className="min-h-[60vh] flex flex-col items-center justify-center gap-4 text-white">
+        {error ? (
+          <>
+            <p className="text-gray-400">{error.message}</p>
+            <Link to="/articles" className="border-b">
+              Back to articles
+            </Link>
+          </>
+        ) : (
+          <Loader2 className="animate-spin text-blue-400" />
+        )}
+      </div>
+    );
+  }
+
+  const stageIndex = ARTICLE_STAGES.findIndex((s) => s.id === article.stage);
+  const drafted = article.outline.filter((s) => s.content != null).length;
+  const locked = running || busy || article.running;
+
+  return (
+    <div className="min-h-[calc(100vh-5.25rem)] bg-black text-white px-4 md:px-6 py-6">
+      <div className="max-w-4xl mx-auto">
+        <Link
+          to="/articles"
+          className="inline-flex items-center gap-2 mb-4 text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          <ArrowLeft size={16} />
+          All articles
+        </Link>
+        <h1 className="text-3xl font-bold">{article.topic}</h1>
+        <p className="mt-1 text-sm text-gray-400">
+          For {article.audience} · {article.length} ·{" "}
+          {modelLabel(article.model)}
+        </p>
+
+        <ol className="flex flex-wrap gap-2 mt-6">
+          {ARTICLE_STAGES.map((stage, index) => (
+            <li
+              key={stage.id}
+              className={`px-3 py-1 rounded-full text-xs border ${
+                article.stage === "done" || index < stageIndex
+                  ? "border-green-700 text-green-400"
+                  : index === stageIndex
+                    ? "border-blue-500 text-blue-300"
+                    : "border-gray-700 text-gray-500"
+              }`}
+            >
+              {stage.label}
+              {stage.id === "section" &&
+                article.outline.length > 0 &&
+                ` ${drafted}/${article.outline.length}`}
+            </li>
+          ))}
+        </ol>
+
+        <div className="flex flex-wrap items-center gap-2 mt-4">
+          {article.stage !== "done" &&
+            (running ? (
+              <button
+                onClick={() => {
+                  pauseRef.current = true;
+                }}
+                className="flex items-center gap-2 px-4 py-2 bg-gray-800 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+              >
+                <Pause size={16} />
+                Pause after this step
+              </button>
+            ) : (
+              <button
+                onClick={handleRun}
+                disabled={locked || outlineDirty}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-600 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                title={outlineDirty ? "Save the outline first" : undefined}
+              >
+                <Play size={16} />
+                {article.stage === "outline"
+                  ? "Generate outline"
+                  : "Continue writing"}
+              </button>
+            ))}
+          {running && (
+            <span className="flex items-center gap-2 text-sm text-gray-400">
+              <Loader2 size={14} className="animate-spin" />
+              Working on the{" "}
+              {ARTICLE_STAGES[stageIndex]?.label.toLowerCase() || "next step"}
+              ...
+            </span>
+          )}
+          {drafted > 0 && (
+            <button
+              onClick={handleOpenInCanvas}
+              disabled={locked}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-800 rounded-lg text-sm hover:bg-gray-700 disabled:opacity-50 transition-colors"
+            >
+              <FilePen size={16} />
+              Open in canvas
+            </button>
+          )}
+        </div>
+
+        {(error || article.lastError) && (
+          <p className="mt-3 text-xs text-red-400">
+            {error?.message || `Last step failed: ${article.lastError}`}
+            {error?.upgrade && (
+              <Link to="/pricing" className="ml-2 border-b text-blue-400">
+                Upgrade to Pro
+              </Link>
+            )}
+          </p>
+        )}
+
+        {outline.length > 0 && (
+          <section className="mt-8">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-xl font-semibold">Outline</h2>
+              {outlineDirty && (
+                <button
+                  onClick={handleSaveOutline}
+                  disabled={locked}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  <Check size={14} />
+                  Save outline
+                </button>
+              )}
+            </div>
+            {drafted > 0 && (
+              <p className="mb-3 text-xs text-gray-500">
+                Changing a drafted section redrafts it and every section after
+                it.
+              </p>
+            )}
+            <ol className="space-y-3">
+              {outline.map((section, index) => (
+                <li
+                  key={index}
+                  className="p-3 rounded-lg bg-gray-900 border border-gray-700"
+                >
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm text-gray-500">{index + 1}.</span>
+                    <input
+                      value={section.heading}
+                      onChange={(e) =>
+                        updateOutline(index, { heading: e.target.value })
+                      }
+                      disabled={locked}
+                      maxLength={200}
+                      placeholder="Section heading"
+                      className={inputClass}
+                    />
+                    <button
+                      onClick={() => moveSection(index, -1)}
+                      disabled={locked || index === 0}
+                      className="text-gray-500 hover:text-white disabled:opacity-30"
+                      aria-label="Move up"
+                    >
+                      <ArrowUp size={14} />
+                    </button>
+                    <button
+                      onClick={() => moveSection(index, 1)}
+                      disabled={locked || index === outline.length - 1}
+                      className="text-gray-500 hover:text-white disabled:opacity-30"
+                      aria-label="Move down"
+                    >
+                      <ArrowDown size={14} />
+                    </button>
+                    <button
+                      onClick={() => removeSection(index)}
+                      disabled={locked || outline.length === 1}
+                      className="text-gray-500 hover:text-red-500 disabled:opacity-30"
+                      aria-label="Remove section"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                  <textarea
+                    value={section.notes}
+                    onChange={(e) =>
+                      updateOutline(index, { notes: e.target.value })
+                    }
+                    disabled={locked}
+                    maxLength={2000}
+                    rows={2}
+                    placeholder="What this section should cover"
+                    className={`${inputClass} mt-2 resize-y`}
+                  />
+                </li>
+              ))}
+            </ol>
+            <button
+              onClick={addSection}
+              disabled={locked}
+              className="flex items-center gap-1 mt-3 text-sm text-gray-400 hover:text-white disabled:opacity-50 transition-colors"
+            >
+              <Plus size={14} />
+              Add section
+            </button>
+          </section>
+        )}
+
+        {drafted > 0 && article.revised == null && (
+          <section className="mt-10">
+            <h2 className="text-xl font-semibold mb-3">Draft</h2>
+            {article.outline.map(
+              (section, index) =>
+                section.content != null && (
+                  <div key={index} className="mb-6">
+                    <div className="flex items-center gap-2">
+                      <h3 className="text-lg font-semibold">
+                        {section.heading}
+                      </h3>
+                      {editingIndex !== index && (
+                        <button
+                          onClick={() => startEditingSection(index)}
+                          disabled={locked}
+                          className="text-gray-500 hover:text-white disabled:opacity-30"
+                          aria-label={`Edit ${section.heading}`}
+                        >
+                          <Pencil size={14} />
+                        </button>
+                      )}
+                    </div>
+                    {editingIndex === index ? (
+                      <div className="mt-2">
+                        <textarea
+                          value={sectionText}
+                          onChange={(e) => setSectionText(e.target.value)}
+                          rows={12}
+                          className={`${inputClass} font-mono`}
+                        />
+                        <div className="flex gap-2 mt-2">
+                          <button
+                            onClick={handleSaveSection}
+                            disabled={busy || !sectionText.trim()}
+                            className="px-3 py-1.5 bg-blue-600 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                          >
+                            Save section
+                          </button>
+                          <button
+                            onClick={() => setEditingIndex(null)}
+                            className="px-3 py-1.5 bg-gray-800 rounded-lg text-sm hover:bg-gray-700 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="mt-2 markdown-content text-gray-200">
+                        <ReactMarkdown>{section.content}</ReactMarkdown>
+                      </div>
+                    )}
+                  </div>
+                )
+            )}
+          </section>
+        )}
+
+        {article.revised != null && (
+          <section className="mt-10">
+            <h2 className="text-xl font-semibold mb-3">Revised article</h2>
+            <div className="markdown-content text-gray-200">
+              <ReactMarkdown>{article.revised}</ReactMarkdown>
+            </div>
+            {article.references && (
+              <>
+                <h2 className="text-xl font-semibold mt-8 mb-3">References</h2>
+                {article.references.length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    The article does not cite any works.
+                  </p>
+                ) : (
+                  <ul className="list-disc pl-5 space-y-1 text-sm text-gray-300">
+                    {article.references.map((reference, index) => (
+                      <li key={index}>{reference}</li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+          </section>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Guided article workflow: outline, section drafts, revision and references,
+// each stored so writing can pause and resume.
+const ArticlePage = () => (
+  <>
+    <SignedIn>
+      <ArticleWorkflow />
+    </SignedIn>
+    <SignedOut>
+      <RedirectToSignIn />
+    </SignedOut>
+  </>
+);
+
+export default ArticlePage;
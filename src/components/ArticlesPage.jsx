@@ -0,0 +1,187 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
+import { FileText, Plus, Trash2 } from "lucide-react";
+import Section from "./Section";
+import Heading from "./Heading";
+import { useApi } from "./lib/api";
+import { ARTICLE_LENGTHS, articleStageLabel } from "./lib/articles";
+import { models } from "./lib/chat";
+
+const inputClass =
+  "w-full bg-n-7 border border-n-6 rounded-lg px-3 py-2 text-sm text-n-1 outline-none focus:border-blue-500";
+
+const ArticlesPage = () => {
+  const api = useApi();
+  const navigate = useNavigate();
+  const [articles, setArticles] = useState([]);
+  const [topic, setTopic] = useState("");
+  const [audience, setAudience] = useState("");
+  const [length, setLength] = useState("medium");
+  const [selectedModel, setSelectedModel] = useState("Gemini");
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadArticles = useCallback(async () => {
+    try {
+      setArticles(await api.json("articles"));
+    } catch (err) {
+      console.error("Error loading articles:", err.message);
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadArticles();
+  }, [loadArticles]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError("");
+    try {
+      const article = await api.json("articles", {
+        method: "POST",
+        body: {
+          topic: topic.trim(),
+          audience: audience.trim(),
+          length,
+          model: selectedModel.toLowerCase(),
+        },
+      });
+      navigate(`/articles/${article._id}`);
+    } catch (err) {
+      console.error("Error creating article:", err.message);
+      setError(err.message);
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (article) => {
+    if (!window.confirm(`Delete the article on "${article.topic}"?`)) return;
+    try {
+      await api.request(`articles/${article._id}`, { method: "DELETE" });
+      setArticles((prev) => prev.filter((a) => a._id !== article._id));
+    } catch (err) {
+      console.error("Error deleting article:", err.message);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <SignedIn>
+        <Section className="overflow-hidden" id="articles">
+          <div className="container relative z-2">
+            <Heading
+              tag="Guided articles"
+              title="From outline to references, one step at a time"
+            />
+
+            <div className="max-w-[60rem] mx-auto">
+              <form
+                onSubmit={handleCreate}
+                className="grid md:grid-cols-2 gap-3 mb-6 p-6 bg-n-8 border border-n-6 rounded-[2rem]"
+              >
+                <label className="md:col-span-2 text-xs text-n-1/50">
+                  Topic
+                  <input
+                    value={topic}
+                    onChange={(e) => setTopic(e.target.value)}
+                    maxLength={300}
+                    placeholder="e.g. CRISPR off-target effects in human trials"
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="md:col-span-2 text-xs text-n-1/50">
+                  Audience
+                  <input
+                    value={audience}
+                    onChange={(e) => setAudience(e.target.value)}
+                    maxLength={200}
+                    placeholder="e.g. graduate students new to gene editing"
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="text-xs text-n-1/50">
+                  Length
+                  <select
+                    value={length}
+                    onChange={(e) => setLength(e.target.value)}
+                    className={`${inputClass} mt-1`}
+                  >
+                    {ARTICLE_LENGTHS.map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs text-n-1/50">
+                  Model
+                  <select
+                    value={selectedModel}
+                    onChange={(e) => setSelectedModel(e.target.value)}
+                    className={`${inputClass} mt-1`}
+                  >
+                    {models.map((model) => (
+                      <option key={model} value={model}>
+                        {model}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  type="submit"
+                  disabled={creating || !topic.trim() || !audience.trim()}
+                  className="md:col-span-2 flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  <Plus size={16} />
+                  Start article
+                </button>
+              </form>
+
+              {error && <p className="body-2 mb-4 text-color-3">{error}</p>}
+
+              <ul className="bg-n-8 border border-n-6 rounded-[2rem] px-8 py-4">
+                {articles.length === 0 && (
+                  <li className="py-4 body-2 text-n-1/50">No articles yet.</li>
+                )}
+                {articles.map((article) => (
+                  <li
+                    key={article._id}
+                    className="flex items-center gap-4 py-4 border-b border-n-6 last:border-b-0"
+                  >
+                    <FileText size={20} className="flex-shrink-0" />
+                    <Link
+                      to={`/articles/${article._id}`}
+                      className="flex-1 min-w-0 hover:text-n-1/80 transition-colors"
+                    >
+                      <p className="body-2 truncate">{article.topic}</p>
+                      <p className="text-xs text-n-1/50">
+                        For {article.audience} ·{" "}
+                        {articleStageLabel(article.stage)}
+                      </p>
+                    </Link>
+                    <button
+                      onClick={() => handleDelete(article)}
+                      className="text-n-1/50 hover:text-red-500 transition-colors"
+                      aria-label={`Delete ${article.topic}`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </Section>
+      </SignedIn>
+      <SignedOut>
+        <RedirectToSignIn />
+      </SignedOut>
+    </>
+  );
+};
+
+export default ArticlesPage;
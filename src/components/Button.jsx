@@ -1,13 +1,21 @@
 import ButtonSvg from "../assets/svg/ButtonSvg";
 
-const Button = ({ className, href, onClick, children, px, white }) => {
-  const classes = `button relative inline-flex items-center justify-center h-11 transition-colors hover:text-color-1 ${
+const Button = ({
+  className,
+  href,
+  onClick,
+  children,
+  px,
+  white,
+  disabled,
+}) => {
+  const classes = `button relative inline-flex items-center justify-center h-11 transition-colors hover:text-color-1 disabled:opacity-50 disabled:pointer-events-none ${
     px || "px-7"
   } ${white ? "text-n-8" : "text-n-1"} ${className || ""}`;
   const spanClasses = "relative z-10";
 
   const renderButton = () => (
-    <button className={classes} onClick={onClick}>
+    <button className={classes} onClick={onClick} disabled={disabled}>
       <span className={spanClasses}>{children}</span>
       {ButtonSvg(white)}
     </button>
@@ -0,0 +1,493 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
+import ReactMarkdown from "react-markdown";
+import {
+  ArrowLeft,
+  Bold,
+  Check,
+  Heading,
+  Italic,
+  List,
+  Loader2,
+  MessageSquare,
+  Quote,
+  Sparkles,
+  X,
+} from "lucide-react";
+import { useApi } from "./lib/api";
+import { models } from "./lib/chat";
+import {
+  DRAFT_ACTIONS,
+  applySuggestion,
+  draftActionLabel,
+  locateSuggestion,
+  prefixLines,
+  wrapSelection,
+} from "./lib/drafts";
+import { useMarkdownStyles } from "./lib/markdownStyles";
+
+const AUTOSAVE_DELAY_MS = 1500;
+
+const SAVE_LABELS = {
+  saved: "Saved",
+  unsaved: "Unsaved changes",
+  saving: "Saving...",
+  error: "Not saved",
+  conflict: "Changed in another window",
+};
+
+const FORMATS = [
+  {
+    label: "Bold",
+    icon: Bold,
+    apply: (c, s, e) => wrapSelection(c, s, e, "**"),
+  },
+  {
+    label: "Italic",
+    icon: Italic,
+    apply: (c, s, e) => wrapSelection(c, s, e, "*"),
+  },
+  {
+    label: "Heading",
+    icon: Heading,
+    apply: (c, s, e) => prefixLines(c, s, e, "## "),
+  },
+  {
+    label: "Bullet list",
+    icon: List,
+    apply: (c, s, e) => prefixLines(c, s, e, "- "),
+  },
+  {
+    label: "Quote",
+    icon: Quote,
+    apply: (c, s, e) => prefixLines(c, s, e, "> "),
+  },
+];
+
+const Canvas = () => {
+  const { draftId } = useParams();
+  const api = useApi();
+  const [draft, setDraft] = useState(null);
+  const [title, setTitle] = useState("");
+  const [content, setContent] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [saveState, setSaveState] = useState("saved");
+  const [conflict, setConflict] = useState(null);
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
+  const [instruction, setInstruction] = useState("");
+  const [selectedModel, setSelectedModel] = useState("Gemini");
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState(null);
+  const textareaRef = useRef(null);
+  const latestRef = useRef({ title: "", content: "" });
+  const revisionRef = useRef(0);
+  const saveQueueRef = useRef(Promise.resolve(true));
+  const saveStateRef = useRef(saveState);
+
+  useMarkdownStyles();
+
+  latestRef.current = { title, content };
+  saveStateRef.current = saveState;
+
+  const loadDraft = useCallback((loaded) => {
+    setDraft(loaded);
+    setTitle(loaded.title);
+    setContent(loaded.content);
+    setSuggestions(loaded.suggestions);
+    revisionRef.current = loaded.revision;
+    setConflict(null);
+    setSaveState("saved");
+  }, []);
+
+  useEffect(() => {
+    api
+      .json(`drafts/${draftId}`)
+      .then(loadDraft)
+      .catch((err) => {
+        console.error("Error loading draft:", err.message);
+        setError({ message: err.message });
+      });
+  }, [api, draftId, loadDraft]);
+
+  // Saves run one after another so each sends the revision the last returned.
+  // Resolves to whether the draft is saved.
+  const saveDraft = useCallback(() => {
+    const run = async () => {
+      const { title: savedTitle, content: savedContent } = latestRef.current;
+      setSaveState("saving");
+      try {
+        const saved = await api.json(`drafts/${draftId}`, {
+          method: "PUT",
+          body: {
+            title: savedTitle,
+            content: savedContent,
+            revision: revisionRef.current,
+          },
+        });
+        revisionRef.current = saved.revision;
+        setDraft(saved);
+        const changedSince =
+          latestRef.current.title !== savedTitle ||
+          latestRef.current.content !== savedContent;
+        setSaveState(changedSince ? "unsaved" : "saved");
+        return !changedSince;
+      } catch (err) {
+        if (err.status === 409 && err.data?.draft) {
+          setConflict(err.data.draft);
+          setSaveState("conflict");
+        } else {
+          console.error("Error saving draft:", err.message);
+          setSaveState("error");
+        }
+        return false;
+      }
+    };
+    saveQueueRef.current = saveQueueRef.current.then(run);
+    return saveQueueRef.current;
+  }, [api, draftId]);
+
+  useEffect(() => {
+    if (saveState !== "unsaved") return;
+    const timer = setTimeout(saveDraft, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [title, content, saveState, saveDraft]);
+
+  // Flush pending edits when leaving the page, and warn before closing the tab.
+  useEffect(() => {
+    const warn = (e) => {
+      if (["unsaved", "saving", "error"].includes(saveStateRef.current)) {
+        e.preventDefault();
+        e.returnValue = "";
+      }
+    };
+    window.addEventListener("beforeunload", warn);
+    return () => {
+      window.removeEventListener("beforeunload", warn);
+      if (saveStateRef.current === "unsaved") saveDraft();
+    };
+  }, [saveDraft]);
+
+  const editContent = (next) => {
+    setContent(next);
+    if (saveState !== "conflict") setSaveState("unsaved");
+  };
+
+  const editTitle = (next) => {
+    setTitle(next);
+    if (saveState !== "conflict") setSaveState("unsaved");
+  };
+
+  const trackSelection = () => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    setSelection({
+      start: textarea.selectionStart,
+      end: textarea.selectionEnd,
+    });
+  };
+
+  const select = (start, end) => {
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      textarea?.focus();
+      textarea?.setSelectionRange(start, end);
+      setSelection({ start, end });
+    });
+  };
+
+  const applyFormat = (format) => {
+    const { start, end } = selection;
+    const result = format.apply(content, start, end);
+    editContent(result.content);
+    select(result.start, result.end);
+  };
+
+  const keepMine = () => {
+    revisionRef.current = conflict.revision;
+    setConflict(null);
+    setSaveState("unsaved");
+  };
+
+  const handleSuggest = async (action) => {
+    const { start, end } = selection;
+    if (start === end) {
+      setError({ message: "Select a passage in the draft first" });
+      return;
+    }
+    setBusyAction(action);
+    setError(null);
+    try {
+      if (saveStateRef.current !== "saved" && !(await saveDraft())) {
+        throw new Error("Save the draft before asking for a suggestion");
+      }
+      const suggestion = await api.json(`drafts/${draftId}/suggestions`, {
+        method: "POST",
+        body: {
+          action,
+          start,
+          end,
+          instruction: instruction.trim() || undefined,
+          model: selectedModel.toLowerCase(),
+          revision: revisionRef.current,
+        },
+      });
+      setSuggestions((prev) => [...prev, suggestion]);
+    } catch (err) {
+      console.error("Error getting suggestion:", err.message);
+      setError({
+        message: err.message,
+        upgrade: err.data?.code === "quota_exceeded",
+      });
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const resolveSuggestion = async (suggestion) => {
+    setSuggestions((prev) => prev.filter((s) => s._id !== suggestion._id));
+    try {
+      await api.request(`drafts/${draftId}/suggestions/${suggestion._id}`, {
+        method: "DELETE",
+      });
+    } catch (err) {
+      console.error("Error resolving suggestion:", err.message);
+    }
+  };
+
+  const acceptSuggestion = (suggestion) => {
+    const next = applySuggestion(content, suggestion);
+    if (next === null) {
+      setError({
+        message:
+          "That passage has changed since the suggestion was made, so it can only be rejected",
+      });
+      return;
+    }
+    const index = locateSuggestion(content, suggestion);
+    editContent(next);
+    select(index, index + suggestion.replacement.length);
+    resolveSuggestion(suggestion);
+  };
+
+  const showSuggestion = (suggestion) => {
+    const index = locateSuggestion(content, suggestion);
+    if (index !== -1) select(index, index + suggestion.original.length);
+  };
+
+  if (!draft) {
+    return (
+      <div className="min-h-[60vh] flex flex-col items-center justify-center gap-4 text-white">
+        {error ? (
+          <>
+            <p className="text-gray-400">{error.message}</p>
+            <Link to="/canvas" className="border-b">
+              Back to drafts
+            </Link>
+          </>
+        ) : (
+          <Loader2 className="animate-spin text-blue-400" />
+        )}
+      </div>
+    );
+  }
+
+  const hasSelection = selection.end > selection.start;
+
+  return (
+    <div className="min-h-[calc(100vh-5.25rem)] bg-black text-white px-4 md:px-6 py-6">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <Link
+          to="/canvas"
+          className="text-gray-400 hover:text-white transition-colors"
+          aria-label="All drafts"
+        >
+          <ArrowLeft size={18} />
+        </Link>
+        <input
+          value={title}
+          onChange={(e) => editTitle(e.target.value)}
+          maxLength={200}
+          className="flex-1 min-w-[12rem] bg-transparent text-2xl font-semibold outline-none border-b border-transparent focus:border-gray-700"
+          aria-label="Draft title"
+        />
+        {draft.conversationId && (
+          <Link
+            to={`/chat?conversation=${draft.conversationId}`}
+            className="flex items-center gap-1 text-xs text-gray-400 hover:text-white transition-colors"
+          >
+            <MessageSquare size={14} />
+            Source conversation
+          </Link>
+        )}
+        <span
+          className={`text-xs ${
+            saveState === "error" || saveState === "conflict"
+              ? "text-red-400"
+              : "text-gray-500"
+          }`}
+        >
+          {SAVE_LABELS[saveState]}
+        </span>
+      </div>
+
+      {conflict && (
+        <div className="flex flex-wrap items-center gap-3 mb-4 p-3 rounded-lg border border-red-900 bg-red-950/40 text-sm">
+          <p className="flex-1">
+            This draft was saved from another window. Keep your version or load
+            the newer one?
+          </p>
+          <button
+            onClick={keepMine}
+            className="px-3 py-1.5 bg-gray-800 rounded-lg hover:bg-gray-700 transition-colors"
+          >
+            Keep mine
+          </button>
+          <button
+            onClick={() => loadDraft(conflict)}
+            className="px-3 py-1.5 bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Load newer
+          </button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {FORMATS.map((format) => (
+          <button
+            key={format.label}
+            onClick={() => applyFormat(format)}
+            className="p-2 rounded-lg text-gray-400 hover:bg-gray-800 hover:text-white transition-colors"
+            aria-label={format.label}
+            title={format.label}
+          >
+            <format.icon size={16} />
+          </button>
+        ))}
+        <span className="mx-2 h-5 w-px bg-gray-800" />
+        {DRAFT_ACTIONS.map((action) => (
+          <button
+            key={action.id}
+            onClick={() => handleSuggest(action.id)}
+            disabled={!hasSelection || busyAction !== null}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-900 border border-gray-700 text-sm hover:border-blue-500 disabled:opacity-50 transition-colors"
+          >
+            {busyAction === action.id ? (
+              <Loader2 size={14} className="animate-spin" />
+            ) : (
+              <Sparkles size={14} />
+            )}
+            {action.label}
+          </button>
+        ))}
+        <input
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          maxLength={500}
+          placeholder="Extra instruction (optional)"
+          className="flex-1 min-w-[12rem] bg-gray-900 border border-gray-700 rounded-lg px-3 py-1.5 text-sm outline-none focus:border-blue-500"
+        />
+        <select
+          value={selectedModel}
+          onChange={(e) => setSelectedModel(e.target.value)}
+          className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1.5 text-sm outline-none"
+          aria-label="Model"
+        >
+          {models.map((model) => (
+            <option key={model} value={model}>
+              {model}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <p className="mb-3 text-xs text-red-400">
+          {error.message}
+          {error.upgrade && (
+            <Link to="/pricing" className="ml-2 border-b text-blue-400">
+              Upgrade to Pro
+            </Link>
+          )}
+        </p>
+      )}
+
+      <div className="grid lg:grid-cols-[1fr_1fr_20rem] gap-4">
+        <textarea
+          ref={textareaRef}
+          value={content}
+          onChange={(e) => editContent(e.target.value)}
+          onSelect={trackSelection}
+          placeholder="Start writing in Markdown..."
+          className="h-[65vh] resize-none bg-gray-900 border border-gray-700 rounded-xl p-4 font-mono text-sm leading-relaxed outline-none focus:border-blue-500"
+          aria-label="Draft content"
+        />
+        <div className="h-[65vh] overflow-y-auto bg-gray-950 border border-gray-800 rounded-xl p-4 markdown-content">
+          <ReactMarkdown>{content || "*Nothing written yet.*"}</ReactMarkdown>
+        </div>
+
+        <aside className="lg:h-[65vh] overflow-y-auto space-y-3">
+          <p className="text-xs uppercase tracking-wide text-gray-500">
+            Suggestions
+          </p>
+          {suggestions.length === 0 && (
+            <p className="text-sm text-gray-500">
+              Select a passage and choose Expand, Rewrite, Shorten or Cite.
+            </p>
+          )}
+          {suggestions.map((suggestion) => (
+            <div
+              key={suggestion._id}
+              className="p-3 rounded-lg bg-gray-900 border border-gray-700 text-sm"
+            >
+              <button
+                onClick={() => showSuggestion(suggestion)}
+                className="mb-2 text-xs text-gray-400 hover:text-white"
+              >
+                {draftActionLabel(suggestion.action)}
+                {suggestion.instruction && ` · ${suggestion.instruction}`}
+              </button>
+              <p className="mb-2 max-h-32 overflow-y-auto whitespace-pre-wrap text-red-300/80 line-through">
+                {suggestion.original}
+              </p>
+              <div className="mb-3 max-h-60 overflow-y-auto text-green-300 markdown-content">
+                <ReactMarkdown>{suggestion.replacement}</ReactMarkdown>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => acceptSuggestion(suggestion)}
+                  className="flex items-center gap-1 px-3 py-1 bg-blue-600 rounded-lg text-xs hover:bg-blue-700 transition-colors"
+                >
+                  <Check size={12} />
+                  Accept
+                </button>
+                <button
+                  onClick={() => resolveSuggestion(suggestion)}
+                  className="flex items-center gap-1 px-3 py-1 bg-gray-800 rounded-lg text-xs hover:bg-gray-700 transition-colors"
+                >
+                  <X size={12} />
+                  Reject
+                </button>
+              </div>
+            </div>
+          ))}
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+// Markdown editor for a saved draft with live preview and AI suggestions
+// that are accepted or rejected passage by passage.
+const CanvasPage = () => (
+  <>
+    <SignedIn>
+      <Canvas />
+    </SignedIn>
+    <SignedOut>
+      <RedirectToSignIn />
+    </SignedOut>
+  </>
+);
+
+export default CanvasPage;
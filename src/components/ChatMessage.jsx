@@ -0,0 +1,170 @@
+import { Link } from "react-router-dom";
+import ReactMarkdown from "react-markdown";
+import { Mic, Square, Volume2, Wrench } from "lucide-react";
+import { GlowingEffect } from "./design/glowing-effect";
+import { apiUrl } from "./lib/api";
+import { describeImageSettings, modelLabel, toolLabel } from "./lib/chat";
+
+// One chat turn as shown in the Chatroom, rooms and on shared links. The
+// image and read-aloud actions only appear when their handlers are passed;
+// `author` labels who sent the turn in rooms.
+const ChatMessage = ({
+  msg,
+  author,
+  onReuseSettings,
+  onEditImage,
+  onReadAloud,
+  speaking,
+}) => (
+  <div className="relative mb-6 animate-fade-in">
+    <GlowingEffect
+      spread={msg.role === "user" ? 20 : 15}
+      proximity={msg.role === "user" ? 40 : 30}
+    />
+    <div
+      className={`relative p-4 rounded-xl overflow-hidden ${
+        msg.role === "user"
+          ? "bg-gray-800 ml-auto max-w-[80%]"
+          : "bg-gray-900 border border-gray-700 mr-auto max-w-[80%]"
+      }`}
+    >
+      {author && <p className="mb-1 text-xs text-gray-400">{author}</p>}
+      {msg.role === "user" && msg.files?.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {msg.files.map((file, fileIndex) => (
+            <div key={fileIndex} className="relative">
+              {file.url ? (
+                <img
+                  src={file.url}
+                  alt={file.name}
+                  className="h-20 w-20 rounded-lg object-cover border border-gray-600"
+                />
+              ) : (
+                <div
+                  className="h-20 w-20 rounded-lg border border-gray-600 p-1 text-[10px] text-gray-400 break-all overflow-hidden"
+                  title={file.name}
+                >
+                  {file.name}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {msg.role === "model" && msg.toolCalls?.length > 0 && (
+        <div className="mb-3 space-y-1">
+          {msg.toolCalls.map((call, callIndex) => (
+            <details
+              key={callIndex}
+              className="text-xs bg-gray-800 border border-gray-700 rounded-lg"
+            >
+              <summary className="flex items-center gap-2 px-3 py-1.5 cursor-pointer text-gray-400 hover:text-white">
+                <Wrench size={12} />
+                <span>{toolLabel(call.name)}</span>
+                {call.error ? (
+                  <span className="text-red-400">failed</span>
+                ) : (
+                  call.durationMs != null && (
+                    <span className="text-gray-500">{call.durationMs} ms</span>
+                  )
+                )}
+              </summary>
+              <div className="px-3 pb-2 space-y-1">
+                <p className="text-gray-500">Arguments</p>
+                <pre className="whitespace-pre-wrap break-all text-gray-300">
+                  {JSON.stringify(call.arguments, null, 2)}
+                </pre>
+                <p className="text-gray-500">
+                  {call.error ? "Error" : "Output"}
+                </p>
+                <pre
+                  className={`whitespace-pre-wrap break-all max-h-60 overflow-y-auto ${
+                    call.error ? "text-red-400" : "text-gray-300"
+                  }`}
+                >
+                  {call.error || JSON.stringify(call.output, null, 2)}
+                </pre>
+              </div>
+            </details>
+          ))}
+        </div>
+      )}
+      {msg.content &&
+        (msg.role === "model" ? (
+          <div className="markdown-content text-white">
+            <ReactMarkdown>{msg.content}</ReactMarkdown>
+          </div>
+        ) : (
+          <p className="text-white whitespace-pre-wrap break-words">
+            {msg.content}
+          </p>
+        ))}
+      {msg.role === "user" && msg.transcript && (
+        <p
+          className="mt-2 flex items-center gap-1 text-xs text-gray-400"
+          title={
+            msg.transcript.text !== msg.content
+              ? `Transcript: ${msg.transcript.text}`
+              : undefined
+          }
+        >
+          <Mic size={12} />
+          Dictated
+          {msg.transcript.text !== msg.content && ", then edited"}
+        </p>
+      )}
+      {msg.upgrade && (
+        <Link
+          to="/pricing"
+          className="inline-block mt-2 px-3 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Upgrade to Pro
+        </Link>
+      )}
+      {msg.role === "model" && (msg.model || (onReadAloud && msg.content)) && (
+        <div className="mt-2 flex items-center gap-3 text-xs text-gray-500">
+          {msg.model && <span>Answered by {modelLabel(msg.model)}</span>}
+          {onReadAloud && msg.content && !msg.streaming && (
+            <button
+              onClick={onReadAloud}
+              className="flex items-center gap-1 text-blue-400 hover:text-blue-300"
+            >
+              {speaking ? <Square size={12} /> : <Volume2 size={12} />}
+              {speaking ? "Stop reading" : "Read aloud"}
+            </button>
+          )}
+        </div>
+      )}
+      {msg.role === "model" && (msg.imageUrl || msg.image) && (
+        <img
+          src={msg.imageUrl ? apiUrl(msg.imageUrl) : msg.image}
+          alt="Generated"
+          className="mt-3 max-w-sm w-full rounded-lg border border-gray-700"
+        />
+      )}
+      {msg.role === "model" && msg.imageSettings && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+          <span>{describeImageSettings(msg.imageSettings)}</span>
+          {onReuseSettings && (
+            <button
+              onClick={onReuseSettings}
+              className="text-blue-400 hover:text-blue-300"
+            >
+              Reuse settings
+            </button>
+          )}
+          {onEditImage && msg.imageId && (
+            <button
+              onClick={onEditImage}
+              className="text-blue-400 hover:text-blue-300"
+            >
+              Edit image
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+export default ChatMessage;
@@ -1,11 +1,62 @@
-import { useState, useEffect, useRef } from "react";
-import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
-import { Upload, X, ChevronDown, Send, Loader2 } from "lucide-react";
-import ReactMarkdown from "react-markdown";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import {
+  SignedIn,
+  SignedOut,
+  RedirectToSignIn,
+  useUser,
+} from "@clerk/clerk-react";
+import {
+  Upload,
+  X,
+  ChevronDown,
+  Send,
+  Loader2,
+  FileText,
+  Library,
+  SlidersHorizontal,
+  Brush,
+  ScrollText,
+  Mic,
+  Wrench,
+} from "lucide-react";
 import { GlowingEffect } from "../components/design/glowing-effect";
 import { PlaceholdersAndVanishInput } from "../components/design/placeholders-and-vanish-input";
+import ChatMessage from "./ChatMessage";
+import ConversationSidebar from "./ConversationSidebar";
+import ImageSettingsPanel from "./ImageSettingsPanel";
+import MaskEditor from "./MaskEditor";
+import ShareDialog from "./ShareDialog";
+import TemplatePicker from "./TemplatePicker";
+import { apiUrl, useApi } from "./lib/api";
+import { fromServerMessage, modelLabel, models } from "./lib/chat";
+import { readAsDataUrl, saveBlob } from "./lib/files";
+import { DEFAULT_IMAGE_SETTINGS } from "./lib/imageSettings";
+import { useMarkdownStyles } from "./lib/markdownStyles";
+import { readEventStream } from "./lib/sse";
+import { useReadAloud, useRecorder } from "./lib/voice";
+
+const DOCUMENT_EXTENSIONS = [".pdf", ".docx", ".txt", ".md", ".markdown"];
+const MAX_DOCUMENT_BYTES = 12 * 1024 * 1024;
+
+// Formats and size the backend accepts as an image to edit.
+const SOURCE_IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const MAX_SOURCE_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const isDocumentFile = (file) =>
+  DOCUMENT_EXTENSIONS.some((ext) => file.name.toLowerCase().endsWith(ext));
+
+const conversationTitle = (text) =>
+  text.length > 60 ? `${text.slice(0, 57)}...` : text || "New conversation";
 
 const Chatroom = () => {
+  const { user } = useUser();
+  const api = useApi();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const requestedConversationId = searchParams.get("conversation");
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
@@ -14,11 +65,27 @@ const Chatroom = () => {
   const [selectedModel, setSelectedModel] = useState("Gemini");
   const [dragActive, setDragActive] = useState(false);
   const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [useLibrary, setUseLibrary] = useState(false);
+  const [useTools, setUseTools] = useState(false);
+  const [imageOptions, setImageOptions] = useState(null);
+  const [imageSettings, setImageSettings] = useState(DEFAULT_IMAGE_SETTINGS);
+  const [showImageSettings, setShowImageSettings] = useState(false);
+  const [sourceImage, setSourceImage] = useState(null);
+  const [maskEditorOpen, setMaskEditorOpen] = useState(false);
+  const [sharingConversation, setSharingConversation] = useState(null);
+  const [templatePickerOpen, setTemplatePickerOpen] = useState(false);
+  const [personas, setPersonas] = useState([]);
+  const [personaId, setPersonaId] = useState("default");
+  const [transcript, setTranscript] = useState(null);
+  const [transcribing, setTranscribing] = useState(false);
+  const recorder = useRecorder();
+  const readAloud = useReadAloud();
+  const stopReading = readAloud.stop;
+
+  useMarkdownStyles();
 
   const fileInputRef = useRef(null);
   const messagesEndRef = useRef(null);
-
-  const models = ["Gemini", "ChatGPT", "Mistral", "Claude", "Llama4"];
   const chatPlaceholders = [
     "Ask for research help...",
     "Generate an article about...",
@@ -28,45 +95,65 @@ const Chatroom = () => {
     "Can you explain quantum entanglement?",
   ];
 
+  const openConversation = useCallback(
+    async (conversation) => {
+      setActiveConversationId(conversation._id);
+      stopReading();
+      setMode(conversation.mode || "text");
+      setSelectedModel(
+        models.find((m) => m.toLowerCase() === conversation.model) || "Gemini"
+      );
+      setPersonaId(conversation.personaId || "default");
+
+      try {
+        const history = await api.json(
+          `conversations/${conversation._id}/messages`
+        );
+        setMessages(history.map(fromServerMessage));
+      } catch (error) {
+        console.error("Error loading conversation:", error);
+        setMessages([]);
+      }
+    },
+    [api, stopReading]
+  );
+
+  useEffect(() => {
+    if (!user) return;
+
+    const loadConversations = async () => {
+      try {
+        // Ensures the backend User document exists before listing.
+        await api.json(`user/${user.id}`);
+        api
+          .json("personas")
+          .then(setPersonas)
+          .catch((error) => console.error("Error loading personas:", error));
+        const list = await api.json(`conversations/${user.id}`);
+        setConversations(list);
+        // ?conversation=<id> opens that conversation, e.g. from a canvas draft.
+        const requested = list.find((c) => c._id === requestedConversationId);
+        if (requested || list.length > 0) {
+          openConversation(requested || list[0]);
+        }
+      } catch (error) {
+        console.error("Error loading conversations:", error);
+      }
+    };
+    loadConversations();
+  }, [user, api, openConversation, requestedConversationId]);
+
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
 
   useEffect(() => {
-    const styleId = "markdown-styles";
-    const markdownStyles = `
-      .markdown-content { line-height: 1.6; }
-      .markdown-content h1 { font-size: 1.6em; font-weight: 600; margin-top: 1.5em; margin-bottom: 0.8em; border-bottom: 1px solid #4b5563; padding-bottom: 0.3em; color: #ffffff; }
-      .markdown-content h2 { font-size: 1.4em; font-weight: 600; margin-top: 1.4em; margin-bottom: 0.7em; border-bottom: 1px solid #4b5563; padding-bottom: 0.3em; color: #ffffff; }
-      .markdown-content h3 { font-size: 1.2em; font-weight: 600; margin-top: 1.2em; margin-bottom: 0.6em; color: #ffffff; }
-      .markdown-content p { margin-bottom: 1em; color: #d1d5db; }
-      .markdown-content a { color: #60a5fa; text-decoration: none; }
-      .markdown-content a:hover { text-decoration: underline; }
-      .markdown-content ul, .markdown-content ol { margin-left: 1.8rem; margin-bottom: 1em; color: #d1d5db; }
-      .markdown-content li { margin-bottom: 0.5em; }
-      .markdown-content li > p { margin-bottom: 0.3em; }
-      .markdown-content code { background-color: #374151; color: #e5e7eb; padding: 0.2em 0.4em; border-radius: 3px; font-size: 0.9em; font-family: monospace; }
-      .markdown-content pre { background-color: #1f2937; color: #d1d5db; padding: 1em; border-radius: 5px; overflow-x: auto; margin-bottom: 1em; font-size: 0.9em; font-family: monospace; }
-      .markdown-content pre code { background-color: transparent; padding: 0; border-radius: 0; }
-      .markdown-content blockquote { border-left: 4px solid #4b5563; padding-left: 1em; margin-left: 0; margin-bottom: 1em; color: #9ca3af; font-style: italic; }
-      .markdown-content table { border-collapse: collapse; width: auto; margin-bottom: 1em; color: #d1d5db; }
-      .markdown-content th, .markdown-content td { border: 1px solid #4b5563; padding: 0.5em 0.8em; }
-      .markdown-content th { background-color: #374151; font-weight: 600; text-align: left; }
-      .markdown-content hr { border: none; border-top: 1px solid #4b5563; margin-top: 1.5em; margin-bottom: 1.5em; }
-      @keyframes fadeIn { from { opacity: 0; transform: translateY(10px); } to { opacity: 1; transform: translateY(0); } }
-      .animate-fade-in { animation: fadeIn 0.3s ease-out forwards; }
-    `;
-    if (!document.getElementById(styleId)) {
-      const styleSheet = document.createElement("style");
-      styleSheet.id = styleId;
-      styleSheet.textContent = markdownStyles;
-      document.head.appendChild(styleSheet);
-    }
-    return () => {
-      const e = document.getElementById(styleId);
-      if (e) e.remove();
-    };
-  }, []);
+    if (mode !== "image" || imageOptions) return;
+    api
+      .json("image-models")
+      .then(setImageOptions)
+      .catch((error) => console.error("Error loading image models:", error));
+  }, [mode, imageOptions, api]);
 
   useEffect(() => {
     return () => {
@@ -76,83 +163,301 @@ const Chatroom = () => {
     };
   }, [uploadedFiles]);
 
+  const handleNewConversation = async () => {
+    try {
+      const conversation = await api.json("conversations", {
+        method: "POST",
+        body: {
+          model: selectedModel.toLowerCase(),
+          mode,
+          personaId,
+        },
+      });
+      setConversations((prev) => [conversation, ...prev]);
+      setActiveConversationId(conversation._id);
+      setMessages([]);
+    } catch (error) {
+      console.error("Error creating conversation:", error);
+    }
+  };
+
+  const handleRenameConversation = async (conversationId, title) => {
+    try {
+      const updated = await api.json(`conversations/${conversationId}`, {
+        method: "PUT",
+        body: { title },
+      });
+      setConversations((prev) =>
+        prev.map((c) => (c._id === conversationId ? updated : c))
+      );
+    } catch (error) {
+      console.error("Error renaming conversation:", error);
+    }
+  };
+
+  const handleDeleteConversation = async (conversationId) => {
+    if (!window.confirm("Delete this conversation and all its messages?")) {
+      return;
+    }
+    try {
+      await api.request(`conversations/${conversationId}`, {
+        method: "DELETE",
+      });
+      setConversations((prev) => prev.filter((c) => c._id !== conversationId));
+      if (conversationId === activeConversationId) {
+        setActiveConversationId(null);
+        setMessages([]);
+      }
+    } catch (error) {
+      console.error("Error deleting conversation:", error);
+    }
+  };
+
+  const handleExportConversation = async (
+    conversationId,
+    format,
+    answersOnly
+  ) => {
+    try {
+      const params = new URLSearchParams({ format, answersOnly });
+      const response = await api.request(
+        `conversations/${conversationId}/export?${params}`
+      );
+      const filename =
+        response.headers
+          .get("Content-Disposition")
+          ?.match(/filename="([^"]+)"/)?.[1] || `conversation-${format}`;
+      saveBlob(await response.blob(), filename);
+    } catch (error) {
+      console.error("Error exporting conversation:", error);
+      window.alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  // The persona's default model, if it has one, replaces the current choice.
+  const handleSelectPersona = async (id) => {
+    const persona = personas.find((p) => p._id === id);
+    setPersonaId(id);
+    if (persona?.model) setSelectedModel(modelLabel(persona.model));
+    if (!activeConversationId) return;
+
+    try {
+      const updated = await api.json(`conversations/${activeConversationId}`, {
+        method: "PUT",
+        body: { personaId: id },
+      });
+      setConversations((prev) =>
+        prev.map((c) => (c._id === updated._id ? updated : c))
+      );
+    } catch (error) {
+      console.error("Error changing persona:", error);
+    }
+  };
+
+  const handleDraftConversation = async (conversationId) => {
+    try {
+      const draft = await api.json("drafts", {
+        method: "POST",
+        body: { conversationId },
+      });
+      navigate(`/canvas/${draft._id}`);
+    } catch (error) {
+      console.error("Error opening conversation in canvas:", error);
+      window.alert(`Could not open the canvas: ${error.message}`);
+    }
+  };
+
+  const saveMessage = (conversationId, turn) =>
+    api.json("messages", {
+      method: "POST",
+      body: { conversationId, ...turn },
+    });
+
+  const touchConversation = (conversationId) => {
+    setConversations((prev) => {
+      const conversation = prev.find((c) => c._id === conversationId);
+      if (!conversation) return prev;
+      return [
+        { ...conversation, lastActivityAt: new Date().toISOString() },
+        ...prev.filter((c) => c._id !== conversationId),
+      ];
+    });
+  };
+
+  const updateStreamingMessage = (update) => {
+    setMessages((prev) =>
+      prev.map((msg) => (msg.streaming ? update(msg) : msg))
+    );
+  };
+
   const handleSendMessage = async () => {
     const currentInput = input.trim();
-    if (!currentInput && uploadedFiles.length === 0) return;
+    if (uploadedFiles.some((file) => file.extracting)) return;
+    const readyFiles = uploadedFiles.filter((file) => !file.error);
+    if (!currentInput && readyFiles.length === 0) return;
+
+    const source = mode === "image" ? sourceImage : null;
+    if (source) {
+      readyFiles.push({
+        name: source.name,
+        type: source.type,
+        data: source.data,
+        url: source.url,
+      });
+    }
 
     const userMessage = {
       role: "user",
       content: currentInput,
-      files: uploadedFiles.length > 0 ? uploadedFiles : undefined,
+      files: readyFiles.length > 0 ? readyFiles : undefined,
+      transcript: transcript || undefined,
     };
 
     setMessages((prev) => [...prev, userMessage]);
     const currentMessageHistory = [...messages, userMessage];
 
     setInput("");
+    setTranscript(null);
     setUploadedFiles([]);
+    setSourceImage(null);
     setLoading(true);
 
     try {
-      const baseURL =  "https://localhost/5000/api/";
-      if (!baseURL) {
-        throw new Error("API base URL not configured.");
+      let conversationId = activeConversationId;
+      if (!conversationId) {
+        const conversation = await api.json("conversations", {
+          method: "POST",
+          body: {
+            title: conversationTitle(currentInput),
+            model: selectedModel.toLowerCase(),
+            mode,
+            personaId,
+          },
+        });
+        setConversations((prev) => [conversation, ...prev]);
+        setActiveConversationId(conversation._id);
+        conversationId = conversation._id;
       }
 
-      let endpoint = baseURL;
+      await saveMessage(conversationId, {
+        message: currentInput,
+        isFromUser: true,
+        // Image bytes are kept server-side so exports can embed them.
+        attachments: userMessage.files?.map(
+          ({ name, type, size, data, documentId }) => ({
+            name,
+            type,
+            size,
+            documentId,
+            ...(type?.startsWith("image/") && { data }),
+          })
+        ),
+        transcript: userMessage.transcript,
+      });
+      touchConversation(conversationId);
+
+      let endpoint;
       let body = {};
 
       if (mode === "text") {
-        endpoint += "text";
+        endpoint = "text";
         body = {
           messages: currentMessageHistory,
           model: selectedModel.toLowerCase(),
+          stream: true,
+          conversationId,
+          useLibrary,
+          useTools,
+          personaId,
         };
       } else if (mode === "image") {
-        endpoint += "image";
-        body = { prompt: currentInput };
+        endpoint = "image";
+        const { strength, ...settings } = imageSettings;
+        body = {
+          prompt: currentInput,
+          conversationId,
+          ...settings,
+          ...(source && {
+            strength,
+            sourceImage: source.data,
+            sourceImageId: source.imageId,
+            mask: source.mask,
+          }),
+        };
       } else {
         throw new Error("Invalid mode selected");
       }
 
-      const response = await fetch(endpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
-
-      if (!response.ok) {
-        let errorData;
-        try {
-          errorData = await response.json();
-        } catch (e) {
-          throw new Error(`${mode} failed: ${response.statusText}`);
-        }
-        throw new Error(
-          errorData.error ||
-            errorData.message ||
-            `${mode} failed: ${response.statusText}`
-        );
-      }
-
-      const data = await response.json();
+      const response = await api.request(endpoint, { method: "POST", body });
 
       if (mode === "text") {
         setMessages((prev) => [
           ...prev,
-          { role: "model", content: data.content },
+          { role: "model", content: "", streaming: true },
         ]);
+        let answer = "";
+        let answeredBy;
+        const toolCalls = [];
+        await readEventStream(response, (event, data) => {
+          if (event === "tool") {
+            toolCalls.push(data);
+            updateStreamingMessage((msg) => ({
+              ...msg,
+              toolCalls: [...(msg.toolCalls || []), data],
+            }));
+          } else if (event === "delta") {
+            answer += data.delta;
+            updateStreamingMessage((msg) => ({
+              ...msg,
+              content: msg.content + data.delta,
+            }));
+          } else if (event === "done") {
+            answeredBy = data.model;
+            updateStreamingMessage((msg) => ({
+              ...msg,
+              model: data.model,
+              streaming: false,
+            }));
+          } else if (event === "error") {
+            throw new Error(data.error);
+          }
+        });
+        await saveMessage(conversationId, {
+          message: answer,
+          isFromUser: false,
+          model: answeredBy,
+          toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+        });
       } else if (mode === "image") {
+        const { imageId, imageUrl, ...settings } = await response.json();
+        const caption = source ? "Edited image:" : "Generated image:";
         setMessages((prev) => [
           ...prev,
-          { role: "model", content: "Generated image:", image: data.image },
+          {
+            role: "model",
+            content: caption,
+            imageId,
+            imageUrl,
+            imageSettings: settings,
+          },
         ]);
+        await saveMessage(conversationId, {
+          message: caption,
+          isFromUser: false,
+          imageId,
+        });
       }
     } catch (error) {
       console.error("API Error:", error);
       setMessages((prev) => [
-        ...prev,
-        { role: "model", content: `Error: ${error.message}` },
+        ...prev
+          .filter((msg) => !(msg.streaming && !msg.content))
+          .map((msg) => (msg.streaming ? { ...msg, streaming: false } : msg)),
+        {
+          role: "model",
+          content: `Error: ${error.message}`,
+          upgrade: error.data?.code === "quota_exceeded",
+        },
       ]);
     } finally {
       setLoading(false);
@@ -161,6 +466,48 @@ const Chatroom = () => {
 
   const handleInputChange = (e) => {
     setInput(e.target.value);
+    if (!e.target.value) setTranscript(null);
+  };
+
+  const handleDictationStart = () => {
+    recorder.start().catch((error) => {
+      console.error("Error opening the microphone:", error);
+      window.alert(
+        "Could not use the microphone. Check that this site may access it."
+      );
+    });
+  };
+
+  // Appends what was said to the input; the raw transcript is kept so it can
+  // be saved with the message.
+  const handleDictationEnd = async () => {
+    const clip = await recorder.stop();
+    if (!clip) return;
+
+    setTranscribing(true);
+    try {
+      const result = await api.json("transcriptions", {
+        method: "POST",
+        body: { audio: await readAsDataUrl(clip) },
+      });
+      setInput((prev) =>
+        prev.trim() ? `${prev.trim()} ${result.text}` : result.text
+      );
+      setTranscript((prev) =>
+        prev
+          ? {
+              ...prev,
+              text: `${prev.text} ${result.text}`,
+              duration: (prev.duration || 0) + (result.duration || 0),
+            }
+          : result
+      );
+    } catch (error) {
+      console.error("Error transcribing dictation:", error);
+      window.alert(`Transcription failed: ${error.message}`);
+    } finally {
+      setTranscribing(false);
+    }
   };
 
   const handleInputSubmit = (e) => {
@@ -171,7 +518,6 @@ const Chatroom = () => {
   const handleDrag = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    if (mode !== "text") return;
     if (e.type === "dragenter" || e.type === "dragover") setDragActive(true);
     else if (e.type === "dragleave") setDragActive(false);
   };
@@ -179,7 +525,6 @@ const Chatroom = () => {
   const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    if (mode !== "text") return;
     setDragActive(false);
     if (e.dataTransfer.files?.length) handleFiles(e.dataTransfer.files);
   };
@@ -191,47 +536,154 @@ const Chatroom = () => {
     }
   };
 
+  // Documents are converted to page-numbered text by the backend once and
+  // kept there; messages only carry the returned documentId.
+  const addDocument = async (file) => {
+    const id = `${file.name}-${file.size}-${Date.now()}`;
+    const placeholder = {
+      id,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      extracting: true,
+    };
+    setUploadedFiles((prev) => [...prev, placeholder]);
+
+    const settle = (fields) =>
+      setUploadedFiles((prev) =>
+        prev.map((f) =>
+          f.id === id ? { ...placeholder, extracting: false, ...fields } : f
+        )
+      );
+
+    if (file.size > MAX_DOCUMENT_BYTES) {
+      settle({ error: "Documents are limited to 12 MB" });
+      return;
+    }
+
+    try {
+      const extracted = await api.json("documents/extract", {
+        method: "POST",
+        body: {
+          name: file.name,
+          type: file.type,
+          data: await readAsDataUrl(file),
+        },
+      });
+      settle({ documentId: extracted._id, document: extracted });
+    } catch (err) {
+      console.error(`Error extracting ${file.name}:`, err);
+      settle({ error: err.message });
+    }
+  };
+
+  // In Image mode an uploaded picture becomes the source for the next edit.
+  const chooseSourceImage = async (file) => {
+    if (!SOURCE_IMAGE_TYPES.includes(file.type)) {
+      window.alert("Images to edit must be PNG, JPEG or WebP.");
+      return;
+    }
+    if (file.size > MAX_SOURCE_IMAGE_BYTES) {
+      window.alert("Images to edit are limited to 10 MB.");
+      return;
+    }
+    try {
+      const data = await readAsDataUrl(file);
+      setSourceImage({ name: file.name, type: file.type, data, url: data });
+    } catch (err) {
+      console.error("Error reading image:", err);
+    }
+  };
+
+  const editGeneratedImage = (msg) => {
+    setSourceImage({
+      name: "Generated image",
+      imageId: msg.imageId,
+      url: apiUrl(msg.imageUrl),
+    });
+    if (msg.imageSettings) reuseImageSettings(msg.imageSettings);
+    setMode("image");
+  };
+
   const handleFiles = (files) => {
-    if (mode !== "text") return;
+    if (mode === "image") {
+      const image = Array.from(files).find((f) => f.type.startsWith("image/"));
+      if (image) chooseSourceImage(image);
+      return;
+    }
 
-    const imageFiles = Array.from(files).filter((f) =>
-      f.type.startsWith("image/")
-    );
-    if (imageFiles.length !== files.length) {
-      console.warn("Non-image files were selected and ignored.");
+    const selected = Array.from(files);
+    const imageFiles = selected.filter((f) => f.type.startsWith("image/"));
+    const documentFiles = selected.filter(isDocumentFile);
+    if (imageFiles.length + documentFiles.length !== selected.length) {
+      console.warn("Unsupported files were selected and ignored.");
     }
 
-    const filePromises = imageFiles.map(
-      (file) =>
-        new Promise((resolve, reject) => {
-          const reader = new FileReader();
-          reader.onloadend = () =>
-            resolve({
-              name: file.name,
-              type: file.type,
-              size: file.size,
-              data: reader.result,
-              url: URL.createObjectURL(file),
-            });
-          reader.onerror = (err) => {
-            console.error("FileReader error:", err);
-            reject(err);
-          };
-          reader.readAsDataURL(file);
-        })
-    );
+    const filePromises = imageFiles.map(async (file) => ({
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      data: await readAsDataUrl(file),
+      url: URL.createObjectURL(file),
+    }));
 
     Promise.all(filePromises)
       .then((newFiles) => setUploadedFiles((prev) => [...prev, ...newFiles]))
       .catch((err) => console.error("Error processing files:", err));
+
+    documentFiles.forEach(addDocument);
+  };
+
+  // Loads a generated image's prompt and exact settings back into Image mode.
+  const reuseImageSettings = (settings, prompt) => {
+    const size = imageOptions?.sizes.find(
+      (s) => s.width === settings.width && s.height === settings.height
+    );
+    setImageSettings({
+      model: settings.model,
+      size: size?.id || DEFAULT_IMAGE_SETTINGS.size,
+      steps: String(settings.steps),
+      guidance: settings.guidance != null ? String(settings.guidance) : "",
+      negativePrompt: settings.negativePrompt || "",
+      seed: String(settings.seed),
+      strength: settings.strength != null ? String(settings.strength) : "",
+    });
+    if (prompt) setInput(prompt);
+    setMode("image");
+    setShowImageSettings(true);
+  };
+
+  // Templates may preselect a mode and model; otherwise the current choice stays.
+  const handleApplyTemplate = ({ text, mode: templateMode, model }) => {
+    setInput(text);
+    setMode(templateMode);
+    if (!model) return;
+    if (templateMode === "image") {
+      // Step and guidance ranges differ per model, so fall back to its defaults.
+      setImageSettings((prev) => ({ ...prev, model, steps: "", guidance: "" }));
+    } else {
+      setSelectedModel(modelLabel(model));
+    }
   };
 
   const removeFile = (index) => {
     const file = uploadedFiles[index];
     if (file?.url) URL.revokeObjectURL(file.url);
+    if (file?.documentId) {
+      api
+        .request(`documents/${file.documentId}`, { method: "DELETE" })
+        .catch((err) => console.error("Error deleting document:", err));
+    }
     setUploadedFiles((prev) => prev.filter((_, i) => i !== index));
   };
 
+  // The in-progress answer stays hidden behind the spinner until its first
+  // token or tool call.
+  const visibleMessages = messages.filter(
+    (msg) => !(msg.streaming && !msg.content && !msg.toolCalls)
+  );
+  const streamStarted = messages.some((msg) => msg.streaming && msg.content);
+
   return (
     <>
       <SignedIn>
@@ -254,7 +706,25 @@ const Chatroom = () => {
             </svg>
           </div>
 
-          <div className="relative z-10 flex flex-col h-full">
+          <ConversationSidebar
+            conversations={conversations}
+            activeId={activeConversationId}
+            onSelect={openConversation}
+            onNew={handleNewConversation}
+            onRename={handleRenameConversation}
+            onDelete={handleDeleteConversation}
+            onExport={handleExportConversation}
+            onShare={setSharingConversation}
+            onDraft={handleDraftConversation}
+          />
+          {sharingConversation && (
+            <ShareDialog
+              conversation={sharingConversation}
+              onClose={() => setSharingConversation(null)}
+            />
+          )}
+
+          <div className="relative z-10 flex flex-col h-full md:pl-64">
             <div className="text-center py-6 md:py-10 flex-shrink-0">
               <h1 className="text-5xl md:text-6xl lg:text-7xl font-extrabold tracking-tighter bg-gradient-to-br from-purple-400 via-pink-500 to-red-500 bg-clip-text text-transparent drop-shadow-sm">
                 BrainHouse
@@ -266,6 +736,34 @@ const Chatroom = () => {
                 </span>{" "}
                 Research Den
               </p>
+              {mode === "text" && personas.length > 1 && (
+                <div className="mt-4 flex items-center justify-center gap-2 text-sm text-gray-400">
+                  <label htmlFor="persona">Persona</label>
+                  <select
+                    id="persona"
+                    value={personaId}
+                    onChange={(e) => handleSelectPersona(e.target.value)}
+                    className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-white outline-none focus:border-blue-500"
+                  >
+                    {personas.map((persona) => (
+                      <option key={persona._id} value={persona._id}>
+                        {persona.name}
+                      </option>
+                    ))}
+                  </select>
+                  <Link to="/personas" className="hover:text-white">
+                    Manage
+                  </Link>
+                </div>
+              )}
+              {mode === "text" && personas.length === 1 && (
+                <Link
+                  to="/personas"
+                  className="mt-4 inline-block text-sm text-gray-400 hover:text-white"
+                >
+                  Customize the assistant
+                </Link>
+              )}
             </div>
 
             <div
@@ -280,58 +778,31 @@ const Chatroom = () => {
                   <p>Start a conversation with BrainHouse</p>
                 </div>
               )}
-
-              {messages.map((msg, index) => (
-                <div
-                  key={`${msg.role}-${index}-${Date.now()}`}
-                  className="relative mb-6 animate-fade-in"
-                >
-                  <GlowingEffect
-                    spread={msg.role === "user" ? 20 : 15}
-                    proximity={msg.role === "user" ? 40 : 30}
-                  />
-                  <div
-                    className={`relative p-4 rounded-xl overflow-hidden ${
-                      msg.role === "user"
-                        ? "bg-gray-800 ml-auto max-w-[80%]"
-                        : "bg-gray-900 border border-gray-700 mr-auto max-w-[80%]"
-                    }`}
-                  >
-                    {msg.role === "user" && msg.files?.length > 0 && (
-                      <div className="flex flex-wrap gap-2 mb-2">
-                        {msg.files.map((file, fileIndex) => (
-                          <div key={fileIndex} className="relative">
-                            <img
-                              src={file.url}
-                              alt={file.name}
-                              className="h-20 w-20 rounded-lg object-cover border border-gray-600"
-                            />
-                          </div>
-                        ))}
-                      </div>
-                    )}
-                    {msg.content &&
-                      (msg.role === "model" ? (
-                        <div className="markdown-content text-white">
-                          <ReactMarkdown>{msg.content}</ReactMarkdown>
-                        </div>
-                      ) : (
-                        <p className="text-white whitespace-pre-wrap break-words">
-                          {msg.content}
-                        </p>
-                      ))}
-                    {msg.role === "model" && msg.image && (
-                      <img
-                        src={msg.image}
-                        alt="Generated"
-                        className="mt-3 max-w-sm w-full rounded-lg border border-gray-700"
-                      />
-                    )}
-                  </div>
-                </div>
+              {visibleMessages.map((msg, index) => (
+                <ChatMessage
+                  key={`${msg.role}-${index}`}
+                  msg={msg}
+                  onReuseSettings={() =>
+                    reuseImageSettings(
+                      msg.imageSettings,
+                      visibleMessages[index - 1]?.role === "user" &&
+                        visibleMessages[index - 1].content
+                    )
+                  }
+                  onEditImage={() => editGeneratedImage(msg)}
+                  onReadAloud={
+                    readAloud.supported
+                      ? () =>
+                          readAloud.speakingId === index
+                            ? readAloud.stop()
+                            : readAloud.speak(index, msg.content)
+                      : undefined
+                  }
+                  speaking={readAloud.speakingId === index}
+                />
               ))}
 
-              {loading && (
+              {loading && !streamStarted && (
                 <div className="relative mb-6 mr-auto max-w-[80%]">
                   <GlowingEffect spread={15} proximity={30} />
                   <div className="relative flex items-center text-gray-400 space-x-2 p-4 bg-gray-900 bg-opacity-70 border border-gray-700 rounded-xl overflow-hidden">
@@ -353,6 +824,72 @@ const Chatroom = () => {
                   onDragLeave={handleDrag}
                   onDrop={handleDrop}
                 >
+                  {mode === "image" && showImageSettings && (
+                    <ImageSettingsPanel
+                      options={imageOptions}
+                      settings={imageSettings}
+                      editing={Boolean(sourceImage)}
+                      onChange={setImageSettings}
+                      onClose={() => setShowImageSettings(false)}
+                    />
+                  )}
+                  {mode === "image" && sourceImage && (
+                    <div className="flex items-center gap-3 pb-3 border-b border-gray-700 mb-3">
+                      <div className="relative bg-gray-900 rounded-lg p-1 border border-gray-700">
+                        <img
+                          src={sourceImage.url}
+                          alt={sourceImage.name}
+                          className="h-16 w-16 rounded object-cover"
+                        />
+                        <button
+                          onClick={() => setSourceImage(null)}
+                          className="absolute -top-2 -right-2 bg-gray-700 text-white rounded-full p-0.5 hover:bg-red-600 transition-colors z-10"
+                          aria-label="Stop editing this image"
+                        >
+                          <X size={14} />
+                        </button>
+                      </div>
+                      <div className="flex flex-col gap-1 text-xs text-gray-400">
+                        <span>
+                          {sourceImage.mask
+                            ? "Inpainting the painted areas"
+                            : "Image-to-image from this picture"}
+                        </span>
+                        <div className="flex items-center gap-3">
+                          <button
+                            onClick={() => setMaskEditorOpen(true)}
+                            className="flex items-center gap-1 text-blue-400 hover:text-blue-300"
+                          >
+                            <Brush size={14} />
+                            {sourceImage.mask ? "Repaint mask" : "Paint mask"}
+                          </button>
+                          {sourceImage.mask && (
+                            <button
+                              onClick={() =>
+                                setSourceImage((prev) => ({
+                                  ...prev,
+                                  mask: undefined,
+                                }))
+                              }
+                              className="hover:text-white"
+                            >
+                              Remove mask
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                  {maskEditorOpen && sourceImage && (
+                    <MaskEditor
+                      src={sourceImage.url}
+                      onSave={(mask) => {
+                        setSourceImage((prev) => ({ ...prev, mask }));
+                        setMaskEditorOpen(false);
+                      }}
+                      onCancel={() => setMaskEditorOpen(false)}
+                    />
+                  )}
                   {uploadedFiles.length > 0 && (
                     <div className="files-preview pb-3 border-b border-gray-700 mb-3">
                       <div className="flex flex-wrap gap-2">
@@ -361,11 +898,41 @@ const Chatroom = () => {
                             key={index}
                             className="relative bg-gray-900 rounded-lg p-1 border border-gray-700"
                           >
-                            <img
-                              src={file.url}
-                              alt={file.name}
-                              className="h-16 w-16 rounded object-cover"
-                            />
+                            {file.url ? (
+                              <img
+                                src={file.url}
+                                alt={file.name}
+                                className="h-16 w-16 rounded object-cover"
+                              />
+                            ) : (
+                              <div
+                                className={`h-16 w-28 flex flex-col justify-center gap-1 px-2 text-[10px] ${
+                                  file.error ? "text-red-400" : "text-gray-400"
+                                }`}
+                                title={file.error || file.name}
+                              >
+                                <div className="flex items-center gap-1">
+                                  {file.extracting ? (
+                                    <Loader2
+                                      size={14}
+                                      className="animate-spin"
+                                    />
+                                  ) : (
+                                    <FileText size={14} />
+                                  )}
+                                  <span className="truncate">{file.name}</span>
+                                </div>
+                                <span>
+                                  {file.extracting
+                                    ? "Reading..."
+                                    : file.error
+                                      ? "Could not read"
+                                      : file.document.paginated
+                                        ? `${file.document.pageCount} pages`
+                                        : "Text"}
+                                </span>
+                              </div>
+                            )}
                             <button
                               onClick={() => removeFile(index)}
                               className="absolute -top-2 -right-2 bg-gray-700 text-white rounded-full p-0.5 hover:bg-red-600 transition-colors z-10"
@@ -381,7 +948,7 @@ const Chatroom = () => {
 
                   <div
                     className={`flex items-center gap-2 md:gap-3 w-full ${
-                      dragActive && mode === "text"
+                      dragActive
                         ? "outline outline-dashed outline-blue-500 outline-offset-4 rounded-lg"
                         : ""
                     }`}
@@ -437,23 +1004,141 @@ const Chatroom = () => {
                         Image
                       </button>
                     </div>
+                    {mode === "image" && (
+                      <button
+                        onClick={() => setShowImageSettings((open) => !open)}
+                        className={`p-2 rounded-lg transition-colors flex-shrink-0 ${
+                          showImageSettings
+                            ? "bg-blue-600 text-white"
+                            : "bg-gray-900 text-gray-400 hover:text-white hover:bg-gray-700"
+                        }`}
+                        aria-pressed={showImageSettings}
+                        aria-label="Image settings"
+                        title="Image settings"
+                      >
+                        <SlidersHorizontal size={20} />
+                      </button>
+                    )}
                     {mode === "text" && (
                       <button
-                        onClick={() => fileInputRef.current?.click()}
-                        className="p-2 bg-gray-900 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors flex-shrink-0"
-                        aria-label="Upload image"
+                        onClick={() => setUseLibrary((on) => !on)}
+                        className={`p-2 rounded-lg transition-colors flex-shrink-0 ${
+                          useLibrary
+                            ? "bg-blue-600 text-white"
+                            : "bg-gray-900 text-gray-400 hover:text-white hover:bg-gray-700"
+                        }`}
+                        aria-pressed={useLibrary}
+                        aria-label="Answer from my paper library"
+                        title={
+                          useLibrary
+                            ? "Answering from your paper library"
+                            : "Answer from your paper library"
+                        }
                       >
-                        <Upload size={20} />
-                        <input
-                          ref={fileInputRef}
-                          type="file"
-                          multiple
-                          accept="image/*"
-                          className="hidden"
-                          onChange={handleFileInput}
-                        />
+                        <Library size={20} />
+                      </button>
+                    )}
+                    {mode === "text" && (
+                      <button
+                        onClick={() => setUseTools((on) => !on)}
+                        className={`p-2 rounded-lg transition-colors flex-shrink-0 ${
+                          useTools
+                            ? "bg-blue-600 text-white"
+                            : "bg-gray-900 text-gray-400 hover:text-white hover:bg-gray-700"
+                        }`}
+                        aria-pressed={useTools}
+                        aria-label="Let the assistant use tools"
+                        title={
+                          useTools
+                            ? "Tools on: calculator, unit conversion, DOI lookup and literature search"
+                            : "Let the assistant use a calculator, unit conversion, DOI lookup and literature search"
+                        }
+                      >
+                        <Wrench size={20} />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => fileInputRef.current?.click()}
+                      className="p-2 bg-gray-900 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors flex-shrink-0"
+                      aria-label={
+                        mode === "image"
+                          ? "Upload an image to edit"
+                          : "Upload images or documents"
+                      }
+                    >
+                      <Upload size={20} />
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple={mode === "text"}
+                        accept={
+                          mode === "image"
+                            ? SOURCE_IMAGE_TYPES.join(",")
+                            : ["image/*", ...DOCUMENT_EXTENSIONS].join(",")
+                        }
+                        className="hidden"
+                        onChange={handleFileInput}
+                      />
+                    </button>
+                    {recorder.supported && (
+                      <button
+                        onPointerDown={handleDictationStart}
+                        onPointerUp={handleDictationEnd}
+                        onPointerLeave={() =>
+                          recorder.recording && handleDictationEnd()
+                        }
+                        onKeyDown={(e) => {
+                          if (
+                            (e.key === " " || e.key === "Enter") &&
+                            !e.repeat
+                          ) {
+                            e.preventDefault();
+                            handleDictationStart();
+                          }
+                        }}
+                        onKeyUp={(e) => {
+                          if (e.key === " " || e.key === "Enter") {
+                            handleDictationEnd();
+                          }
+                        }}
+                        disabled={transcribing}
+                        className={`p-2 rounded-lg transition-colors flex-shrink-0 touch-none select-none ${
+                          recorder.recording
+                            ? "bg-red-600 text-white animate-pulse"
+                            : "bg-gray-900 text-gray-400 hover:text-white hover:bg-gray-700"
+                        } disabled:opacity-50`}
+                        aria-pressed={recorder.recording}
+                        aria-label="Hold to dictate"
+                        title="Hold to dictate"
+                      >
+                        {transcribing ? (
+                          <Loader2 size={20} className="animate-spin" />
+                        ) : (
+                          <Mic size={20} />
+                        )}
                       </button>
                     )}
+                    <div className="relative flex-shrink-0">
+                      <button
+                        onClick={() => setTemplatePickerOpen((open) => !open)}
+                        className={`p-2 rounded-lg transition-colors ${
+                          templatePickerOpen
+                            ? "bg-blue-600 text-white"
+                            : "bg-gray-900 text-gray-400 hover:text-white hover:bg-gray-700"
+                        }`}
+                        aria-expanded={templatePickerOpen}
+                        aria-label="Prompt templates"
+                        title="Prompt templates"
+                      >
+                        <ScrollText size={20} />
+                      </button>
+                      {templatePickerOpen && (
+                        <TemplatePicker
+                          onApply={handleApplyTemplate}
+                          onClose={() => setTemplatePickerOpen(false)}
+                        />
+                      )}
+                    </div>
                     <div className="flex-1 relative">
                       <PlaceholdersAndVanishInput
                         placeholders={chatPlaceholders}
@@ -461,10 +1146,12 @@ const Chatroom = () => {
                         onSubmit={handleInputSubmit}
                         value={input}
                       />
-                      {dragActive && mode === "text" && (
+                      {dragActive && (
                         <div className="absolute inset-0 bg-gray-800 bg-opacity-80 flex items-center justify-center rounded-lg pointer-events-none">
                           <p className="text-blue-400 font-semibold">
-                            Drop image files here
+                            {mode === "image"
+                              ? "Drop an image to edit"
+                              : "Drop images or papers here"}
                           </p>
                         </div>
                       )}
@@ -472,7 +1159,9 @@ const Chatroom = () => {
                     <button
                       onClick={handleSendMessage}
                       disabled={
-                        loading || (!input.trim() && uploadedFiles.length === 0)
+                        loading ||
+                        uploadedFiles.some((file) => file.extracting) ||
+                        (!input.trim() && uploadedFiles.length === 0)
                       }
                       className="p-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex-shrink-0"
                       aria-label="Send message"
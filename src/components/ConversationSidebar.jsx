@@ -0,0 +1,170 @@
+import { Fragment, useState } from "react";
+import {
+  Download,
+  FilePen,
+  MessageSquare,
+  Pencil,
+  Plus,
+  Share2,
+  Trash2,
+} from "lucide-react";
+
+const EXPORT_FORMATS = [
+  { id: "markdown", label: "Markdown" },
+  { id: "pdf", label: "PDF" },
+  { id: "docx", label: "Word" },
+  { id: "latex", label: "LaTeX" },
+];
+
+const ConversationSidebar = ({
+  conversations,
+  activeId,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+  onExport,
+  onShare,
+  onDraft,
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState("");
+  const [exportingId, setExportingId] = useState(null);
+  const [answersOnly, setAnswersOnly] = useState(false);
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation._id);
+    setDraftTitle(conversation.title);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    const title = draftTitle.trim();
+    if (title) onRename(editingId, title);
+    setEditingId(null);
+  };
+
+  return (
+    <aside className="hidden md:flex absolute left-0 top-0 bottom-0 w-64 flex-col border-r border-gray-800 bg-gray-950/90 z-20">
+      <div className="p-3 border-b border-gray-800">
+        <button
+          onClick={onNew}
+          className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+        >
+          <Plus size={16} />
+          New conversation
+        </button>
+      </div>
+
+      <nav className="flex-1 overflow-y-auto p-2 space-y-1">
+        {conversations.length === 0 && (
+          <p className="px-3 py-2 text-xs text-gray-500">
+            No conversations yet
+          </p>
+        )}
+        {conversations.map((conversation) => (
+          <Fragment key={conversation._id}>
+            <div
+              className={`group flex items-center gap-2 rounded-lg px-3 py-2 text-sm transition-colors ${
+                conversation._id === activeId
+                  ? "bg-gray-800 text-white"
+                  : "text-gray-400 hover:bg-gray-900 hover:text-white"
+              }`}
+            >
+              <MessageSquare size={14} className="flex-shrink-0" />
+              {editingId === conversation._id ? (
+                <form onSubmit={submitRename} className="flex-1 min-w-0">
+                  <input
+                    autoFocus
+                    value={draftTitle}
+                    onChange={(e) => setDraftTitle(e.target.value)}
+                    onBlur={submitRename}
+                    maxLength={120}
+                    className="w-full bg-gray-900 border border-gray-700 rounded px-1 text-white outline-none"
+                  />
+                </form>
+              ) : (
+                <button
+                  onClick={() => onSelect(conversation)}
+                  className="flex-1 min-w-0 text-left truncate"
+                  title={conversation.title}
+                >
+                  {conversation.title}
+                </button>
+              )}
+              <button
+                onClick={() => startEditing(conversation)}
+                className="opacity-0 group-hover:opacity-100 hover:text-white transition-opacity"
+                aria-label={`Rename ${conversation.title}`}
+              >
+                <Pencil size={14} />
+              </button>
+              <button
+                onClick={() => onShare(conversation)}
+                className="opacity-0 group-hover:opacity-100 hover:text-white transition-opacity"
+                aria-label={`Share ${conversation.title}`}
+              >
+                <Share2 size={14} />
+              </button>
+              <button
+                onClick={() => onDraft(conversation._id)}
+                className="opacity-0 group-hover:opacity-100 hover:text-white transition-opacity"
+                aria-label={`Open ${conversation.title} in the canvas`}
+                title="Draft an article from this conversation"
+              >
+                <FilePen size={14} />
+              </button>
+              <button
+                onClick={() =>
+                  setExportingId((id) =>
+                    id === conversation._id ? null : conversation._id
+                  )
+                }
+                className="opacity-0 group-hover:opacity-100 hover:text-white transition-opacity"
+                aria-label={`Export ${conversation.title}`}
+                aria-expanded={exportingId === conversation._id}
+              >
+                <Download size={14} />
+              </button>
+              <button
+                onClick={() => onDelete(conversation._id)}
+                className="opacity-0 group-hover:opacity-100 hover:text-red-500 transition-opacity"
+                aria-label={`Delete ${conversation.title}`}
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+            {exportingId === conversation._id && (
+              <div className="mx-2 mb-2 p-2 rounded-lg bg-gray-900 border border-gray-800 text-xs text-gray-400">
+                <div className="grid grid-cols-2 gap-1">
+                  {EXPORT_FORMATS.map((format) => (
+                    <button
+                      key={format.id}
+                      onClick={() => {
+                        onExport(conversation._id, format.id, answersOnly);
+                        setExportingId(null);
+                      }}
+                      className="px-2 py-1 rounded bg-gray-800 hover:bg-gray-700 hover:text-white transition-colors"
+                    >
+                      {format.label}
+                    </button>
+                  ))}
+                </div>
+                <label className="flex items-center gap-2 mt-2">
+                  <input
+                    type="checkbox"
+                    checked={answersOnly}
+                    onChange={(e) => setAnswersOnly(e.target.checked)}
+                  />
+                  Answers only
+                </label>
+              </div>
+            )}
+          </Fragment>
+        ))}
+      </nav>
+    </aside>
+  );
+};
+
+export default ConversationSidebar;
@@ -0,0 +1,137 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
+import { FilePen, MessageSquare, Plus, Trash2 } from "lucide-react";
+import Section from "./Section";
+import Heading from "./Heading";
+import { useApi } from "./lib/api";
+
+const DraftsPage = () => {
+  const api = useApi();
+  const navigate = useNavigate();
+  const [drafts, setDrafts] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadDrafts = useCallback(async () => {
+    try {
+      setDrafts(await api.json("drafts"));
+    } catch (err) {
+      console.error("Error loading drafts:", err.message);
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadDrafts();
+  }, [loadDrafts]);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const draft = await api.json("drafts", { method: "POST", body: {} });
+      navigate(`/canvas/${draft._id}`);
+    } catch (err) {
+      console.error("Error creating draft:", err.message);
+      setError(err.message);
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (draft) => {
+    if (!window.confirm(`Delete "${draft.title}"?`)) return;
+    try {
+      await api.request(`drafts/${draft._id}`, { method: "DELETE" });
+      setDrafts((prev) => prev.filter((d) => d._id !== draft._id));
+    } catch (err) {
+      console.error("Error deleting draft:", err.message);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <SignedIn>
+        <Section className="overflow-hidden" id="canvas">
+          <div className="container relative z-2">
+            <Heading
+              tag="Article canvas"
+              title="Draft articles side by side with the AI"
+            />
+
+            <div className="max-w-[60rem] mx-auto">
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <p className="body-2 text-n-1/50">
+                  Start blank, open a{" "}
+                  <Link to="/chat" className="border-b">
+                    conversation
+                  </Link>{" "}
+                  in the canvas to build on its answers, or write a{" "}
+                  <Link to="/articles" className="border-b">
+                    guided article
+                  </Link>{" "}
+                  section by section.
+                </p>
+                <button
+                  onClick={handleCreate}
+                  disabled={creating}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  <Plus size={16} />
+                  New draft
+                </button>
+              </div>
+
+              {error && <p className="body-2 mb-4 text-color-3">{error}</p>}
+
+              <ul className="bg-n-8 border border-n-6 rounded-[2rem] px-8 py-4">
+                {drafts.length === 0 && (
+                  <li className="py-4 body-2 text-n-1/50">No drafts yet.</li>
+                )}
+                {drafts.map((draft) => (
+                  <li
+                    key={draft._id}
+                    className="flex items-center gap-4 py-4 border-b border-n-6 last:border-b-0"
+                  >
+                    <FilePen size={20} className="flex-shrink-0" />
+                    <Link
+                      to={`/canvas/${draft._id}`}
+                      className="flex-1 min-w-0 hover:text-n-1/80 transition-colors"
+                    >
+                      <p className="body-2 truncate">{draft.title}</p>
+                      <p className="text-xs text-n-1/50">
+                        Edited {new Date(draft.updatedAt).toLocaleString()}
+                      </p>
+                    </Link>
+                    {draft.conversationId && (
+                      <Link
+                        to={`/chat?conversation=${draft.conversationId}`}
+                        className="text-n-1/50 hover:text-n-1 transition-colors"
+                        aria-label="Open source conversation"
+                        title="Open source conversation"
+                      >
+                        <MessageSquare size={16} />
+                      </Link>
+                    )}
+                    <button
+                      onClick={() => handleDelete(draft)}
+                      className="text-n-1/50 hover:text-red-500 transition-colors"
+                      aria-label={`Delete ${draft.title}`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </Section>
+      </SignedIn>
+      <SignedOut>
+        <RedirectToSignIn />
+      </SignedOut>
+    </>
+  );
+};
+
+export default DraftsPage;
@@ -0,0 +1,179 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
+import { Download, Loader2, Search, Trash2 } from "lucide-react";
+import Section from "./Section";
+import Heading from "./Heading";
+import { apiUrl, useApi } from "./lib/api";
+
+const downloadUrl = (image, format) =>
+  apiUrl(`${image.url}&format=${format}&download=1`);
+
+const describeSettings = ({ model, width, height, steps, seed }) =>
+  `${model} · ${width}×${height} · ${steps} steps · seed ${seed}`;
+
+const GalleryPage = () => {
+  const api = useApi();
+  const [images, setImages] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [query, setQuery] = useState("");
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const loadImages = useCallback(
+    async (before) => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams();
+        if (search) params.set("q", search);
+        if (before) params.set("before", before);
+        const page = await api.json(`gallery?${params}`);
+        setImages((prev) => (before ? [...prev, ...page.images] : page.images));
+        setNextBefore(page.nextBefore);
+        setError("");
+      } catch (err) {
+        console.error("Error loading gallery:", err.message);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [api, search]
+  );
+
+  useEffect(() => {
+    loadImages();
+  }, [loadImages]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(query.trim());
+  };
+
+  const handleDelete = async (image) => {
+    if (
+      !window.confirm("Delete this image? Chats that show it will lose it.")
+    ) {
+      return;
+    }
+    try {
+      await api.request(`gallery/${image._id}`, { method: "DELETE" });
+      setImages((prev) => prev.filter((i) => i._id !== image._id));
+    } catch (err) {
+      console.error("Error deleting image:", err.message);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <SignedIn>
+        <Section className="overflow-hidden" id="gallery">
+          <div className="container relative z-2">
+            <Heading
+              tag="Your generated images"
+              title="Every figure you've made, ready to reuse"
+            />
+
+            <form
+              onSubmit={handleSearch}
+              className="flex items-center gap-2 max-w-[40rem] mx-auto mb-10 px-4 py-2 bg-n-8 border border-n-6 rounded-xl"
+            >
+              <Search size={18} className="text-n-1/50" />
+              <input
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search prompts..."
+                className="flex-1 bg-transparent outline-none body-2"
+              />
+            </form>
+
+            {error && (
+              <p className="body-2 mb-6 text-center text-color-3">{error}</p>
+            )}
+
+            {!loading && images.length === 0 && (
+              <p className="body-2 text-center text-n-1/50">
+                {search ? (
+                  "No images match that search."
+                ) : (
+                  <>
+                    No images yet. Switch the{" "}
+                    <Link to="/chat" className="border-b">
+                      chat
+                    </Link>{" "}
+                    to Image mode to create one.
+                  </>
+                )}
+              </p>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+              {images.map((image) => (
+                <figure
+                  key={image._id}
+                  className="bg-n-8 border border-n-6 rounded-2xl overflow-hidden"
+                >
+                  <img
+                    src={apiUrl(image.url)}
+                    alt={image.prompt}
+                    loading="lazy"
+                    className="w-full aspect-square object-cover"
+                  />
+                  <figcaption className="p-4">
+                    <p className="body-2 line-clamp-2" title={image.prompt}>
+                      {image.prompt}
+                    </p>
+                    <p className="mt-1 text-xs text-n-1/50">
+                      {describeSettings(image.settings)}
+                    </p>
+                    <div className="flex items-center gap-4 mt-3 text-xs">
+                      {["png", "webp"].map((format) => (
+                        <a
+                          key={format}
+                          href={downloadUrl(image, format)}
+                          className="flex items-center gap-1 text-n-1/50 hover:text-n-1 transition-colors uppercase"
+                        >
+                          <Download size={14} />
+                          {format}
+                        </a>
+                      ))}
+                      <button
+                        onClick={() => handleDelete(image)}
+                        className="ml-auto text-n-1/50 hover:text-red-500 transition-colors"
+                        aria-label="Delete image"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </figcaption>
+                </figure>
+              ))}
+            </div>
+
+            <div className="flex justify-center mt-10">
+              {loading ? (
+                <Loader2 className="animate-spin text-n-1/50" />
+              ) : (
+                nextBefore && (
+                  <button
+                    onClick={() => loadImages(nextBefore)}
+                    className="text-xs font-code font-bold tracking-wider uppercase border-b"
+                  >
+                    Load more
+                  </button>
+                )
+              )}
+            </div>
+          </div>
+        </Section>
+      </SignedIn>
+      <SignedOut>
+        <RedirectToSignIn />
+      </SignedOut>
+    </>
+  );
+};
+
+export default GalleryPage;
@@ -0,0 +1,201 @@
+import { RotateCcw, X } from "lucide-react";
+import { DEFAULT_IMAGE_SETTINGS } from "./lib/imageSettings";
+
+const inputClass =
+  "w-full bg-gray-900 border border-gray-700 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-blue-500 disabled:opacity-40";
+
+const Field = ({ label, hint, children }) => (
+  <label className="flex flex-col gap-1 text-xs text-gray-400">
+    <span>
+      {label}
+      {hint && <span className="text-gray-600"> · {hint}</span>}
+    </span>
+    {children}
+  </label>
+);
+
+// Advanced /api/image settings. Blank fields fall back to the model's defaults
+// and a blank seed picks a random one, which the answer then reports.
+// Strength only applies while `editing` a source image.
+const ImageSettingsPanel = ({
+  options,
+  settings,
+  editing,
+  onChange,
+  onClose,
+}) => {
+  const model =
+    options?.models.find((m) => m.id === settings.model) || options?.models[0];
+  const set = (field) => (e) =>
+    onChange({ ...settings, [field]: e.target.value });
+
+  const changeModel = (e) => {
+    const next = options.models.find((m) => m.id === e.target.value);
+    onChange({
+      ...settings,
+      model: next.id,
+      steps: "",
+      guidance: next.guidance ? settings.guidance : "",
+      negativePrompt: next.negativePrompt ? settings.negativePrompt : "",
+    });
+  };
+
+  if (!options) {
+    return (
+      <p className="pb-3 mb-3 border-b border-gray-700 text-xs text-gray-500">
+        Loading image settings...
+      </p>
+    );
+  }
+
+  return (
+    <div className="pb-3 mb-3 border-b border-gray-700">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-xs font-semibold uppercase tracking-wider text-gray-400">
+          Image settings
+        </p>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onChange(DEFAULT_IMAGE_SETTINGS)}
+            className="text-gray-500 hover:text-white transition-colors"
+            aria-label="Reset image settings"
+            title="Reset to defaults"
+          >
+            <RotateCcw size={14} />
+          </button>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-white transition-colors"
+            aria-label="Close image settings"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+        <Field label="Model">
+          <select
+            value={model.id}
+            onChange={changeModel}
+            className={inputClass}
+          >
+            {options.models.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Size">
+          <select
+            value={settings.size}
+            onChange={set("size")}
+            className={inputClass}
+          >
+            {options.sizes.map((size) => (
+              <option key={size.id} value={size.id}>
+                {size.label} ({size.width}×{size.height})
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Steps" hint={`${model.steps.min}-${model.steps.max}`}>
+          <input
+            type="number"
+            min={model.steps.min}
+            max={model.steps.max}
+            step={1}
+            value={settings.steps}
+            placeholder={String(model.steps.default)}
+            onChange={set("steps")}
+            className={inputClass}
+          />
+        </Field>
+        <Field
+          label="Guidance"
+          hint={
+            model.guidance
+              ? `${model.guidance.min}-${model.guidance.max}`
+              : "n/a"
+          }
+        >
+          <input
+            type="number"
+            min={model.guidance?.min}
+            max={model.guidance?.max}
+            step={0.5}
+            value={settings.guidance}
+            placeholder={model.guidance ? String(model.guidance.default) : ""}
+            onChange={set("guidance")}
+            disabled={!model.guidance}
+            className={inputClass}
+          />
+        </Field>
+        <Field label="Seed" hint="blank = random">
+          <input
+            type="number"
+            min={0}
+            step={1}
+            value={settings.seed}
+            placeholder="Random"
+            onChange={set("seed")}
+            className={inputClass}
+          />
+        </Field>
+        <Field
+          label="Strength"
+          hint={
+            editing && model.canEdit
+              ? `${options.strength.min}-${options.strength.max}`
+              : "edits only"
+          }
+        >
+          <input
+            type="number"
+            min={options.strength.min}
+            max={options.strength.max}
+            step={0.05}
+            value={settings.strength}
+            placeholder={
+              editing && model.canEdit ? String(options.strength.default) : ""
+            }
+            onChange={set("strength")}
+            disabled={!editing || !model.canEdit}
+            className={inputClass}
+          />
+        </Field>
+        <div className="col-span-2 md:col-span-4">
+          <Field
+            label="Negative prompt"
+            hint={model.negativePrompt ? "what to avoid" : "n/a"}
+          >
+            <input
+              type="text"
+              value={settings.negativePrompt}
+              placeholder={
+                model.negativePrompt ? "blurry, watermark, extra text" : ""
+              }
+              onChange={set("negativePrompt")}
+              disabled={!model.negativePrompt}
+              maxLength={1000}
+              className={inputClass}
+            />
+          </Field>
+        </div>
+      </div>
+      {editing && !model.canEdit && (
+        <p className="mt-2 text-xs text-red-400">
+          {options.models.some((m) => m.canEdit)
+            ? `${model.label} cannot edit images. Switch to ${options.models
+                .filter((m) => m.canEdit)
+                .map((m) => m.label)
+                .join(" or ")}.`
+            : "Image editing is not available on this server."}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ImageSettingsPanel;
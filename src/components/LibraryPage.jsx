@@ -0,0 +1,214 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
+import { FileText, Loader2, RefreshCw, Trash2, Upload } from "lucide-react";
+import Section from "./Section";
+import Heading from "./Heading";
+import { useApi } from "./lib/api";
+import { readAsDataUrl } from "./lib/files";
+
+const ACCEPTED_TYPES = ".pdf,.docx,.txt,.md,.markdown";
+
+const statusLabel = (document) => {
+  if (document.status === "failed") return "Indexing failed";
+  if (document.status !== "ready") return "Indexing...";
+  if (document.stale) return "Needs re-index";
+  return `${document.chunkCount} passages`;
+};
+
+const LibraryPage = () => {
+  const api = useApi();
+  const [documents, setDocuments] = useState([]);
+  const [uploading, setUploading] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+  const fileInputRef = useRef(null);
+
+  const loadLibrary = useCallback(async () => {
+    try {
+      setDocuments(await api.json("library"));
+    } catch (err) {
+      console.error("Error loading library:", err.message);
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadLibrary();
+  }, [loadLibrary]);
+
+  const replaceDocument = (document) =>
+    setDocuments((prev) =>
+      prev.map((d) => (d._id === document._id ? document : d))
+    );
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = null;
+    setError("");
+
+    for (const file of files) {
+      setUploading((prev) => [...prev, file.name]);
+      try {
+        const document = await api.json("library", {
+          method: "POST",
+          body: {
+            name: file.name,
+            type: file.type,
+            data: await readAsDataUrl(file),
+          },
+        });
+        setDocuments((prev) => [document, ...prev]);
+      } catch (err) {
+        console.error(`Error uploading ${file.name}:`, err.message);
+        setError(`${file.name}: ${err.message}`);
+      } finally {
+        setUploading((prev) => prev.filter((name) => name !== file.name));
+      }
+    }
+  };
+
+  const handleReindex = async (documentId) => {
+    setBusyId(documentId);
+    try {
+      replaceDocument(
+        await api.json(`library/${documentId}/reindex`, { method: "POST" })
+      );
+    } catch (err) {
+      console.error("Error re-indexing document:", err.message);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Remove "${document.name}" from your library?`)) {
+      return;
+    }
+    setBusyId(document._id);
+    try {
+      await api.request(`library/${document._id}`, { method: "DELETE" });
+      setDocuments((prev) => prev.filter((d) => d._id !== document._id));
+    } catch (err) {
+      console.error("Error deleting document:", err.message);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <>
+      <SignedIn>
+        <Section className="overflow-hidden" id="library">
+          <div className="container relative z-2">
+            <Heading
+              tag="Your paper library"
+              title="Ask questions across everything you've read"
+            />
+
+            <div className="max-w-[60rem] mx-auto">
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <p className="body-2 text-n-1/50">
+                  Turn on <span className="text-n-1">Library</span> in the{" "}
+                  <Link to="/chat" className="border-b">
+                    chat
+                  </Link>{" "}
+                  to answer from these papers with [document, page] citations.
+                </p>
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+                >
+                  <Upload size={16} />
+                  Add papers
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    accept={ACCEPTED_TYPES}
+                    className="hidden"
+                    onChange={handleUpload}
+                  />
+                </button>
+              </div>
+
+              {error && <p className="body-2 mb-4 text-color-3">{error}</p>}
+
+              <ul className="bg-n-8 border border-n-6 rounded-[2rem] px-8 py-4">
+                {uploading.map((name) => (
+                  <li
+                    key={`uploading-${name}`}
+                    className="flex items-center gap-4 py-4 border-b border-n-6 last:border-b-0 text-n-1/50"
+                  >
+                    <Loader2 size={20} className="animate-spin" />
+                    <p className="body-2 flex-1 truncate">{name}</p>
+                    <p className="text-xs">Reading and indexing...</p>
+                  </li>
+                ))}
+                {documents.length === 0 && uploading.length === 0 && (
+                  <li className="py-4 body-2 text-n-1/50">
+                    No papers yet. Add PDF, DOCX, TXT or Markdown files.
+                  </li>
+                )}
+                {documents.map((document) => (
+                  <li
+                    key={document._id}
+                    className="flex items-center gap-4 py-4 border-b border-n-6 last:border-b-0"
+                  >
+                    <FileText size={20} className="flex-shrink-0" />
+                    <div className="flex-1 min-w-0">
+                      <p className="body-2 truncate" title={document.name}>
+                        {document.name}
+                      </p>
+                      <p
+                        className={`text-xs ${
+                          document.status === "failed" || document.stale
+                            ? "text-color-3"
+                            : "text-n-1/50"
+                        }`}
+                        title={document.indexError}
+                      >
+                        {document.paginated
+                          ? `${document.pageCount} pages · `
+                          : ""}
+                        {statusLabel(document)}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleReindex(document._id)}
+                      disabled={busyId === document._id}
+                      className="text-n-1/50 hover:text-n-1 disabled:opacity-50 transition-colors"
+                      aria-label={`Re-index ${document.name}`}
+                    >
+                      <RefreshCw
+                        size={16}
+                        className={
+                          busyId === document._id ? "animate-spin" : ""
+                        }
+                      />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(document)}
+                      disabled={busyId === document._id}
+                      className="text-n-1/50 hover:text-red-500 disabled:opacity-50 transition-colors"
+                      aria-label={`Delete ${document.name}`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </Section>
+      </SignedIn>
+      <SignedOut>
+        <RedirectToSignIn />
+      </SignedOut>
+    </>
+  );
+};
+
+export default LibraryPage;
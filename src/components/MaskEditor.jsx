@@ -0,0 +1,164 @@
+import { useEffect, useRef, useState } from "react";
+import { Eraser, X } from "lucide-react";
+
+// Paints the inpainting mask over a source image. Strokes are shown in red
+// and mirrored onto an offscreen black canvas in white, which is the mask
+// format the backend expects (white areas are redrawn).
+const MaskEditor = ({ src, onSave, onCancel }) => {
+  const canvasRef = useRef(null);
+  const maskRef = useRef(null);
+  const lastPointRef = useRef(null);
+  const [size, setSize] = useState(null);
+  const [brush, setBrush] = useState(40);
+  const [painted, setPainted] = useState(false);
+
+  useEffect(() => {
+    const image = new Image();
+    image.onload = () =>
+      setSize({ width: image.naturalWidth, height: image.naturalHeight });
+    image.src = src;
+  }, [src]);
+
+  useEffect(() => {
+    if (!size) return;
+    const mask = document.createElement("canvas");
+    mask.width = size.width;
+    mask.height = size.height;
+    const context = mask.getContext("2d");
+    context.fillStyle = "black";
+    context.fillRect(0, 0, size.width, size.height);
+    maskRef.current = mask;
+  }, [size]);
+
+  const toImagePoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * canvas.width,
+      y: ((e.clientY - rect.top) / rect.height) * canvas.height,
+      scale: canvas.width / rect.width,
+    };
+  };
+
+  const stroke = (point) => {
+    const from = lastPointRef.current || point;
+    const targets = [
+      [canvasRef.current, "rgba(239, 68, 68, 0.5)"],
+      [maskRef.current, "white"],
+    ];
+    for (const [canvas, color] of targets) {
+      const context = canvas.getContext("2d");
+      context.strokeStyle = color;
+      context.lineWidth = brush * point.scale;
+      context.lineCap = "round";
+      context.lineJoin = "round";
+      context.beginPath();
+      context.moveTo(from.x, from.y);
+      context.lineTo(point.x, point.y);
+      context.stroke();
+    }
+    lastPointRef.current = point;
+    setPainted(true);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    lastPointRef.current = null;
+    stroke(toImagePoint(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (lastPointRef.current) stroke(toImagePoint(e));
+  };
+
+  const handlePointerUp = () => {
+    lastPointRef.current = null;
+  };
+
+  const clear = () => {
+    const { width, height } = size;
+    canvasRef.current.getContext("2d").clearRect(0, 0, width, height);
+    const context = maskRef.current.getContext("2d");
+    context.fillStyle = "black";
+    context.fillRect(0, 0, width, height);
+    setPainted(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4">
+      <div className="w-full max-w-3xl bg-gray-900 border border-gray-700 rounded-xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <p className="text-sm font-semibold text-white">
+            Paint over the areas to redraw
+          </p>
+          <button
+            onClick={onCancel}
+            className="text-gray-500 hover:text-white transition-colors"
+            aria-label="Close mask editor"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="relative mx-auto w-fit max-h-[60vh]">
+          <img
+            src={src}
+            alt="Source"
+            className="block max-h-[60vh] max-w-full rounded-lg select-none"
+            draggable={false}
+          />
+          {size && (
+            <canvas
+              ref={canvasRef}
+              width={size.width}
+              height={size.height}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+              className="absolute inset-0 w-full h-full cursor-crosshair touch-none rounded-lg"
+            />
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mt-4 text-xs text-gray-400">
+          <label className="flex items-center gap-2">
+            Brush
+            <input
+              type="range"
+              min={5}
+              max={120}
+              value={brush}
+              onChange={(e) => setBrush(Number(e.target.value))}
+            />
+          </label>
+          <button
+            onClick={clear}
+            disabled={!painted}
+            className="flex items-center gap-1 hover:text-white disabled:opacity-40 transition-colors"
+          >
+            <Eraser size={14} />
+            Clear
+          </button>
+          <div className="ml-auto flex gap-2">
+            <button
+              onClick={onCancel}
+              className="px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave(maskRef.current.toDataURL("image/png"))}
+              disabled={!painted}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              Use mask
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MaskEditor;
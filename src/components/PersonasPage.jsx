@@ -0,0 +1,313 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
+import { Bot, Copy, Pencil, Trash2 } from "lucide-react";
+import Section from "./Section";
+import Heading from "./Heading";
+import { useApi } from "./lib/api";
+import { modelLabel, models } from "./lib/chat";
+import { CITATION_FORMATS, RESPONSE_STYLES, optionLabel } from "./lib/personas";
+
+const inputClass =
+  "w-full bg-n-7 border border-n-6 rounded-lg px-3 py-2 text-sm text-n-1 outline-none focus:border-blue-500";
+
+const EMPTY_FORM = {
+  name: "",
+  systemPrompt: "",
+  model: "",
+  temperature: "",
+  responseStyle: "balanced",
+  citationFormat: "none",
+};
+
+const PersonasPage = () => {
+  const api = useApi();
+  const [personas, setPersonas] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadPersonas = useCallback(async () => {
+    try {
+      setPersonas(await api.json("personas"));
+    } catch (err) {
+      console.error("Error loading personas:", err.message);
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadPersonas();
+  }, [loadPersonas]);
+
+  const set = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const fillForm = (persona) => {
+    setForm({
+      name: persona.name,
+      systemPrompt: persona.systemPrompt,
+      model: persona.model || "",
+      temperature:
+        persona.temperature != null ? String(persona.temperature) : "",
+      responseStyle: persona.responseStyle,
+      citationFormat: persona.citationFormat,
+    });
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const handleEdit = (persona) => {
+    fillForm(persona);
+    setEditingId(persona._id);
+  };
+
+  // The default persona is read-only; copying it is the way to tweak it.
+  const handleCopy = (persona) => {
+    fillForm({ ...persona, name: `${persona.name} (copy)` });
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      await api.json(editingId ? `personas/${editingId}` : "personas", {
+        method: editingId ? "PUT" : "POST",
+        body: {
+          ...form,
+          temperature:
+            form.temperature === "" ? null : Number(form.temperature),
+        },
+      });
+      resetForm();
+      await loadPersonas();
+    } catch (err) {
+      console.error("Error saving persona:", err.message);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (persona) => {
+    if (
+      !window.confirm(
+        `Delete the persona "${persona.name}"? Conversations using it switch back to the default assistant.`
+      )
+    ) {
+      return;
+    }
+    try {
+      await api.request(`personas/${persona._id}`, { method: "DELETE" });
+      setPersonas((prev) => prev.filter((p) => p._id !== persona._id));
+      if (editingId === persona._id) resetForm();
+    } catch (err) {
+      console.error("Error deleting persona:", err.message);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <SignedIn>
+        <Section className="overflow-hidden" id="personas">
+          <div className="container relative z-2">
+            <Heading
+              tag="Assistant personas"
+              title="Shape how the assistant answers you"
+            />
+
+            <div className="max-w-[60rem] mx-auto">
+              <p className="body-2 mb-6 text-n-1/50">
+                Pick a persona per conversation from the{" "}
+                <Link to="/chat" className="border-b">
+                  chat
+                </Link>
+                . Its default model is selected when you switch to it.
+              </p>
+
+              <form
+                onSubmit={handleSubmit}
+                className="grid md:grid-cols-2 gap-3 mb-6 p-6 bg-n-8 border border-n-6 rounded-[2rem]"
+              >
+                <label className="md:col-span-2 text-xs text-n-1/50">
+                  Name
+                  <input
+                    value={form.name}
+                    onChange={set("name")}
+                    maxLength={60}
+                    placeholder="e.g. Biostatistics reviewer"
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="md:col-span-2 text-xs text-n-1/50">
+                  System prompt
+                  <textarea
+                    value={form.systemPrompt}
+                    onChange={set("systemPrompt")}
+                    maxLength={4000}
+                    rows={5}
+                    placeholder="You are a biostatistician who reviews study designs..."
+                    className={`${inputClass} mt-1 resize-y`}
+                  />
+                </label>
+                <label className="text-xs text-n-1/50">
+                  Default model
+                  <select
+                    value={form.model}
+                    onChange={set("model")}
+                    className={`${inputClass} mt-1`}
+                  >
+                    <option value="">Keep the current model</option>
+                    {models.map((model) => (
+                      <option key={model} value={model.toLowerCase()}>
+                        {model}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs text-n-1/50">
+                  Temperature · 0 is focused, 1 is creative
+                  <input
+                    type="number"
+                    min={0}
+                    max={1}
+                    step={0.1}
+                    value={form.temperature}
+                    onChange={set("temperature")}
+                    placeholder="Model default"
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="text-xs text-n-1/50">
+                  Response style
+                  <select
+                    value={form.responseStyle}
+                    onChange={set("responseStyle")}
+                    className={`${inputClass} mt-1`}
+                  >
+                    {RESPONSE_STYLES.map((style) => (
+                      <option key={style.id} value={style.id}>
+                        {style.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs text-n-1/50">
+                  Citation format
+                  <select
+                    value={form.citationFormat}
+                    onChange={set("citationFormat")}
+                    className={`${inputClass} mt-1`}
+                  >
+                    {CITATION_FORMATS.map((format) => (
+                      <option key={format.id} value={format.id}>
+                        {format.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <div className="md:col-span-2 flex gap-3">
+                  <button
+                    type="submit"
+                    disabled={
+                      saving || !form.name.trim() || !form.systemPrompt.trim()
+                    }
+                    className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                  >
+                    {editingId ? "Save changes" : "Create persona"}
+                  </button>
+                  {form !== EMPTY_FORM && (
+                    <button
+                      type="button"
+                      onClick={resetForm}
+                      className="px-4 py-2 bg-n-7 rounded-lg text-sm hover:bg-n-6 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </form>
+
+              {error && <p className="body-2 mb-4 text-color-3">{error}</p>}
+
+              <ul className="bg-n-8 border border-n-6 rounded-[2rem] px-8 py-4">
+                {personas.map((persona) => (
+                  <li
+                    key={persona._id}
+                    className="flex items-center gap-4 py-4 border-b border-n-6 last:border-b-0"
+                  >
+                    <Bot size={20} className="flex-shrink-0" />
+                    <div className="flex-1 min-w-0">
+                      <p className="body-2 truncate">
+                        {persona.name}
+                        {persona.builtIn && (
+                          <span className="ml-2 text-xs text-n-1/50">
+                            Default
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-n-1/50 truncate">
+                        {[
+                          persona.model && modelLabel(persona.model),
+                          persona.temperature != null &&
+                            `temperature ${persona.temperature}`,
+                          optionLabel(RESPONSE_STYLES, persona.responseStyle),
+                          persona.citationFormat !== "none" &&
+                            `${optionLabel(
+                              CITATION_FORMATS,
+                              persona.citationFormat
+                            )} citations`,
+                        ]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleCopy(persona)}
+                      className="text-n-1/50 hover:text-n-1 transition-colors"
+                      aria-label={`Copy ${persona.name}`}
+                      title="Copy as a new persona"
+                    >
+                      <Copy size={16} />
+                    </button>
+                    {!persona.builtIn && (
+                      <>
+                        <button
+                          onClick={() => handleEdit(persona)}
+                          className="text-n-1/50 hover:text-n-1 transition-colors"
+                          aria-label={`Edit ${persona.name}`}
+                        >
+                          <Pencil size={16} />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(persona)}
+                          className="text-n-1/50 hover:text-red-500 transition-colors"
+                          aria-label={`Delete ${persona.name}`}
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </Section>
+      </SignedIn>
+      <SignedOut>
+        <RedirectToSignIn />
+      </SignedOut>
+    </>
+  );
+};
+
+export default PersonasPage;
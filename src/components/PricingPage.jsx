@@ -1,14 +1,39 @@
-import { useState } from "react";
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
 import { check } from "../assets";
 import { pricing } from "../constants";
 import Button from "./Button";
 import { LeftLine, RightLine } from "./design/Pricing";
 import Section from "./Section";
 import Heading from "./Heading";
+import SubscriptionSummary from "./SubscriptionSummary";
 import { useUser } from "@clerk/clerk-react";
+import { useApi } from "./lib/api";
+import { loadRazorpayCheckout } from "./lib/razorpay";
 
 const PricingPage = () => {
   const { user, isLoaded } = useUser();
+  const api = useApi();
+  const [subscription, setSubscription] = useState(null);
+  // idle -> processing -> verifying -> success | failed
+  const [checkout, setCheckout] = useState({ status: "idle" });
+
+  const refreshSubscription = useCallback(async () => {
+    if (!user) return;
+    try {
+      setSubscription(await api.json("subscription"));
+    } catch (error) {
+      console.error("Error loading subscription:", error.message);
+    }
+  }, [user, api]);
+
+  useEffect(() => {
+    refreshSubscription();
+  }, [refreshSubscription]);
+
+  const isPro = subscription?.plan === "pro";
+  const isBusy =
+    checkout.status === "processing" || checkout.status === "verifying";
 
   const handlePayment = async (item) => {
     if (!isLoaded || !user) {
@@ -16,17 +41,82 @@ const PricingPage = () => {
       return;
     }
 
+    setCheckout({ status: "processing", plan: item.title });
+
     try {
-      const paymentUrl = `https://razorpay.me/@brainhouse`;
-      window.location.href = paymentUrl;
-    } catch (error) {
-      console.error("Payment redirection error:", error.message);
-      alert(
-        `Failed to redirect to payment page: ${error.message}. Please try again or contact support.`
+      const Razorpay = await loadRazorpayCheckout();
+      const order = await api.json("create-order", {
+        method: "POST",
+        body: { planId: item.id },
+      });
+
+      const razorpay = new Razorpay({
+        key: order.keyId,
+        amount: order.amount,
+        currency: order.currency,
+        order_id: order.id,
+        name: "BrainHouse",
+        description: `${order.plan.title} plan`,
+        prefill: {
+          name: user.fullName || "",
+          email: user.primaryEmailAddress?.emailAddress || "",
+        },
+        handler: async (response) => {
+          setCheckout({ status: "verifying", plan: item.title });
+          try {
+            await api.json("verify-payment", {
+              method: "POST",
+              body: response,
+            });
+            await refreshSubscription();
+            setCheckout({ status: "success", plan: item.title });
+          } catch (error) {
+            console.error("Payment verification error:", error.message);
+            setCheckout({
+              status: "failed",
+              plan: item.title,
+              message: error.message,
+            });
+          }
+        },
+        modal: {
+          ondismiss: () =>
+            setCheckout((prev) =>
+              prev.status === "processing" ? { status: "idle" } : prev
+            ),
+        },
+      });
+
+      razorpay.on("payment.failed", (response) =>
+        setCheckout({
+          status: "failed",
+          plan: item.title,
+          message: response.error?.description,
+        })
       );
+      razorpay.open();
+    } catch (error) {
+      console.error("Payment error:", error.message);
+      setCheckout({
+        status: "failed",
+        plan: item.title,
+        message: error.message,
+      });
     }
   };
 
+  const isPaidPlan = (item) => Number(item.price) > 0;
+
+  const buttonLabel = (item) => {
+    if (item.price === null) return "Contact us";
+    if (!isPaidPlan(item)) return "Free";
+    if (isBusy) {
+      return checkout.status === "verifying" ? "Verifying..." : "Processing...";
+    }
+    // Paying again while Pro adds another period after the current one.
+    return isPro ? "Renew" : "Pay Now";
+  };
+
   return (
     <Section className="overflow-hidden" id="pricing">
       <div className="container relative z-2">
@@ -35,6 +125,46 @@ const PricingPage = () => {
           title="Flexible pricing for all needs"
         />
 
+        {(checkout.status === "success" || checkout.status === "failed") && (
+          <div className="max-w-[40rem] mx-auto mb-10 p-8 bg-n-8 border border-n-6 rounded-[2rem] text-center">
+            {checkout.status === "success" ? (
+              <>
+                <h4 className="h4 mb-4 text-color-4">Payment successful</h4>
+                <p className="body-2 mb-6 text-n-1/50">
+                  Your {checkout.plan} plan is active
+                  {subscription?.currentPeriodEnd &&
+                    ` until ${new Date(
+                      subscription.currentPeriodEnd
+                    ).toLocaleDateString()}`}
+                  . Enjoy BrainHouse without limits.
+                </p>
+                <Link
+                  to="/chat"
+                  className="text-xs font-code font-bold tracking-wider uppercase border-b"
+                >
+                  Start a conversation
+                </Link>
+              </>
+            ) : (
+              <>
+                <h4 className="h4 mb-4 text-color-3">Payment failed</h4>
+                <p className="body-2 mb-6 text-n-1/50">
+                  {checkout.message ||
+                    "The payment could not be completed. You have not been charged."}
+                </p>
+                <button
+                  className="text-xs font-code font-bold tracking-wider uppercase border-b"
+                  onClick={() => setCheckout({ status: "idle" })}
+                >
+                  Try again
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {subscription && <SubscriptionSummary subscription={subscription} />}
+
         <div className="relative">
           <div className="flex gap-[1rem] max-lg:flex-wrap">
             {pricing.map((item) => (
@@ -61,11 +191,11 @@ const PricingPage = () => {
 
                 <Button
                   className="w-full mb-6"
-                  onClick={() => item.price && handlePayment(item)}
-                  white={!!item.price}
-                  disabled={!item.price || !isLoaded || !user}
+                  onClick={() => isPaidPlan(item) && handlePayment(item)}
+                  white={isPaidPlan(item)}
+                  disabled={!isPaidPlan(item) || !isLoaded || !user || isBusy}
                 >
-                  {item.price ? "Pay Now" : "Contact us"}
+                  {buttonLabel(item)}
                 </Button>
 
                 <ul>
@@ -0,0 +1,454 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import {
+  SignedIn,
+  SignedOut,
+  RedirectToSignIn,
+  useAuth,
+} from "@clerk/clerk-react";
+import {
+  ArrowLeft,
+  Check,
+  Copy,
+  Link2,
+  Loader2,
+  LogOut,
+  Send,
+  Trash2,
+  X,
+} from "lucide-react";
+import ChatMessage from "./ChatMessage";
+import { useApi } from "./lib/api";
+import { fromServerMessage, modelLabel, models } from "./lib/chat";
+import { useMarkdownStyles } from "./lib/markdownStyles";
+import { useRoomSocket } from "./lib/roomSocket";
+
+const INVITE_EXPIRY_DAYS = [1, 7, 30];
+
+const inviteUrl = (invite) => window.location.origin + invite.path;
+
+const joinNames = (names) =>
+  names.length <= 2
+    ? names.join(" and ")
+    : `${names.slice(0, -1).join(", ")} and ${names.at(-1)}`;
+
+const Room = () => {
+  const { roomId } = useParams();
+  const navigate = useNavigate();
+  const api = useApi();
+  const { userId } = useAuth();
+  const {
+    status,
+    closeReason,
+    room,
+    setRoom,
+    messages,
+    online,
+    typing,
+    activeTurn,
+    queue,
+    streaming,
+    error,
+    setError,
+    sendMessage,
+    notifyTyping,
+    stopTyping,
+  } = useRoomSocket(roomId);
+  const [input, setInput] = useState("");
+  const [askAi, setAskAi] = useState(true);
+  const [inviteDays, setInviteDays] = useState(7);
+  const [copiedCode, setCopiedCode] = useState(null);
+  const messagesEndRef = useRef(null);
+
+  useMarkdownStyles();
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages, streaming?.content]);
+
+  const members = room?.members || [];
+  const isOwner = room?.role === "owner";
+  const nameOf = (clerkUserId) =>
+    members.find((m) => m.clerkUserId === clerkUserId)?.displayName ||
+    "Former member";
+  const nameOfUser = (id) =>
+    members.find((m) => m.userId === id)?.displayName || "Former member";
+
+  const authorOf = (msg) =>
+    msg.isFromUser
+      ? nameOfUser(msg.userId)
+      : `AI · asked by ${nameOfUser(msg.requestedBy)}`;
+
+  const othersTyping = typing.filter((id) => id !== userId).map(nameOf);
+  const queuedByMe = queue.some((turn) => turn.requestedBy === userId);
+  const activity = [
+    othersTyping.length > 0 &&
+      `${joinNames(othersTyping)} ${
+        othersTyping.length === 1 ? "is" : "are"
+      } typing...`,
+    activeTurn && `AI answering ${nameOf(activeTurn.requestedBy)}`,
+    queue.length > 0 &&
+      `queued: ${joinNames(queue.map((turn) => nameOf(turn.requestedBy)))}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    const content = input.trim();
+    if (!content) return;
+    if (sendMessage(content, askAi)) setInput("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && !e.shiftKey) handleSend(e);
+  };
+
+  const runAction = async (action, failure) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(`${failure}:`, err.message);
+      setError({ message: err.message });
+    }
+  };
+
+  const handleModelChange = (model) =>
+    runAction(async () => {
+      setRoom(
+        await api.json(`rooms/${roomId}`, { method: "PUT", body: { model } })
+      );
+    }, "Error changing room model");
+
+  const handleCreateInvite = () =>
+    runAction(async () => {
+      setRoom(
+        await api.json(`rooms/${roomId}/invites`, {
+          method: "POST",
+          body: { expiresInDays: inviteDays },
+        })
+      );
+    }, "Error creating invite");
+
+  const handleRevokeInvite = (code) =>
+    runAction(async () => {
+      setRoom(
+        await api.json(`rooms/${roomId}/invites/${code}`, { method: "DELETE" })
+      );
+    }, "Error revoking invite");
+
+  const handleCopyInvite = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl(invite));
+      setCopiedCode(invite.code);
+    } catch (err) {
+      console.error("Error copying invite:", err.message);
+    }
+  };
+
+  const handleRemoveMember = (member) => {
+    if (!window.confirm(`Remove ${member.displayName} from this room?`)) return;
+    runAction(
+      () =>
+        api.request(`rooms/${roomId}/members/${member.clerkUserId}`, {
+          method: "DELETE",
+        }),
+      "Error removing member"
+    );
+  };
+
+  const handleLeave = () => {
+    if (!window.confirm("Leave this room?")) return;
+    runAction(async () => {
+      await api.request(`rooms/${roomId}/members/${userId}`, {
+        method: "DELETE",
+      });
+      navigate("/rooms");
+    }, "Error leaving room");
+  };
+
+  const handleDelete = () => {
+    if (
+      !window.confirm(
+        `Delete "${room.name}" and its conversation for every member?`
+      )
+    ) {
+      return;
+    }
+    runAction(async () => {
+      await api.request(`rooms/${roomId}`, { method: "DELETE" });
+      navigate("/rooms");
+    }, "Error deleting room");
+  };
+
+  if (status === "closed") {
+    return (
+      <div className="min-h-[60vh] flex flex-col items-center justify-center gap-4 text-white">
+        <p className="text-gray-400">{closeReason}</p>
+        <Link to="/rooms" className="border-b">
+          Back to rooms
+        </Link>
+      </div>
+    );
+  }
+
+  if (!room) {
+    return (
+      <div className="min-h-[60vh] flex justify-center items-center">
+        <Loader2 className="animate-spin text-blue-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col md:flex-row h-[calc(100vh-5.25rem)] bg-black text-white">
+      <aside className="md:w-72 flex-shrink-0 border-b md:border-b-0 md:border-r border-gray-800 p-4 overflow-y-auto">
+        <Link
+          to="/rooms"
+          className="flex items-center gap-2 mb-4 text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          <ArrowLeft size={16} />
+          All rooms
+        </Link>
+        <h1 className="text-xl font-semibold break-words">{room.name}</h1>
+        {status !== "open" && (
+          <p className="mt-1 text-xs text-yellow-400">Reconnecting...</p>
+        )}
+
+        <label className="block mt-4 text-xs text-gray-400">
+          AI model
+          <select
+            value={room.model}
+            onChange={(e) => handleModelChange(e.target.value)}
+            disabled={!isOwner}
+            className="mt-1 w-full bg-gray-900 border border-gray-700 rounded-lg px-2 py-1.5 text-sm text-white outline-none disabled:opacity-70"
+          >
+            {models.map((model) => (
+              <option key={model} value={model.toLowerCase()}>
+                {model}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <p className="mt-6 mb-2 text-xs uppercase tracking-wide text-gray-500">
+          Members
+        </p>
+        <ul className="space-y-2">
+          {members.map((member) => (
+            <li
+              key={member.clerkUserId}
+              className="flex items-center gap-2 text-sm"
+            >
+              <span
+                className={`h-2 w-2 rounded-full ${
+                  online.includes(member.clerkUserId)
+                    ? "bg-green-500"
+                    : "bg-gray-600"
+                }`}
+                title={
+                  online.includes(member.clerkUserId) ? "Online" : "Offline"
+                }
+              />
+              <span className="flex-1 truncate">
+                {member.displayName}
+                {member.clerkUserId === userId && " (you)"}
+              </span>
+              {member.role === "owner" && (
+                <span className="text-xs text-gray-500">owner</span>
+              )}
+              {isOwner && member.role !== "owner" && (
+                <button
+                  onClick={() => handleRemoveMember(member)}
+                  className="text-gray-500 hover:text-red-500 transition-colors"
+                  aria-label={`Remove ${member.displayName}`}
+                >
+                  <X size={14} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {isOwner && (
+          <>
+            <p className="mt-6 mb-2 text-xs uppercase tracking-wide text-gray-500">
+              Invites
+            </p>
+            <div className="flex gap-2">
+              <select
+                value={inviteDays}
+                onChange={(e) => setInviteDays(Number(e.target.value))}
+                className="flex-1 bg-gray-900 border border-gray-700 rounded-lg px-2 py-1.5 text-sm text-white outline-none"
+                aria-label="Invite expiry"
+              >
+                {INVITE_EXPIRY_DAYS.map((days) => (
+                  <option key={days} value={days}>
+                    {days === 1 ? "1 day" : `${days} days`}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleCreateInvite}
+                className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 rounded-lg text-sm hover:bg-blue-700 transition-colors"
+              >
+                <Link2 size={14} />
+                Invite
+              </button>
+            </div>
+            <ul className="mt-2 space-y-2">
+              {room.invites.map((invite) => (
+                <li
+                  key={invite.code}
+                  className="flex items-center gap-2 p-2 rounded-lg bg-gray-900 text-xs"
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="truncate text-gray-300">
+                      {inviteUrl(invite)}
+                    </p>
+                    <p className="text-gray-500">
+                      Expires {new Date(invite.expiresAt).toLocaleDateString()}{" "}
+                      · used {invite.uses}×
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleCopyInvite(invite)}
+                    className="text-gray-400 hover:text-white transition-colors"
+                    aria-label="Copy invite link"
+                  >
+                    {copiedCode === invite.code ? (
+                      <Check size={14} />
+                    ) : (
+                      <Copy size={14} />
+                    )}
+                  </button>
+                  <button
+                    onClick={() => handleRevokeInvite(invite.code)}
+                    className="text-gray-400 hover:text-red-500 transition-colors"
+                    aria-label="Revoke invite"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <button
+          onClick={isOwner ? handleDelete : handleLeave}
+          className="flex items-center gap-2 mt-6 text-sm text-gray-400 hover:text-red-500 transition-colors"
+        >
+          {isOwner ? <Trash2 size={16} /> : <LogOut size={16} />}
+          {isOwner ? "Delete room" : "Leave room"}
+        </button>
+      </aside>
+
+      <main className="flex-1 flex flex-col min-h-0">
+        <div className="flex-1 overflow-y-auto p-4 md:p-6">
+          {messages.length === 0 && !streaming && (
+            <p className="text-center text-gray-500 mt-10">
+              Say hello, or tick “Ask AI” to bring the model in.
+            </p>
+          )}
+          {messages.map((msg) => (
+            <ChatMessage
+              key={msg._id}
+              msg={fromServerMessage(msg)}
+              author={authorOf(msg)}
+            />
+          ))}
+          {streaming && (
+            <ChatMessage
+              msg={{ role: "model", content: streaming.content }}
+              author={`${modelLabel(streaming.model || room.model)} · asked by ${nameOf(
+                streaming.requestedBy
+              )}`}
+            />
+          )}
+          {streaming && !streaming.content && (
+            <div className="flex items-center gap-2 -mt-4 mb-6 text-sm text-gray-400">
+              <Loader2 size={14} className="animate-spin" />
+              Thinking...
+            </div>
+          )}
+          <div ref={messagesEndRef} />
+        </div>
+
+        <div className="border-t border-gray-800 p-4">
+          <div className="min-h-[1.25rem] mb-2 text-xs text-gray-500">
+            {activity}
+          </div>
+          {error && (
+            <p className="mb-2 text-xs text-red-400">
+              {error.message}
+              {error.upgrade && (
+                <Link to="/pricing" className="ml-2 border-b text-blue-400">
+                  Upgrade to Pro
+                </Link>
+              )}
+            </p>
+          )}
+          <form onSubmit={handleSend} className="flex items-end gap-2">
+            <textarea
+              value={input}
+              onChange={(e) => {
+                setInput(e.target.value);
+                if (e.target.value) notifyTyping();
+                else stopTyping();
+              }}
+              onBlur={stopTyping}
+              onKeyDown={handleKeyDown}
+              rows={2}
+              placeholder="Message the room..."
+              className="flex-1 resize-none bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm outline-none focus:border-blue-500"
+            />
+            <div className="flex flex-col items-end gap-2">
+              <label
+                className="flex items-center gap-1 text-xs text-gray-400"
+                title={
+                  queuedByMe
+                    ? "Your AI turn is already waiting in the queue"
+                    : undefined
+                }
+              >
+                <input
+                  type="checkbox"
+                  checked={askAi}
+                  onChange={(e) => setAskAi(e.target.checked)}
+                />
+                Ask AI
+              </label>
+              <button
+                type="submit"
+                disabled={
+                  status !== "open" || !input.trim() || (askAi && queuedByMe)
+                }
+                className="p-2 bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                aria-label="Send"
+              >
+                <Send size={16} />
+              </button>
+            </div>
+          </form>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+// A collaborative room: shared conversation, presence, typing and one AI
+// turn at a time for everyone.
+const RoomPage = () => (
+  <>
+    <SignedIn>
+      <Room />
+    </SignedIn>
+    <SignedOut>
+      <RedirectToSignIn />
+    </SignedOut>
+  </>
+);
+
+export default RoomPage;
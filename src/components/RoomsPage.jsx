@@ -0,0 +1,182 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import {
+  SignedIn,
+  SignedOut,
+  RedirectToSignIn,
+  useUser,
+} from "@clerk/clerk-react";
+import { LogIn, Plus, Users } from "lucide-react";
+import Section from "./Section";
+import Heading from "./Heading";
+import { useApi } from "./lib/api";
+import { modelLabel } from "./lib/chat";
+
+const inputClass =
+  "w-full bg-n-7 border border-n-6 rounded-lg px-3 py-2 text-sm text-n-1 outline-none focus:border-blue-500";
+
+// Accepts either a bare invite code or a pasted /rooms/join/<code> link.
+const inviteCodeFrom = (value) => value.trim().split("/").filter(Boolean).pop();
+
+const RoomsPage = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const api = useApi();
+  const { user } = useUser();
+  const [rooms, setRooms] = useState([]);
+  const [name, setName] = useState("");
+  const [displayName, setDisplayName] = useState("");
+  const [invite, setInvite] = useState(code || "");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadRooms = useCallback(async () => {
+    try {
+      setRooms(await api.json("rooms"));
+    } catch (err) {
+      console.error("Error loading rooms:", err.message);
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadRooms();
+  }, [loadRooms]);
+
+  useEffect(() => {
+    if (user && !displayName) {
+      setDisplayName(user.fullName || user.username || "");
+    }
+  }, [user, displayName]);
+
+  const enterRoom = async (path, body) => {
+    if (!displayName.trim()) {
+      setError("Pick a display name so others know who you are");
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      const room = await api.json(path, {
+        method: "POST",
+        body: { ...body, displayName: displayName.trim() },
+      });
+      navigate(`/rooms/${room._id}`);
+    } catch (err) {
+      console.error("Error entering room:", err.message);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (name.trim()) enterRoom("rooms", { name: name.trim() });
+  };
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    const inviteCode = inviteCodeFrom(invite);
+    if (inviteCode) enterRoom("rooms/join", { code: inviteCode });
+  };
+
+  return (
+    <>
+      <SignedIn>
+        <Section className="overflow-hidden" id="rooms">
+          <div className="container relative z-2">
+            <Heading
+              tag="Research rooms"
+              title="Research together with a shared AI"
+            />
+
+            <div className="max-w-[60rem] mx-auto">
+              <div className="grid md:grid-cols-3 gap-4 mb-6">
+                <label className="text-xs text-n-1/50">
+                  Your display name
+                  <input
+                    value={displayName}
+                    onChange={(e) => setDisplayName(e.target.value)}
+                    maxLength={60}
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <form onSubmit={handleCreate} className="flex items-end gap-2">
+                  <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="New room name"
+                    maxLength={120}
+                    className={inputClass}
+                  />
+                  <button
+                    type="submit"
+                    disabled={busy || !name.trim()}
+                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                  >
+                    <Plus size={16} />
+                    Create
+                  </button>
+                </form>
+                <form onSubmit={handleJoin} className="flex items-end gap-2">
+                  <input
+                    value={invite}
+                    onChange={(e) => setInvite(e.target.value)}
+                    placeholder="Invite link or code"
+                    className={inputClass}
+                  />
+                  <button
+                    type="submit"
+                    disabled={busy || !invite.trim()}
+                    className="flex items-center gap-2 px-4 py-2 bg-n-6 text-white rounded-lg text-sm hover:bg-n-5 disabled:opacity-50 transition-colors"
+                  >
+                    <LogIn size={16} />
+                    Join
+                  </button>
+                </form>
+              </div>
+
+              {error && <p className="body-2 mb-4 text-color-3">{error}</p>}
+
+              <ul className="bg-n-8 border border-n-6 rounded-[2rem] px-8 py-4">
+                {rooms.length === 0 && (
+                  <li className="py-4 body-2 text-n-1/50">
+                    No rooms yet. Create one and invite your collaborators.
+                  </li>
+                )}
+                {rooms.map((room) => (
+                  <li
+                    key={room._id}
+                    className="border-b border-n-6 last:border-b-0"
+                  >
+                    <Link
+                      to={`/rooms/${room._id}`}
+                      className="flex items-center gap-4 py-4 hover:text-n-1/80 transition-colors"
+                    >
+                      <Users size={20} className="flex-shrink-0" />
+                      <div className="flex-1 min-w-0">
+                        <p className="body-2 truncate">{room.name}</p>
+                        <p className="text-xs text-n-1/50">
+                          {room.members.length}{" "}
+                          {room.members.length === 1 ? "member" : "members"} ·{" "}
+                          {modelLabel(room.model)}
+                          {room.role === "owner" && " · owner"}
+                        </p>
+                      </div>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </Section>
+      </SignedIn>
+      <SignedOut>
+        <RedirectToSignIn />
+      </SignedOut>
+    </>
+  );
+};
+
+export default RoomsPage;
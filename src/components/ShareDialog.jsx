@@ -0,0 +1,184 @@
+import { useCallback, useEffect, useState } from "react";
+import { Check, Copy, Link2, Lock, Trash2, X } from "lucide-react";
+import { useApi } from "./lib/api";
+
+const EXPIRY_OPTIONS = [
+  { days: "", label: "Never expires" },
+  { days: "1", label: "1 day" },
+  { days: "7", label: "7 days" },
+  { days: "30", label: "30 days" },
+];
+
+const inputClass =
+  "w-full bg-gray-900 border border-gray-700 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-blue-500";
+
+const shareUrl = (share) => window.location.origin + share.path;
+
+// Publishes read-only snapshots of a conversation and lists the live ones.
+const ShareDialog = ({ conversation, onClose }) => {
+  const api = useApi();
+  const [shares, setShares] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState("");
+  const [password, setPassword] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState("");
+
+  const loadShares = useCallback(async () => {
+    try {
+      setShares(await api.json(`shares?conversationId=${conversation._id}`));
+    } catch (err) {
+      console.error("Error loading share links:", err.message);
+      setError(err.message);
+    }
+  }, [api, conversation._id]);
+
+  useEffect(() => {
+    loadShares();
+  }, [loadShares]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError("");
+    try {
+      const share = await api.json("shares", {
+        method: "POST",
+        body: {
+          conversationId: conversation._id,
+          expiresInDays: expiresInDays ? Number(expiresInDays) : undefined,
+          password: password || undefined,
+        },
+      });
+      setShares((prev) => [share, ...prev]);
+      setPassword("");
+    } catch (err) {
+      console.error("Error creating share link:", err.message);
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share));
+      setCopiedId(share._id);
+    } catch (err) {
+      console.error("Error copying link:", err.message);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    try {
+      await api.request(`shares/${share._id}`, { method: "DELETE" });
+      setShares((prev) => prev.filter((s) => s._id !== share._id));
+    } catch (err) {
+      console.error("Error revoking share link:", err.message);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4">
+      <div className="w-full max-w-lg bg-gray-900 border border-gray-700 rounded-xl p-4 text-white">
+        <div className="flex items-center justify-between mb-1">
+          <p className="text-sm font-semibold truncate">
+            Share “{conversation.title}”
+          </p>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-white transition-colors"
+            aria-label="Close sharing"
+          >
+            <X size={18} />
+          </button>
+        </div>
+        <p className="mb-4 text-xs text-gray-400">
+          Anyone with the link can read the conversation as it is now. Later
+          messages stay private.
+        </p>
+
+        <form
+          onSubmit={handleCreate}
+          className="grid grid-cols-2 gap-2 items-end"
+        >
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(e.target.value)}
+            className={inputClass}
+            aria-label="Link expiry"
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.days} value={option.days}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password (optional)"
+            minLength={8}
+            maxLength={128}
+            autoComplete="new-password"
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={creating}
+            className="col-span-2 flex items-center justify-center gap-2 px-3 py-2 bg-blue-600 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <Link2 size={16} />
+            {creating ? "Creating link..." : "Create link"}
+          </button>
+        </form>
+
+        {error && <p className="mt-3 text-xs text-red-400">{error}</p>}
+
+        <ul className="mt-4 space-y-2 max-h-60 overflow-y-auto">
+          {shares.map((share) => (
+            <li
+              key={share._id}
+              className="flex items-center gap-2 p-2 rounded-lg bg-gray-800 text-xs"
+            >
+              {share.hasPassword && (
+                <Lock size={14} className="flex-shrink-0 text-gray-400" />
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="truncate text-gray-300">{shareUrl(share)}</p>
+                <p className="text-gray-500">
+                  Shared {new Date(share.createdAt).toLocaleString()} ·{" "}
+                  {share.expiresAt
+                    ? `expires ${new Date(share.expiresAt).toLocaleDateString()}`
+                    : "no expiry"}
+                </p>
+              </div>
+              <button
+                onClick={() => handleCopy(share)}
+                className="text-gray-400 hover:text-white transition-colors"
+                aria-label="Copy link"
+              >
+                {copiedId === share._id ? (
+                  <Check size={14} />
+                ) : (
+                  <Copy size={14} />
+                )}
+              </button>
+              <button
+                onClick={() => handleRevoke(share)}
+                className="text-gray-400 hover:text-red-500 transition-colors"
+                aria-label="Revoke link"
+              >
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
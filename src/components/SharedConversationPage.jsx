@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Loader2, Lock } from "lucide-react";
+import ChatMessage from "./ChatMessage";
+import { apiJson } from "./lib/api";
+import { fromServerMessage } from "./lib/chat";
+import { useMarkdownStyles } from "./lib/markdownStyles";
+
+// Read-only view of a shared conversation; works without signing in.
+const SharedConversationPage = () => {
+  const { token } = useParams();
+  const [share, setShare] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+
+  useMarkdownStyles();
+
+  const loadShare = useCallback(
+    async (attempt) => {
+      setLoading(true);
+      try {
+        const data = await apiJson(
+          `shares/public/${encodeURIComponent(token)}`,
+          { headers: attempt ? { "X-Share-Password": attempt } : undefined }
+        );
+        setShare({ ...data, messages: data.messages.map(fromServerMessage) });
+        setNeedsPassword(false);
+        setError("");
+      } catch (err) {
+        setNeedsPassword(Boolean(err.data?.passwordRequired));
+        setError(attempt || !err.data?.passwordRequired ? err.message : "");
+      } finally {
+        setLoading(false);
+      }
+    },
+    [token]
+  );
+
+  useEffect(() => {
+    loadShare();
+  }, [loadShare]);
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    if (password) loadShare(password);
+  };
+
+  return (
+    <div className="min-h-screen bg-black text-white px-4 md:px-6 py-10">
+      <div className="max-w-4xl mx-auto">
+        {loading && !share && (
+          <div className="flex justify-center py-20">
+            <Loader2 className="animate-spin text-blue-400" />
+          </div>
+        )}
+
+        {needsPassword && (
+          <form
+            onSubmit={handleUnlock}
+            className="max-w-sm mx-auto mt-10 p-6 bg-gray-900 border border-gray-700 rounded-xl"
+          >
+            <div className="flex items-center gap-2 mb-4 text-gray-300">
+              <Lock size={18} />
+              <p className="text-sm">This conversation is password protected</p>
+            </div>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoFocus
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm outline-none focus:border-blue-500"
+            />
+            {error && <p className="mt-2 text-xs text-red-400">{error}</p>}
+            <button
+              type="submit"
+              disabled={loading || !password}
+              className="w-full mt-4 px-3 py-2 bg-blue-600 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              Open
+            </button>
+          </form>
+        )}
+
+        {!loading && !needsPassword && error && (
+          <p className="mt-10 text-center text-gray-400">{error}</p>
+        )}
+
+        {share && (
+          <>
+            <div className="mb-8">
+              <h1 className="text-3xl md:text-4xl font-bold">{share.title}</h1>
+              <p className="mt-2 text-sm text-gray-400">
+                Shared from BrainHouse ·{" "}
+                {new Date(share.snapshotAt).toLocaleString()}
+                {share.expiresAt &&
+                  ` · link expires ${new Date(share.expiresAt).toLocaleDateString()}`}
+              </p>
+            </div>
+            {share.messages.length === 0 && (
+              <p className="text-gray-400">This conversation is empty.</p>
+            )}
+            {share.messages.map((msg, index) => (
+              <ChatMessage key={`${msg.role}-${index}`} msg={msg} />
+            ))}
+            <p className="mt-10 text-center text-sm text-gray-500">
+              Start your own research chat on{" "}
+              <Link to="/" className="border-b">
+                BrainHouse
+              </Link>
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedConversationPage;
@@ -0,0 +1,56 @@
+import { Link } from "react-router-dom";
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+const SubscriptionSummary = ({ subscription }) => {
+  const { plan, state, currentPeriodEnd, graceEndsAt, quota } = subscription;
+  const isPro = plan === "pro";
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-6 max-w-[60rem] mx-auto mb-10 px-8 py-6 bg-n-8 border border-n-6 rounded-[2rem]">
+      <div>
+        <p className="text-xs font-code font-bold tracking-wider uppercase text-n-1/50">
+          Current plan
+        </p>
+        <h5 className="h5">{isPro ? "Premium" : "Basic"}</h5>
+      </div>
+
+      <div>
+        <p className="text-xs font-code font-bold tracking-wider uppercase text-n-1/50">
+          {state === "grace" ? "Renew by" : isPro ? "Renews on" : "Status"}
+        </p>
+        <p className={`body-2 ${state === "grace" ? "text-color-3" : ""}`}>
+          {state === "grace" && formatDate(graceEndsAt)}
+          {state === "active" &&
+            (currentPeriodEnd ? formatDate(currentPeriodEnd) : "No end date")}
+          {state === "expired" && `Pro ended ${formatDate(currentPeriodEnd)}`}
+          {state === "none" && "Free forever"}
+        </p>
+      </div>
+
+      <div>
+        <p className="text-xs font-code font-bold tracking-wider uppercase text-n-1/50">
+          Remaining credits
+        </p>
+        <p className="body-2">
+          {quota.remaining === null
+            ? "Unlimited"
+            : `${quota.remaining} of ${quota.limit} credits`}
+        </p>
+      </div>
+
+      {isPro && (
+        <Link to="/analytics" className="body-2 border-b">
+          View analytics
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default SubscriptionSummary;
@@ -0,0 +1,183 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { ArrowLeft, Loader2, ScrollText, X } from "lucide-react";
+import { useApi } from "./lib/api";
+import { TEMPLATE_SOURCES, fillTemplate, variableLabel } from "./lib/templates";
+
+const inputClass =
+  "w-full bg-gray-900 border border-gray-700 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-blue-500";
+
+// Popover above the chat input: pick a template, fill its variables, and hand
+// the finished prompt (plus any preselected mode and model) to onApply.
+const TemplatePicker = ({ onApply, onClose }) => {
+  const api = useApi();
+  const [templates, setTemplates] = useState(null);
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [values, setValues] = useState({});
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    api
+      .json("templates")
+      .then(setTemplates)
+      .catch((err) => {
+        console.error("Error loading templates:", err.message);
+        setError(err.message);
+      });
+  }, [api]);
+
+  const groups = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    const matches = (templates || []).filter(
+      (t) =>
+        !needle ||
+        t.name.toLowerCase().includes(needle) ||
+        t.description?.toLowerCase().includes(needle)
+    );
+    return TEMPLATE_SOURCES.map((source) => ({
+      ...source,
+      templates: matches.filter((t) => t.source === source.id),
+    })).filter((group) => group.templates.length > 0);
+  }, [templates, query]);
+
+  const apply = (template, fields) => {
+    onApply({
+      text: fillTemplate(template.body, fields),
+      mode: template.mode,
+      model: template.model,
+    });
+    onClose();
+  };
+
+  const handleSelect = (template) => {
+    if (template.variables.length === 0) {
+      apply(template, {});
+      return;
+    }
+    setSelected(template);
+    setValues({});
+  };
+
+  return (
+    <div className="absolute bottom-full left-0 mb-2 w-[22rem] max-w-[calc(100vw-2rem)] bg-gray-800 border border-gray-700 rounded-lg shadow-lg z-30">
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-700">
+        {selected ? (
+          <button
+            onClick={() => setSelected(null)}
+            className="text-gray-400 hover:text-white transition-colors"
+            aria-label="Back to templates"
+          >
+            <ArrowLeft size={16} />
+          </button>
+        ) : (
+          <ScrollText size={16} className="text-gray-400" />
+        )}
+        <p className="flex-1 text-sm font-semibold truncate">
+          {selected ? selected.name : "Prompt templates"}
+        </p>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-white transition-colors"
+          aria-label="Close templates"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      {selected ? (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            apply(selected, values);
+          }}
+          className="p-3 space-y-2"
+        >
+          {selected.variables.map((name, index) => (
+            <label key={name} className="block text-xs text-gray-400">
+              {variableLabel(name)}
+              <input
+                value={values[name] || ""}
+                onChange={(e) =>
+                  setValues((prev) => ({ ...prev, [name]: e.target.value }))
+                }
+                autoFocus={index === 0}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          ))}
+          <p className="text-xs text-gray-500">
+            Blank fields stay as placeholders for you to fill in.
+          </p>
+          <button
+            type="submit"
+            className="w-full px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+          >
+            Use template
+          </button>
+        </form>
+      ) : (
+        <>
+          <div className="p-3">
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search templates"
+              autoFocus
+              className={inputClass}
+            />
+          </div>
+          <div className="max-h-72 overflow-y-auto px-1 pb-2">
+            {!templates && !error && (
+              <Loader2 size={16} className="animate-spin mx-auto my-4" />
+            )}
+            {error && <p className="px-3 text-xs text-red-400">{error}</p>}
+            {templates && groups.length === 0 && (
+              <p className="px-3 py-2 text-xs text-gray-400">
+                No templates match.
+              </p>
+            )}
+            {groups.map((group) => (
+              <div key={group.id}>
+                <p className="px-3 pt-2 pb-1 text-xs uppercase tracking-wide text-gray-500">
+                  {group.label}
+                </p>
+                {group.templates.map((template) => (
+                  <button
+                    key={template._id}
+                    onClick={() => handleSelect(template)}
+                    className="block w-full text-left px-3 py-2 rounded-md hover:bg-gray-700 transition-colors"
+                  >
+                    <span className="block text-sm truncate">
+                      {template.name}
+                      {template.mode === "image" && (
+                        <span className="ml-2 text-xs text-blue-400">
+                          Image
+                        </span>
+                      )}
+                    </span>
+                    {(template.description || template.roomName) && (
+                      <span className="block text-xs text-gray-400 truncate">
+                        {[template.roomName, template.description]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            ))}
+          </div>
+          <Link
+            to="/templates"
+            className="block px-3 py-2 border-t border-gray-700 text-xs text-gray-400 hover:text-white transition-colors"
+          >
+            Manage templates
+          </Link>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TemplatePicker;
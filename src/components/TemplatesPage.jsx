@@ -0,0 +1,318 @@
+import { useCallback, useEffect, useState } from "react";
+import { SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
+import { Copy, Pencil, ScrollText, Trash2, Users } from "lucide-react";
+import Section from "./Section";
+import Heading from "./Heading";
+import { useApi } from "./lib/api";
+import { modelLabel, models } from "./lib/chat";
+import { TEMPLATE_SOURCES } from "./lib/templates";
+
+const inputClass =
+  "w-full bg-n-7 border border-n-6 rounded-lg px-3 py-2 text-sm text-n-1 outline-none focus:border-blue-500";
+
+const EMPTY_FORM = {
+  name: "",
+  description: "",
+  body: "",
+  mode: "text",
+  model: "",
+  roomId: "",
+};
+
+const TemplatesPage = () => {
+  const api = useApi();
+  const [templates, setTemplates] = useState([]);
+  const [rooms, setRooms] = useState([]);
+  const [imageModels, setImageModels] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      setTemplates(await api.json("templates"));
+    } catch (err) {
+      console.error("Error loading templates:", err.message);
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  useEffect(() => {
+    api
+      .json("rooms")
+      .then(setRooms)
+      .catch((err) => console.error("Error loading rooms:", err.message));
+    api
+      .json("image-models")
+      .then((options) => setImageModels(options.models))
+      .catch((err) =>
+        console.error("Error loading image models:", err.message)
+      );
+  }, [api]);
+
+  const set = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleEdit = (template) => {
+    setForm({
+      name: template.name,
+      description: template.description || "",
+      body: template.body,
+      mode: template.mode,
+      model: template.model || "",
+      // A room the user has since left can't be picked again, so fall back.
+      roomId: rooms.some((room) => room._id === template.roomId)
+        ? template.roomId
+        : "",
+    });
+    setEditingId(template._id);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  // Built-in and shared templates are read-only; copying one makes it yours.
+  const handleCopy = (template) => {
+    handleEdit({ ...template, name: `${template.name} (copy)`, roomId: "" });
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      await api.json(editingId ? `templates/${editingId}` : "templates", {
+        method: editingId ? "PUT" : "POST",
+        body: form,
+      });
+      resetForm();
+      await loadTemplates();
+    } catch (err) {
+      console.error("Error saving template:", err.message);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    try {
+      await api.request(`templates/${template._id}`, { method: "DELETE" });
+      setTemplates((prev) => prev.filter((t) => t._id !== template._id));
+      if (editingId === template._id) resetForm();
+    } catch (err) {
+      console.error("Error deleting template:", err.message);
+      setError(err.message);
+    }
+  };
+
+  const modelOptions =
+    form.mode === "image"
+      ? imageModels.map((m) => ({ id: m.id, label: m.label }))
+      : models.map((m) => ({ id: m.toLowerCase(), label: m }));
+
+  return (
+    <>
+      <SignedIn>
+        <Section className="overflow-hidden" id="templates">
+          <div className="container relative z-2">
+            <Heading
+              tag="Prompt templates"
+              title="Reusable prompts for you and your team"
+            />
+
+            <div className="max-w-[60rem] mx-auto">
+              <form
+                onSubmit={handleSubmit}
+                className="grid md:grid-cols-2 gap-3 mb-6 p-6 bg-n-8 border border-n-6 rounded-[2rem]"
+              >
+                <label className="text-xs text-n-1/50">
+                  Name
+                  <input
+                    value={form.name}
+                    onChange={set("name")}
+                    maxLength={100}
+                    placeholder="e.g. Summarize for a grant report"
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="text-xs text-n-1/50">
+                  Description
+                  <input
+                    value={form.description}
+                    onChange={set("description")}
+                    maxLength={300}
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="md:col-span-2 text-xs text-n-1/50">
+                  Prompt · wrap variables in braces, e.g. {"{field}"} or{" "}
+                  {"{paper}"}
+                  <textarea
+                    value={form.body}
+                    onChange={set("body")}
+                    maxLength={10000}
+                    rows={5}
+                    className={`${inputClass} mt-1 resize-y`}
+                  />
+                </label>
+                <label className="text-xs text-n-1/50">
+                  Mode
+                  <select
+                    value={form.mode}
+                    onChange={(e) =>
+                      setForm((prev) => ({
+                        ...prev,
+                        mode: e.target.value,
+                        model: "",
+                      }))
+                    }
+                    className={`${inputClass} mt-1`}
+                  >
+                    <option value="text">Text</option>
+                    <option value="image">Image</option>
+                  </select>
+                </label>
+                <label className="text-xs text-n-1/50">
+                  Model
+                  <select
+                    value={form.model}
+                    onChange={set("model")}
+                    className={`${inputClass} mt-1`}
+                  >
+                    <option value="">Keep the current model</option>
+                    {modelOptions.map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="md:col-span-2 text-xs text-n-1/50">
+                  Share with
+                  <select
+                    value={form.roomId}
+                    onChange={set("roomId")}
+                    className={`${inputClass} mt-1`}
+                  >
+                    <option value="">Only me</option>
+                    {rooms.map((room) => (
+                      <option key={room._id} value={room._id}>
+                        Members of {room.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <div className="md:col-span-2 flex gap-3">
+                  <button
+                    type="submit"
+                    disabled={saving || !form.name.trim() || !form.body.trim()}
+                    className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                  >
+                    {editingId ? "Save changes" : "Create template"}
+                  </button>
+                  {(editingId || form !== EMPTY_FORM) && (
+                    <button
+                      type="button"
+                      onClick={resetForm}
+                      className="px-4 py-2 bg-n-7 rounded-lg text-sm hover:bg-n-6 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </form>
+
+              {error && <p className="body-2 mb-4 text-color-3">{error}</p>}
+
+              {TEMPLATE_SOURCES.map((source) => {
+                const group = templates.filter((t) => t.source === source.id);
+                if (source.id !== "mine" && group.length === 0) return null;
+                return (
+                  <div key={source.id} className="mb-6">
+                    <h5 className="h5 mb-3">{source.label}</h5>
+                    <ul className="bg-n-8 border border-n-6 rounded-[2rem] px-8 py-4">
+                      {group.length === 0 && (
+                        <li className="py-4 body-2 text-n-1/50">
+                          No templates yet.
+                        </li>
+                      )}
+                      {group.map((template) => (
+                        <li
+                          key={template._id}
+                          className="flex items-center gap-4 py-4 border-b border-n-6 last:border-b-0"
+                        >
+                          {template.roomId ? (
+                            <Users size={20} className="flex-shrink-0" />
+                          ) : (
+                            <ScrollText size={20} className="flex-shrink-0" />
+                          )}
+                          <div className="flex-1 min-w-0">
+                            <p className="body-2 truncate">{template.name}</p>
+                            <p className="text-xs text-n-1/50 truncate">
+                              {[
+                                template.mode === "image" ? "Image" : "Text",
+                                template.model && modelLabel(template.model),
+                                template.roomName &&
+                                  `Shared with ${template.roomName}`,
+                                template.description,
+                              ]
+                                .filter(Boolean)
+                                .join(" · ")}
+                            </p>
+                          </div>
+                          {template.editable ? (
+                            <>
+                              <button
+                                onClick={() => handleEdit(template)}
+                                className="text-n-1/50 hover:text-n-1 transition-colors"
+                                aria-label={`Edit ${template.name}`}
+                              >
+                                <Pencil size={16} />
+                              </button>
+                              <button
+                                onClick={() => handleDelete(template)}
+                                className="text-n-1/50 hover:text-red-500 transition-colors"
+                                aria-label={`Delete ${template.name}`}
+                              >
+                                <Trash2 size={16} />
+                              </button>
+                            </>
+                          ) : (
+                            <button
+                              onClick={() => handleCopy(template)}
+                              className="text-n-1/50 hover:text-n-1 transition-colors"
+                              aria-label={`Copy ${template.name} to my templates`}
+                              title="Copy to my templates"
+                            >
+                              <Copy size={16} />
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </Section>
+      </SignedIn>
+      <SignedOut>
+        <RedirectToSignIn />
+      </SignedOut>
+    </>
+  );
+};
+
+export default TemplatesPage;
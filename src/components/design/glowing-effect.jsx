@@ -1,4 +1,4 @@
-"use client";;
+"use client";
 import { memo, useCallback, useEffect, useRef } from "react";
 import { cn } from "../lib/utils.js";
 import { animate } from "motion/react";
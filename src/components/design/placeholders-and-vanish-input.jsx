@@ -7,26 +7,28 @@ import { cn } from "../lib/utils.js";
 export function PlaceholdersAndVanishInput({
   placeholders,
   onChange,
-  onSubmit
+  onSubmit,
+  value: externalValue,
 }) {
   const [currentPlaceholder, setCurrentPlaceholder] = useState(0);
 
   const intervalRef = useRef(null);
-  const startAnimation = () => {
-    intervalRef.current = setInterval(() => {
-      setCurrentPlaceholder((prev) => (prev + 1) % placeholders.length);
-    }, 3000);
-  };
-  const handleVisibilityChange = () => {
-    if (document.visibilityState !== "visible" && intervalRef.current) {
-      clearInterval(intervalRef.current); // Clear the interval when the tab is not visible
-      intervalRef.current = null;
-    } else if (document.visibilityState === "visible") {
-      startAnimation(); // Restart the interval when the tab becomes visible
-    }
-  };
 
   useEffect(() => {
+    const startAnimation = () => {
+      intervalRef.current = setInterval(() => {
+        setCurrentPlaceholder((prev) => (prev + 1) % placeholders.length);
+      }, 3000);
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== "visible" && intervalRef.current) {
+        clearInterval(intervalRef.current); // Clear the interval when the tab is not visible
+        intervalRef.current = null;
+      } else if (document.visibilityState === "visible") {
+        startAnimation(); // Restart the interval when the tab becomes visible
+      }
+    };
+
     startAnimation();
     document.addEventListener("visibilitychange", handleVisibilityChange);
 
@@ -44,6 +46,12 @@ export function PlaceholdersAndVanishInput({
   const [value, setValue] = useState("");
   const [animating, setAnimating] = useState(false);
 
+  // Lets the parent fill the input, e.g. from a prompt template. Skipped while
+  // the submit animation runs, which clears the input itself.
+  useEffect(() => {
+    if (externalValue !== undefined && !animating) setValue(externalValue);
+  }, [externalValue, animating]);
+
   const draw = useCallback(() => {
     if (!inputRef.current) return;
     const canvas = canvasRef.current;
@@ -136,7 +136,7 @@ export const MobileNavHeader = ({ children, className }) => {
   );
 };
 
-export const MobileNavMenu = ({ children, className, isOpen, onClose }) => {
+export const MobileNavMenu = ({ children, className, isOpen }) => {
   return (
     <AnimatePresence>
       {isOpen && (
@@ -170,7 +170,7 @@ export const NavbarLogo = () => {
       to="/"
       className="relative z-20 mr-4 flex items-center space-x-2 px-2 py-1 text-sm font-normal text-black"
     >
-      <Image
+      <img
         src="https://assets.aceternity.com/logo-dark.png"
         alt="logo"
         width={30}
@@ -0,0 +1,35 @@
+export const ANALYTICS_RANGES = [
+  { days: 7, label: "Last 7 days" },
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+  { days: 365, label: "Last 12 months" },
+];
+
+export const ANALYTICS_REPORTS = [
+  "activity",
+  "models",
+  "topics",
+  "conversations",
+  "documents",
+  "quota",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ?from=&to= covering the last `days` UTC days, today included, matching
+// the day buckets the server reports in.
+export function rangeQuery(days, now = new Date()) {
+  const to = now.toISOString().slice(0, 10);
+  const from = new Date(now.getTime() - (days - 1) * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+  return new URLSearchParams({ from, to }).toString();
+}
+
+// "2026-10-19" -> "19 Oct", without shifting the UTC day into local time.
+export const formatDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, {
+    day: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
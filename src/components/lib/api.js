@@ -0,0 +1,62 @@
+import { useMemo } from "react";
+import { useAuth } from "@clerk/clerk-react";
+
+export const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api/";
+
+// Absolute URL for a path the backend hands out, such as a signed image link.
+export const apiUrl = (path) => API_BASE_URL + path;
+
+// fetch() against the backend that throws on non-2xx, using the server's
+// { error } / { message } body when there is one.
+export async function apiRequest(
+  path,
+  { method = "GET", body, headers, token } = {}
+) {
+  const response = await fetch(API_BASE_URL + path, {
+    method,
+    headers: {
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  if (!response.ok) {
+    let errorData = {};
+    try {
+      errorData = await response.json();
+    } catch (e) {
+      // Non-JSON error body; fall back to the status text.
+    }
+    const error = new Error(
+      errorData.error || errorData.message || response.statusText
+    );
+    error.status = response.status;
+    error.data = errorData;
+    throw error;
+  }
+
+  return response;
+}
+
+export async function apiJson(path, options) {
+  const response = await apiRequest(path, options);
+  return response.json();
+}
+
+// apiRequest/apiJson bound to the signed-in Clerk session.
+export function useApi() {
+  const { getToken } = useAuth();
+
+  return useMemo(
+    () => ({
+      request: async (path, options = {}) =>
+        apiRequest(path, { ...options, token: await getToken() }),
+      json: async (path, options = {}) =>
+        apiJson(path, { ...options, token: await getToken() }),
+    }),
+    [getToken]
+  );
+}
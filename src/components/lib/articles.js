@@ -0,0 +1,18 @@
+// Mirrors ARTICLE_LENGTHS in lib/articles.js on the server.
+export const ARTICLE_LENGTHS = [
+  { id: "short", label: "Short · ~800 words" },
+  { id: "medium", label: "Medium · ~1,500 words" },
+  { id: "long", label: "Long · ~3,000 words" },
+];
+
+export const ARTICLE_STAGES = [
+  { id: "outline", label: "Outline" },
+  { id: "section", label: "Sections" },
+  { id: "revise", label: "Revision" },
+  { id: "references", label: "References" },
+];
+
+export const articleStageLabel = (stage) =>
+  stage === "done"
+    ? "Finished"
+    : `Next: ${ARTICLE_STAGES.find((s) => s.id === stage)?.label || stage}`;
@@ -0,0 +1,41 @@
+export const models = ["Gemini", "ChatGPT", "Mistral", "Claude", "Llama4"];
+
+// Display name for a model id saved on a message or conversation.
+export const modelLabel = (id) =>
+  models.find((m) => m.toLowerCase() === id) || id;
+
+export const fromServerMessage = (msg) => ({
+  role: msg.isFromUser ? "user" : "model",
+  content: msg.message,
+  files: msg.attachments?.length > 0 ? msg.attachments : undefined,
+  image: msg.image,
+  imageId: msg.imageId,
+  imageUrl: msg.imageUrl,
+  imageSettings: msg.imageSettings,
+  model: msg.model,
+  transcript: msg.transcript,
+  toolCalls: msg.toolCalls,
+});
+
+// Display names for the tools in lib/tools.js on the server.
+const TOOL_LABELS = {
+  calculator: "Calculator",
+  convert_units: "Unit conversion",
+  lookup_doi: "DOI lookup",
+  search_literature: "Literature search",
+};
+
+export const toolLabel = (name) => TOOL_LABELS[name] || name;
+
+export const describeImageSettings = (settings) =>
+  [
+    settings.model,
+    `${settings.width}×${settings.height}`,
+    `${settings.steps} steps`,
+    settings.guidance != null && `guidance ${settings.guidance}`,
+    `seed ${settings.seed}`,
+    settings.mode === "img2img" && `image-to-image at ${settings.strength}`,
+    settings.mode === "inpaint" && `inpainted at ${settings.strength}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
@@ -0,0 +1,63 @@
+export const DRAFT_ACTIONS = [
+  { id: "expand", label: "Expand" },
+  { id: "rewrite", label: "Rewrite" },
+  { id: "shorten", label: "Shorten" },
+  { id: "cite", label: "Cite" },
+];
+
+export const draftActionLabel = (id) =>
+  DRAFT_ACTIONS.find((action) => action.id === id)?.label || id;
+
+// Where a suggestion's original passage is now. The text may have moved since
+// it was suggested, so the occurrence nearest the old offset wins; -1 if the
+// passage was edited away.
+export function locateSuggestion(content, suggestion) {
+  let best = -1;
+  let index = content.indexOf(suggestion.original);
+  while (index !== -1) {
+    if (
+      best === -1 ||
+      Math.abs(index - suggestion.start) < Math.abs(best - suggestion.start)
+    ) {
+      best = index;
+    }
+    index = content.indexOf(suggestion.original, index + 1);
+  }
+  return best;
+}
+
+export function applySuggestion(content, suggestion) {
+  const index = locateSuggestion(content, suggestion);
+  if (index === -1) return null;
+  return (
+    content.slice(0, index) +
+    suggestion.replacement +
+    content.slice(index + suggestion.original.length)
+  );
+}
+
+// Markdown formatting for the canvas toolbar. Each returns the new content
+// and the selection to restore.
+export function wrapSelection(content, start, end, marker) {
+  const selected = content.slice(start, end) || "text";
+  return {
+    content:
+      content.slice(0, start) + marker + selected + marker + content.slice(end),
+    start: start + marker.length,
+    end: start + marker.length + selected.length,
+  };
+}
+
+export function prefixLines(content, start, end, prefix) {
+  const lineStart = content.lastIndexOf("\n", start - 1) + 1;
+  const block = content
+    .slice(lineStart, end)
+    .split("\n")
+    .map((line) => prefix + line)
+    .join("\n");
+  return {
+    content: content.slice(0, lineStart) + block + content.slice(end),
+    start: lineStart,
+    end: lineStart + block.length,
+  };
+}
@@ -0,0 +1,20 @@
+export const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = (err) => {
+      console.error("FileReader error:", err);
+      reject(err);
+    };
+    reader.readAsDataURL(file);
+  });
+
+// Hands a downloaded Blob to the browser as a file.
+export const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
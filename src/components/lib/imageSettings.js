@@ -0,0 +1,11 @@
+// Blank fields mean "use the model's default"; a blank seed means random.
+// Strength is only sent when editing a source image.
+export const DEFAULT_IMAGE_SETTINGS = {
+  model: "sdxl",
+  size: "square",
+  steps: "",
+  guidance: "",
+  negativePrompt: "",
+  seed: "",
+  strength: "",
+};
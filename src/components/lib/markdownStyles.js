@@ -0,0 +1,41 @@
+import { useEffect } from "react";
+
+// Styles for the .markdown-content wrapper around ReactMarkdown output, added
+// to <head> while a page that renders chat messages is mounted.
+export const useMarkdownStyles = () => {
+  useEffect(() => {
+    const styleId = "markdown-styles";
+    const markdownStyles = `
+      .markdown-content { line-height: 1.6; }
+      .markdown-content h1 { font-size: 1.6em; font-weight: 600; margin-top: 1.5em; margin-bottom: 0.8em; border-bottom: 1px solid #4b5563; padding-bottom: 0.3em; color: #ffffff; }
+      .markdown-content h2 { font-size: 1.4em; font-weight: 600; margin-top: 1.4em; margin-bottom: 0.7em; border-bottom: 1px solid #4b5563; padding-bottom: 0.3em; color: #ffffff; }
+      .markdown-content h3 { font-size: 1.2em; font-weight: 600; margin-top: 1.2em; margin-bottom: 0.6em; color: #ffffff; }
+      .markdown-content p { margin-bottom: 1em; color: #d1d5db; }
+      .markdown-content a { color: #60a5fa; text-decoration: none; }
+      .markdown-content a:hover { text-decoration: underline; }
+      .markdown-content ul, .markdown-content ol { margin-left: 1.8rem; margin-bottom: 1em; color: #d1d5db; }
+      .markdown-content li { margin-bottom: 0.5em; }
+      .markdown-content li > p { margin-bottom: 0.3em; }
+      .markdown-content code { background-color: #374151; color: #e5e7eb; padding: 0.2em 0.4em; border-radius: 3px; font-size: 0.9em; font-family: monospace; }
+      .markdown-content pre { background-color: #1f2937; color: #d1d5db; padding: 1em; border-radius: 5px; overflow-x: auto; margin-bottom: 1em; font-size: 0.9em; font-family: monospace; }
+      .markdown-content pre code { background-color: transparent; padding: 0; border-radius: 0; }
+      .markdown-content blockquote { border-left: 4px solid #4b5563; padding-left: 1em; margin-left: 0; margin-bottom: 1em; color: #9ca3af; font-style: italic; }
+      .markdown-content table { border-collapse: collapse; width: auto; margin-bottom: 1em; color: #d1d5db; }
+      .markdown-content th, .markdown-content td { border: 1px solid #4b5563; padding: 0.5em 0.8em; }
+      .markdown-content th { background-color: #374151; font-weight: 600; text-align: left; }
+      .markdown-content hr { border: none; border-top: 1px solid #4b5563; margin-top: 1.5em; margin-bottom: 1.5em; }
+      @keyframes fadeIn { from { opacity: 0; transform: translateY(10px); } to { opacity: 1; transform: translateY(0); } }
+      .animate-fade-in { animation: fadeIn 0.3s ease-out forwards; }
+    `;
+    if (!document.getElementById(styleId)) {
+      const styleSheet = document.createElement("style");
+      styleSheet.id = styleId;
+      styleSheet.textContent = markdownStyles;
+      document.head.appendChild(styleSheet);
+    }
+    return () => {
+      const e = document.getElementById(styleId);
+      if (e) e.remove();
+    };
+  }, []);
+};
@@ -0,0 +1,20 @@
+// Mirror RESPONSE_STYLES and CITATION_FORMATS in lib/personas.js on the server.
+export const RESPONSE_STYLES = [
+  { id: "balanced", label: "Balanced" },
+  { id: "concise", label: "Concise" },
+  { id: "detailed", label: "Detailed" },
+  { id: "step-by-step", label: "Step by step" },
+  { id: "socratic", label: "Socratic" },
+];
+
+export const CITATION_FORMATS = [
+  { id: "none", label: "No preference" },
+  { id: "apa", label: "APA" },
+  { id: "mla", label: "MLA" },
+  { id: "chicago", label: "Chicago" },
+  { id: "ieee", label: "IEEE" },
+  { id: "harvard", label: "Harvard" },
+];
+
+export const optionLabel = (options, id) =>
+  options.find((option) => option.id === id)?.label || id;
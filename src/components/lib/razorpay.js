@@ -0,0 +1,24 @@
+const CHECKOUT_SCRIPT_URL = "https://checkout.razorpay.com/v1/checkout.js";
+
+let checkoutPromise = null;
+
+// Injects Razorpay's Checkout script once and resolves with window.Razorpay.
+export function loadRazorpayCheckout() {
+  if (window.Razorpay) return Promise.resolve(window.Razorpay);
+
+  if (!checkoutPromise) {
+    checkoutPromise = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = CHECKOUT_SCRIPT_URL;
+      script.async = true;
+      script.onload = () => resolve(window.Razorpay);
+      script.onerror = () => {
+        checkoutPromise = null;
+        script.remove();
+        reject(new Error("Could not load Razorpay Checkout"));
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return checkoutPromise;
+}
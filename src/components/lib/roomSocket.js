@@ -0,0 +1,211 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useAuth } from "@clerk/clerk-react";
+import { API_BASE_URL } from "./api";
+
+// Close codes from the server that reconnecting will not fix: bad token,
+// removed from the room, room gone.
+const FINAL_CLOSE_CODES = [4401, 4403, 4404];
+const MAX_RECONNECT_DELAY_MS = 30000;
+const TYPING_REFRESH_MS = 3000;
+
+// The session token goes in the first frame rather than the URL, which
+// proxies and access logs would keep.
+const socketUrl = (roomId) =>
+  `${API_BASE_URL.replace(/^http/, "ws")}rooms/socket?roomId=${encodeURIComponent(
+    roomId
+  )}`;
+
+// Live connection to a collaborative room: messages, presence, typing and the
+// shared AI turn queue. Reconnects with backoff until the server closes the
+// socket for good.
+export function useRoomSocket(roomId) {
+  const { getToken, userId } = useAuth();
+  const socketRef = useRef(null);
+  const joinedRef = useRef(false);
+  const typingSentAtRef = useRef(0);
+  const [status, setStatus] = useState("connecting");
+  const [closeReason, setCloseReason] = useState("");
+  const [room, setRoom] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [online, setOnline] = useState([]);
+  const [typing, setTypingMembers] = useState([]);
+  const [turns, setTurns] = useState({ activeTurn: null, queue: [] });
+  const [streaming, setStreaming] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let stopped = false;
+    let attempt = 0;
+    let retryTimer;
+
+    const handleFrame = (frame) => {
+      switch (frame.type) {
+        case "ready":
+          attempt = 0;
+          joinedRef.current = true;
+          setStatus("open");
+          setRoom(frame.room);
+          setMessages(frame.messages);
+          setOnline(frame.online);
+          setTypingMembers(frame.typing);
+          setTurns({ activeTurn: frame.activeTurn, queue: frame.queue });
+          setStreaming(
+            frame.activeTurn ? { ...frame.activeTurn, content: "" } : null
+          );
+          break;
+        case "presence":
+          setOnline(frame.online);
+          break;
+        case "typing":
+          setTypingMembers(frame.typing);
+          break;
+        case "message":
+          setMessages((prev) => [...prev, frame.message]);
+          break;
+        case "queue":
+          setTurns({ activeTurn: frame.activeTurn, queue: frame.queue });
+          break;
+        case "ai:start":
+          setStreaming({
+            turnId: frame.turnId,
+            requestedBy: frame.requestedBy,
+            model: frame.model,
+            content: "",
+          });
+          break;
+        case "ai:delta":
+          setStreaming((prev) =>
+            prev?.turnId === frame.turnId
+              ? { ...prev, content: prev.content + frame.delta }
+              : prev
+          );
+          break;
+        case "ai:done":
+          setMessages((prev) => [...prev, frame.message]);
+          setStreaming(null);
+          break;
+        case "ai:error":
+          setStreaming(null);
+          if (frame.requestedBy === userId) {
+            setError({
+              message: frame.error,
+              upgrade: frame.code === "quota_exceeded",
+            });
+          }
+          break;
+        case "room":
+          setRoom(frame.room);
+          break;
+        case "error":
+          setError({ message: frame.error });
+          break;
+        default:
+          break;
+      }
+    };
+
+    const connect = async () => {
+      setStatus((prev) => (prev === "open" ? "reconnecting" : prev));
+      let token;
+      try {
+        token = await getToken();
+      } catch (err) {
+        console.error("Error getting a session token for the room:", err);
+      }
+      if (stopped) return;
+
+      const socket = new WebSocket(socketUrl(roomId));
+      socketRef.current = socket;
+      joinedRef.current = false;
+      socket.onopen = () => {
+        socket.send(JSON.stringify({ type: "auth", token: token || "" }));
+      };
+      socket.onmessage = (event) => {
+        try {
+          handleFrame(JSON.parse(event.data));
+        } catch (err) {
+          console.error("Error reading a room frame:", err);
+        }
+      };
+      socket.onclose = (event) => {
+        if (socketRef.current === socket) {
+          socketRef.current = null;
+          joinedRef.current = false;
+        }
+        if (stopped) return;
+        if (FINAL_CLOSE_CODES.includes(event.code)) {
+          setStatus("closed");
+          setCloseReason(event.reason || "Disconnected from the room");
+          return;
+        }
+        setStatus("reconnecting");
+        retryTimer = setTimeout(
+          connect,
+          Math.min(1000 * 2 ** attempt++, MAX_RECONNECT_DELAY_MS)
+        );
+      };
+    };
+
+    setStatus("connecting");
+    setCloseReason("");
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [roomId, getToken, userId]);
+
+  const sendFrame = useCallback((frame) => {
+    const socket = socketRef.current;
+    if (socket?.readyState !== WebSocket.OPEN || !joinedRef.current) {
+      return false;
+    }
+    socket.send(JSON.stringify(frame));
+    return true;
+  }, []);
+
+  // Call on every keystroke; the server is only told every few seconds and
+  // clears the indicator itself when updates stop.
+  const notifyTyping = useCallback(() => {
+    if (Date.now() - typingSentAtRef.current < TYPING_REFRESH_MS) return;
+    if (sendFrame({ type: "typing", isTyping: true })) {
+      typingSentAtRef.current = Date.now();
+    }
+  }, [sendFrame]);
+
+  const stopTyping = useCallback(() => {
+    if (!typingSentAtRef.current) return;
+    typingSentAtRef.current = 0;
+    sendFrame({ type: "typing", isTyping: false });
+  }, [sendFrame]);
+
+  const sendMessage = useCallback(
+    (content, askAi) => {
+      typingSentAtRef.current = 0;
+      setError(null);
+      return sendFrame({ type: "message", content, askAi });
+    },
+    [sendFrame]
+  );
+
+  return {
+    status,
+    closeReason,
+    room,
+    setRoom,
+    messages,
+    online,
+    typing,
+    activeTurn: turns.activeTurn,
+    queue: turns.queue,
+    streaming,
+    error,
+    setError,
+    sendMessage,
+    notifyTyping,
+    stopTyping,
+  };
+}
@@ -0,0 +1,20 @@
+// Same placeholder syntax as VARIABLE_PATTERN in lib/templates.js on the server.
+const VARIABLE_PATTERN = /\{([a-zA-Z][\w-]{0,39})\}/g;
+
+export const TEMPLATE_SOURCES = [
+  { id: "builtin", label: "Built-in" },
+  { id: "mine", label: "My templates" },
+  { id: "room", label: "Shared with my rooms" },
+];
+
+// Blank values keep their {placeholder} so the gap stays visible in the input.
+export const fillTemplate = (body, values) =>
+  body.replace(VARIABLE_PATTERN, (placeholder, name) =>
+    values[name]?.trim() ? values[name].trim() : placeholder
+  );
+
+// "target-audience" -> "Target audience"
+export const variableLabel = (name) => {
+  const words = name.replace(/[-_]+/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
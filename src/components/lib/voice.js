@@ -0,0 +1,114 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Clips shorter than this are treated as an accidental tap.
+const MIN_RECORDING_MS = 400;
+
+// Push-to-talk recording. start() asks for the microphone; stop() resolves
+// with the recorded Blob, or null when the clip was too short or the
+// microphone was refused. stop() may be called while the permission prompt
+// is still open.
+export const useRecorder = () => {
+  const sessionRef = useRef(null);
+  const [recording, setRecording] = useState(false);
+
+  const supported =
+    typeof window !== "undefined" &&
+    Boolean(navigator.mediaDevices?.getUserMedia) &&
+    typeof MediaRecorder !== "undefined";
+
+  const start = useCallback(() => {
+    if (sessionRef.current) return;
+    const session = { startedAt: Date.now() };
+    session.ready = navigator.mediaDevices
+      .getUserMedia({ audio: true })
+      .then((stream) => {
+        const recorder = new MediaRecorder(stream);
+        const chunks = [];
+        recorder.ondataavailable = (e) => chunks.push(e.data);
+        session.stream = stream;
+        session.recorder = recorder;
+        session.done = new Promise((resolve) => {
+          recorder.onstop = () =>
+            resolve(new Blob(chunks, { type: recorder.mimeType }));
+        });
+        recorder.start();
+      })
+      .catch((error) => {
+        if (sessionRef.current === session) {
+          sessionRef.current = null;
+          setRecording(false);
+        }
+        throw error;
+      });
+    sessionRef.current = session;
+    setRecording(true);
+    return session.ready;
+  }, []);
+
+  const stop = useCallback(async () => {
+    const session = sessionRef.current;
+    if (!session) return null;
+    sessionRef.current = null;
+    setRecording(false);
+
+    try {
+      await session.ready;
+    } catch {
+      return null; // start() already reported the failure
+    }
+    session.recorder.stop();
+    session.stream.getTracks().forEach((track) => track.stop());
+    const blob = await session.done;
+    return Date.now() - session.startedAt < MIN_RECORDING_MS ? null : blob;
+  }, []);
+
+  useEffect(
+    () => () => {
+      sessionRef.current?.stream?.getTracks().forEach((track) => track.stop());
+    },
+    []
+  );
+
+  return { supported, recording, start, stop };
+};
+
+// Plain text for the speech engine: code is skipped and Markdown syntax dropped.
+const toSpeech = (markdown) =>
+  markdown
+    .replace(/```[\s\S]*?```/g, " Code omitted. ")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/[`*_#>|~]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Reads answers aloud with the browser's speech synthesis. `speakingId` is
+// the id passed to speak() while that text is being read.
+export const useReadAloud = () => {
+  const [speakingId, setSpeakingId] = useState(null);
+  const supported =
+    typeof window !== "undefined" && "speechSynthesis" in window;
+
+  const stop = useCallback(() => {
+    if (!supported) return;
+    window.speechSynthesis.cancel();
+    setSpeakingId(null);
+  }, [supported]);
+
+  const speak = useCallback(
+    (id, markdown) => {
+      if (!supported) return;
+      window.speechSynthesis.cancel();
+      const utterance = new SpeechSynthesisUtterance(toSpeech(markdown));
+      utterance.onend = utterance.onerror = () =>
+        setSpeakingId((current) => (current === id ? null : current));
+      setSpeakingId(id);
+      window.speechSynthesis.speak(utterance);
+    },
+    [supported]
+  );
+
+  useEffect(() => stop, [stop]);
+
+  return { supported, speakingId, speak, stop };
+};
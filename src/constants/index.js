@@ -57,6 +57,26 @@ export const navigation = [
     title: "Try it now",
     url: "/chat",
   },
+  {
+    id: "4",
+    title: "Library",
+    url: "/library",
+  },
+  {
+    id: "5",
+    title: "Gallery",
+    url: "/gallery",
+  },
+  {
+    id: "6",
+    title: "Rooms",
+    url: "/rooms",
+  },
+  {
+    id: "7",
+    title: "Canvas",
+    url: "/canvas",
+  },
 ];
 
 export const heroIcons = [homeSmile, file02, searchMd, plusSquare];
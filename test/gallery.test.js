@@ -0,0 +1,15 @@
+// test/gallery.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { readImage } from "../lib/gallery.js";
+
+describe("readImage", () => {
+  const image = { storage: "local", storageKey: "missing.png", contentType: "image/png" };
+
+  it("answers 400 for unknown formats before touching storage", async () => {
+    for (const format of ["gif", "constructor", "toString", "__proto__"]) {
+      await assert.rejects(readImage(image, format), { status: 400, message: /Unknown format/ }, format);
+    }
+  });
+});
@@ -0,0 +1,42 @@
+// test/images.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { resolveImageOptions } from "../lib/images.js";
+
+describe("resolveImageOptions", () => {
+  it("fills in defaults for a bare request", () => {
+    const options = resolveImageOptions({});
+    assert.equal(options.model, "sdxl");
+    assert.equal(options.width, 1024);
+    assert.equal(options.height, 1024);
+    assert.equal(options.mode, "generate");
+    assert.ok(Number.isInteger(options.seed));
+  });
+
+  it("uses size presets and explicit dimensions", () => {
+    assert.deepEqual(
+      [resolveImageOptions({ size: "wide" }).width, resolveImageOptions({ size: "wide" }).height],
+      [1344, 768]
+    );
+    const custom = resolveImageOptions({ width: 640, height: 512 });
+    assert.deepEqual([custom.width, custom.height], [640, 512]);
+  });
+
+  it("answers 400 for unknown models, including inherited object keys", () => {
+    for (const model of ["dall-e", "constructor", "toString", "__proto__"]) {
+      assert.throws(() => resolveImageOptions({ model }), { status: 400, message: /Unknown image model/ }, model);
+    }
+  });
+
+  it("answers 400 for unknown sizes instead of passing undefined dimensions on", () => {
+    for (const size of ["huge", "constructor", "valueOf"]) {
+      assert.throws(() => resolveImageOptions({ size }), { status: 400, message: /Unknown size/ }, size);
+    }
+  });
+
+  it("checks steps and dimensions against the model's limits", () => {
+    assert.throws(() => resolveImageOptions({ steps: 500 }), { status: 400 });
+    assert.throws(() => resolveImageOptions({ width: 1000, height: 512 }), { status: 400 });
+  });
+});
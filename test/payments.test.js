@@ -0,0 +1,142 @@
+// test/payments.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import Payment from "../models/payments.js";
+import User from "../models/user.js";
+import { completePayment, refundPayment } from "../lib/payments.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fakeUser(fields) {
+  return { _id: "u1", subscriptionStatus: "free", chatAttempts: 4, subscription: {}, ...fields, toObject() { return this; } };
+}
+
+describe("completePayment", () => {
+  const capture = { orderId: "order_1", transactionId: "pay_1", amount: 99900, currency: "INR", method: "upi" };
+  const pending = { userId: "u1", clerkUserId: "user_1", planId: "1", status: "pending" };
+
+  afterEach(() => mock.restoreAll());
+
+  it("upgrades the owner and records the order in the same update", async () => {
+    mock.method(Payment, "findOne", async () => pending);
+    mock.method(Payment, "findOneAndUpdate", async () => pending);
+    const markGranted = mock.method(Payment, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(User, "findOne", async () => fakeUser());
+    const grant = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await completePayment(capture), { alreadyProcessed: false });
+
+    const [filter, update] = grant.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: "u1", grantedOrderIds: { $ne: "order_1" } });
+    assert.deepEqual(update.$push, { grantedOrderIds: "order_1" });
+    assert.equal(update.$set.subscriptionStatus, "pro");
+    assert.equal(update.$set.chatAttempts, 0);
+    assert.deepEqual(markGranted.mock.calls[0].arguments[1], { $set: { planGranted: true } });
+  });
+
+  it("does nothing for a capture that was already applied", async () => {
+    mock.method(Payment, "findOne", async () => ({ ...pending, status: "completed", planGranted: true }));
+    mock.method(Payment, "findOneAndUpdate", async () => null);
+    const grant = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await completePayment(capture), { alreadyProcessed: true });
+    assert.equal(grant.mock.callCount(), 0);
+  });
+
+  it("keeps refunded payments refunded when the capture is replayed", async () => {
+    mock.method(Payment, "findOne", async () => ({ ...pending, status: "refunded", planGranted: true }));
+    mock.method(Payment, "findOneAndUpdate", async () => null);
+    const grant = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await completePayment(capture), { alreadyProcessed: true });
+    assert.equal(grant.mock.callCount(), 0);
+  });
+
+  it("finishes an upgrade that crashed half way without granting it twice", async () => {
+    mock.method(Payment, "findOne", async () => ({ ...pending, status: "completed", planGranted: false }));
+    mock.method(Payment, "findOneAndUpdate", async () => null);
+    const markGranted = mock.method(Payment, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(User, "findOne", async () => null); // The order id is already in grantedOrderIds
+    const grant = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await completePayment(capture), { alreadyProcessed: true });
+    assert.equal(grant.mock.callCount(), 0);
+    assert.equal(markGranted.mock.callCount(), 1);
+  });
+});
+
+describe("refundPayment", () => {
+  const refund = { transactionId: "pay_1", refundId: "rfnd_1", amount: 99900 };
+
+  function paid(fields) {
+    return { _id: "p1", userId: "u1", orderId: "order_1", planId: "1", amount: 999, refundedAmount: 999, status: "completed", planGranted: true, ...fields };
+  }
+
+  function mockRefund({ payment, user, flipped = true }) {
+    mock.method(Payment, "findOneAndUpdate", async () => payment);
+    const flip = mock.method(Payment, "updateOne", async () => ({ modifiedCount: flipped ? 1 : 0 }));
+    mock.method(User, "findById", async () => user);
+    const revoke = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+    return { flip, revoke };
+  }
+
+  afterEach(() => mock.restoreAll());
+
+  it("takes only the refunded order's days off a stacked period", async () => {
+    const periodEnd = new Date(Date.now() + 50 * DAY_MS);
+    const { revoke } = mockRefund({
+      payment: paid(),
+      user: fakeUser({ subscriptionStatus: "pro", subscription: { currentPeriodEnd: periodEnd } }),
+    });
+
+    assert.deepEqual(await refundPayment(refund), { alreadyProcessed: false });
+
+    const [filter, update] = revoke.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: "u1" });
+    assert.equal(update.$set.subscriptionStatus, "pro");
+    assert.equal(update.$set["subscription.currentPeriodEnd"].getTime(), periodEnd.getTime() - 30 * DAY_MS);
+    assert.deepEqual(update.$pull, { grantedOrderIds: "order_1" });
+  });
+
+  it("downgrades the user when the refunded order was all their paid time", async () => {
+    const { revoke } = mockRefund({
+      payment: paid(),
+      user: fakeUser({ subscriptionStatus: "pro", subscription: { currentPeriodEnd: new Date(Date.now() + 10 * DAY_MS) } }),
+    });
+
+    await refundPayment(refund);
+    assert.equal(revoke.mock.calls[0].arguments[1].$set.subscriptionStatus, "free");
+  });
+
+  it("leaves the plan alone for partial refunds", async () => {
+    const { flip, revoke } = mockRefund({ payment: paid({ refundedAmount: 500 }), user: fakeUser() });
+
+    assert.deepEqual(await refundPayment(refund), { alreadyProcessed: false });
+    assert.equal(flip.mock.callCount(), 0);
+    assert.equal(revoke.mock.callCount(), 0);
+  });
+
+  it("takes the days back once even if another refund completed the payment first", async () => {
+    const { revoke } = mockRefund({ payment: paid(), user: fakeUser(), flipped: false });
+
+    await refundPayment(refund);
+    assert.equal(revoke.mock.callCount(), 0);
+  });
+
+  it("leaves the plan alone if the order never granted one", async () => {
+    const { revoke } = mockRefund({ payment: paid({ planGranted: false }), user: fakeUser() });
+
+    await refundPayment(refund);
+    assert.equal(revoke.mock.callCount(), 0);
+  });
+
+  it("ignores a refund id it has already applied", async () => {
+    mock.method(Payment, "findOneAndUpdate", async () => null);
+    mock.method(Payment, "exists", async () => ({ _id: "p1" }));
+    const revoke = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await refundPayment(refund), { alreadyProcessed: true });
+    assert.equal(revoke.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,34 @@
+// test/providers.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { isModelConfigured, resolveModel } from "../lib/providers.js";
+
+process.env.GEMINI_API_KEY = "test-key";
+delete process.env.ANTHROPIC_API_KEY;
+
+describe("resolveModel", () => {
+  it("resolves a configured model", () => {
+    const model = resolveModel("gemini");
+    assert.equal(model.id, "gemini");
+    assert.equal(model.provider, "gemini");
+  });
+
+  it("answers 400 for unknown ids, including inherited object keys", () => {
+    for (const id of ["gpt-99", "constructor", "toString", "__proto__", "hasOwnProperty"]) {
+      assert.throws(() => resolveModel(id), { status: 400, message: /Unknown model/ }, id);
+    }
+    assert.throws(() => resolveModel(42), { status: 400 });
+  });
+
+  it("answers 400 for a model whose provider has no API key", () => {
+    assert.throws(() => resolveModel("claude"), { status: 400, message: /not configured/ });
+  });
+});
+
+describe("isModelConfigured", () => {
+  it("is false for inherited object keys instead of throwing", () => {
+    assert.equal(isModelConfigured("constructor"), false);
+    assert.equal(isModelConfigured("gemini"), true);
+  });
+});
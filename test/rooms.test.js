@@ -0,0 +1,44 @@
+// test/rooms.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import Room from "../models/rooms.js";
+import { MAX_ROOM_MEMBERS, addRoomMember } from "../lib/rooms.js";
+
+describe("addRoomMember", () => {
+  const member = { userId: "u2", clerkUserId: "user_2", displayName: "Ada" };
+
+  afterEach(() => mock.restoreAll());
+
+  it("adds the member only if they are absent and the room has space", async () => {
+    const room = { _id: "r1", members: [{ clerkUserId: "user_1" }, member] };
+    const update = mock.method(Room, "findOneAndUpdate", async () => room);
+
+    assert.deepEqual(await addRoomMember("r1", member, "code"), { room, joined: true });
+
+    const [filter, change, options] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      _id: "r1",
+      "members.clerkUserId": { $ne: "user_2" },
+      [`members.${MAX_ROOM_MEMBERS - 1}`]: { $exists: false },
+    });
+    assert.deepEqual(change.$push, { members: member });
+    assert.deepEqual(options.arrayFilters, [{ "invite.code": "code" }]);
+  });
+
+  it("treats a join that lost the race to the same member as a no-op", async () => {
+    const room = { _id: "r1", members: [{ clerkUserId: "user_1" }, member] };
+    mock.method(Room, "findOneAndUpdate", async () => null);
+    mock.method(Room, "findById", async () => room);
+
+    assert.deepEqual(await addRoomMember("r1", member, "code"), { room, joined: false });
+  });
+
+  it("answers 409 when the room is full", async () => {
+    const members = Array.from({ length: MAX_ROOM_MEMBERS }, (_, i) => ({ clerkUserId: `user_${i + 10}` }));
+    mock.method(Room, "findOneAndUpdate", async () => null);
+    mock.method(Room, "findById", async () => ({ _id: "r1", members }));
+
+    await assert.rejects(addRoomMember("r1", member, "code"), { status: 409, message: /limited to 20 members/ });
+  });
+});
@@ -0,0 +1,81 @@
+// test/shares.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  MAX_TRACKED_CLIENTS,
+  clearPasswordFailures,
+  passwordRetryDelay,
+  recordPasswordFailure,
+  snapshotMessage,
+} from "../lib/shares.js";
+
+function fail(key, times, now) {
+  for (let i = 0; i < times; i++) recordPasswordFailure(key, now);
+}
+
+describe("share password lockout", () => {
+  it("locks a client out after five wrong passwords and doubles the wait", () => {
+    const now = 1_000_000;
+    fail("backoff:1.2.3.4", 4, now);
+    assert.equal(passwordRetryDelay("backoff:1.2.3.4", now), 0);
+
+    recordPasswordFailure("backoff:1.2.3.4", now);
+    assert.equal(passwordRetryDelay("backoff:1.2.3.4", now), 30 * 1000);
+
+    recordPasswordFailure("backoff:1.2.3.4", now);
+    assert.equal(passwordRetryDelay("backoff:1.2.3.4", now), 60 * 1000);
+    assert.equal(passwordRetryDelay("backoff:1.2.3.4", now + 60 * 1000), 0);
+  });
+
+  it("never locks a client out for more than an hour", () => {
+    fail("cap:1.2.3.4", 30, 0);
+    assert.equal(passwordRetryDelay("cap:1.2.3.4", 0), 60 * 60 * 1000);
+  });
+
+  it("keeps clients and shares apart and forgets a client after a right password", () => {
+    fail("apart:1.2.3.4", 5, 0);
+    assert.equal(passwordRetryDelay("apart:5.6.7.8", 0), 0);
+    assert.equal(passwordRetryDelay("other:1.2.3.4", 0), 0);
+
+    clearPasswordFailures("apart:1.2.3.4");
+    assert.equal(passwordRetryDelay("apart:1.2.3.4", 0), 0);
+  });
+
+  it("drops the client that failed longest ago once the map is full", () => {
+    fail("evict:oldest", 5, 0);
+    for (let i = 0; i < MAX_TRACKED_CLIENTS; i++) recordPasswordFailure(`evict:${i}`, 1);
+    assert.equal(passwordRetryDelay("evict:oldest", 1), 0);
+
+    // Failing again moves a client to the back, so evict:1 goes before evict:0.
+    recordPasswordFailure("evict:0", 2);
+    recordPasswordFailure("evict:newcomer", 2);
+    fail("evict:0", 3, 2);
+    fail("evict:1", 4, 2);
+    assert.ok(passwordRetryDelay("evict:0", 2) > 0);
+    assert.equal(passwordRetryDelay("evict:1", 2), 0);
+  });
+});
+
+describe("snapshotMessage", () => {
+  it("keeps what a share shows and drops owner ids and storage keys", () => {
+    const message = {
+      _id: "m1",
+      userId: "u1",
+      conversationId: "c1",
+      message: "Hello",
+      isFromUser: true,
+      attachments: [{ name: "a.pdf", type: "application/pdf", size: 12, storage: "s3", storageKey: "k", documentId: "d" }],
+      imageId: "i1",
+      model: "gpt-4o",
+      requestedBy: "u2",
+      timestamp: new Date(0),
+    };
+
+    const snapshot = snapshotMessage(message);
+    assert.equal(snapshot._id, "m1");
+    assert.equal(snapshot.imageId, "i1");
+    assert.deepEqual(snapshot.attachments, [{ name: "a.pdf", type: "application/pdf", size: 12 }]);
+    for (const key of ["userId", "conversationId", "requestedBy"]) assert.ok(!(key in snapshot), key);
+  });
+});
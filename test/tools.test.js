@@ -0,0 +1,101 @@
+// test/tools.test.js
+// Runs the tools offline against the built-in scholarly fixtures.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { evaluateExpression } from "../lib/calculator.js";
+import { runTool, validateToolArguments } from "../lib/tools.js";
+import { convertUnits } from "../lib/units.js";
+
+process.env.SCHOLARLY_SOURCE = "fixture";
+
+describe("calculator", () => {
+  it("follows precedence, powers and factorials", () => {
+    assert.equal(evaluateExpression("2 + 3 * 4"), 14);
+    assert.equal(evaluateExpression("2 ^ 3 ^ 2"), 512);
+    assert.equal(evaluateExpression("(1 + 2)! / 3"), 2);
+    assert.equal(evaluateExpression("-2 ^ 2"), -4);
+  });
+
+  it("knows constants and functions", () => {
+    assert.equal(evaluateExpression("sqrt(16) + log(1000) + ln(e)"), 8);
+    assert.ok(Math.abs(evaluateExpression("sin(pi / 2)") - 1) < 1e-12);
+  });
+
+  it("rejects what it cannot parse", () => {
+    assert.throws(() => evaluateExpression("2 +"), { status: 400 });
+    assert.throws(() => evaluateExpression("process.exit()"), { status: 400 });
+    assert.throws(() => evaluateExpression(""), { status: 400 });
+  });
+});
+
+describe("convertUnits", () => {
+  it("converts within a quantity", () => {
+    assert.equal(convertUnits(1, "mi", "km").value, 1.609344);
+    assert.equal(convertUnits(100, "C", "F").value, 212);
+    assert.equal(convertUnits(2.5, "mM", "uM").value, 2500);
+  });
+
+  it("keeps molar and metre apart but ignores case for data sizes", () => {
+    assert.equal(convertUnits(1, "M", "mM").quantity, "concentration");
+    assert.equal(convertUnits(1, "m", "mm").quantity, "length");
+    assert.equal(convertUnits(2, "kb", "B").value, 2000);
+    assert.equal(convertUnits(1, "GIB", "mib").value, 1024);
+  });
+
+  it("refuses unknown units and mismatched quantities", () => {
+    assert.throws(() => convertUnits(1, "parsec", "m"), /Unknown unit/);
+    assert.throws(() => convertUnits(1, "constructor", "m"), /Unknown unit/);
+    assert.throws(() => convertUnits(1, "kg", "m"), /Cannot convert mass/);
+  });
+});
+
+describe("validateToolArguments", () => {
+  const schema = {
+    type: "object",
+    properties: { query: { type: "string" }, limit: { type: "integer" } },
+    required: ["query"],
+  };
+
+  it("requires the required properties", () => {
+    assert.throws(() => validateToolArguments(schema, {}), { status: 400 });
+    assert.throws(() => validateToolArguments(schema, { query: "x", limit: 1.5 }), { status: 400 });
+  });
+
+  it("rejects inherited object keys as argument names", () => {
+    for (const name of ["constructor", "toString", "__proto__"]) {
+      const args = JSON.parse(`{ "query": "x", "${name}": "y" }`);
+      assert.throws(() => validateToolArguments(schema, args), { status: 400, message: /Unknown argument/ }, name);
+    }
+  });
+
+  it("coerces numeric strings", () => {
+    assert.deepEqual(validateToolArguments(schema, { query: "x", limit: "3" }), { query: "x", limit: 3 });
+  });
+});
+
+describe("runTool", () => {
+  it("looks up a DOI from a doi.org link", async () => {
+    const record = await runTool("lookup_doi", { doi: "https://doi.org/10.1038/NATURE14539" });
+    assert.equal(record.error, undefined);
+    assert.equal(record.output.title, "Deep learning");
+    assert.equal(record.output.year, 2015);
+  });
+
+  it("reports an unknown DOI as a tool error", async () => {
+    const record = await runTool("lookup_doi", { doi: "10.9999/does-not-exist" });
+    assert.match(record.error, /No work found/);
+  });
+
+  it("searches the literature", async () => {
+    const record = await runTool("search_literature", { query: "CRISPR immunity", limit: 3 });
+    assert.equal(record.output.count, 1);
+    assert.equal(record.output.works[0].doi, "10.1126/science.1225829");
+  });
+
+  it("never throws, even for unknown tools or bad arguments", async () => {
+    assert.match((await runTool("shell", {})).error, /Unknown tool/);
+    assert.ok((await runTool("calculator", { expression: 42 })).error);
+    assert.ok((await runTool("search_literature", { query: "x", limit: 50 })).error);
+  });
+});